@@ -0,0 +1,10 @@
+-- Migration 0002: Track the applied schema version inside the database
+-- Databases created before migrations existed are at the baseline (version 1)
+
+CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    migration_name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO schema_version (version, migration_name) VALUES (1, 'baseline');
@@ -0,0 +1,7 @@
+-- Migration 0003: Separate PvP and PvE move stats
+-- energy_cost, energy_gain, cooldown and pvp_power hold PvP values; pve_power holds the gym/raid power
+
+ALTER TABLE dim_moves ADD COLUMN pvp_turns INTEGER;
+ALTER TABLE dim_moves ADD COLUMN pvp_buffs TEXT;
+ALTER TABLE dim_moves ADD COLUMN pve_energy_delta INTEGER;
+ALTER TABLE dim_moves ADD COLUMN pve_duration REAL;
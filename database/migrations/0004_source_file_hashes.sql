@@ -0,0 +1,12 @@
+-- Migration 0004: Content hashes of the submodule files each data source was last imported from
+-- Lets change detection work offline by comparing local files instead of asking GitHub
+
+CREATE TABLE IF NOT EXISTS dim_source_file_hashes (
+    fk_source_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    content_hash TEXT NOT NULL, -- SHA-256 hex
+    git_commit_hash TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (fk_source_id, file_path),
+    FOREIGN KEY (fk_source_id) REFERENCES dim_data_sources(pk_source_id)
+);
@@ -0,0 +1,4 @@
+-- Migration 0006: Keep the validation report of the source files an update read
+-- JSON: { valid, files: [{ file, schema, valid, checked, errors, quarantined }] }
+
+ALTER TABLE fact_data_updates ADD COLUMN validation_report TEXT;
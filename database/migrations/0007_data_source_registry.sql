@@ -0,0 +1,62 @@
+-- Migration 0007: Registered data sources
+-- dim_data_sources keeps each source's priority, target tables and file configuration, and both it and
+-- fact_data_updates accept the 'custom' type used by sources registered at runtime (CHECKs need a rebuild)
+
+CREATE TABLE dim_data_sources_new (
+    pk_source_id TEXT PRIMARY KEY,
+    source_name TEXT NOT NULL,
+    source_type TEXT CHECK (source_type IN ('rankings', 'gamemaster', 'tiers', 'moves', 'custom')),
+    repository_url TEXT,
+    api_endpoint TEXT,
+    last_check_timestamp TIMESTAMP,
+    last_update_timestamp TIMESTAMP,
+    update_frequency INTEGER, -- hours between checks
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    priority INTEGER DEFAULT 1,
+    target_tables TEXT, -- JSON array
+    source_config TEXT, -- JSON: submodule, watchPaths, filePath, schema
+    is_builtin BOOLEAN DEFAULT FALSE
+);
+
+INSERT INTO dim_data_sources_new (
+    pk_source_id, source_name, source_type, repository_url, api_endpoint, last_check_timestamp,
+    last_update_timestamp, update_frequency, is_active, created_at, is_builtin
+)
+SELECT
+    pk_source_id, source_name, source_type, repository_url, api_endpoint, last_check_timestamp,
+    last_update_timestamp, update_frequency, is_active, created_at, TRUE
+FROM dim_data_sources;
+
+DROP TABLE dim_data_sources;
+ALTER TABLE dim_data_sources_new RENAME TO dim_data_sources;
+
+CREATE TABLE fact_data_updates_new (
+    pk_update_id TEXT PRIMARY KEY,
+    fk_source_id TEXT NOT NULL,
+    fk_date_id TEXT NOT NULL,
+    update_type TEXT CHECK (update_type IN ('pokemon', 'moves', 'rankings', 'tiers', 'gamemaster', 'custom')),
+    records_added INTEGER DEFAULT 0,
+    records_modified INTEGER DEFAULT 0,
+    records_deprecated INTEGER DEFAULT 0,
+    update_status TEXT CHECK (update_status IN ('pending', 'in_progress', 'completed', 'failed', 'rolled_back')),
+    error_message TEXT,
+    processing_duration INTEGER, -- seconds
+    git_commit_hash TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rolled_back_at TIMESTAMP,
+    validation_report TEXT,
+    FOREIGN KEY (fk_source_id) REFERENCES dim_data_sources(pk_source_id),
+    FOREIGN KEY (fk_date_id) REFERENCES dim_date(pk_date_id)
+);
+
+INSERT INTO fact_data_updates_new
+SELECT
+    pk_update_id, fk_source_id, fk_date_id, update_type, records_added, records_modified,
+    records_deprecated, update_status, error_message, processing_duration, git_commit_hash, created_at,
+    rolled_back_at, validation_report
+FROM fact_data_updates
+ORDER BY rowid;
+
+DROP TABLE fact_data_updates;
+ALTER TABLE fact_data_updates_new RENAME TO fact_data_updates;
@@ -0,0 +1,6 @@
+-- Migration 0008: Persisted update schedule
+-- Consecutive failed checks/updates of a source, so retries and their backoff survive a reload
+
+ALTER TABLE dim_data_sources ADD COLUMN retry_count INTEGER DEFAULT 0;
+ALTER TABLE dim_data_sources ADD COLUMN last_failure_timestamp TIMESTAMP;
+ALTER TABLE dim_data_sources ADD COLUMN last_error TEXT;
@@ -0,0 +1,32 @@
+-- Migration 0009: Cancelled updates
+-- Updates stopped through an AbortSignal are recorded as 'cancelled' rather than 'failed' (CHECK needs a rebuild)
+
+CREATE TABLE fact_data_updates_new (
+    pk_update_id TEXT PRIMARY KEY,
+    fk_source_id TEXT NOT NULL,
+    fk_date_id TEXT NOT NULL,
+    update_type TEXT CHECK (update_type IN ('pokemon', 'moves', 'rankings', 'tiers', 'gamemaster', 'custom')),
+    records_added INTEGER DEFAULT 0,
+    records_modified INTEGER DEFAULT 0,
+    records_deprecated INTEGER DEFAULT 0,
+    update_status TEXT CHECK (update_status IN ('pending', 'in_progress', 'completed', 'failed', 'rolled_back', 'cancelled')),
+    error_message TEXT,
+    processing_duration INTEGER, -- seconds
+    git_commit_hash TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rolled_back_at TIMESTAMP,
+    validation_report TEXT,
+    FOREIGN KEY (fk_source_id) REFERENCES dim_data_sources(pk_source_id),
+    FOREIGN KEY (fk_date_id) REFERENCES dim_date(pk_date_id)
+);
+
+INSERT INTO fact_data_updates_new
+SELECT
+    pk_update_id, fk_source_id, fk_date_id, update_type, records_added, records_modified,
+    records_deprecated, update_status, error_message, processing_duration, git_commit_hash, created_at,
+    rolled_back_at, validation_report
+FROM fact_data_updates
+ORDER BY rowid;
+
+DROP TABLE fact_data_updates;
+ALTER TABLE fact_data_updates_new RENAME TO fact_data_updates;
@@ -0,0 +1,6 @@
+-- Migration 0010: PvE tier sources
+-- pokemon-resources and Dialgadex both write fact_pokemon_pve_tiers; each source versions its own rows
+
+ALTER TABLE fact_pokemon_pve_tiers ADD COLUMN fk_source_id TEXT REFERENCES dim_data_sources(pk_source_id);
+
+CREATE INDEX IF NOT EXISTS idx_pve_tiers_source_current ON fact_pokemon_pve_tiers(fk_source_id, is_current);
@@ -0,0 +1,4 @@
+-- Migration 0011: PvE performance lookups
+-- Stored PvE metrics are read per target type and scenario, and recomputed from the current rows
+
+CREATE INDEX IF NOT EXISTS idx_pve_performance_target ON fact_pokemon_pve_performance_metrics(fk_target_type_id, fk_scenario_id, is_current, rank_vs_type);
@@ -0,0 +1,164 @@
+/**
+ * build-database-bundle.js - Build the prebuilt database bundle from the checked-out submodules
+ * Imports every built-in data source into a fresh database and writes the SQLite image together with a
+ * manifest of the source commits it was built from. LocalDatabase seeds new databases from the bundle,
+ * so a first launch skips the initial data load and only applies upstream changes made since the build
+ *
+ * Usage: node scripts/build-database-bundle.js [--root <checkout>] [--out <directory>] [--allow-partial]
+ *   --root           checkout containing the pvpoke, pokemon-resources and dialgadex submodules (default: this repository)
+ *   --out            output directory (default: <root>/database/bundle)
+ *   --allow-partial  write the bundle even when source files are missing or some source imports failed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LocalDatabase from '../src/data/LocalDatabase.js';
+import DataUpdateManager from '../src/data/DataUpdateManager.js';
+import NodeEnvironment from '../src/environment/NodeEnvironment.js';
+import createStorageAdapter from '../src/data/storage/createStorageAdapter.js';
+
+const IMAGE_FILE = 'pokemon_go_database.sqlite';
+const MANIFEST_FILE = 'manifest.json';
+
+function parseArgs(args) {
+    const options = {
+        root: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..'),
+        out: null,
+        allowPartial: false
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--root':
+                options.root = path.resolve(args[++i]);
+                break;
+            case '--out':
+                options.out = path.resolve(args[++i]);
+                break;
+            case '--allow-partial':
+                options.allowPartial = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${args[i]}`);
+        }
+    }
+    
+    options.out = options.out || path.join(options.root, 'database', 'bundle');
+    return options;
+}
+
+/**
+ * Watched files of the built-in sources that are missing from the checkout (paths relative to the root)
+ */
+async function findMissingSourceFiles(root, sources) {
+    const missing = [];
+    
+    for (const source of sources) {
+        for (const watchPath of source.watchPaths.filter(watchPath => !watchPath.endsWith('/'))) {
+            const filePath = path.join(source.submodule, watchPath);
+            try {
+                await fs.access(path.join(root, filePath));
+            } catch (error) {
+                missing.push(filePath);
+            }
+        }
+    }
+    
+    return missing;
+}
+
+async function buildBundle(options) {
+    const environment = await new NodeEnvironment({ rootDir: options.root }).initialize();
+    const db = new LocalDatabase({
+        environment,
+        storage: createStorageAdapter('bundle', { kind: 'memory' }),
+        seed: false
+    });
+    await db.initialize();
+    
+    const manager = new DataUpdateManager(db, { environment, monitor: false, remoteChecker: null });
+    
+    // A source missing some of its files would be bundled from a partial import (or not at all)
+    const missing = await findMissingSourceFiles(options.root, manager.getBuiltinSources());
+    if (missing.length > 0) {
+        const files = `${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ` (+${missing.length - 5} more)` : ''}`;
+        if (!options.allowPartial) {
+            throw new Error(`Source files missing from ${options.root} (check out the submodules or use --allow-partial): ${files}`);
+        }
+        console.warn(`Bundling without missing source files: ${files}`);
+    }
+    
+    // The database is empty, so initialize() runs the initial load of every source
+    await manager.initialize();
+    
+    const updates = await db.all(`
+        SELECT u.pk_update_id, u.fk_source_id, s.source_name, u.update_status, u.error_message,
+               u.git_commit_hash, u.records_added
+        FROM fact_data_updates u
+        JOIN dim_data_sources s ON u.fk_source_id = s.pk_source_id
+        ORDER BY u.rowid
+    `);
+    
+    const failed = updates.filter(update => update.update_status !== 'completed');
+    if (failed.length > 0) {
+        const reasons = failed.map(update => `${update.source_name}: ${update.error_message}`).join('; ');
+        if (!options.allowPartial) {
+            throw new Error(`Source imports failed (use --allow-partial to bundle anyway): ${reasons}`);
+        }
+        console.warn(`Bundling without failed sources: ${reasons}`);
+    }
+    
+    // Every bundled row would be logged as an INSERT; rolling back the initial load is not useful
+    await db.run('DELETE FROM fact_data_changes');
+    await db.run('VACUUM');
+    
+    const image = await db.exportBinary();
+    const counts = await db.get(`
+        SELECT
+            (SELECT COUNT(*) FROM fact_pokemon) AS pokemon,
+            (SELECT COUNT(*) FROM dim_moves) AS moves,
+            (SELECT COUNT(*) FROM fact_pokemon_pvp_rankings WHERE is_current = 1) AS pvpRankings,
+            (SELECT COUNT(*) FROM fact_pokemon_pve_tiers WHERE is_current = 1) AS pveTiers,
+            (SELECT COUNT(*) FROM fact_pokemon_pve_performance_metrics WHERE is_current = 1) AS pveMetrics
+    `);
+    
+    const manifest = {
+        builtAt: new Date().toISOString(),
+        schemaVersion: db.schemaVersion,
+        image: {
+            file: IMAGE_FILE,
+            size: image.length,
+            sha256: await environment.sha256(image)
+        },
+        sources: updates.map(update => ({
+            id: update.fk_source_id,
+            name: update.source_name,
+            status: update.update_status,
+            commit: update.git_commit_hash,
+            updateId: update.pk_update_id,
+            recordsAdded: update.records_added
+        })),
+        counts
+    };
+    
+    await fs.mkdir(options.out, { recursive: true });
+    await fs.writeFile(path.join(options.out, IMAGE_FILE), image);
+    await fs.writeFile(path.join(options.out, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+    
+    return manifest;
+}
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    const manifest = await buildBundle(options);
+    
+    console.log(`\nDatabase bundle written to ${options.out}`);
+    console.log(`  ${manifest.image.file}: ${(manifest.image.size / 1024 / 1024).toFixed(1)} MB, schema version ${manifest.schemaVersion}`);
+    for (const source of manifest.sources) {
+        console.log(`  ${source.name}: ${source.status}${source.commit ? ` @ ${source.commit.slice(0, 10)}` : ''}`);
+    }
+} catch (error) {
+    console.error(`Bundle build failed: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -7,9 +7,12 @@
 import LocalDatabase from './data/LocalDatabase.js';
 import DataUpdateManager from './data/DataUpdateManager.js';
 import PokeGenieManager from './data/PokeGenieManager.js';
+import createEnvironment from './environment/createEnvironment.js';
+import GameSearchQuery from './search/GameSearchQuery.js';
 
 class PokemonGoApp {
     constructor() {
+        this.environment = null;
         this.db = null;
         this.dataUpdateManager = null;
         this.pokeGenieManager = null;
@@ -17,27 +20,45 @@ class PokemonGoApp {
         this.callbacks = {
             onInitialized: [],
             onDataUpdated: [],
+            onUpdateProgress: [],
             onError: []
         };
     }
 
     /**
      * Initialize the entire application
+     * @param {Object} options - { environment, environmentOptions (e.g. { rootDir, dataDir } under Node), storage, monitor,
+     *                            useWorker: run SQL.js in a Web Worker so large queries don't block the page,
+     *                            seed: prebuilt database bundle manifest (see LocalDatabase, false disables),
+     *                            remoteChecker, schedule: see DataUpdateManager }
      */
-    async initialize() {
+    async initialize(options = {}) {
         console.log('Initializing Pokemon GO App...');
         
         try {
+            // Detect runtime (browser or Node.js)
+            this.environment = options.environment || await createEnvironment(options.environmentOptions);
+            
             // Initialize database
-            this.db = new LocalDatabase();
+            this.db = new LocalDatabase({
+                environment: this.environment,
+                storage: options.storage,
+                useWorker: options.useWorker,
+                seed: options.seed
+            });
             await this.db.initialize();
             
             // Initialize data update manager
-            this.dataUpdateManager = new DataUpdateManager(this.db);
+            this.dataUpdateManager = new DataUpdateManager(this.db, {
+                environment: this.environment,
+                monitor: options.monitor,
+                remoteChecker: options.remoteChecker,
+                schedule: options.schedule
+            });
             await this.dataUpdateManager.initialize();
             
             // Initialize PokeGenie manager
-            this.pokeGenieManager = new PokeGenieManager(this.db);
+            this.pokeGenieManager = new PokeGenieManager(this.db, { environment: this.environment });
             await this.pokeGenieManager.initialize();
             
             // Set up event listeners
@@ -70,6 +91,10 @@ class PokemonGoApp {
             console.error(`Data update failed: ${updateTask.source.name}`, updateTask.error);
             this.triggerCallbacks('onError', updateTask.error);
         });
+        
+        this.dataUpdateManager.on('onUpdateProgress', (progress) => {
+            this.triggerCallbacks('onUpdateProgress', progress);
+        });
     }
 
     /**
@@ -123,6 +148,9 @@ class PokemonGoApp {
             // Get evolution chain
             const evolutionChain = await this.db.getPokemonEvolutionChain(pokemonId);
             
+            // Get weaknesses and resistances from its types
+            const defensiveProfile = await this.db.getPokemonDefensiveProfile(pokemonId);
+            
             // Get user's copies if collection is active
             let userCopies = [];
             if (this.pokeGenieManager.activeCollectionId) {
@@ -138,6 +166,7 @@ class PokemonGoApp {
                 pveTiers,
                 moves,
                 evolutionChain,
+                defensiveProfile,
                 userCopies
             };
             
@@ -149,12 +178,14 @@ class PokemonGoApp {
 
     /**
      * PRIMARY FEATURE: Get league rankings
+     * @param {Object} options - { signal: AbortSignal to cancel the query, asOf: date of a past snapshot }
      */
-    async getLeagueRankings(leagueId, scenario = 'overall', limit = 100) {
+    async getLeagueRankings(leagueId, scenario = 'overall', limit = 100, options = {}) {
         if (!this.isInitialized) {
             throw new Error('App not initialized');
         }
         
+        const params = [leagueId, scenario];
         const sql = `
             SELECT 
                 r.pk_pvp_ranking_id,
@@ -174,12 +205,36 @@ class PokemonGoApp {
             LEFT JOIN dim_types t1 ON p.fk_primary_type_id = t1.pk_type_id
             LEFT JOIN dim_types t2 ON p.fk_secondary_type_id = t2.pk_type_id
             JOIN dim_movesets ms ON r.fk_moveset_id = ms.pk_moveset_id
-            WHERE r.fk_league_id = ? AND r.fk_scenario_id = ? AND r.is_current = 1
+            WHERE r.fk_league_id = ? AND r.fk_scenario_id = ? AND ${this.db.effectiveDateCondition('r', options.asOf, params)}
             ORDER BY r.pvp_rank_percent DESC
             LIMIT ?
         `;
         
-        return await this.db.all(sql, [leagueId, scenario, limit]);
+        return await this.db.all(sql, [...params, limit], { signal: options.signal });
+    }
+
+    /**
+     * PRIMARY FEATURE: Rank history of a Pokemon in a league
+     */
+    async getRankingTrend(pokemonId, leagueId, scenario = 'overall') {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getPokemonRankingTrend(pokemonId, leagueId, scenario);
+    }
+
+    /**
+     * PRIMARY FEATURE: Risers and fallers between two ranking snapshots
+     * @param {string} toDate - defaults to the current rankings
+     * @param {Object} options - { limit }
+     */
+    async getRankingMovers(leagueId, scenario, fromDate, toDate = null, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getRankingMovers(leagueId, scenario, fromDate, toDate, options);
     }
 
     /**
@@ -193,53 +248,175 @@ class PokemonGoApp {
         return await this.db.getTypeEffectiveness(attackingType, defendingType);
     }
 
+    /**
+     * PRIMARY FEATURE: Weaknesses and resistances of a type combination
+     */
+    async getDefensiveProfile(primaryType, secondaryType = null) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getDefensiveProfile(primaryType, secondaryType);
+    }
+
     /**
      * PRIMARY FEATURE: Get PvE tier list for a defending type
+     * Each Pokemon appears once, with its best current tier from any source and attacking type
+     * @param {string} defendingType - type id or name ('fire' / 'Fire')
+     * @param {Object} options - { source: only tiers of one source ('pokemon-resources' / 'dialgadex-data') }
      */
-    async getPvETierList(defendingType, limit = 50) {
+    async getPvETierList(defendingType, limit = 50, options = {}) {
         if (!this.isInitialized) {
             throw new Error('App not initialized');
         }
         
+        const params = [String(defendingType).toLowerCase()];
+        const sourceCondition = options.source ? 'AND t.fk_source_id = ?' : '';
+        if (options.source) {
+            params.push(options.source);
+        }
+        params.push(limit);
+        
         const sql = `
             SELECT 
                 t.pk_pve_tier_id,
                 t.fk_pokemon_id,
+                t.fk_source_id,
                 t.tier_rank,
                 t.tier_score,
                 t.effectiveness_rating,
+                t.pve_overall_rank,
                 p.pokemon_name,
                 p.form,
                 p.pokemon_number,
                 t1.type_name as primary_type,
                 t2.type_name as secondary_type,
+                at.type_name as attacking_type,
                 dt.type_name as defending_type
-            FROM fact_pokemon_pve_tiers t
+            FROM (
+                SELECT t.*, ROW_NUMBER() OVER (
+                    PARTITION BY t.fk_pokemon_id ORDER BY t.tier_score DESC, t.pve_overall_rank
+                ) AS pokemon_row
+                FROM fact_pokemon_pve_tiers t
+                JOIN dim_types dt ON t.fk_defending_type_id = dt.pk_type_id
+                WHERE LOWER(dt.type_name) = ? AND t.is_current = 1 ${sourceCondition}
+            ) t
             JOIN fact_pokemon p ON t.fk_pokemon_id = p.pk_pokemon_id
             LEFT JOIN dim_types t1 ON p.fk_primary_type_id = t1.pk_type_id
             LEFT JOIN dim_types t2 ON p.fk_secondary_type_id = t2.pk_type_id
+            JOIN dim_types at ON t.fk_attacking_type_id = at.pk_type_id
             JOIN dim_types dt ON t.fk_defending_type_id = dt.pk_type_id
-            WHERE dt.type_name = ? AND t.is_current = 1
-            ORDER BY t.tier_score DESC
+            WHERE t.pokemon_row = 1
+            ORDER BY t.tier_score DESC, t.pve_overall_rank
             LIMIT ?
         `;
         
-        return await this.db.all(sql, [defendingType, limit]);
+        return await this.db.all(sql, params);
+    }
+
+    /**
+     * PRIMARY FEATURE: League IV ranking of a species (all 4096 IV combinations, best stat product first)
+     * @param {Object} options - { limit, bestBuddy, minIV } (see LocalDatabase.getIVRankings)
+     */
+    async getIVRankings(pokemonId, league = 'great', options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getIVRankings(pokemonId, league, options);
+    }
+
+    /**
+     * PRIMARY FEATURE: League rank, best level and CP of one IV combination of a species
+     * @param {Object} ivs - { atk_iv, def_iv, sta_iv }
+     * @param {Object} options - { bestBuddy, minIV } (see LocalDatabase.getIVRankings)
+     */
+    async getIVRank(pokemonId, ivs, league = 'great', options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getIVRank(pokemonId, league, ivs, options);
+    }
+
+    /**
+     * PRIMARY FEATURE: Best attackers against a target type in a PvE scenario, from the stored DPS/TDO estimates
+     * @param {Object} options - { asOf: date to read historical metrics }
+     */
+    async getPvEPerformance(targetType, scenarioId = 'raid_t5', limit = 50, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getPvEPerformance(targetType, scenarioId, { ...options, limit });
+    }
+
+    /**
+     * PRIMARY FEATURE: DPS/TDO estimates under custom battle conditions (not stored)
+     * @param {Object} options - { scenario, pokemonId, weather, friendship, megaBoost, limit } (see LocalDatabase.calculatePvEMetrics)
+     */
+    async calculatePvEMetrics(targetType, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.calculatePvEMetrics(targetType, options);
+    }
+
+    /**
+     * SECONDARY FEATURE: Best raid team of six from the active collection against a boss, with the estimated
+     * time to win and the number of trainers needed
+     * @param {string} bossId - fact_pokemon id of the boss, e.g. 'rayquaza'
+     * @param {Object} options - { scenario, moveset: { fast, charged }, weather, friendship } (see LocalDatabase.planRaid)
+     */
+    async planRaid(bossId, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        if (!this.pokeGenieManager.activeCollectionId) {
+            throw new Error('No active PokeGenie collection');
+        }
+        
+        const collection = await this.pokeGenieManager.getBattleCandidates();
+        return await this.db.planRaid(bossId, collection, options);
+    }
+
+    /**
+     * SECONDARY FEATURE: Three counters from the active collection against a Team GO Rocket lineup, with
+     * shield-free battle estimates and the slot each counter handles
+     * @param {Object} lineup - { type: 'fire' } for a grunt, or { slots: [[...], [...], [...]] } with the Pokemon
+     *                          each slot may hold (see LocalDatabase.planRocketBattle)
+     * @param {Object} options - { signal: AbortSignal to cancel }
+     */
+    async planRocketBattle(lineup, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        if (!this.pokeGenieManager.activeCollectionId) {
+            throw new Error('No active PokeGenie collection');
+        }
+        
+        const collection = await this.pokeGenieManager.getBattleCandidates();
+        return await this.db.planRocketBattle(lineup, collection, options);
     }
 
     /**
      * SECONDARY FEATURE: Import PokeGenie CSV
+     * @param {Object} options - { signal: AbortSignal to cancel the import, onProgress: ({ phase, processed, total }) => void }
      */
-    async importPokeGenieCSV(file, collectionName = 'My Collection') {
+    async importPokeGenieCSV(file, collectionName = 'My Collection', options = {}) {
         if (!this.isInitialized) {
             throw new Error('App not initialized');
         }
         
-        return await this.pokeGenieManager.importCSV(file, collectionName);
+        return await this.pokeGenieManager.importCSV(file, collectionName, options);
     }
 
     /**
      * SECONDARY FEATURE: Get user's Pokemon collection
+     * @param {Object|string} filters - filters object, or an in-game search string such as "4*&dragon&!shadow"
      */
     async getUserPokemon(filters = {}) {
         if (!this.isInitialized) {
@@ -260,10 +437,34 @@ class PokemonGoApp {
         return await this.pokeGenieManager.getUserBestForLeague(league, limit);
     }
 
+    /**
+     * SECONDARY FEATURE: League ranks of an owned Pokemon's IVs for its species and its evolutions
+     * @param {Object} options - { bestBuddy, minIV } (see LocalDatabase.getIVRankings)
+     */
+    async evaluateUserPokemon(userPokemonId, league = 'great', options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.pokeGenieManager.evaluateUserPokemon(userPokemonId, league, options);
+    }
+
+    /**
+     * SECONDARY FEATURE: In-game search string for a set of owned Pokemon
+     */
+    async generateSearchString(pokemon) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.pokeGenieManager.generateSearchString(pokemon);
+    }
+
     /**
      * SECONDARY FEATURE: Get filtered Pokemon based on user's collection
+     * @param {Object} options - { signal: AbortSignal to cancel the query }
      */
-    async getFilteredPokemon(query, filters = {}) {
+    async getFilteredPokemon(query, filters = {}, options = {}) {
         if (!this.isInitialized) {
             throw new Error('App not initialized');
         }
@@ -273,6 +474,11 @@ class PokemonGoApp {
             return await this.searchPokemon(query, filters);
         }
         
+        const matches = await this.db.findSearchMatches(query);
+        if (matches && matches.length === 0) {
+            return [];
+        }
+        
         // Add "user owns" filter
         filters.userOwns = true;
         
@@ -307,9 +513,17 @@ class PokemonGoApp {
         const params = [this.pokeGenieManager.activeCollectionId];
         
         // Add search conditions
-        if (query) {
-            sql += ' AND (p.pokemon_name LIKE ? OR p.pokemon_number = ?)';
-            params.push(`%${query}%`, parseInt(query) || 0);
+        if (matches) {
+            sql += ` AND p.pk_pokemon_id IN (${matches.map(() => '?').join(', ')})`;
+            params.push(...matches.map(match => match.id));
+        } else if (GameSearchQuery.isSearchString(query)) {
+            // Search strings apply to the owned copies, e.g. "4*,lucky"
+            const search = GameSearchQuery.parse(query).toSql({ scope: 'collection' });
+            sql += ` AND ${search.sql}`;
+            params.push(...search.params);
+        } else if (query) {
+            sql += ' AND p.pokemon_number = ?';
+            params.push(parseInt(query));
         }
         
         // Add filters
@@ -328,14 +542,22 @@ class PokemonGoApp {
             params.push(filters.legendary);
         }
         
-        sql += ' GROUP BY p.pk_pokemon_id ORDER BY p.pokemon_number ASC';
+        sql += ' GROUP BY p.pk_pokemon_id';
+        
+        // Text searches are ordered by relevance afterwards
+        if (matches) {
+            const rows = await this.db.all(sql, params, { signal: options.signal });
+            return this.db.applySearchRanking(rows, matches, filters.limit);
+        }
+        
+        sql += ' ORDER BY p.pokemon_number ASC';
         
         if (filters.limit) {
             sql += ' LIMIT ?';
             params.push(filters.limit);
         }
         
-        return await this.db.all(sql, params);
+        return await this.db.all(sql, params, { signal: options.signal });
     }
 
     /**
@@ -391,22 +613,141 @@ class PokemonGoApp {
 
     /**
      * Force data update
+     * @param {Object} options - { signal, onProgress } applied to every queued update (see updateDataSource)
+     * @returns {Array} the queued update tasks
      */
-    async forceDataUpdate() {
+    async forceDataUpdate(options = {}) {
         if (!this.isInitialized) {
             throw new Error('App not initialized');
         }
         
         // Queue updates for all active sources
+        const updateTasks = [];
         for (const source of this.dataUpdateManager.updateSources) {
             if (source.isActive) {
-                this.dataUpdateManager.queueUpdate(source);
+                updateTasks.push(this.dataUpdateManager.queueUpdate(source, options));
             }
         }
+        
+        return updateTasks;
+    }
+
+    /**
+     * Update one data source now and wait for the result
+     * @param {Object} options - { signal: AbortSignal to cancel (partial work is rolled back),
+     *                            onProgress: ({ updateId, sourceId, phase, processed, total }) => void }
+     * @returns {Object} the update task ({ status: 'completed' | 'failed' | 'cancelled', result, error, progress })
+     */
+    async updateDataSource(sourceId, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.dataUpdateManager.updateSource(sourceId, options);
+    }
+
+    /**
+     * What changed in recent data updates, grouped by update and source
+     * @param {Object} filters - see LocalDatabase.getDataChanges (e.g. { updateType: 'gamemaster', category: 'move_rebalance' })
+     */
+    async getDataChanges(filters = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getDataChanges(filters);
+    }
+
+    /**
+     * What changed in the last update of a type, e.g. getLatestUpdateChanges('gamemaster')
+     */
+    async getLatestUpdateChanges(updateType, filters = {}) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.db.getLatestUpdateChanges(updateType, filters);
+    }
+
+    /**
+     * Undo a completed data update (ids are pk_update_id values from fact_data_updates)
+     */
+    async rollbackDataUpdate(updateId) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.dataUpdateManager.rollbackUpdate(updateId);
+    }
+
+    /**
+     * When each data source was and will next be checked, with its retry state
+     */
+    async getUpdateSchedule() {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.dataUpdateManager.scheduler.getStatus();
     }
 
     /**
-     * Export user data
+     * Pause scheduled update checks of one source, or of all sources when no id is given
+     */
+    pauseUpdates(sourceId = null) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        this.dataUpdateManager.scheduler.pause(sourceId);
+    }
+
+    /**
+     * Resume paused update checks; checks that became due meanwhile run right away
+     */
+    async resumeUpdates(sourceId = null) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        await this.dataUpdateManager.scheduler.resume(sourceId);
+    }
+
+    /**
+     * Check a data source for updates now, outside its schedule
+     */
+    async checkSourceNow(sourceId) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.dataUpdateManager.scheduler.checkNow(sourceId);
+    }
+
+    /**
+     * Register a custom data source (parser, target tables, priority and check interval)
+     */
+    async registerDataSource(definition) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.dataUpdateManager.registerSource(definition);
+    }
+
+    /**
+     * Remove a custom data source registered with registerDataSource
+     */
+    async unregisterDataSource(sourceId) {
+        if (!this.isInitialized) {
+            throw new Error('App not initialized');
+        }
+        
+        return await this.dataUpdateManager.unregisterSource(sourceId);
+    }
+
+    /**
+     * Export user data (browser download, or a file in the output directory under Node)
      */
     async exportUserData() {
         if (!this.isInitialized) {
@@ -420,15 +761,9 @@ class PokemonGoApp {
             appVersion: '1.0.0'
         };
         
-        const blob = new Blob([JSON.stringify(userData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+        const fileName = `pokemon_go_user_data_${new Date().toISOString().split('T')[0]}.json`;
         
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `pokemon_go_user_data_${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        
-        URL.revokeObjectURL(url);
+        return await this.environment.saveFile(fileName, JSON.stringify(userData, null, 2), 'application/json');
     }
 
     /**
@@ -469,6 +804,19 @@ class PokemonGoApp {
         }
     }
 
+    /**
+     * Stop background work and persist the database (lets Node scripts exit cleanly)
+     */
+    async shutdown() {
+        if (!this.isInitialized) {
+            return;
+        }
+        
+        this.dataUpdateManager.stopMonitoring();
+        await this.db.flush();
+        this.isInitialized = false;
+    }
+
     /**
      * Get initialization status
      */
@@ -477,6 +825,7 @@ class PokemonGoApp {
     }
 }
 
-// Export singleton instance
+// Export singleton instance (the class is exported for scripts that need separate instances)
 const pokemonGoApp = new PokemonGoApp();
+export { PokemonGoApp };
 export default pokemonGoApp; 
\ No newline at end of file
@@ -0,0 +1,299 @@
+/**
+ * PvECalculator - Estimates raid, gym and Rocket battle performance from base stats and PvE move stats
+ * Uses the comprehensive DPS/TDO estimate popularised by GamePress: fast and charged move damage per second
+ * are blended by how quickly each move gains or spends energy, corrected for the energy gained from
+ * damage taken. Attackers are level 40 with 15/15/15 IVs unless their own level and IVs are given; targets are a
+ * pure-type generic defender whose strength comes from the scenario (raid boss tier, or a level 40 Pokemon in gyms
+ * and Rocket battles), or an actual raid boss whose damage comes from its moves
+ */
+
+import { TYPE_CHART, getTypeMultiplier } from '../data/typeChart.js';
+import { getCpMultiplier } from '../data/cpMultipliers.js';
+
+// CP multiplier of the attackers (level 40) and of a gym or Rocket battle opponent
+const ATTACKER_CPM = getCpMultiplier(40);
+
+// Raid boss CP multiplier and HP by boss tier
+const RAID_BOSSES = {
+    1: { cpm: 0.5974, hp: 600 },
+    3: { cpm: 0.73, hp: 3600 },
+    4: { cpm: 0.79, hp: 9000 },
+    5: { cpm: 0.79, hp: 15000 },
+    6: { cpm: 0.79, hp: 22500 }
+};
+
+// Base stats of the generic opponent the metrics are measured against
+const GENERIC_TARGET = { defense: 180, stamina: 180 };
+
+// Damage per second the opponent deals to an attacker with 1 defense (GamePress' y = 900 / defense)
+const INCOMING_DAMAGE = 900;
+
+// Average seconds a raid boss waits after each move
+const BOSS_MOVE_DELAY = 2;
+
+const STAB_BONUS = 1.2;
+const WEATHER_BONUS = 1.2;
+const SHADOW_ATTACK_BONUS = 1.2;
+const SHADOW_DEFENSE_PENALTY = 5 / 6;
+const MEGA_BONUS = 1.1;
+const MEGA_SAME_TYPE_BONUS = 1.3;
+
+// Types boosted by each in-game weather
+export const WEATHER_BOOSTS = {
+    sunny: ['fire', 'grass', 'ground'],
+    rainy: ['water', 'electric', 'bug'],
+    partly_cloudy: ['normal', 'rock'],
+    cloudy: ['fairy', 'fighting', 'poison'],
+    windy: ['dragon', 'flying', 'psychic'],
+    snow: ['ice', 'steel'],
+    fog: ['dark', 'ghost'],
+    extreme: []
+};
+
+// Attack bonus of each friendship level with the other trainers in a raid
+export const FRIENDSHIP_BONUSES = {
+    none: 1,
+    good: 1.03,
+    great: 1.05,
+    ultra: 1.07,
+    best: 1.1
+};
+
+function isShadow(pokemonId) {
+    return /_shadow$/.test(pokemonId);
+}
+
+function isMega(pokemonId) {
+    return /_mega(_[xy])?$|_primal$/.test(pokemonId);
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+class PvECalculator {
+    /**
+     * @param {Object} options - { weather: WEATHER_BOOSTS key (default none), friendship: FRIENDSHIP_BONUSES key (default 'none'),
+     *                            megaBoost: boost of a Mega Pokemon in the raid, true for the 1.1x bonus or its types
+     *                                       (e.g. ['fire', 'flying']) to also give same-type moves 1.3x (default none) }
+     */
+    constructor(options = {}) {
+        if (options.weather && !WEATHER_BOOSTS[options.weather]) {
+            throw new Error(`Unknown weather: ${options.weather} (expected ${Object.keys(WEATHER_BOOSTS).join(', ')})`);
+        }
+        
+        const friendship = options.friendship || 'none';
+        if (!FRIENDSHIP_BONUSES[friendship]) {
+            throw new Error(`Unknown friendship level: ${friendship} (expected ${Object.keys(FRIENDSHIP_BONUSES).join(', ')})`);
+        }
+        
+        const megaTypes = Array.isArray(options.megaBoost) ? options.megaBoost.map(type => String(type).toLowerCase()) : [];
+        const unknownType = megaTypes.find(type => !TYPE_CHART[type]);
+        if (unknownType) {
+            throw new Error(`Unknown type: ${unknownType}`);
+        }
+        
+        this.weather = options.weather || null;
+        this.boostedTypes = this.weather ? WEATHER_BOOSTS[this.weather] : [];
+        this.friendshipBonus = FRIENDSHIP_BONUSES[friendship];
+        this.megaBoost = Boolean(options.megaBoost);
+        this.megaTypes = megaTypes;
+    }
+
+    /**
+     * Opponent of a dim_pve_scenarios row: its defense stat, HP and the damage per second it deals to 1 defense
+     */
+    getTarget(scenario) {
+        const boss = scenario.boss_tier ? RAID_BOSSES[scenario.boss_tier] || RAID_BOSSES[5] : null;
+        const cpm = boss ? boss.cpm : ATTACKER_CPM;
+        
+        return {
+            defense: (GENERIC_TARGET.defense + 15) * cpm,
+            hp: boss ? boss.hp : Math.floor((GENERIC_TARGET.stamina + 15) * cpm),
+            incomingDamage: INCOMING_DAMAGE * (1 - (scenario.dodge_factor || 0))
+        };
+    }
+
+    /**
+     * A species as raid boss of a dim_pve_scenarios row: its types and stats come from the species, its HP from the tier
+     * @param {Object} boss - fact_pokemon row
+     * @param {Array} movesets - [{ fast, charged }] dim_moves rows with PvE stats the boss may have; the damage it deals
+     *                           is averaged over them (without movesets it deals the generic incoming damage)
+     */
+    getRaidBossTarget(boss, scenario, movesets = []) {
+        const tier = RAID_BOSSES[scenario.boss_tier] || RAID_BOSSES[5];
+        
+        return {
+            types: [boss.fk_primary_type_id, boss.fk_secondary_type_id].filter(Boolean),
+            attack: (boss.base_attack + 15) * tier.cpm,
+            defense: (boss.base_defense + 15) * tier.cpm,
+            hp: tier.hp,
+            incomingDamage: INCOMING_DAMAGE * (1 - (scenario.dodge_factor || 0)),
+            dodgeFactor: scenario.dodge_factor || 0,
+            movesets
+        };
+    }
+
+    /**
+     * Attack, defense and HP of an attacker: level 40 and 15/15/15 IVs unless the row has its own cpm and IVs
+     * @param {Object} pokemon - fact_pokemon row, optionally with cpm, atk_iv, def_iv, sta_iv and is_shadow
+     */
+    getAttackerStats(pokemon) {
+        const shadow = isShadow(pokemon.pk_pokemon_id) || Boolean(pokemon.is_shadow);
+        const cpm = pokemon.cpm || ATTACKER_CPM;
+        const iv = value => value ?? 15;
+        
+        return {
+            shadow,
+            attack: (pokemon.base_attack + iv(pokemon.atk_iv)) * cpm * (shadow ? SHADOW_ATTACK_BONUS : 1),
+            defense: (pokemon.base_defense + iv(pokemon.def_iv)) * cpm * (shadow ? SHADOW_DEFENSE_PENALTY : 1),
+            hp: Math.max(10, Math.floor((pokemon.base_stamina + iv(pokemon.sta_iv)) * cpm))
+        };
+    }
+
+    /**
+     * Damage per second a raid boss deals to an attacker, averaged over its movesets
+     * The boss uses its fast move until it has the energy for its charged move, waiting BOSS_MOVE_DELAY after each move
+     */
+    getBossDps(target, attackerTypes, attackerDefense) {
+        if (target.movesets.length === 0) {
+            return target.incomingDamage / attackerDefense;
+        }
+        
+        const damage = move => Math.floor(0.5 * move.pve_power * target.attack / attackerDefense *
+            getTypeMultiplier(move.fk_move_type_id, attackerTypes) *
+            (target.types.includes(move.fk_move_type_id) ? STAB_BONUS : 1) *
+            (this.boostedTypes.includes(move.fk_move_type_id) ? WEATHER_BONUS : 1)) + 1;
+            
+        const total = target.movesets.reduce((sum, { fast, charged }) => {
+            const fastMoves = fast.pve_energy_delta > 0 ? Math.ceil(Math.abs(charged.pve_energy_delta) / fast.pve_energy_delta) : 0;
+            const cycleDamage = fastMoves > 0 ? fastMoves * damage(fast) + damage(charged) : damage(fast);
+            const cycleTime = fastMoves > 0 ?
+                fastMoves * (fast.pve_duration + BOSS_MOVE_DELAY) + charged.pve_duration + BOSS_MOVE_DELAY :
+                fast.pve_duration + BOSS_MOVE_DELAY;
+                
+            return sum + cycleDamage / cycleTime;
+        }, 0);
+        
+        return total / target.movesets.length * (1 - target.dodgeFactor);
+    }
+
+    /**
+     * Whether a dim_moves row has the PvE stats the estimate needs
+     */
+    static hasPvEStats(move) {
+        return move.pve_power !== null && move.pve_power !== undefined && move.pve_duration > 0 &&
+            move.pve_energy_delta !== null && move.pve_energy_delta !== undefined;
+    }
+
+    /**
+     * Performance of one Pokemon and moveset against a target in a scenario
+     * @param {Object} pokemon - fact_pokemon row (pk_pokemon_id, base stats, fk_primary_type_id, fk_secondary_type_id),
+     *                           optionally with its own cpm, IVs and is_shadow (see getAttackerStats)
+     * @param {Object} fastMove - dim_moves row with PvE stats
+     * @param {Object} chargedMove - dim_moves row with PvE stats
+     * @param {string|Array} targetType - dim_types id, or the ids of a dual-type target
+     * @param {Object} target - getTarget() of the scenario, or getRaidBossTarget()
+     * @returns {Object} fact_pokemon_pve_performance_metrics values (without keys, ranks and versioning)
+     */
+    calculate(pokemon, fastMove, chargedMove, targetType, target) {
+        const mega = isMega(pokemon.pk_pokemon_id);
+        const types = [pokemon.fk_primary_type_id, pokemon.fk_secondary_type_id].filter(Boolean);
+        const targetTypes = [].concat(targetType);
+        const { shadow, attack, defense, hp } = this.getAttackerStats(pokemon);
+        
+        const bonuses = move => {
+            const megaSameType = (mega && types.includes(move.fk_move_type_id)) || this.megaTypes.includes(move.fk_move_type_id);
+            
+            return {
+                effectiveness: getTypeMultiplier(move.fk_move_type_id, targetTypes),
+                stab: types.includes(move.fk_move_type_id) ? STAB_BONUS : 1,
+                weather: this.boostedTypes.includes(move.fk_move_type_id) ? WEATHER_BONUS : 1,
+                mega: megaSameType ? MEGA_SAME_TYPE_BONUS : mega || this.megaBoost ? MEGA_BONUS : 1
+            };
+        };
+        
+        const damage = (move, bonus) => Math.floor(0.5 * move.pve_power * attack / target.defense *
+            bonus.effectiveness * bonus.stab * bonus.weather * bonus.mega * this.friendshipBonus) + 1;
+            
+        const fastBonus = bonuses(fastMove);
+        const chargedBonus = bonuses(chargedMove);
+        
+        const fastDps = damage(fastMove, fastBonus) / fastMove.pve_duration;
+        const fastEps = Math.max(fastMove.pve_energy_delta, 0) / fastMove.pve_duration;
+        const chargedDps = damage(chargedMove, chargedBonus) / chargedMove.pve_duration;
+        const chargedEnergy = Math.abs(chargedMove.pve_energy_delta);
+        const chargedEps = chargedEnergy / chargedMove.pve_duration;
+        
+        // Damage taken per second, and the energy typically left unused when the attacker faints (GamePress' x)
+        const incoming = target.movesets ? this.getBossDps(target, types, defense) : target.incomingDamage / defense;
+        const energyWaste = 0.5 * chargedEnergy + 0.5 * Math.max(fastMove.pve_energy_delta, 0);
+        
+        let dps = fastDps;
+        if (chargedDps > fastDps && fastEps + chargedEps > 0) {
+            const cycleDps = (fastDps * chargedEps + chargedDps * fastEps) / (chargedEps + fastEps);
+            dps = Math.max(cycleDps + (chargedDps - fastDps) / (chargedEps + fastEps) * (0.5 - energyWaste / hp) * incoming, fastDps);
+        }
+        
+        const timeAlive = hp / incoming;
+        const tdo = dps * timeAlive;
+        
+        return {
+            damage_per_second: round(dps),
+            total_damage_output: round(tdo, 1),
+            time_to_win: round(target.hp / dps, 1),
+            deaths: Math.floor(target.hp / tdo),
+            energy_efficiency: round(fastEps),
+            survivability_score: round(timeAlive, 1),
+            type_effectiveness_multiplier: chargedBonus.effectiveness,
+            stab_bonus: chargedBonus.stab,
+            weather_bonus: chargedBonus.weather,
+            friendship_bonus: this.friendshipBonus,
+            mega_bonus: chargedBonus.mega,
+            shadow_bonus: shadow ? SHADOW_ATTACK_BONUS : 1,
+            // Weighs DPS three times as much as TDO, on the DPS scale
+            composite_score: round(Math.pow(dps ** 3 * tdo, 0.25))
+        };
+    }
+
+    /**
+     * Every fast and charged move pair of a Pokemon, best first
+     * @param {Array} fastMoves - dim_moves rows the Pokemon learns, with PvE stats
+     * @param {Array} chargedMoves - idem
+     * @returns {Array} [{ fk_fast_move_id, fk_charged_move_id, ...calculate() }]
+     */
+    calculateMovesets(pokemon, fastMoves, chargedMoves, targetType, target) {
+        const results = [];
+        
+        for (const fastMove of fastMoves) {
+            for (const chargedMove of chargedMoves) {
+                results.push({
+                    fk_fast_move_id: fastMove.pk_move_id,
+                    fk_charged_move_id: chargedMove.pk_move_id,
+                    ...this.calculate(pokemon, fastMove, chargedMove, targetType, target)
+                });
+            }
+        }
+        
+        return results.sort((a, b) => b.composite_score - a.composite_score);
+    }
+
+    /**
+     * Rank results against the same target type and scenario: rank_vs_type (1 = best) and percentile_score
+     * (share of the other results it beats, 0-100)
+     * @param {number} total - number of results ranked, when only the best of them are given (default: all are given)
+     */
+    static rank(results, total = results.length) {
+        const ordered = [...results].sort((a, b) => b.composite_score - a.composite_score);
+        
+        ordered.forEach((result, index) => {
+            result.rank_vs_type = index + 1;
+            result.percentile_score = total > 1 ? round((total - 1 - index) / (total - 1) * 100, 1) : 100;
+        });
+        
+        return ordered;
+    }
+}
+
+export default PvECalculator;
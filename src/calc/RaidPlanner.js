@@ -0,0 +1,147 @@
+/**
+ * RaidPlanner - Picks the raid team of the user's own Pokemon against a boss and estimates how many trainers it takes
+ * Every owned Pokemon is rated with PvECalculator at its own level, IVs and moveset against the boss' types, stats and
+ * moves. A trainer battles through the team; when all of it has fainted they rejoin the raid (REJOIN_SECONDS) and start
+ * over with the same team. Every trainer is assumed to bring an equally strong team
+ */
+
+import PvECalculator from './PvECalculator.js';
+import { getOwnedAttackers } from './ownedAttackers.js';
+
+// Seconds lost rejoining the raid after the whole team has fainted
+const REJOIN_SECONDS = 10;
+
+// Most trainers in one raid lobby
+const MAX_RAID_TRAINERS = 20;
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+class RaidPlanner {
+    /**
+     * @param {PvECalculator} calculator - carries the weather and friendship of the raid
+     */
+    constructor(calculator = new PvECalculator()) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Best raid team of owned Pokemon against a boss species, with the time to win and the trainers needed
+     * @param {Object} data - { boss: fact_pokemon row, scenario: dim_pve_scenarios row of a raid tier, moves: dim_moves
+     *                        rows with PvE stats, learnsets: Map pokemonId -> { fast: [moves], charged: [moves] } }
+     * @param {Array} collection - PokeGenieManager.getBattleCandidates() rows (see getOwnedAttackers)
+     * @param {Object} moveset - the boss' { fast, charged } move ids or names (default: averaged over the moves it learns)
+     * @returns {Object} plan() result with boss ({ pk_pokemon_id, pokemon_name, form, types, fastMoves, chargedMoves }),
+     *                   scenario, and unrated: owned Pokemon without a known level
+     */
+    planCollection(data, collection, moveset = {}) {
+        const { boss, scenario, moves, learnsets } = data;
+        const movesById = new Map(moves.map(move => [move.pk_move_id, move]));
+        const bossLearnset = learnsets.get(boss.pk_pokemon_id) || { fast: [], charged: [] };
+        const bossMoves = category => {
+            const requested = moveset[category];
+            if (!requested) {
+                return bossLearnset[category];
+            }
+            
+            const key = String(requested).toLowerCase();
+            const move = moves.find(move => (move.move_category === 'fast') === (category === 'fast') &&
+                (move.pk_move_id.toLowerCase() === key || move.move_name.toLowerCase() === key));
+            if (!move) {
+                throw new Error(`Unknown ${category} move: ${requested}`);
+            }
+            return [move];
+        };
+        
+        const bossFastMoves = bossMoves('fast');
+        const bossChargedMoves = bossMoves('charged');
+        const bossMovesets = bossFastMoves.flatMap(fast => bossChargedMoves.map(charged => ({ fast, charged })));
+        
+        const { attackers, unrated } = getOwnedAttackers(collection, movesById, learnsets);
+        const plan = this.plan(boss, scenario, bossMovesets,
+            attackers.map(({ pokemon, fastMoves, chargedMoves, fields }) => ({ pokemon, fastMoves, chargedMoves, ...fields })));
+        const nameOf = moveId => movesById.get(moveId).move_name;
+        
+        for (const member of plan.team) {
+            member.moveset_name = `${nameOf(member.fk_fast_move_id)} / ${nameOf(member.fk_charged_move_id)}`;
+        }
+        
+        return {
+            boss: {
+                pk_pokemon_id: boss.pk_pokemon_id,
+                pokemon_name: boss.pokemon_name,
+                form: boss.form,
+                types: [boss.fk_primary_type_id, boss.fk_secondary_type_id].filter(Boolean),
+                fastMoves: bossFastMoves.map(move => move.move_name),
+                chargedMoves: bossChargedMoves.map(move => move.move_name)
+            },
+            scenario: scenario.pk_pve_scenario_id,
+            ...plan,
+            unrated
+        };
+    }
+
+    /**
+     * @param {Object} boss - fact_pokemon row of the boss
+     * @param {Object} scenario - dim_pve_scenarios row of a raid tier
+     * @param {Array} bossMovesets - [{ fast, charged }] dim_moves rows the boss may have
+     * @param {Array} attackers - owned Pokemon: { pokemon: fact_pokemon row with cpm, IVs and is_shadow,
+     *                            fastMoves, chargedMoves: dim_moves rows with PvE stats, ...fields copied to the result }
+     * @returns {Object} { team: the best team_size attackers with their best moveset and metrics, teamDps, teamTdo,
+     *                     soloTimeToWin, trainersNeeded (null when MAX_RAID_TRAINERS are not enough), timeToWin }
+     */
+    plan(boss, scenario, bossMovesets, attackers) {
+        const target = this.calculator.getRaidBossTarget(boss, scenario, bossMovesets);
+        const rated = [];
+        
+        for (const attacker of attackers) {
+            const { pokemon, fastMoves, chargedMoves, ...fields } = attacker;
+            if (fastMoves.length === 0 || chargedMoves.length === 0) {
+                continue;
+            }
+            
+            const [best] = this.calculator.calculateMovesets(pokemon, fastMoves, chargedMoves, target.types, target);
+            rated.push({ ...fields, ...best });
+        }
+        
+        const team = rated
+            .sort((a, b) => b.composite_score - a.composite_score)
+            .slice(0, scenario.team_size || 6);
+            
+        if (team.length === 0) {
+            return { team, teamDps: 0, teamTdo: 0, soloTimeToWin: null, trainersNeeded: null, timeToWin: null };
+        }
+        
+        const teamTdo = team.reduce((sum, member) => sum + member.total_damage_output, 0);
+        const teamTime = team.reduce((sum, member) => sum + member.survivability_score, 0);
+        const timeToWin = trainers => this.getTimeToWin(target.hp / trainers, teamTdo, teamTime);
+        
+        let trainersNeeded = null;
+        for (let trainers = 1; trainers <= MAX_RAID_TRAINERS && !trainersNeeded; trainers++) {
+            if (!scenario.time_limit || timeToWin(trainers) <= scenario.time_limit) {
+                trainersNeeded = trainers;
+            }
+        }
+        
+        return {
+            team,
+            teamDps: round(teamTdo / teamTime, 2),
+            teamTdo: round(teamTdo),
+            soloTimeToWin: round(timeToWin(1)),
+            trainersNeeded,
+            timeToWin: trainersNeeded ? round(timeToWin(trainersNeeded)) : null
+        };
+    }
+
+    /**
+     * Seconds one trainer needs to deal a share of the boss' HP, rejoining each time the team has fainted
+     */
+    getTimeToWin(damage, teamTdo, teamTime) {
+        const rejoins = Math.max(Math.ceil(damage / teamTdo) - 1, 0);
+        return damage / (teamTdo / teamTime) + rejoins * REJOIN_SECONDS;
+    }
+}
+
+export default RaidPlanner;
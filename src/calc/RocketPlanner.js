@@ -0,0 +1,355 @@
+/**
+ * RocketPlanner - Recommends three counters from the user's own Pokemon against a Team GO Rocket lineup
+ * Rocket battles are trainer battles, so matchups are simulated turn by turn with the PvP move stats: both sides use
+ * their fast move and fire a charged move as soon as they have the energy, and nobody shields. Rocket Pokemon are
+ * shadow Pokemon at level 40 with 15/15/15 IVs. Each matchup gets a PvPoke-style battle rating: 500-1000 for a win
+ * (by the share of HP left), 0-500 for a loss (by the share of the opponent's HP taken)
+ */
+
+import PvECalculator from './PvECalculator.js';
+import { getOwnedAttackers } from './ownedAttackers.js';
+import { TYPE_CHART, getTypeMultiplier } from '../data/typeChart.js';
+import { getCpMultiplier } from '../data/cpMultipliers.js';
+import { throwIfAborted, yieldToEventLoop } from '../utils/abort.js';
+
+// Battles still undecided after this many turns count as lost
+const MAX_TURNS = 600;
+
+const MAX_ENERGY = 100;
+const PVP_DAMAGE_BONUS = 1.3;
+const STAB_BONUS = 1.2;
+const ROCKET_LEVEL = 40;
+
+// Counters per slot considered when assigning counters to slots
+const ASSIGNMENT_CANDIDATES = 10;
+
+// Counters rated between cancellation checks
+const COUNTER_CHUNK_SIZE = 25;
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+class RocketPlanner {
+    /**
+     * @param {PvECalculator} calculator - computes the battle stats of both sides
+     */
+    constructor(calculator = new PvECalculator()) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Whether a dim_moves row has the PvP stats trainer battles need
+     */
+    static hasPvPStats(move) {
+        if (move.pvp_power === null || move.pvp_power === undefined) {
+            return false;
+        }
+        
+        return move.move_category === 'fast' ?
+            move.pvp_turns > 0 && move.energy_gain !== null && move.energy_gain !== undefined :
+            move.energy_cost > 0;
+    }
+
+    /**
+     * Counters of owned Pokemon against a Team GO Rocket lineup, one for each slot of the lineup
+     * @param {Object} data - { lineupSize: Pokemon in a lineup, pokemon: fact_pokemon rows, movesById: dim_moves rows
+     *                        with PvP stats, learnsets: Map pokemonId -> { fast: [moves], charged: [moves] } }
+     * @param {Object} lineup - { type: grunt type, e.g. 'fire' } for a grunt whose Pokemon may be any non-legendary
+     *                          Pokemon of that type, or { slots: [['snorlax'], ['gyarados', 'tyranitar'], [...]] } with
+     *                          the fact_pokemon ids each slot of a leader (or grunt) may hold
+     * @param {Array} collection - PokeGenieManager.getBattleCandidates() rows (see getOwnedAttackers)
+     * @param {Object} options - { signal: AbortSignal to cancel }
+     * @returns {Object} { lineup: [{ slot, pokemon: [{ pk_pokemon_id, pokemon_name, form }] }], counters: plan() result,
+     *                   unrated: owned Pokemon without a known level }
+     */
+    async planLineup(data, lineup, collection, options = {}) {
+        const { lineupSize, pokemon, movesById, learnsets } = data;
+        const pokemonById = new Map(pokemon.map(row => [row.pk_pokemon_id, row]));
+        let slotIds;
+        
+        if (Array.isArray(lineup?.slots)) {
+            if (lineup.slots.length === 0 || lineup.slots.length > lineupSize) {
+                throw new Error(`A Rocket lineup has 1 to ${lineupSize} slots`);
+            }
+            
+            slotIds = lineup.slots.map(slot => [].concat(slot).map(id => String(id).toLowerCase()));
+            const unknown = slotIds.flat().find(id => !pokemonById.has(id));
+            if (unknown) {
+                throw new Error(`Unknown Pokemon: ${unknown}`);
+            }
+        } else {
+            const type = String(lineup?.type ?? '').toLowerCase();
+            if (!TYPE_CHART[type]) {
+                throw new Error(`Unknown grunt type: ${lineup?.type}`);
+            }
+            
+            // Rocket Pokemon are shadows of regular species; Mega and legendary Pokemon never appear in grunt lineups
+            const ids = pokemon
+                .filter(row => [row.fk_primary_type_id, row.fk_secondary_type_id].includes(type))
+                .filter(row => !row.is_legendary && !row.is_mythical && !/_shadow$|_mega(_[xy])?$|_primal$/.test(row.pk_pokemon_id))
+                .map(row => row.pk_pokemon_id);
+            slotIds = Array.from({ length: lineupSize }, () => ids);
+        }
+        
+        const slots = slotIds.map(ids => ids.map(id => {
+            const learnset = learnsets.get(id) || { fast: [], charged: [] };
+            return { pokemon: pokemonById.get(id), fastMoves: learnset.fast, chargedMoves: learnset.charged };
+        }));
+        
+        // A known moveset battles with both of its charged moves; unknown moves are tried one pair at a time
+        const { attackers, unrated } = getOwnedAttackers(collection, movesById, learnsets);
+        const counters = attackers
+            .map(({ pokemon, fastMoves, chargedMoves, assumed, fields }) => ({
+                pokemon,
+                movesets: assumed ?
+                    fastMoves.flatMap(fast => chargedMoves.map(charged => ({ fast, charged: [charged] }))) :
+                    [{ fast: fastMoves[0], charged: chargedMoves }],
+                ...fields
+            }))
+            .filter(counter => counter.movesets.length > 0);
+        
+        return {
+            lineup: slotIds.map((ids, index) => ({
+                slot: index + 1,
+                pokemon: ids.map(id => {
+                    const { pk_pokemon_id, pokemon_name, form } = pokemonById.get(id);
+                    return { pk_pokemon_id, pokemon_name, form };
+                })
+            })),
+            counters: await this.plan(slots, counters, options),
+            unrated
+        };
+    }
+
+    /**
+     * @param {Array} slots - one entry per lineup slot: [{ pokemon: fact_pokemon row, fastMoves, chargedMoves }] of the
+     *                        Pokemon that may appear in it, with the dim_moves rows (PvP stats) they may have
+     * @param {Array} counters - owned Pokemon: { pokemon: fact_pokemon row with cpm, IVs and is_shadow, movesets:
+     *                           [{ fast, charged: [moves] }] (several when the moves are unknown), ...fields copied to the result }
+     * @param {Object} options - { signal: AbortSignal to cancel }
+     * @returns {Array} one counter per slot, each assigned to a different slot (counters are picked so that the sum
+     *                  of their battle ratings is highest): { slot (1-based), ...fields, moveset_name, battle_rating,
+     *                  win_rate, hp_remaining_percent, worst_opponent }
+     */
+    async plan(slots, counters, options = {}) {
+        // Slots that may hold the same Pokemon (every slot of a grunt) are rated once
+        const slotKeys = slots.map(candidates => candidates.map(({ pokemon }) => pokemon.pk_pokemon_id).join('|'));
+        const opponentsByKey = new Map();
+        
+        slots.forEach((candidates, slot) => {
+            if (opponentsByKey.has(slotKeys[slot])) {
+                return;
+            }
+            
+            opponentsByKey.set(slotKeys[slot], candidates.flatMap(({ pokemon, fastMoves, chargedMoves }) => {
+                const fighter = this.createFighter({ ...pokemon, cpm: getCpMultiplier(ROCKET_LEVEL), is_shadow: 1 });
+                return fastMoves.flatMap(fast => chargedMoves.map(charged => ({ ...fighter, fast, charged: [charged] })));
+            }));
+        });
+        
+        const ratingsByKey = new Map(Array.from(opponentsByKey.keys(), key => [key, []]));
+        
+        for (const [index, counter] of counters.entries()) {
+            if (index % COUNTER_CHUNK_SIZE === 0) {
+                throwIfAborted(options.signal, 'Rocket battle planning cancelled');
+                await yieldToEventLoop();
+            }
+            
+            const { pokemon, movesets, ...fields } = counter;
+            const fighter = this.createFighter(pokemon);
+            
+            for (const [key, opponents] of opponentsByKey) {
+                if (opponents.length === 0) {
+                    continue;
+                }
+                
+                let best = null;
+                for (const moveset of movesets) {
+                    const result = this.rateMatchups({ ...fighter, ...moveset }, opponents);
+                    if (!best || result.battle_rating > best.battle_rating) {
+                        best = { ...result, fast: moveset.fast, charged: moveset.charged };
+                    }
+                }
+                
+                ratingsByKey.get(key).push({ ...fields, ...best });
+            }
+        }
+        
+        for (const [key, ratings] of ratingsByKey) {
+            ratingsByKey.set(key, ratings
+                .sort((a, b) => b.battle_rating - a.battle_rating)
+                .slice(0, ASSIGNMENT_CANDIDATES));
+        }
+        
+        const candidates = slotKeys.map(key => ratingsByKey.get(key));
+        
+        return this.assign(candidates).map(({ slot, rating }) => {
+            const { fast, charged, ...result } = rating;
+            return { slot: slot + 1, ...result, moveset_name: [fast, ...charged].map(move => move.move_name).join(' / ') };
+        });
+    }
+
+    createFighter(pokemon) {
+        return {
+            name: pokemon.form && pokemon.form !== 'Normal' ? `${pokemon.pokemon_name} (${pokemon.form})` : pokemon.pokemon_name,
+            types: [pokemon.fk_primary_type_id, pokemon.fk_secondary_type_id].filter(Boolean),
+            stats: this.calculator.getAttackerStats(pokemon)
+        };
+    }
+
+    /**
+     * Average result of a counter against every Pokemon and moveset a slot may hold
+     */
+    rateMatchups(counter, opponents) {
+        let rating = 0;
+        let wins = 0;
+        let hpRemaining = 0;
+        let worst = null;
+        
+        for (const opponent of opponents) {
+            const result = this.simulate(counter, opponent);
+            const matchupRating = result.won ? 500 + 500 * result.hpRemaining : 500 * result.damageDealt;
+            
+            rating += matchupRating;
+            wins += result.won ? 1 : 0;
+            hpRemaining += result.won ? result.hpRemaining : 0;
+            
+            if (!worst || matchupRating < worst.rating) {
+                worst = { rating: matchupRating, opponent };
+            }
+        }
+        
+        return {
+            battle_rating: Math.round(rating / opponents.length),
+            win_rate: round(wins / opponents.length * 100),
+            hp_remaining_percent: round(hpRemaining / opponents.length * 100),
+            worst_opponent: `${worst.opponent.name}: ${worst.opponent.fast.move_name} / ${worst.opponent.charged[0].move_name}`
+        };
+    }
+
+    /**
+     * Shield-free trainer battle between two fighters ({ types, stats, fast, charged: [moves] })
+     * A fighter fires the affordable charged move with the most damage per energy whenever it is free to act; fast
+     * move damage lands when the move ends. Charged moves fired on the same turn go in attack stat order (CMP), and a
+     * fighter knocked out by the first one doesn't get to fire
+     * @returns {Object} { won, turns, hpRemaining: share of the first fighter's HP left, damageDealt: share of the
+     *                     second fighter's HP taken }
+     */
+    simulate(first, second) {
+        const counter = this.createSide(first, second);
+        const opponent = this.createSide(second, first);
+        const [leader, trailer] = opponent.attack > counter.attack ? [opponent, counter] : [counter, opponent];
+        let turns = 0;
+        
+        while (counter.hp > 0 && opponent.hp > 0 && turns < MAX_TURNS) {
+            this.act(leader, trailer);
+            this.act(trailer, leader);
+            
+            // Skip the turns in which both sides only wait for their fast move to end
+            const waiting = Math.max(Math.min(counter.cooldown, opponent.cooldown) - 1, 0);
+            counter.cooldown -= waiting;
+            opponent.cooldown -= waiting;
+            turns += waiting + 1;
+            
+            this.land(counter, opponent);
+            this.land(opponent, counter);
+        }
+        
+        return {
+            won: counter.hp > 0 && opponent.hp <= 0,
+            turns,
+            hpRemaining: Math.max(counter.hp, 0) / first.stats.hp,
+            damageDealt: Math.min(1 - opponent.hp / second.stats.hp, 1)
+        };
+    }
+
+    /**
+     * Battle state of a fighter, with the damage of its moves against the defender
+     */
+    createSide(fighter, defender) {
+        const damage = move => Math.floor(0.5 * move.pvp_power * fighter.stats.attack / defender.stats.defense *
+            getTypeMultiplier(move.fk_move_type_id, defender.types) *
+            (fighter.types.includes(move.fk_move_type_id) ? STAB_BONUS : 1) * PVP_DAMAGE_BONUS) + 1;
+            
+        const charged = fighter.charged.map(move => ({ cost: move.energy_cost, damage: damage(move) }));
+        if (charged.length > 1) {
+            charged.sort((a, b) => b.damage / b.cost - a.damage / a.cost);
+        }
+        
+        return {
+            hp: fighter.stats.hp,
+            attack: fighter.stats.attack,
+            energy: 0,
+            cooldown: 0,
+            fastTurns: fighter.fast.pvp_turns,
+            fastEnergy: fighter.fast.energy_gain,
+            fastDamage: damage(fighter.fast),
+            charged
+        };
+    }
+
+    /**
+     * Start a move when the side is free to act; charged moves land at once
+     */
+    act(side, target) {
+        if (side.hp <= 0 || side.cooldown > 0) {
+            return;
+        }
+        
+        for (const move of side.charged) {
+            if (side.energy >= move.cost) {
+                side.energy -= move.cost;
+                target.hp -= move.damage;
+                return;
+            }
+        }
+        
+        side.cooldown = side.fastTurns;
+    }
+
+    /**
+     * Land the side's fast move when its last turn ends
+     */
+    land(side, target) {
+        if (side.cooldown > 0 && --side.cooldown === 0) {
+            side.energy = Math.min(side.energy + side.fastEnergy, MAX_ENERGY);
+            target.hp -= side.fastDamage;
+        }
+    }
+
+    /**
+     * Distinct counters for the slots with the highest total battle rating
+     * @param {Array} candidates - per slot, the rated counters (best first)
+     * @returns {Array} [{ slot: index, rating }]
+     */
+    assign(candidates) {
+        let best = { total: -1, picks: [] };
+        
+        const search = (slot, used, total, picks) => {
+            if (slot === candidates.length) {
+                if (total > best.total) {
+                    best = { total, picks };
+                }
+                return;
+            }
+            
+            const options = candidates[slot].filter(rating => !used.has(rating.pk_user_pokemon_id));
+            if (options.length === 0) {
+                search(slot + 1, used, total, picks);
+                return;
+            }
+            
+            for (const rating of options) {
+                search(slot + 1, new Set(used).add(rating.pk_user_pokemon_id), total + rating.battle_rating,
+                    [...picks, { slot, rating }]);
+            }
+        };
+        
+        search(0, new Set(), 0, []);
+        return best.picks;
+    }
+}
+
+export default RocketPlanner;
@@ -0,0 +1,134 @@
+/**
+ * StatsCalculator - CP, HP and battle stats of a Pokemon from its base stats, IVs and level
+ * League IV rankings follow PvPoke and PokeGenie: every IV combination is powered up to the highest level that stays
+ * under the league's CP cap and ranked by stat product (attack × defense × HP). Rankings are cached per base stats
+ * and league settings, so asking for several Pokemon of one species ranks its 4096 combinations once
+ */
+
+import { LEVELS, MAX_LEVEL, BEST_BUDDY_LEVEL_BONUS, getCpMultiplier } from '../data/cpMultipliers.js';
+
+const MAX_IV = 15;
+
+// IV rankings kept in the cache (4096 entries each)
+const RANKING_CACHE_SIZE = 20;
+
+class StatsCalculator {
+    constructor() {
+        this.rankingCache = new Map();
+    }
+
+    /**
+     * Battle stats at a level
+     * @param {Object} pokemon - fact_pokemon row (base_attack, base_defense, base_stamina)
+     * @param {Object} ivs - { atk_iv, def_iv, sta_iv } (0-15, e.g. a fact_user_pokemon_collection row)
+     * @returns {Object} { level, cpm, cp, attack, defense, stamina: HP, stat_product }
+     */
+    getStats(pokemon, ivs, level) {
+        const cpm = getCpMultiplier(level);
+        const attack = (pokemon.base_attack + ivs.atk_iv) * cpm;
+        const defense = (pokemon.base_defense + ivs.def_iv) * cpm;
+        const stamina = this.calculateHP(pokemon, ivs, level);
+        
+        return {
+            level,
+            cpm,
+            cp: this.calculateCP(pokemon, ivs, level),
+            attack,
+            defense,
+            stamina,
+            stat_product: Math.round(attack * defense * stamina)
+        };
+    }
+
+    calculateCP(pokemon, ivs, level) {
+        const cpm = getCpMultiplier(level);
+        const cp = Math.floor((pokemon.base_attack + ivs.atk_iv) * Math.sqrt(pokemon.base_defense + ivs.def_iv) *
+            Math.sqrt(pokemon.base_stamina + ivs.sta_iv) * cpm * cpm / 10);
+            
+        return Math.max(10, cp);
+    }
+
+    calculateHP(pokemon, ivs, level) {
+        return Math.max(10, Math.floor((pokemon.base_stamina + ivs.sta_iv) * getCpMultiplier(level)));
+    }
+
+    /**
+     * Highest level with a CP at or under the cap
+     * @param {number|null} cpCap - league CP cap (null: no cap)
+     * @param {Object} options - { bestBuddy: allow the best buddy level above MAX_LEVEL }
+     * @returns {number|null} the level, or null when even level 1 is over the cap
+     */
+    getBestLevel(pokemon, ivs, cpCap, options = {}) {
+        const maxLevel = MAX_LEVEL + (options.bestBuddy ? BEST_BUDDY_LEVEL_BONUS : 0);
+        
+        for (let index = LEVELS.length - 1; index >= 0; index--) {
+            const level = LEVELS[index];
+            if (level <= maxLevel && (!cpCap || this.calculateCP(pokemon, ivs, level) <= cpCap)) {
+                return level;
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Every IV combination at its best level under the cap, best stat product first
+     * The returned array is shared with the cache and must not be modified
+     * @param {Object} options - { bestBuddy, minIV: lowest IV of each stat (e.g. 10 for raid or 12 for lucky trades) }
+     * @returns {Array} [{ atk_iv, def_iv, sta_iv, level, cp, attack, defense, stamina, stat_product, rank,
+     *                   rank_percent: stat product relative to rank 1 (0-100) }]
+     */
+    rankIVs(pokemon, cpCap, options = {}) {
+        const minIV = options.minIV || 0;
+        const key = [pokemon.base_attack, pokemon.base_defense, pokemon.base_stamina, cpCap || 'none',
+            options.bestBuddy ? 'buddy' : '', minIV].join('|');
+            
+        if (this.rankingCache.has(key)) {
+            // Most recently used rankings stay cached longest
+            const cached = this.rankingCache.get(key);
+            this.rankingCache.delete(key);
+            this.rankingCache.set(key, cached);
+            return cached;
+        }
+        
+        const rankings = [];
+        for (let atk = minIV; atk <= MAX_IV; atk++) {
+            for (let def = minIV; def <= MAX_IV; def++) {
+                for (let sta = minIV; sta <= MAX_IV; sta++) {
+                    const ivs = { atk_iv: atk, def_iv: def, sta_iv: sta };
+                    const level = this.getBestLevel(pokemon, ivs, cpCap, options);
+                    
+                    if (level !== null) {
+                        const { cpm, ...stats } = this.getStats(pokemon, ivs, level);
+                        rankings.push({ ...ivs, ...stats });
+                    }
+                }
+            }
+        }
+        
+        rankings.sort((a, b) => b.stat_product - a.stat_product || b.attack - a.attack);
+        
+        const best = rankings[0]?.stat_product;
+        rankings.forEach((entry, index) => {
+            entry.rank = index + 1;
+            entry.rank_percent = Math.round(entry.stat_product / best * 10000) / 100;
+        });
+        
+        this.rankingCache.set(key, rankings);
+        if (this.rankingCache.size > RANKING_CACHE_SIZE) {
+            this.rankingCache.delete(this.rankingCache.keys().next().value);
+        }
+        
+        return rankings;
+    }
+
+    /**
+     * Ranking entry of one IV combination, or null when it is below options.minIV or cannot fit under the cap
+     */
+    getIVRank(pokemon, ivs, cpCap, options = {}) {
+        return this.rankIVs(pokemon, cpCap, options).find(entry =>
+            entry.atk_iv === ivs.atk_iv && entry.def_iv === ivs.def_iv && entry.sta_iv === ivs.sta_iv) || null;
+    }
+}
+
+export default StatsCalculator;
@@ -0,0 +1,54 @@
+/**
+ * Owned attackers - Turns the user's collection into the attackers RaidPlanner and RocketPlanner rate
+ * Owned Pokemon battle at their own level (the lower bound PokeGenie reports), IVs and moves; a Pokemon whose moves
+ * are unknown is rated with every moveset it learns and the planner keeps the best (assumed_moveset = 1)
+ */
+
+import { getCpMultiplier } from '../data/cpMultipliers.js';
+
+/**
+ * @param {Array} collection - PokeGenieManager.getBattleCandidates() rows
+ * @param {Map} movesById - dim_moves rows the planner can rate, by pk_move_id
+ * @param {Map} learnsets - pokemonId -> { fast: [moves], charged: [moves] } of the moves it learns
+ * @returns {Object} { attackers: [{ pokemon: the row with its cpm, fastMoves, chargedMoves, assumed, fields: copied to
+ *                   the planner's result }], unrated: owned Pokemon without a known level }
+ */
+export function getOwnedAttackers(collection, movesById, learnsets) {
+    const attackers = [];
+    let unrated = 0;
+    
+    for (const row of collection) {
+        const level = row.level_min || row.level_max;
+        if (!(level >= 1)) {
+            unrated++;
+            continue;
+        }
+        
+        const fastMove = movesById.get(row.fk_fast_move_id);
+        const chargedMoves = [row.fk_charged_move_1_id, row.fk_charged_move_2_id].map(id => movesById.get(id)).filter(Boolean);
+        const learnset = learnsets.get(row.pk_pokemon_id) || { fast: [], charged: [] };
+        const assumed = !fastMove || chargedMoves.length === 0;
+        
+        attackers.push({
+            pokemon: { ...row, cpm: getCpMultiplier(level) },
+            fastMoves: assumed ? learnset.fast : [fastMove],
+            chargedMoves: assumed ? learnset.charged : chargedMoves,
+            assumed,
+            fields: {
+                pk_user_pokemon_id: row.pk_user_pokemon_id,
+                fk_pokemon_id: row.pk_pokemon_id,
+                pokemon_name: row.pokemon_name,
+                form: row.form,
+                cp: row.cp,
+                level,
+                atk_iv: row.atk_iv,
+                def_iv: row.def_iv,
+                sta_iv: row.sta_iv,
+                is_shadow: row.is_shadow,
+                assumed_moveset: assumed ? 1 : 0
+            }
+        });
+    }
+    
+    return { attackers, unrated };
+}
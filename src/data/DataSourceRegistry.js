@@ -0,0 +1,135 @@
+/**
+ * DataSourceRegistry - The data sources DataUpdateManager monitors and imports
+ * Built-in sources (PvPoke, pokemon-resources, Dialgadex) write their tables themselves through an
+ * `ingest` function; custom sources register a `parser` that turns their files into rows for their
+ * target tables. Either way the target tables are staged, validated, logged and can be rolled back
+ */
+
+const SOURCE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Values allowed by the dim_data_sources.source_type and fact_data_updates.update_type CHECKs
+const SOURCE_TYPES = ['gamemaster', 'rankings', 'tiers', 'moves', 'custom'];
+
+const DEFAULT_CHECK_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+
+class DataSourceRegistry {
+    constructor() {
+        this.sources = new Map();
+    }
+
+    /**
+     * Validate a source definition and add it, replacing any source with the same id
+     * @param {Object} definition - {
+     *     id, name, type: one of SOURCE_TYPES (default 'custom'), priority: queue order, higher first (default 1),
+     *     checkInterval: ms between change checks (default 24 h), isActive (default true),
+     *     targetTables: live tables the source writes,
+     *     parser: async ({ loadFile(path, schema), db, source, signal }) => ({ [table]: rows }), rows are synced into the
+     *             target tables by primary key; replaceRows: also delete rows the parser no longer returns,
+     *     ingest: async updateTask => ({ recordsAdded, recordsModified }), writes the staged tables itself (instead of parser)
+     *             through updateTask.db,
+     *     (db and updateTask.db are the update's transaction handle: other writes wait until the update has finished)
+     *     schema: SourceValidator schema (name or node) loadFile uses by default,
+     *     optionalFiles: paths (as passed to loadFile) that may be missing; any other missing file fails the update,
+     *     stagingChecks: [{ name, description, sql }] run against the staged tables,
+     *     submodule, watchPaths, filePath, repositoryUrl, apiEndpoint: change detection and bookkeeping
+     * }
+     * @returns {Object} the registered source
+     */
+    register(definition) {
+        const { id, name } = definition;
+        
+        if (typeof id !== 'string' || !SOURCE_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid data source id: ${id}`);
+        }
+        
+        if (!name) {
+            throw new Error(`Data source ${id} needs a name`);
+        }
+        
+        const type = definition.type || 'custom';
+        if (!SOURCE_TYPES.includes(type)) {
+            throw new Error(`Data source ${id} has an unknown type: ${type} (expected ${SOURCE_TYPES.join(', ')})`);
+        }
+        
+        if (typeof definition.parser !== 'function' && typeof definition.ingest !== 'function') {
+            throw new Error(`Data source ${id} needs a parser or an ingest function`);
+        }
+        
+        if (!Array.isArray(definition.targetTables) || definition.targetTables.length === 0) {
+            throw new Error(`Data source ${id} needs at least one target table`);
+        }
+        
+        const checkInterval = definition.checkInterval ?? DEFAULT_CHECK_INTERVAL;
+        if (!(checkInterval > 0)) {
+            throw new Error(`Data source ${id} has an invalid check interval: ${checkInterval}`);
+        }
+        
+        const source = {
+            repositoryUrl: null,
+            apiEndpoint: null,
+            submodule: null,
+            filePath: null,
+            watchPaths: [],
+            optionalFiles: [],
+            schema: null,
+            stagingChecks: [],
+            replaceRows: false,
+            builtin: false,
+            ...definition,
+            type,
+            priority: definition.priority ?? 1,
+            checkInterval,
+            isActive: definition.isActive !== false,
+            lastCheckTime: null,
+            lastUpdateTime: null
+        };
+        
+        this.sources.set(id, source);
+        return source;
+    }
+
+    unregister(id) {
+        return this.sources.delete(id);
+    }
+
+    get(id) {
+        return this.sources.get(id) || null;
+    }
+
+    has(id) {
+        return this.sources.has(id);
+    }
+
+    /**
+     * Registered sources in registration order
+     */
+    list() {
+        return Array.from(this.sources.values());
+    }
+
+    /**
+     * dim_data_sources row for a source
+     */
+    toRecord(source) {
+        return {
+            pk_source_id: source.id,
+            source_name: source.name,
+            source_type: source.type,
+            repository_url: source.repositoryUrl,
+            api_endpoint: source.apiEndpoint,
+            update_frequency: source.checkInterval / (1000 * 60 * 60), // hours
+            is_active: source.isActive ? 1 : 0,
+            priority: source.priority,
+            target_tables: JSON.stringify(source.targetTables),
+            source_config: JSON.stringify({
+                submodule: source.submodule,
+                watchPaths: source.watchPaths,
+                filePath: source.filePath,
+                schema: typeof source.schema === 'string' ? source.schema : null
+            }),
+            is_builtin: source.builtin ? 1 : 0
+        };
+    }
+}
+
+export default DataSourceRegistry;
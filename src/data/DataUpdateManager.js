@@ -3,64 +3,320 @@
  * Handles monitoring and updating data from PvPoke, Dialgadex, and pokemon-resources
  */
 
+import GameMasterMapper from './GameMasterMapper.js';
+import SourceChangeDetector from './SourceChangeDetector.js';
+import StagingArea from './StagingArea.js';
+import SourceValidator from './SourceValidator.js';
+import DataSourceRegistry from './DataSourceRegistry.js';
+import UpdateScheduler from './UpdateScheduler.js';
+import TierMapper from './TierMapper.js';
+import { TYPE_IDS } from './typeChart.js';
+import { isAbortError, throwIfAborted, yieldToEventLoop } from '../utils/abort.js';
+
+// dim_leagues ids -> PvPoke rankings cup directory and CP cap
+const RANKING_LEAGUES = {
+    great: { cup: 'all', cp: 1500 },
+    ultra: { cup: 'all', cp: 2500 },
+    master: { cup: 'all', cp: 10000 },
+    little: { cup: 'all', cp: 500 },
+    premier_ultra: { cup: 'premier', cp: 2500 },
+    premier_master: { cup: 'premier', cp: 10000 }
+};
+
+const RANKING_SCENARIOS = ['overall', 'leads', 'closers', 'switches', 'chargers', 'attackers'];
+
+// Live tables each built-in source type writes to; updates are loaded into staging copies of them
+const STAGED_TABLES = {
+    gamemaster: ['dim_pokemon_families', 'fact_pokemon', 'dim_moves', 'dim_pokemon_evolutions', 'bridge_pokemon_available_moves'],
+    rankings: ['dim_movesets', 'fact_pokemon_pvp_rankings'],
+    tiers: ['fact_pokemon_pve_tiers']
+};
+
+// Integrity checks on staged data; each query returns the number of violations ({table} = staged copy)
+const STAGING_CHECKS = {
+    gamemaster: [
+        {
+            name: 'pokemon_count',
+            description: 'Pokemon count dropped by more than half',
+            sql: 'SELECT COUNT(*) * 2 < (SELECT COUNT(*) FROM fact_pokemon) FROM {fact_pokemon}'
+        },
+        {
+            name: 'move_count',
+            description: 'Move count dropped by more than half',
+            sql: 'SELECT COUNT(*) * 2 < (SELECT COUNT(*) FROM dim_moves) FROM {dim_moves}'
+        },
+        {
+            name: 'pokemon_stats',
+            description: 'Pokemon without a type or base stats',
+            sql: `SELECT COUNT(*) FROM {fact_pokemon}
+                  WHERE fk_primary_type_id IS NULL OR NOT (base_attack > 0 AND base_defense > 0 AND base_stamina > 0)`
+        },
+        {
+            name: 'move_references',
+            description: 'Learnable moves referencing unknown Pokemon or moves',
+            sql: `SELECT COUNT(*) FROM {bridge_pokemon_available_moves}
+                  WHERE fk_pokemon_id NOT IN (SELECT pk_pokemon_id FROM {fact_pokemon})
+                     OR fk_move_id NOT IN (SELECT pk_move_id FROM {dim_moves})`
+        }
+    ],
+    rankings: [
+        {
+            name: 'current_ranking_count',
+            description: 'League rankings that lost more than half of their Pokemon',
+            sql: `SELECT COUNT(*) FROM (
+                      SELECT fk_league_id, fk_scenario_id, COUNT(*) AS live_count
+                      FROM fact_pokemon_pvp_rankings WHERE is_current = 1
+                      GROUP BY fk_league_id, fk_scenario_id
+                  ) l
+                  WHERE l.live_count > 2 * (
+                      SELECT COUNT(*) FROM {fact_pokemon_pvp_rankings} s
+                      WHERE s.is_current = 1 AND s.fk_league_id = l.fk_league_id AND s.fk_scenario_id = l.fk_scenario_id
+                  )`
+        },
+        {
+            name: 'duplicate_current_rankings',
+            description: 'Pokemon with more than one current ranking in a league and scenario',
+            sql: `SELECT COUNT(*) FROM (
+                      SELECT 1 FROM {fact_pokemon_pvp_rankings} WHERE is_current = 1
+                      GROUP BY fk_pokemon_id, fk_league_id, fk_scenario_id HAVING COUNT(*) > 1
+                  )`
+        },
+        {
+            name: 'ranking_references',
+            description: 'Current rankings referencing unknown Pokemon or movesets',
+            sql: `SELECT COUNT(*) FROM {fact_pokemon_pvp_rankings}
+                  WHERE is_current = 1 AND (fk_pokemon_id NOT IN (SELECT pk_pokemon_id FROM fact_pokemon)
+                     OR fk_moveset_id NOT IN (SELECT pk_moveset_id FROM {dim_movesets}))`
+        },
+        {
+            name: 'ranking_scores',
+            description: 'Rankings with a score outside 0-100',
+            sql: 'SELECT COUNT(*) FROM {fact_pokemon_pvp_rankings} WHERE is_current = 1 AND NOT (pvp_rank_percent BETWEEN 0 AND 100)'
+        }
+    ],
+    tiers: [
+        {
+            name: 'current_tier_count',
+            description: 'Source tier lists that lost more than half of their current tiers',
+            sql: `SELECT COUNT(*) FROM (
+                      SELECT fk_source_id, COUNT(*) AS live_count
+                      FROM fact_pokemon_pve_tiers WHERE is_current = 1
+                      GROUP BY fk_source_id
+                  ) l
+                  WHERE l.live_count > 2 * (
+                      SELECT COUNT(*) FROM {fact_pokemon_pve_tiers} s
+                      WHERE s.is_current = 1 AND s.fk_source_id IS l.fk_source_id
+                  )`
+        },
+        {
+            name: 'duplicate_current_tiers',
+            description: 'Pokemon with more than one current tier of a source for an attacking and defending type',
+            sql: `SELECT COUNT(*) FROM (
+                      SELECT 1 FROM {fact_pokemon_pve_tiers} WHERE is_current = 1
+                      GROUP BY fk_source_id, fk_pokemon_id, fk_attacking_type_id, fk_defending_type_id HAVING COUNT(*) > 1
+                  )`
+        },
+        {
+            name: 'tier_references',
+            description: 'Current tiers referencing unknown Pokemon or types',
+            sql: `SELECT COUNT(*) FROM {fact_pokemon_pve_tiers}
+                  WHERE is_current = 1 AND (fk_pokemon_id NOT IN (SELECT pk_pokemon_id FROM fact_pokemon)
+                     OR fk_attacking_type_id NOT IN (SELECT pk_type_id FROM dim_types)
+                     OR fk_defending_type_id NOT IN (SELECT pk_type_id FROM dim_types))`
+        },
+        {
+            name: 'tier_scores',
+            description: 'Tiers with a score outside 0-100',
+            sql: 'SELECT COUNT(*) FROM {fact_pokemon_pve_tiers} WHERE is_current = 1 AND NOT (tier_score BETWEEN 0 AND 100)'
+        }
+    ]
+};
+
+/**
+ * Rankings file of a league and scenario, relative to the pvpoke checkout
+ */
+function getRankingFilePath(league, scenario) {
+    return `src/data/rankings/${league.cup}/${scenario}/rankings-${league.cp}.json`;
+}
+
+/**
+ * Dialgadex tier list of an attacking type (its strongest attackers), relative to the dialgadex checkout
+ */
+function getDialgadexTierPath(type) {
+    return `data/strongest/${type}.json`;
+}
+
 class DataUpdateManager {
-    constructor(database) {
+    /**
+     * @param {LocalDatabase} database
+     * @param {Object} options - { environment: runtime services (defaults to the database's), monitor: schedule background checks (default true),
+     *                            remoteChecker: async source => commit hash used when a submodule can't be read (null disables),
+     *                            schedule: UpdateScheduler retry options }
+     */
+    constructor(database, options = {}) {
         this.db = database;
-        this.updateSources = [
+        this.environment = options.environment || null;
+        this.monitor = options.monitor !== false;
+        this.remoteChecker = options.remoteChecker;
+        this.changeDetector = null;
+        this.validator = new SourceValidator();
+        this.registry = new DataSourceRegistry();
+        this.scheduler = new UpdateScheduler(this, options.schedule);
+        
+        for (const definition of this.getBuiltinSources()) {
+            this.registry.register(definition);
+        }
+        
+        this.updateQueue = [];
+        this.isProcessing = false;
+        this.processingPromise = null;
+        this.callbacks = {
+            onUpdateStart: [],
+            onUpdateComplete: [],
+            onUpdateError: [],
+            onUpdateCancelled: [],
+            onUpdateProgress: [],
+            onDataChange: []
+        };
+    }
+
+    /**
+     * Registered data sources (built-in and custom)
+     */
+    get updateSources() {
+        return this.registry.list();
+    }
+
+    /**
+     * Definitions of the sources shipped with the app
+     */
+    getBuiltinSources() {
+        return [
             {
                 id: 'pvpoke-gamemaster',
                 name: 'PvPoke GameMaster',
                 type: 'gamemaster',
                 repositoryUrl: 'https://github.com/pvpoke/pvpoke.git',
+                submodule: 'pvpoke',
                 filePath: 'src/data/gamemaster.json',
+                watchPaths: ['src/data/gamemaster.json'],
+                // PvE move stats are merged in when pokemon-resources is checked out
+                optionalFiles: ['pokemon-resources/pogo_fm.json', 'pokemon-resources/pogo_cm.json'],
                 checkInterval: 6 * 60 * 60 * 1000, // 6 hours
-                lastCheckTime: null,
-                lastUpdateTime: null,
-                isActive: true
+                priority: 10,
+                targetTables: STAGED_TABLES.gamemaster,
+                stagingChecks: STAGING_CHECKS.gamemaster,
+                ingest: updateTask => this.updateGameMaster(updateTask)
             },
             {
                 id: 'pvpoke-rankings',
                 name: 'PvPoke Rankings',
                 type: 'rankings',
                 repositoryUrl: 'https://github.com/pvpoke/pvpoke.git',
+                submodule: 'pvpoke',
                 filePath: 'src/data/rankings/',
+                watchPaths: Object.values(RANKING_LEAGUES).flatMap(league =>
+                    RANKING_SCENARIOS.map(scenario => getRankingFilePath(league, scenario))),
                 checkInterval: 12 * 60 * 60 * 1000, // 12 hours
-                lastCheckTime: null,
-                lastUpdateTime: null,
-                isActive: true
+                priority: 8,
+                targetTables: STAGED_TABLES.rankings,
+                stagingChecks: STAGING_CHECKS.rankings,
+                ingest: updateTask => this.updateRankings(updateTask)
             },
             {
                 id: 'pokemon-resources',
                 name: 'Pokemon Resources',
                 type: 'tiers',
                 repositoryUrl: 'https://github.com/mgrann03/pokemon-resources.git',
+                submodule: 'pokemon-resources',
                 filePath: 'pogo_pkm_tiers.json',
+                watchPaths: ['pogo_pkm_tiers.json'],
                 checkInterval: 24 * 60 * 60 * 1000, // 24 hours
-                lastCheckTime: null,
-                lastUpdateTime: null,
-                isActive: true
+                priority: 6,
+                targetTables: STAGED_TABLES.tiers,
+                stagingChecks: STAGING_CHECKS.tiers,
+                ingest: updateTask => this.updateTiers(updateTask)
             },
             {
                 id: 'dialgadex-data',
                 name: 'Dialgadex Data',
                 type: 'tiers',
                 repositoryUrl: 'https://github.com/mgrann03/dialgadex.git',
-                filePath: 'scripts/',
+                submodule: 'dialgadex',
+                filePath: 'data/strongest/',
+                watchPaths: TYPE_IDS.map(getDialgadexTierPath),
+                // Attacking types without a tier list keep their current tiers
+                optionalFiles: TYPE_IDS.map(type => `dialgadex/${getDialgadexTierPath(type)}`),
                 checkInterval: 24 * 60 * 60 * 1000, // 24 hours
-                lastCheckTime: null,
-                lastUpdateTime: null,
-                isActive: true
+                priority: 6,
+                targetTables: STAGED_TABLES.tiers,
+                stagingChecks: STAGING_CHECKS.tiers,
+                ingest: updateTask => this.updateDialgadexTiers(updateTask)
             }
-        ];
+        ].map(definition => ({ ...definition, builtin: true }));
+    }
+
+    /**
+     * Register a custom data source (see DataSourceRegistry.register for the definition)
+     * The source is persisted in dim_data_sources and, while monitoring, checked on its own interval;
+     * its updates are staged, validated, logged and can be rolled back like the built-in ones.
+     * Registering an id again replaces the earlier definition
+     */
+    async registerSource(definition) {
+        if (this.registry.get(definition.id)?.builtin) {
+            throw new Error(`${definition.id} is a built-in data source`);
+        }
         
-        this.updateQueue = [];
-        this.isProcessing = false;
-        this.callbacks = {
-            onUpdateStart: [],
-            onUpdateComplete: [],
-            onUpdateError: [],
-            onDataChange: []
-        };
+        for (const table of definition.targetTables || []) {
+            await StagingArea.describe(this.db, table);
+        }
+        
+        this.scheduler.cancel(definition.id);
+        
+        const source = this.registry.register({ ...definition, builtin: false });
+        await this.saveSource(source);
+        await this.scheduler.schedule(source);
+        
+        console.log(`Registered data source: ${source.name}`);
+        return source;
+    }
+
+    /**
+     * Remove a custom data source; it stays in dim_data_sources (inactive) for its update history
+     */
+    async unregisterSource(sourceId) {
+        const source = this.registry.get(sourceId);
+        
+        if (!source) {
+            return false;
+        }
+        
+        if (source.builtin) {
+            throw new Error(`${sourceId} is a built-in data source`);
+        }
+        
+        this.scheduler.cancel(sourceId);
+        this.updateQueue = this.updateQueue.filter(task => task.sourceId !== sourceId);
+        this.registry.unregister(sourceId);
+        
+        await this.db.run('UPDATE dim_data_sources SET is_active = 0 WHERE pk_source_id = ?', [sourceId]);
+        return true;
+    }
+
+    /**
+     * Insert or update a source's dim_data_sources row, keeping its check and update timestamps
+     * @param {LocalDatabase} db - transaction handle to write through (default: the database)
+     */
+    async saveSource(source, db = this.db) {
+        const record = this.registry.toRecord(source);
+        const columns = Object.keys(record);
+        
+        await db.run(`
+            INSERT INTO dim_data_sources (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})
+            ON CONFLICT(pk_source_id) DO UPDATE SET
+                ${columns.filter(column => column !== 'pk_source_id').map(column => `${column} = excluded.${column}`).join(', ')}
+        `, Object.values(record));
     }
 
     /**
@@ -69,15 +325,23 @@ class DataUpdateManager {
     async initialize() {
         console.log('Initializing Data Update Manager...');
         
+        this.environment = this.environment || this.db.environment;
+        this.changeDetector = new SourceChangeDetector(this.environment, { remoteChecker: this.remoteChecker });
+        
         // Initialize data sources in database
         await this.initializeDataSources();
         
-        // Start monitoring
-        this.startMonitoring();
-        
         // Initial data load if needed
         await this.performInitialDataLoad();
         
+        // Catches up metrics that are stale, e.g. after the calculator changed
+        await this.db.refreshPvEMetrics();
+        
+        // Start monitoring once the initial load recorded the imported source state
+        if (this.monitor) {
+            await this.startMonitoring();
+        }
+        
         console.log('Data Update Manager initialized successfully');
     }
 
@@ -85,99 +349,66 @@ class DataUpdateManager {
      * Initialize data sources in database
      */
     async initializeDataSources() {
-        for (const source of this.updateSources) {
-            await this.db.run(`
-                INSERT OR REPLACE INTO dim_data_sources (
-                    pk_source_id, source_name, source_type, repository_url,
-                    update_frequency, is_active
-                ) VALUES (?, ?, ?, ?, ?, ?)
-            `, [
-                source.id,
-                source.name,
-                source.type,
-                source.repositoryUrl,
-                source.checkInterval / (1000 * 60 * 60), // Convert to hours
-                source.isActive
-            ]);
-        }
-    }
-
-    /**
-     * Start monitoring all data sources
-     */
-    startMonitoring() {
-        this.updateSources.forEach(source => {
-            if (source.isActive) {
-                this.scheduleSourceCheck(source);
+        await this.db.transaction(async tx => {
+            for (const source of this.updateSources) {
+                await this.saveSource(source, tx);
             }
         });
     }
 
     /**
-     * Schedule a check for a specific data source
+     * Start monitoring all data sources (see UpdateScheduler)
      */
-    scheduleSourceCheck(source) {
-        const checkSource = async () => {
-            try {
-                await this.checkSourceForUpdates(source);
-            } catch (error) {
-                console.error(`Error checking source ${source.name}:`, error);
-            } finally {
-                // Schedule next check
-                setTimeout(checkSource, source.checkInterval);
-            }
-        };
+    async startMonitoring() {
+        await this.scheduler.start();
+    }
 
-        // Initial check after 1 minute, then regular intervals
-        setTimeout(checkSource, 60000);
+    /**
+     * Stop all scheduled source checks
+     */
+    stopMonitoring() {
+        this.scheduler.stop();
     }
 
     /**
-     * Check a specific source for updates
+     * Check a specific source for updates and, when it changed, run its update
+     * Errors propagate so the scheduler can retry the check
+     * @returns {Object} { changed, update: the processed update task, or null when nothing changed }
      */
     async checkSourceForUpdates(source) {
         console.log(`Checking for updates: ${source.name}`);
         
-        source.lastCheckTime = new Date();
+        const changed = await this.detectChanges(source);
         
-        try {
-            const hasUpdates = await this.detectChanges(source);
-            
-            if (hasUpdates) {
-                console.log(`Updates detected for ${source.name}`);
-                this.queueUpdate(source);
-            } else {
-                console.log(`No updates for ${source.name}`);
-            }
-            
-            // Update last check time in database
-            await this.db.run(`
-                UPDATE dim_data_sources 
-                SET last_check_timestamp = ?
-                WHERE pk_source_id = ?
-            `, [source.lastCheckTime.toISOString(), source.id]);
-            
-        } catch (error) {
-            console.error(`Error checking source ${source.name}:`, error);
+        if (!changed) {
+            console.log(`No updates for ${source.name}`);
+            return { changed, update: null };
         }
+        
+        console.log(`Updates detected for ${source.name}`);
+        const updateTask = this.queueUpdate(source);
+        await this.processUpdateQueue();
+        
+        return { changed, update: updateTask };
     }
 
     /**
      * Detect changes in a data source
+     * Compares the submodule's file hashes (or its commit, when no watched file can be read) with
+     * the state recorded by the last completed update
      */
     async detectChanges(source) {
         try {
-            // Get current git commit hash
-            const currentHash = await this.getCurrentGitHash(source);
+            const state = await this.changeDetector.getSourceState(source);
+            const previous = {
+                commit: await this.getLastKnownHash(source),
+                files: await this.getLastKnownFileHashes(source)
+            };
             
-            // Get last known hash from database
-            const lastHash = await this.getLastKnownHash(source);
-            
-            // Compare hashes
-            const hasChanges = currentHash !== lastHash;
+            const hasChanges = this.changeDetector.hasChanged(state, previous);
             
             if (hasChanges) {
-                console.log(`Hash changed for ${source.name}: ${lastHash} -> ${currentHash}`);
+                console.log(`Changes detected for ${source.name}: ${previous.commit} -> ${state.commit} (${state.origin || 'files only'})`);
             }
             
             return hasChanges;
@@ -189,15 +420,11 @@ class DataUpdateManager {
     }
 
     /**
-     * Get current git commit hash for a source
+     * Get current git commit hash for a source (local submodule first, then the remote checker)
      */
     async getCurrentGitHash(source) {
         try {
-            // This would use git commands or GitHub API
-            // For now, simulate with file modification time
-            const response = await fetch(`https://api.github.com/repos/${this.getRepoPath(source.repositoryUrl)}/commits/main`);
-            const data = await response.json();
-            return data.sha;
+            return (await this.changeDetector.getSourceState(source)).commit;
         } catch (error) {
             console.error(`Error getting git hash for ${source.name}:`, error);
             return null;
@@ -224,17 +451,48 @@ class DataUpdateManager {
         }
     }
 
+    /**
+     * File hashes recorded by the last completed update of a source
+     */
+    async getLastKnownFileHashes(source) {
+        const rows = await this.db.all(`
+            SELECT file_path, content_hash
+            FROM dim_source_file_hashes
+            WHERE fk_source_id = ?
+        `, [source.id]);
+        
+        return Object.fromEntries(rows.map(row => [row.file_path, row.content_hash]));
+    }
+
+    /**
+     * Replace the recorded file hashes of a source with the state it was imported from
+     */
+    async saveSourceState(source, state) {
+        await this.db.transaction(async tx => {
+            await tx.run('DELETE FROM dim_source_file_hashes WHERE fk_source_id = ?', [source.id]);
+            await tx.runMany(`
+                INSERT INTO dim_source_file_hashes (fk_source_id, file_path, content_hash, git_commit_hash)
+                VALUES (?, ?, ?, ?)
+            `, Object.entries(state.files).map(([path, hash]) => [source.id, path, hash, state.commit]));
+        });
+    }
+
     /**
      * Queue an update for processing
+     * @param {Object} options - { signal: AbortSignal cancelling the update (its partial work is rolled back),
+     *                            onProgress: progress callback, see reportProgress }
+     * @returns {Object} the queued update task
      */
-    queueUpdate(source) {
+    queueUpdate(source, options = {}) {
         const updateTask = {
             id: this.generateUpdateId(),
             sourceId: source.id,
             source: source,
             status: 'pending',
             queuedAt: new Date(),
-            priority: this.getUpdatePriority(source.type)
+            priority: source.priority,
+            signal: options.signal || null,
+            onProgress: options.onProgress || null
         };
 
         this.updateQueue.push(updateTask);
@@ -246,16 +504,32 @@ class DataUpdateManager {
         if (!this.isProcessing) {
             this.processUpdateQueue();
         }
+        
+        return updateTask;
     }
 
     /**
      * Process the update queue
+     * Returns a promise that settles when the queue is drained, including when processing
+     * was already started by an earlier call
      */
-    async processUpdateQueue() {
-        if (this.isProcessing || this.updateQueue.length === 0) {
-            return;
+    processUpdateQueue() {
+        if (this.isProcessing) {
+            return this.processingPromise;
         }
+        
+        if (this.updateQueue.length === 0) {
+            return Promise.resolve();
+        }
+        
+        this.processingPromise = this.drainUpdateQueue();
+        return this.processingPromise;
+    }
 
+    /**
+     * Run queued updates one at a time so their transactions never overlap
+     */
+    async drainUpdateQueue() {
         this.isProcessing = true;
         console.log('Starting update queue processing...');
 
@@ -265,12 +539,18 @@ class DataUpdateManager {
             try {
                 await this.processUpdate(updateTask);
             } catch (error) {
+                if (updateTask.status === 'cancelled') {
+                    continue;
+                }
+                
                 console.error(`Error processing update for ${updateTask.source.name}:`, error);
-                updateTask.status = 'failed';
-                updateTask.error = error.message;
                 
-                // Log error to database
-                await this.logUpdateError(updateTask, error);
+                // processUpdate logs its own failures; this covers errors raised before it could
+                if (updateTask.status !== 'failed') {
+                    updateTask.status = 'failed';
+                    updateTask.error = error.message;
+                    await this.logUpdateError(updateTask, error);
+                }
             }
         }
 
@@ -278,14 +558,35 @@ class DataUpdateManager {
         console.log('Update queue processing completed');
     }
 
+    /**
+     * Queue an update of one source and wait for it
+     * @param {Object} options - { signal, onProgress } (see queueUpdate)
+     * @returns {Object} the processed update task (status 'completed', 'failed' or 'cancelled')
+     */
+    async updateSource(sourceId, options = {}) {
+        const source = this.registry.get(sourceId);
+        
+        if (!source) {
+            throw new Error(`Unknown data source: ${sourceId}`);
+        }
+        
+        const updateTask = this.queueUpdate(source, options);
+        await this.processUpdateQueue();
+        
+        return updateTask;
+    }
+
     /**
      * Process a single update
+     * Progress is reported per phase; aborting updateTask.signal stops the update at the next
+     * checkpoint and rolls back everything it staged
      */
     async processUpdate(updateTask) {
         console.log(`Processing update: ${updateTask.source.name}`);
         
         updateTask.status = 'in_progress';
         updateTask.startTime = new Date();
+        updateTask.validationReports = [];
         
         // Trigger callbacks
         this.triggerCallbacks('onUpdateStart', updateTask);
@@ -295,26 +596,66 @@ class DataUpdateManager {
         updateTask.databaseId = updateId;
         
         try {
-            // Perform the actual update based on source type
-            let result;
-            switch (updateTask.source.type) {
-                case 'gamemaster':
-                    result = await this.updateGameMaster(updateTask);
-                    break;
-                case 'rankings':
-                    result = await this.updateRankings(updateTask);
-                    break;
-                case 'tiers':
-                    result = await this.updateTiers(updateTask);
-                    break;
-                default:
-                    throw new Error(`Unknown source type: ${updateTask.source.type}`);
-            }
+            const source = updateTask.source;
+            
+            throwIfAborted(updateTask.signal, 'Update cancelled');
+            this.reportProgress(updateTask, 'preparing', 0, 1);
+            
+            // Recorded before reading the files, so edits made during the import are picked up next time
+            updateTask.sourceState = await this.changeDetector.getSourceState(source);
+            this.reportProgress(updateTask, 'preparing', 1, 1);
+            
+            // Read the watched files before the transaction opens, so reading them (the slow,
+            // cancellable part) doesn't hold back other writers
+            await this.prefetchSourceFiles(updateTask);
+            
+            // Load into staging copies of the target tables, validate them, then swap the changes into
+            // the live tables; the whole update commits (and is persisted) once, or rolls back entirely.
+            // Everything the update reads and writes goes through updateTask.db, its transaction handle
+            const result = await this.db.transaction(async tx => {
+                const staging = new StagingArea(tx, updateId, {
+                    reason: `${source.name} update`,
+                    version: updateTask.sourceState.commit
+                });
+                updateTask.db = tx;
+                updateTask.staging = staging;
+                
+                try {
+                    for (const [index, table] of source.targetTables.entries()) {
+                        await this.checkpoint(updateTask);
+                        await staging.create([table]);
+                        this.reportProgress(updateTask, 'staging', index + 1, source.targetTables.length);
+                    }
+                    
+                    const loaded = await this.loadUpdate(updateTask);
+                    
+                    await this.checkpoint(updateTask);
+                    this.reportProgress(updateTask, 'validating', 0, source.stagingChecks.length);
+                    await staging.validate(source.stagingChecks);
+                    this.reportProgress(updateTask, 'validating', source.stagingChecks.length, source.stagingChecks.length);
+                    
+                    // Last chance to cancel: once the swap starts the update commits
+                    await this.checkpoint(updateTask);
+                    this.reportProgress(updateTask, 'applying', 0, 1);
+                    const tables = await staging.swap();
+                    await this.refreshPvEMetrics(tx, tables);
+                    this.reportProgress(updateTask, 'applying', 1, 1);
+                    
+                    return { ...loaded, tables };
+                } finally {
+                    await staging.drop();
+                }
+            });
             
             updateTask.status = 'completed';
             updateTask.result = result;
             updateTask.endTime = new Date();
             
+            // Pokemon and move updates can rename Pokemon, forms and moves
+            if (source.targetTables.includes('fact_pokemon') || source.targetTables.includes('dim_moves')) {
+                this.db.invalidateSearchIndex();
+            }
+            
             // Log successful completion
             await this.logUpdateComplete(updateTask);
             
@@ -324,7 +665,7 @@ class DataUpdateManager {
             console.log(`Update completed: ${updateTask.source.name}`);
             
         } catch (error) {
-            updateTask.status = 'failed';
+            updateTask.status = isAbortError(error) ? 'cancelled' : 'failed';
             updateTask.error = error.message;
             updateTask.endTime = new Date();
             
@@ -332,68 +673,268 @@ class DataUpdateManager {
             await this.logUpdateError(updateTask, error);
             
             // Trigger callbacks
-            this.triggerCallbacks('onUpdateError', updateTask);
+            if (updateTask.status === 'cancelled') {
+                console.log(`Update cancelled: ${updateTask.source.name}`);
+                this.triggerCallbacks('onUpdateCancelled', updateTask);
+            } else {
+                this.triggerCallbacks('onUpdateError', updateTask);
+            }
             
             throw error;
         }
     }
 
     /**
-     * Update GameMaster data
+     * Recompute the stored PvE metrics of the Pokemon whose stats, moves or learnsets changed, in the caller's
+     * transaction; a failure rolls the update or rollback back with it
+     * @param {Object} tables - { [table]: { changedKeys } } as returned by StagingArea.swap()
+     * @returns {Object|null} the LocalDatabase.refreshPvEMetrics result, or null when no metric input changed
      */
-    async updateGameMaster(updateTask) {
-        console.log('Updating GameMaster data...');
-        
-        // Load the latest gamemaster.json from pvpoke submodule
-        const gameMasterPath = 'pvpoke/src/data/gamemaster.json';
-        const gameMasterData = await this.loadJsonFile(gameMasterPath);
+    async refreshPvEMetrics(db, tables) {
+        const keysOf = table => tables[table]?.changedKeys || [];
+        const pokemonIds = [
+            ...keysOf('fact_pokemon').map(key => key.pk_pokemon_id),
+            ...keysOf('bridge_pokemon_available_moves').map(key => key.fk_pokemon_id)
+        ];
+        const moveIds = keysOf('dim_moves').map(key => key.pk_move_id);
         
-        if (!gameMasterData) {
-            throw new Error('Failed to load GameMaster data');
+        if (pokemonIds.length === 0 && moveIds.length === 0) {
+            return null;
         }
         
-        let recordsAdded = 0;
-        let recordsModified = 0;
+        return await db.refreshPvEMetrics({ pokemonIds, moveIds });
+    }
+
+    /**
+     * Report the progress of an update to its onProgress callback and the onUpdateProgress listeners
+     * @param {string} phase - 'preparing' | 'reading' (watched files read) | 'staging' (tables copied) |
+     *                         'loading' (files or records loaded) | 'validating' (staging checks) |
+     *                         'applying' (swap into the live tables)
+     */
+    reportProgress(updateTask, phase, processed, total) {
+        const progress = {
+            updateId: updateTask.databaseId || null,
+            sourceId: updateTask.sourceId,
+            phase,
+            processed,
+            total
+        };
         
-        // Update Pokemon data
-        for (const pokemon of gameMasterData.pokemon) {
-            const existingPokemon = await this.db.get(
-                'SELECT pk_pokemon_id FROM fact_pokemon WHERE pokemon_number = ? AND form = ?',
-                [pokemon.dex, pokemon.speciesId]
-            );
-            
-            if (existingPokemon) {
-                // Update existing
-                await this.updatePokemonRecord(pokemon);
-                recordsModified++;
-            } else {
-                // Insert new
-                await this.insertPokemonRecord(pokemon);
-                recordsAdded++;
+        updateTask.progress = progress;
+        
+        if (updateTask.onProgress) {
+            try {
+                updateTask.onProgress(progress);
+            } catch (error) {
+                console.error('Error in update progress callback:', error);
             }
         }
         
-        // Update Moves data
-        for (const move of gameMasterData.moves) {
-            const existingMove = await this.db.get(
-                'SELECT pk_move_id FROM dim_moves WHERE move_name = ?',
-                [move.name]
-            );
+        this.triggerCallbacks('onUpdateProgress', progress);
+    }
+
+    /**
+     * Give cancellation (and the page) a chance between chunks of an update
+     */
+    async checkpoint(updateTask) {
+        throwIfAborted(updateTask.signal, 'Update cancelled');
+        await yieldToEventLoop();
+        throwIfAborted(updateTask.signal, 'Update cancelled');
+    }
+
+    /**
+     * Restore the rows a completed update changed to their state before it ran
+     * Updates are undone newest first: rolling back an update whose records were changed again by a
+     * later completed update is refused until that one is rolled back
+     */
+    async rollbackUpdate(updateId) {
+        // Checked and read inside the transaction, so no update can complete in between
+        const { update, changes, byTable } = await this.db.transaction(async tx => {
+            const update = await tx.get(`
+                SELECT pk_update_id, fk_source_id, update_type, update_status
+                FROM fact_data_updates
+                WHERE pk_update_id = ?
+            `, [updateId]);
             
-            if (existingMove) {
-                await this.updateMoveRecord(move);
-                recordsModified++;
-            } else {
-                await this.insertMoveRecord(move);
-                recordsAdded++;
+            if (!update) {
+                throw new Error(`Unknown update: ${updateId}`);
+            }
+            
+            if (update.update_status !== 'completed') {
+                throw new Error(`Only completed updates can be rolled back (${updateId} is ${update.update_status})`);
+            }
+            
+            const later = await tx.get(`
+                SELECT later.fk_update_id
+                FROM fact_data_changes c
+                JOIN fact_data_changes later ON later.table_name = c.table_name AND later.record_id = c.record_id
+                    AND later.rowid > c.rowid AND later.fk_update_id != c.fk_update_id
+                JOIN fact_data_updates u ON u.pk_update_id = later.fk_update_id
+                WHERE c.fk_update_id = ? AND u.update_status = 'completed'
+                LIMIT 1
+            `, [updateId]);
+            
+            if (later) {
+                throw new Error(`Update ${updateId} can't be rolled back before the later update ${later.fk_update_id}`);
+            }
+            
+            const changes = await tx.all(`
+                SELECT table_name, change_type, old_values, new_values
+                FROM fact_data_changes
+                WHERE fk_update_id = ?
+            `, [updateId]);
+            
+            const byTable = new Map();
+            for (const change of changes) {
+                if (!byTable.has(change.table_name)) {
+                    byTable.set(change.table_name, { removals: [], restores: [] });
+                }
+                
+                const entry = byTable.get(change.table_name);
+                if (change.change_type === 'INSERT') {
+                    entry.removals.push(JSON.parse(change.new_values));
+                } else if (change.old_values) {
+                    entry.restores.push(JSON.parse(change.old_values));
+                }
+            }
+            
+            for (const [table, { removals, restores }] of byTable) {
+                const { columns, keyColumns } = await StagingArea.describe(tx, table);
+                
+                await tx.runMany(`
+                    DELETE FROM ${table}
+                    WHERE ${keyColumns.map(column => `${column} = ?`).join(' AND ')}
+                `, removals.map(row => keyColumns.map(column => row[column])));
+                
+                await tx.insertMany(table, restores, { columns, onConflict: 'REPLACE' });
+            }
+            
+            // Removed and restored rows include their keys, like the swap() summary of an update
+            await this.refreshPvEMetrics(tx, Object.fromEntries(Array.from(byTable,
+                ([table, { removals, restores }]) => [table, { changedKeys: [...removals, ...restores] }])));
+            
+            await tx.run(`
+                UPDATE fact_data_updates
+                SET update_status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP
+                WHERE pk_update_id = ?
+            `, [updateId]);
+            
+            return { update, changes, byTable };
+        });
+        
+        if (byTable.has('fact_pokemon') || byTable.has('dim_moves')) {
+            this.db.invalidateSearchIndex();
+        }
+        
+        const result = { updateId, sourceId: update.fk_source_id, recordsRestored: changes.length };
+        this.triggerCallbacks('onDataChange', { type: 'rollback', ...result });
+        
+        console.log(`Rolled back update ${updateId} (${changes.length} records)`);
+        return result;
+    }
+
+    /**
+     * Run the source's ingest function, or its parser followed by a sync of the parsed rows
+     */
+    async loadUpdate(updateTask) {
+        const source = updateTask.source;
+        
+        if (source.ingest) {
+            return await source.ingest(updateTask);
+        }
+        
+        const parsed = await source.parser({
+            db: updateTask.db,
+            source,
+            signal: updateTask.signal,
+            loadFile: (filePath, schema = source.schema || { type: 'any' }) =>
+                this.loadSourceFile(updateTask, filePath, schema)
+        }) || {};
+        
+        let recordsAdded = 0;
+        let recordsModified = 0;
+        const tables = Object.entries(parsed);
+        
+        for (const [index, [table, rows]] of tables.entries()) {
+            await this.checkpoint(updateTask);
+            
+            if (!source.targetTables.includes(table)) {
+                throw new Error(`${source.name} returned rows for ${table}, which is not one of its target tables`);
             }
+            
+            const { keyColumns } = await StagingArea.describe(updateTask.db, table);
+            const result = await this.syncRows(updateTask.db, this.stagedTable(updateTask, table), keyColumns, rows, {
+                deleteMissing: source.replaceRows ? () => true : null
+            });
+            
+            recordsAdded += result.added;
+            recordsModified += result.modified + result.deleted;
+            this.reportProgress(updateTask, 'loading', index + 1, tables.length);
         }
         
         return { recordsAdded, recordsModified };
     }
 
+    /**
+     * Table an update writes to: the staging copy while the update is staged
+     */
+    stagedTable(updateTask, table) {
+        return updateTask.staging ? updateTask.staging.table(table) : table;
+    }
+
+    /**
+     * Update GameMaster data
+     */
+    async updateGameMaster(updateTask) {
+        console.log('Updating GameMaster data...');
+        
+        // Load the latest gamemaster.json from pvpoke submodule
+        const gameMasterPath = 'pvpoke/src/data/gamemaster.json';
+        const gameMasterData = await this.loadSourceFile(updateTask, gameMasterPath, 'gamemaster');
+        
+        // PvE (gym and raid) move stats are not part of the PvPoke GameMaster
+        const fastMoves = await this.loadSourceFile(updateTask, 'pokemon-resources/pogo_fm.json', 'pveMoves');
+        const chargedMoves = await this.loadSourceFile(updateTask, 'pokemon-resources/pogo_cm.json', 'pveMoves');
+        const pveMoves = fastMoves || chargedMoves ? { fast: fastMoves || [], charged: chargedMoves || [] } : null;
+        
+        const mapped = new GameMasterMapper().map(gameMasterData, pveMoves);
+        const mappedPokemonIds = new Set(mapped.pokemon.map(row => row.pk_pokemon_id));
+        const table = name => this.stagedTable(updateTask, name);
+        
+        const syncs = [
+            [table('dim_pokemon_families'), ['pk_family_id'], mapped.families, { touch: true }],
+            [table('fact_pokemon'), ['pk_pokemon_id'], mapped.pokemon, { touch: true }],
+            [table('dim_moves'), ['pk_move_id'], mapped.moves, { touch: true }],
+            [table('dim_pokemon_evolutions'), ['pk_evolution_id'], mapped.evolutions, {
+                deleteMissing: row => mappedPokemonIds.has(row.fk_from_pokemon_id)
+            }],
+            [table('bridge_pokemon_available_moves'), ['fk_pokemon_id', 'fk_move_id'], mapped.pokemonMoves, {
+                deleteMissing: row => mappedPokemonIds.has(row.fk_pokemon_id)
+            }]
+        ];
+        
+        // Progress counts mapped records, reported after each table
+        const total = syncs.reduce((sum, [, , rows]) => sum + rows.length, 0);
+        const results = [];
+        let processed = 0;
+        
+        for (const [tableName, keyColumns, rows, options] of syncs) {
+            await this.checkpoint(updateTask);
+            results.push(await this.syncRows(updateTask.db, tableName, keyColumns, rows, options));
+            processed += rows.length;
+            this.reportProgress(updateTask, 'loading', processed, total);
+        }
+        
+        return {
+            recordsAdded: results.reduce((sum, result) => sum + result.added, 0),
+            recordsModified: results.reduce((sum, result) => sum + result.modified + result.deleted, 0)
+        };
+    }
+
     /**
      * Update PvP Rankings data
+     * Each league/scenario file is stored as slowly-changing records: a changed ranking closes the
+     * current row (is_current = 0, effective_to_date) and adds a new current row
      */
     async updateRankings(updateTask) {
         console.log('Updating PvP Rankings data...');
@@ -401,24 +942,36 @@ class DataUpdateManager {
         let recordsAdded = 0;
         let recordsModified = 0;
         
-        const leagues = ['1500', '2500', '10000']; // Great, Ultra, Master
-        const scenarios = ['leads', 'closers', 'switches', 'chargers', 'attackers', 'overall'];
+        const db = updateTask.db;
+        const context = {
+            db,
+            table: name => this.stagedTable(updateTask, name),
+            dateId: await db.ensureDate(),
+            // Distinguishes rows for the same Pokemon written by different runs on the same day
+            runId: Date.now().toString(36),
+            version: updateTask.databaseId || null,
+            pokemonIds: new Set((await db.all('SELECT pk_pokemon_id FROM fact_pokemon')).map(row => row.pk_pokemon_id)),
+            moveNames: new Map((await db.all('SELECT pk_move_id, move_name FROM dim_moves')).map(row => [row.pk_move_id, row.move_name])),
+            movesetIds: new Set((await db.all('SELECT pk_moveset_id FROM dim_movesets')).map(row => row.pk_moveset_id)),
+            newMovesets: []
+        };
+        
+        // Progress counts ranking files (league and scenario pairs)
+        const total = Object.keys(RANKING_LEAGUES).length * RANKING_SCENARIOS.length;
+        let processed = 0;
         
-        for (const league of leagues) {
-            for (const scenario of scenarios) {
-                const rankingsPath = `pvpoke/src/data/rankings/all/overall/rankings-${league}.json`;
-                const rankingsData = await this.loadJsonFile(rankingsPath);
+        for (const [leagueId, league] of Object.entries(RANKING_LEAGUES)) {
+            for (const scenario of RANKING_SCENARIOS) {
+                await this.checkpoint(updateTask);
                 
-                if (rankingsData) {
-                    for (const ranking of rankingsData) {
-                        const result = await this.updateRankingRecord(ranking, league, scenario);
-                        if (result.isNew) {
-                            recordsAdded++;
-                        } else {
-                            recordsModified++;
-                        }
-                    }
-                }
+                const rankingsPath = `pvpoke/${getRankingFilePath(league, scenario)}`;
+                const rankingsData = await this.loadSourceFile(updateTask, rankingsPath, 'rankings');
+                
+                const result = await this.updateRankingRecords(rankingsData, leagueId, scenario, context);
+                recordsAdded += result.added;
+                recordsModified += result.modified;
+                
+                this.reportProgress(updateTask, 'loading', ++processed, total);
             }
         }
         
@@ -426,30 +979,87 @@ class DataUpdateManager {
     }
 
     /**
-     * Update PvE Tiers data
+     * Update PvE Tiers data from pokemon-resources
+     * Tiers are stored as slowly-changing records per source, like the PvP rankings
      */
     async updateTiers(updateTask) {
         console.log('Updating PvE Tiers data...');
         
-        let recordsAdded = 0;
-        let recordsModified = 0;
+        const context = await this.createTierContext(updateTask);
+        const tierData = await this.loadSourceFile(updateTask, 'pokemon-resources/pogo_pkm_tiers.json', 'tiers');
         
-        // Load tier data from pokemon-resources
-        const tierPath = 'pokemon-resources/pogo_pkm_tiers.json';
-        const tierData = await this.loadJsonFile(tierPath);
-        
-        if (tierData) {
-            for (const tier of tierData) {
-                const result = await this.updateTierRecord(tier);
-                if (result.isNew) {
-                    recordsAdded++;
-                } else {
-                    recordsModified++;
-                }
+        await this.checkpoint(updateTask);
+        
+        const { rows, unresolved } = context.mapper.map(tierData);
+        if (unresolved > 0) {
+            console.warn(`Skipped ${unresolved} pokemon-resources tier entries with an unknown Pokemon or type`);
+        }
+        
+        const result = await this.updateTierRecords(rows, null, context);
+        this.reportProgress(updateTask, 'loading', 1, 1);
+        
+        return { recordsAdded: result.added, recordsModified: result.modified };
+    }
+
+    /**
+     * Update PvE Tiers data from the Dialgadex per-type tier lists
+     * Attacking types whose file is missing keep their current tiers. The update fails when none of the files
+     * exist, or when none of their entries can be read, so a moved directory or a changed entry format shows up
+     * as a failed update instead of an empty one
+     */
+    async updateDialgadexTiers(updateTask) {
+        console.log('Updating Dialgadex PvE Tiers data...');
+        
+        const context = await this.createTierContext(updateTask);
+        const rows = [];
+        const attackingTypes = new Set();
+        let unresolved = 0;
+        
+        // Progress counts tier files (attacking types)
+        for (const [index, type] of TYPE_IDS.entries()) {
+            await this.checkpoint(updateTask);
+            
+            const tierData = await this.loadSourceFile(updateTask, `dialgadex/${getDialgadexTierPath(type)}`, 'tiers');
+            
+            if (tierData) {
+                const mapped = context.mapper.map(tierData, { attackingType: type });
+                rows.push(...mapped.rows.filter(row => row.fk_attacking_type_id === type));
+                unresolved += mapped.unresolved;
+                attackingTypes.add(type);
             }
+            
+            this.reportProgress(updateTask, 'loading', index + 1, TYPE_IDS.length);
         }
         
-        return { recordsAdded, recordsModified };
+        if (attackingTypes.size === 0) {
+            throw new Error(`No Dialgadex tier files found (expected dialgadex/${getDialgadexTierPath('<type>')})`);
+        }
+        
+        if (rows.length === 0) {
+            throw new Error(`None of the ${unresolved} Dialgadex tier entries could be mapped to a Pokemon and type`);
+        }
+        
+        if (unresolved > 0) {
+            console.warn(`Skipped ${unresolved} Dialgadex tier entries with an unknown Pokemon or type`);
+        }
+        
+        const result = await this.updateTierRecords(rows, attackingTypes, context);
+        return { recordsAdded: result.added, recordsModified: result.modified };
+    }
+
+    async createTierContext(updateTask) {
+        const db = updateTask.db;
+        
+        return {
+            db,
+            table: name => this.stagedTable(updateTask, name),
+            sourceId: updateTask.source.id,
+            dateId: await db.ensureDate(),
+            // Distinguishes rows for the same Pokemon written by different runs on the same day
+            runId: Date.now().toString(36),
+            version: updateTask.databaseId || null,
+            mapper: new TierMapper(await db.all('SELECT pk_pokemon_id, pokemon_number, pokemon_name, form FROM fact_pokemon'))
+        };
     }
 
     /**
@@ -480,43 +1090,100 @@ class DataUpdateManager {
     generateUpdateId() {
         return `upd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
-    
-    getUpdatePriority(sourceType) {
-        const priorities = {
-            'gamemaster': 10,  // Highest priority
-            'rankings': 8,
-            'tiers': 6,
-            'moves': 4
-        };
-        return priorities[sourceType] || 1;
-    }
-    
-    getRepoPath(repositoryUrl) {
-        // Extract owner/repo from GitHub URL
-        const match = repositoryUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-        return match ? `${match[1]}/${match[2].replace('.git', '')}` : null;
+
+    /**
+     * Read the source's watched files into updateTask.files for loadSourceFile
+     * Directory watch paths ('dir/') are left for the ingest to read
+     */
+    async prefetchSourceFiles(updateTask) {
+        const source = updateTask.source;
+        const filePaths = (source.watchPaths || [])
+            .filter(watchPath => !watchPath.endsWith('/'))
+            .map(watchPath => source.submodule ? `${source.submodule}/${watchPath}` : watchPath);
+            
+        updateTask.files = new Map();
+        
+        for (const [index, filePath] of filePaths.entries()) {
+            await this.checkpoint(updateTask);
+            updateTask.files.set(filePath, await this.readSourceFile(filePath));
+            this.reportProgress(updateTask, 'reading', index + 1, filePaths.length);
+        }
     }
-    
-    async loadJsonFile(filePath) {
+
+    /**
+     * Read and parse a JSON source file
+     * @returns {{data: *, error: Error|null}}
+     */
+    async readSourceFile(filePath) {
         try {
-            const response = await fetch(filePath);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return await response.json();
+            return { data: await this.environment.loadJson(filePath), error: null };
         } catch (error) {
-            console.error(`Error loading JSON file ${filePath}:`, error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Load a source file and validate it against a SourceValidator schema
+     * Invalid entries are quarantined (left out of the result); a missing, unparseable or invalid file
+     * rejects the update with a SourceValidationError. Files listed in the source's optionalFiles
+     * return null when missing
+     */
+    async loadSourceFile(updateTask, filePath, schema) {
+        const { data, error: loadError } = updateTask.files?.get(filePath) || await this.readSourceFile(filePath);
+        
+        if (loadError && !(loadError instanceof SyntaxError) && updateTask.source.optionalFiles?.includes(filePath)) {
+            console.warn(`Skipping missing optional file ${filePath}: ${loadError.message}`);
+            return null;
+        }
+        
+        let report;
+        let validData = null;
+        
+        if (!loadError) {
+            ({ report, data: validData } = this.validator.validate(schema, data, { file: filePath }));
+        } else if (loadError instanceof SyntaxError) {
+            report = this.validator.parseFailure(schema, filePath, loadError);
+        } else {
+            report = this.validator.loadFailure(schema, filePath, loadError);
+        }
+        
+        updateTask.validationReports?.push(report);
+        
+        if (!report.valid) {
+            const error = new Error(`${filePath} failed validation: ${report.errors.slice(0, 3)
+                .map(issue => `${issue.path} ${issue.message}`).join('; ')}${report.errorCount > 3 ? ` (+${report.errorCount - 3} more)` : ''}`);
+            error.name = 'SourceValidationError';
+            error.report = report;
+            throw error;
+        }
+        
+        if (report.quarantinedCount > 0) {
+            console.warn(`Quarantined ${report.quarantinedCount} invalid entries of ${filePath}`);
+        }
+        
+        return validData;
+    }
+
+    /**
+     * JSON stored in fact_data_updates.validation_report (null when no file was validated)
+     */
+    getValidationReport(updateTask) {
+        const files = updateTask.validationReports || [];
+        
+        if (files.length === 0) {
             return null;
         }
+        
+        return JSON.stringify({ valid: files.every(file => file.valid), files });
     }
-    
+
     /**
      * Database logging functions
      */
     
     async logUpdateStart(updateTask) {
         const updateId = this.generateUpdateId();
-        const dateId = this.formatDateId(new Date());
+        const dateId = await this.db.ensureDate(new Date());
         
         await this.db.run(`
             INSERT INTO fact_data_updates (
@@ -535,22 +1202,26 @@ class DataUpdateManager {
     
     async logUpdateComplete(updateTask) {
         const duration = (updateTask.endTime - updateTask.startTime) / 1000;
-        const currentHash = await this.getCurrentGitHash(updateTask.source);
+        const currentHash = updateTask.sourceState?.commit || null;
         
         await this.db.run(`
             UPDATE fact_data_updates 
             SET update_status = ?, 
                 records_added = ?, 
                 records_modified = ?,
+                records_deprecated = ?,
                 processing_duration = ?,
-                git_commit_hash = ?
+                git_commit_hash = ?,
+                validation_report = ?
             WHERE pk_update_id = ?
         `, [
             'completed',
             updateTask.result?.recordsAdded || 0,
             updateTask.result?.recordsModified || 0,
+            Object.values(updateTask.result?.tables || {}).reduce((sum, table) => sum + table.deprecated, 0),
             duration,
             currentHash,
+            this.getValidationReport(updateTask),
             updateTask.databaseId
         ]);
         
@@ -560,6 +1231,10 @@ class DataUpdateManager {
             SET last_update_timestamp = ?
             WHERE pk_source_id = ?
         `, [updateTask.endTime.toISOString(), updateTask.sourceId]);
+        
+        if (updateTask.sourceState) {
+            await this.saveSourceState(updateTask.source, updateTask.sourceState);
+        }
     }
     
     async logUpdateError(updateTask, error) {
@@ -569,12 +1244,14 @@ class DataUpdateManager {
             UPDATE fact_data_updates 
             SET update_status = ?, 
                 error_message = ?,
-                processing_duration = ?
+                processing_duration = ?,
+                validation_report = ?
             WHERE pk_update_id = ?
         `, [
-            'failed',
+            updateTask.status === 'cancelled' ? 'cancelled' : 'failed',
             error.message,
             duration,
+            this.getValidationReport(updateTask),
             updateTask.databaseId
         ]);
     }
@@ -606,32 +1283,263 @@ class DataUpdateManager {
     }
     
     /**
-     * Database record update methods (to be implemented)
+     * Database record update methods
      */
-    
-    async updatePokemonRecord(pokemon) {
-        // Implementation for updating Pokemon records
-        // This would parse the GameMaster Pokemon data and update the database
-    }
-    
-    async insertPokemonRecord(pokemon) {
-        // Implementation for inserting new Pokemon records
+
+    /**
+     * Bring a table in line with a full set of source rows, writing only what changed
+     * @param {Array} keyColumns - primary key columns
+     * @param {Object} options - { touch: also set updated_at on changed rows,
+     *                             deleteMissing: predicate selecting existing rows to delete when absent from the source }
+     * @param {LocalDatabase} db - the update's transaction handle
+     * @returns {Object} { added, modified, deleted }
+     */
+    async syncRows(db, table, keyColumns, rows, options = {}) {
+        const keyOf = row => keyColumns.map(column => row[column]).join('|');
+        const existing = new Map((await db.all(`SELECT * FROM ${table}`)).map(row => [keyOf(row), row]));
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const valueColumns = columns.filter(column => !keyColumns.includes(column));
+        
+        const inserts = [];
+        const updates = [];
+        
+        for (const row of rows) {
+            const key = keyOf(row);
+            const current = existing.get(key);
+            
+            if (!current) {
+                inserts.push(row);
+            } else if (valueColumns.some(column => !this.isSameValue(current[column], row[column]))) {
+                updates.push(row);
+            }
+            
+            existing.delete(key);
+        }
+        
+        await db.insertMany(table, inserts, { columns });
+        
+        if (updates.length > 0) {
+            const touch = options.touch ? ', updated_at = CURRENT_TIMESTAMP' : '';
+            await db.runMany(`
+                UPDATE ${table}
+                SET ${valueColumns.map(column => `${column} = ?`).join(', ')}${touch}
+                WHERE ${keyColumns.map(column => `${column} = ?`).join(' AND ')}
+            `, updates.map(row => [
+                ...valueColumns.map(column => row[column] ?? null),
+                ...keyColumns.map(column => row[column])
+            ]));
+        }
+        
+        const deletes = options.deleteMissing ? Array.from(existing.values()).filter(options.deleteMissing) : [];
+        
+        if (deletes.length > 0) {
+            await db.runMany(`
+                DELETE FROM ${table}
+                WHERE ${keyColumns.map(column => `${column} = ?`).join(' AND ')}
+            `, deletes.map(row => keyColumns.map(column => row[column])));
+        }
+        
+        return { added: inserts.length, modified: updates.length, deleted: deletes.length };
     }
-    
-    async updateMoveRecord(move) {
-        // Implementation for updating move records
+
+    isSameValue(current, next) {
+        current = current ?? null;
+        next = next ?? null;
+        
+        if (current === null || next === null) {
+            return current === next;
+        }
+        
+        if (typeof next === 'boolean') {
+            next = next ? 1 : 0;
+        }
+        
+        return current === next || (typeof current === 'number' && Number(next) === current);
     }
-    
-    async insertMoveRecord(move) {
-        // Implementation for inserting new move records
+
+    /**
+     * Apply one rankings file to the current rows of a league and scenario
+     */
+    async updateRankingRecords(rankings, leagueId, scenario, context) {
+        const rankingsTable = context.table('fact_pokemon_pvp_rankings');
+        const current = new Map((await context.db.all(`
+            SELECT pk_pvp_ranking_id, fk_pokemon_id, fk_moveset_id, pvp_rank_percent, pvp_rank_number,
+                   pvp_score, stat_product, effective_from_date
+            FROM ${rankingsTable}
+            WHERE fk_league_id = ? AND fk_scenario_id = ? AND is_current = 1
+        `, [leagueId, scenario])).map(row => [row.fk_pokemon_id, row]));
+        
+        const inserts = [];
+        const updates = [];
+        const closes = [];
+        
+        rankings.forEach((ranking, index) => {
+            const pokemonId = ranking.speciesId;
+            
+            if (!context.pokemonIds.has(pokemonId) || !Array.isArray(ranking.moveset) || ranking.moveset.length < 2) {
+                return;
+            }
+            
+            const row = {
+                fk_pokemon_id: pokemonId,
+                fk_moveset_id: this.resolveMoveset(ranking.moveset, context),
+                pvp_rank_percent: ranking.score ?? null,
+                pvp_rank_number: index + 1,
+                pvp_score: ranking.rating ?? ranking.score ?? null,
+                stat_product: ranking.stats?.product ?? null
+            };
+            
+            const existing = current.get(pokemonId);
+            current.delete(pokemonId);
+            
+            if (existing && ['fk_moveset_id', 'pvp_rank_percent', 'pvp_rank_number', 'pvp_score', 'stat_product']
+                .every(column => this.isSameValue(existing[column], row[column]))) {
+                return;
+            }
+            
+            // Rows first recorded today are corrected in place; older rows become history
+            if (existing && existing.effective_from_date === context.dateId) {
+                updates.push({ ...row, pk_pvp_ranking_id: existing.pk_pvp_ranking_id });
+                return;
+            }
+            
+            if (existing) {
+                closes.push(existing.pk_pvp_ranking_id);
+            }
+            
+            inserts.push({
+                pk_pvp_ranking_id: `${pokemonId}_${leagueId}_${scenario}_${context.runId}`,
+                ...row,
+                fk_league_id: leagueId,
+                fk_date_id: context.dateId,
+                fk_scenario_id: scenario,
+                effective_from_date: context.dateId,
+                is_current: 1,
+                data_source_version: context.version
+            });
+        });
+        
+        // Pokemon that dropped out of the rankings
+        closes.push(...Array.from(current.values()).map(row => row.pk_pvp_ranking_id));
+        
+        await context.db.insertMany(context.table('dim_movesets'), context.newMovesets.splice(0), { onConflict: 'IGNORE' });
+        
+        await context.db.runMany(`
+            UPDATE ${rankingsTable}
+            SET is_current = 0, effective_to_date = ?
+            WHERE pk_pvp_ranking_id = ?
+        `, closes.map(id => [context.dateId, id]));
+        
+        await context.db.runMany(`
+            UPDATE ${rankingsTable}
+            SET fk_moveset_id = ?, pvp_rank_percent = ?, pvp_rank_number = ?, pvp_score = ?, stat_product = ?,
+                data_source_version = ?
+            WHERE pk_pvp_ranking_id = ?
+        `, updates.map(row => [
+            row.fk_moveset_id, row.pvp_rank_percent, row.pvp_rank_number, row.pvp_score, row.stat_product,
+            context.version, row.pk_pvp_ranking_id
+        ]));
+        
+        await context.db.insertMany(rankingsTable, inserts);
+        
+        return { added: inserts.length, modified: closes.length + updates.length };
     }
-    
-    async updateRankingRecord(ranking, league, scenario) {
-        // Implementation for updating ranking records
+
+    /**
+     * Resolve [fast, charged1, charged2] to a dim_movesets id, queueing new movesets on context.newMovesets
+     * Charged moves are order independent, so they are sorted before hashing
+     */
+    resolveMoveset(moveset, context) {
+        const [fastMove, ...chargedMoves] = moveset;
+        const [charged1, charged2 = null] = chargedMoves.filter(Boolean).sort();
+        const movesetId = `${fastMove}_${charged1}_${charged2 || 'none'}`;
+        
+        if (!context.movesetIds.has(movesetId)) {
+            const nameOf = moveId => context.moveNames.get(moveId) || moveId;
+            
+            context.movesetIds.add(movesetId);
+            context.newMovesets.push({
+                pk_moveset_id: movesetId,
+                fk_fast_move_id: fastMove,
+                fk_charged_move_1_id: charged1,
+                fk_charged_move_2_id: charged2,
+                moveset_name: [fastMove, charged1, charged2].filter(Boolean).map(nameOf).join(' / '),
+                moveset_hash: movesetId
+            });
+        }
+        
+        return movesetId;
     }
-    
-    async updateTierRecord(tier) {
-        // Implementation for updating tier records
+
+    /**
+     * Apply mapped tier rows to the current tiers of the context's source
+     * @param {Set|null} attackingTypes - attacking types the rows cover; current tiers of other types are kept (null: all)
+     */
+    async updateTierRecords(rows, attackingTypes, context) {
+        const tiersTable = context.table('fact_pokemon_pve_tiers');
+        const keyOf = row => `${row.fk_pokemon_id}|${row.fk_attacking_type_id}|${row.fk_defending_type_id}`;
+        const current = new Map((await context.db.all(`
+            SELECT pk_pve_tier_id, fk_pokemon_id, fk_attacking_type_id, fk_defending_type_id, tier_rank, tier_score,
+                   effectiveness_rating, pve_overall_rank, effective_from_date
+            FROM ${tiersTable}
+            WHERE fk_source_id = ? AND is_current = 1
+        `, [context.sourceId])).filter(row => !attackingTypes || attackingTypes.has(row.fk_attacking_type_id))
+            .map(row => [keyOf(row), row]));
+            
+        const inserts = [];
+        const updates = [];
+        const closes = [];
+        
+        for (const row of rows) {
+            const existing = current.get(keyOf(row));
+            current.delete(keyOf(row));
+            
+            if (existing && ['tier_rank', 'tier_score', 'effectiveness_rating', 'pve_overall_rank']
+                .every(column => this.isSameValue(existing[column], row[column]))) {
+                continue;
+            }
+            
+            // Rows first recorded today are corrected in place; older rows become history
+            if (existing && existing.effective_from_date === context.dateId) {
+                updates.push({ ...row, pk_pve_tier_id: existing.pk_pve_tier_id });
+                continue;
+            }
+            
+            if (existing) {
+                closes.push(existing.pk_pve_tier_id);
+            }
+            
+            inserts.push({
+                pk_pve_tier_id: `${row.fk_pokemon_id}_${row.fk_attacking_type_id}_${row.fk_defending_type_id}_${context.sourceId}_${context.runId}`,
+                ...row,
+                fk_source_id: context.sourceId,
+                fk_date_id: context.dateId,
+                effective_from_date: context.dateId,
+                is_current: 1,
+                data_source_version: context.version
+            });
+        }
+        
+        // Pokemon that dropped out of a tier list
+        closes.push(...Array.from(current.values()).map(row => row.pk_pve_tier_id));
+        
+        await context.db.runMany(`
+            UPDATE ${tiersTable}
+            SET is_current = 0, effective_to_date = ?
+            WHERE pk_pve_tier_id = ?
+        `, closes.map(id => [context.dateId, id]));
+        
+        await context.db.runMany(`
+            UPDATE ${tiersTable}
+            SET tier_rank = ?, tier_score = ?, effectiveness_rating = ?, pve_overall_rank = ?, data_source_version = ?
+            WHERE pk_pve_tier_id = ?
+        `, updates.map(row => [
+            row.tier_rank, row.tier_score, row.effectiveness_rating, row.pve_overall_rank, context.version, row.pk_pve_tier_id
+        ]));
+        
+        await context.db.insertMany(tiersTable, inserts);
+        
+        return { added: inserts.length, modified: closes.length + updates.length };
     }
 }
 
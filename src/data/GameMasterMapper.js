@@ -0,0 +1,316 @@
+/**
+ * GameMasterMapper - Maps the PvPoke gamemaster.json onto the star schema
+ * Produces rows for fact_pokemon, dim_pokemon_families, dim_pokemon_evolutions, dim_moves and
+ * bridge_pokemon_available_moves; PvE move stats are merged in from pokemon-resources when available
+ */
+
+import StatsCalculator from '../calc/StatsCalculator.js';
+import { MAX_LEVEL } from './cpMultipliers.js';
+
+// IVs of max_cp
+const MAX_IVS = { atk_iv: 15, def_iv: 15, sta_iv: 15 };
+
+// Last national dex number of each generation
+const GENERATION_LAST_DEX = [151, 251, 386, 493, 649, 721, 809, 905, 1025];
+
+class GameMasterMapper {
+    constructor() {
+        this.statsCalculator = new StatsCalculator();
+    }
+
+    /**
+     * @param {Object} gameMaster - parsed pvpoke/src/data/gamemaster.json
+     * @param {Object} pveMoves - optional { fast: [...], charged: [...] } from pokemon-resources
+     * @returns {Object} { pokemon, families, evolutions, moves, pokemonMoves }
+     */
+    map(gameMaster, pveMoves = null) {
+        const entries = (gameMaster.pokemon || []).filter(entry => entry.speciesId && entry.dex);
+        const speciesIds = new Set(entries.map(entry => entry.speciesId));
+        const megaDex = new Set(entries.filter(entry => this.isMega(entry)).map(entry => entry.dex));
+        const shadowIds = new Set(entries.filter(entry => this.isShadow(entry)).map(entry => entry.speciesId));
+        
+        const pokemon = entries.map(entry => this.mapPokemon(entry, {
+            hasMega: megaDex.has(entry.dex) && !this.isMega(entry) && !this.isShadow(entry),
+            hasShadow: shadowIds.has(`${entry.speciesId}_shadow`)
+        }));
+        
+        const fastMoveIds = new Set(entries.flatMap(entry => entry.fastMoves || []));
+        const learnMethods = this.mapLearnMethods(entries);
+        const knownMoves = new Set((gameMaster.moves || []).map(move => move.moveId));
+        
+        const pokemonMoves = learnMethods.filter(row => knownMoves.has(row.fk_move_id));
+        const learnersByMove = new Map();
+        for (const row of pokemonMoves) {
+            if (!learnersByMove.has(row.fk_move_id)) {
+                learnersByMove.set(row.fk_move_id, []);
+            }
+            learnersByMove.get(row.fk_move_id).push(row);
+        }
+        
+        const moves = (gameMaster.moves || []).map(move => this.mapMove(move, {
+            category: fastMoveIds.has(move.moveId) || (move.energyGain > 0 && !move.energy) ? 'fast' : 'charged',
+            learners: learnersByMove.get(move.moveId) || [],
+            pve: this.findPvEMove(move, pveMoves)
+        }));
+        
+        return {
+            pokemon,
+            families: this.mapFamilies(entries, pokemon),
+            evolutions: this.mapEvolutions(entries, speciesIds),
+            moves,
+            pokemonMoves
+        };
+    }
+
+    isShadow(entry) {
+        return entry.speciesId.endsWith('_shadow') || (entry.tags || []).includes('shadow');
+    }
+
+    isMega(entry) {
+        return /_mega(_[xy])?$|_primal$/.test(entry.speciesId) || (entry.tags || []).includes('mega');
+    }
+
+    /**
+     * Split "Raichu (Alolan)" into name and form
+     */
+    parseName(entry) {
+        const match = /^(.*?)\s*\((.+)\)$/.exec(entry.speciesName || '');
+        
+        if (match) {
+            return { name: match[1], form: match[2] };
+        }
+        
+        return { name: entry.speciesName || entry.speciesId, form: 'Normal' };
+    }
+
+    mapPokemon(entry, { hasMega, hasShadow }) {
+        const { name, form } = this.parseName(entry);
+        const tags = entry.tags || [];
+        const types = (entry.types || []).filter(type => type && type !== 'none');
+        const stats = entry.baseStats || {};
+        
+        return {
+            pk_pokemon_id: entry.speciesId,
+            pokemon_number: entry.dex,
+            pokemon_name: name,
+            form,
+            fk_pokemon_family_id: entry.family?.id || null,
+            fk_primary_type_id: types[0] || null,
+            fk_secondary_type_id: types[1] || null,
+            base_attack: stats.atk,
+            base_defense: stats.def,
+            base_stamina: stats.hp,
+            max_cp: this.calculateMaxCP(stats),
+            generation: this.getGeneration(entry.dex),
+            is_legendary: tags.includes('legendary') ? 1 : 0,
+            is_mythical: tags.includes('mythical') ? 1 : 0,
+            is_shadow_available: hasShadow || tags.includes('shadoweligible') || this.isShadow(entry) ? 1 : 0,
+            is_mega_available: hasMega || this.isMega(entry) ? 1 : 0,
+            is_active: entry.released === false ? 0 : 1
+        };
+    }
+
+    calculateMaxCP(stats) {
+        const pokemon = { base_attack: stats.atk, base_defense: stats.def, base_stamina: stats.hp };
+        return this.statsCalculator.calculateCP(pokemon, MAX_IVS, MAX_LEVEL);
+    }
+
+    getGeneration(dex) {
+        const index = GENERATION_LAST_DEX.findIndex(last => dex <= last);
+        return index === -1 ? GENERATION_LAST_DEX.length : index + 1;
+    }
+
+    /**
+     * Bridge rows; elite TM wins over legacy, which wins over the normal movepool
+     */
+    mapLearnMethods(entries) {
+        const rows = [];
+        
+        for (const entry of entries) {
+            const elite = new Set(entry.eliteMoves || []);
+            const legacy = new Set(entry.legacyMoves || []);
+            const moveIds = new Set([
+                ...(entry.fastMoves || []),
+                ...(entry.chargedMoves || []),
+                ...elite,
+                ...legacy
+            ]);
+            
+            for (const moveId of moveIds) {
+                rows.push({
+                    fk_pokemon_id: entry.speciesId,
+                    fk_move_id: moveId,
+                    learn_method: elite.has(moveId) ? 'elite_tm' : legacy.has(moveId) ? 'legacy' : 'normal'
+                });
+            }
+        }
+        
+        return rows;
+    }
+
+    /**
+     * A move is legacy / Elite TM only when no Pokemon can learn it normally
+     */
+    mapMove(move, { category, learners, pve }) {
+        const isLegacy = learners.length > 0 && learners.every(row => row.learn_method !== 'normal');
+        const isEliteOnly = learners.length > 0 && learners.every(row => row.learn_method === 'elite_tm');
+        const buffs = move.buffs ? JSON.stringify({
+            buffs: move.buffs,
+            target: move.buffTarget || null,
+            chance: move.buffApplyChance !== undefined ? parseFloat(move.buffApplyChance) : null
+        }) : null;
+        
+        return {
+            pk_move_id: move.moveId,
+            move_name: move.name,
+            move_category: category,
+            fk_move_type_id: move.type,
+            power: pve?.power ?? move.power ?? null,
+            energy_cost: category === 'charged' ? move.energy ?? null : null,
+            energy_gain: category === 'fast' ? move.energyGain ?? null : null,
+            cooldown: move.cooldown !== undefined ? move.cooldown / 1000 : null,
+            is_legacy: isLegacy ? 1 : 0,
+            is_elite_tm_only: isEliteOnly ? 1 : 0,
+            pvp_power: move.power ?? null,
+            pve_power: pve?.power ?? null,
+            status: isLegacy ? 'legacy' : 'active',
+            pvp_turns: move.turns ?? (move.cooldown !== undefined && category === 'fast' ? move.cooldown / 500 : null),
+            pvp_buffs: buffs,
+            pve_energy_delta: pve?.energyDelta ?? null,
+            pve_duration: pve?.duration ?? null
+        };
+    }
+
+    /**
+     * Find a move's PvE stats by name; tolerates the field names used by pokemon-resources revisions
+     */
+    findPvEMove(move, pveMoves) {
+        if (!pveMoves) {
+            return null;
+        }
+        
+        const key = this.normalizeMoveName(move.name);
+        const candidates = [...(pveMoves.fast || []), ...(pveMoves.charged || [])];
+        const pveMove = candidates.find(candidate =>
+            this.normalizeMoveName(candidate.name || candidate.move_name || candidate.moveId || candidate.id) === key);
+            
+        if (!pveMove) {
+            return null;
+        }
+        
+        const duration = pveMove.duration ?? pveMove.cooldown ?? null;
+        
+        return {
+            power: pveMove.power ?? pveMove.pve_power ?? null,
+            energyDelta: pveMove.energy_delta ?? pveMove.energyDelta ?? pveMove.energy ?? null,
+            // Durations are in milliseconds in the source files
+            duration: duration === null ? null : duration > 20 ? duration / 1000 : duration
+        };
+    }
+
+    normalizeMoveName(name) {
+        return String(name || '').toLowerCase().replace(/_fast$/, '').replace(/[^a-z0-9]/g, '');
+    }
+
+    mapFamilies(entries, pokemon) {
+        const families = new Map();
+        const pokemonById = new Map(pokemon.map(row => [row.pk_pokemon_id, row]));
+        
+        for (const entry of entries) {
+            const familyId = entry.family?.id;
+            if (!familyId) {
+                continue;
+            }
+            
+            if (!families.has(familyId)) {
+                families.set(familyId, { id: familyId, members: [] });
+            }
+            families.get(familyId).members.push(entry);
+        }
+        
+        return Array.from(families.values()).map(({ id, members }) => {
+            const species = members.filter(entry => !this.isShadow(entry) && !this.isMega(entry));
+            const base = species.find(entry => !entry.family.parent && this.parseName(entry).form === 'Normal') ||
+                species.find(entry => !entry.family.parent) || members[0];
+            const baseName = this.parseName(base).name;
+            const branches = species.map(entry => (entry.family.evolutions || []).length);
+            
+            return {
+                pk_family_id: id,
+                family_name: baseName,
+                base_pokemon_id: base.speciesId,
+                family_type: branches.some(count => count > 1) ? 'branching' :
+                            branches.some(count => count === 1) ? 'linear' : 'single',
+                candy_type: baseName,
+                is_legendary_family: members.some(entry => pokemonById.get(entry.speciesId).is_legendary) ? 1 : 0,
+                generation_introduced: Math.min(...members.map(entry => pokemonById.get(entry.speciesId).generation))
+            };
+        });
+    }
+
+    /**
+     * Evolution edges from family.evolutions, plus temporary Mega / Primal evolutions
+     */
+    mapEvolutions(entries, speciesIds) {
+        const evolutions = [];
+        const parents = new Map(entries.filter(entry => entry.family?.parent)
+            .map(entry => [entry.speciesId, entry.family.parent]));
+            
+        const stageOf = speciesId => {
+            let stage = 0;
+            let current = speciesId;
+            while (parents.has(current) && stage < 10) {
+                current = parents.get(current);
+                stage++;
+            }
+            return stage;
+        };
+        
+        for (const entry of entries) {
+            if (!entry.family?.id || this.isShadow(entry) || this.isMega(entry)) {
+                continue;
+            }
+            
+            for (const target of entry.family.evolutions || []) {
+                if (!speciesIds.has(target)) {
+                    continue;
+                }
+                
+                evolutions.push({
+                    pk_evolution_id: `${entry.speciesId}_${target}`,
+                    fk_from_pokemon_id: entry.speciesId,
+                    fk_to_pokemon_id: target,
+                    fk_family_id: entry.family.id,
+                    evolution_stage: stageOf(entry.speciesId) + 1,
+                    is_mega_evolution: 0,
+                    is_temporary: 0
+                });
+            }
+        }
+        
+        for (const entry of entries) {
+            if (!this.isMega(entry) || !entry.family?.id) {
+                continue;
+            }
+            
+            const baseId = entry.speciesId.replace(/_(mega(_[xy])?|primal)$/, '');
+            if (baseId === entry.speciesId || !speciesIds.has(baseId)) {
+                continue;
+            }
+            
+            evolutions.push({
+                pk_evolution_id: `${baseId}_${entry.speciesId}`,
+                fk_from_pokemon_id: baseId,
+                fk_to_pokemon_id: entry.speciesId,
+                fk_family_id: entry.family.id,
+                evolution_stage: null,
+                is_mega_evolution: 1,
+                is_temporary: 1
+            });
+        }
+        
+        return evolutions;
+    }
+}
+
+export default GameMasterMapper;
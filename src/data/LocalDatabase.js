@@ -1,17 +1,88 @@
 /**
- * LocalDatabase - Manages SQLite database operations in the browser
+ * LocalDatabase - Manages SQLite database operations in the browser or under Node.js
  * Handles initialization, queries, and data management for Pokemon GO app
  */
 
 import initSqlJs from 'sql.js';
+import createEnvironment from '../environment/createEnvironment.js';
+import LocalStorageAdapter from './storage/LocalStorageAdapter.js';
+import SchemaMigrator from './SchemaMigrator.js';
+import WorkerDatabaseClient from './worker/WorkerDatabaseClient.js';
+import PokemonSearchIndex from '../search/PokemonSearchIndex.js';
+import GameSearchQuery from '../search/GameSearchQuery.js';
+import PvECalculator from '../calc/PvECalculator.js';
+import RaidPlanner from '../calc/RaidPlanner.js';
+import RocketPlanner from '../calc/RocketPlanner.js';
+import StatsCalculator from '../calc/StatsCalculator.js';
+import { TYPE_IDS, TYPE_CHART, TYPE_MULTIPLIERS, getTypeMultiplier } from './typeChart.js';
+import { createAbortError, throwIfAborted, yieldToEventLoop } from '../utils/abort.js';
+
+// Rows stepped between cancellation checks in cancellable queries
+const QUERY_CHUNK_SIZE = 250;
+
+// Manifest of the prebuilt database bundle (scripts/build-database-bundle.js), relative to the app root
+const DEFAULT_SEED_MANIFEST = 'database/bundle/manifest.json';
+
+// Most fuzzy search matches considered per query
+const SEARCH_MATCH_LIMIT = 500;
+
+// Pokemon evaluated between cancellation checks while computing PvE metrics
+const PVE_METRICS_CHUNK_SIZE = 25;
+
+// Bumped when PvECalculator changes, so stored metrics are recomputed
+const PVE_METRICS_VERSION = 3;
+
+// Attackers stored per target type and scenario; calculatePvEMetrics() evaluates the rest on demand
+const PVE_METRICS_TOP_N = 100;
+
+// fact_pokemon_pve_performance_metrics columns compared when metrics are recomputed
+const PVE_METRIC_COLUMNS = [
+    'fk_moveset_id', 'damage_per_second', 'total_damage_output', 'time_to_win', 'deaths', 'energy_efficiency',
+    'survivability_score', 'type_effectiveness_multiplier', 'stab_bonus', 'weather_bonus', 'friendship_bonus',
+    'mega_bonus', 'shadow_bonus', 'composite_score', 'rank_vs_type', 'percentile_score'
+];
+
+// Bookkeeping columns left out of field-level change descriptions
+const CHANGE_IGNORED_COLUMNS = ['created_at', 'updated_at', 'data_source_version'];
+
+// dim_moves columns whose changes count as a balance change
+const MOVE_BALANCE_COLUMNS = [
+    'power', 'energy_cost', 'energy_gain', 'cooldown', 'pvp_power', 'pve_power',
+    'pvp_turns', 'pvp_buffs', 'pve_energy_delta', 'pve_duration'
+];
 
 class LocalDatabase {
-    constructor() {
+    /**
+     * @param {Object} options - { environment: runtime services (detected if omitted), storage: StorageAdapter instance, dbName,
+     *                            saveDelay: ms to coalesce writes before persisting (default 1000),
+     *                            useWorker: host SQL.js in a Web Worker (browser only), workerUrl: override the worker script,
+     *                            seed: manifest of a prebuilt bundle to start new databases from (default database/bundle/manifest.json, false disables) }
+     */
+    constructor(options = {}) {
         this.db = null;
         this.SQL = null;
         this.isInitialized = false;
-        this.dbName = 'pokemon_go_database';
-        this.version = '1.0.0';
+        this.dbName = options.dbName || 'pokemon_go_database';
+        this.schemaVersion = null;
+        this.migrator = null;
+        this.environment = options.environment || null;
+        this.storage = options.storage || null;
+        this.lastSaveError = null;
+        this.saveDelay = options.saveDelay ?? 1000;
+        this.saveTimer = null;
+        this.isDirty = false;
+        this.transactionDepth = 0;
+        this.transactionQueue = Promise.resolve();
+        this.activeTransaction = null;
+        this.transactionScope = null;
+        this.saveHolds = 0;
+        this.saveQueue = Promise.resolve();
+        this.useWorker = options.useWorker === true;
+        this.workerUrl = options.workerUrl || null;
+        this.worker = null;
+        this.searchIndex = null;
+        this.statsCalculator = new StatsCalculator();
+        this.seedPath = options.seed === undefined ? DEFAULT_SEED_MANIFEST : options.seed;
     }
 
     /**
@@ -21,22 +92,41 @@ class LocalDatabase {
         console.log('Initializing Local Database...');
         
         try {
+            if (!this.environment) {
+                this.environment = await createEnvironment();
+            }
+            
+            if (this.useWorker) {
+                if (WorkerDatabaseClient.isSupported()) {
+                    await this.initializeWorker();
+                    this.isInitialized = true;
+                    console.log('Local Database initialized in Web Worker');
+                    return;
+                }
+                console.warn('Web Workers unavailable, running database on the main thread');
+            }
+            
             // Initialize SQL.js
-            this.SQL = await initSqlJs({
-                locateFile: file => `https://sql.js.org/dist/${file}`
-            });
+            this.SQL = await initSqlJs(this.environment.getSqlJsConfig());
+            this.migrator = new SchemaMigrator(this.SQL, this.environment);
+            
+            // Pick a persistence backend and move any legacy localStorage image onto it
+            if (!this.storage) {
+                this.storage = this.environment.createStorageAdapter(this.dbName);
+            }
+            await this.migrateLegacyStorage();
             
-            // Try to load existing database from localStorage
-            const savedDb = localStorage.getItem(this.dbName);
+            // Try to load existing database from storage
+            const savedDb = await this.storage.load();
             
             if (savedDb) {
-                console.log('Loading existing database from localStorage...');
-                const buffer = new Uint8Array(JSON.parse(savedDb));
-                this.db = new this.SQL.Database(buffer);
+                console.log(`Loading existing database from ${this.storage.kind}...`);
+                this.db = new this.SQL.Database(savedDb);
                 
                 // Verify database version and structure
                 await this.verifyDatabaseStructure();
-            } else {
+                await this.ensureTypeEffectiveness();
+            } else if (!(await this.loadSeedDatabase())) {
                 console.log('Creating new database...');
                 await this.createNewDatabase();
             }
@@ -50,20 +140,105 @@ class LocalDatabase {
         }
     }
 
+    /**
+     * Start the worker-hosted database; all queries are then routed through the message protocol
+     */
+    async initializeWorker() {
+        // localStorage is not reachable from workers, so migrate any legacy image here first
+        if (!this.storage) {
+            this.storage = this.environment.createStorageAdapter(this.dbName);
+        }
+        await this.migrateLegacyStorage();
+        
+        const workerUrl = this.workerUrl || new URL('./worker/database.worker.js', import.meta.url);
+        this.worker = new WorkerDatabaseClient(new Worker(workerUrl, { type: 'module' }));
+        
+        const { schemaVersion } = await this.worker.request('initialize', {
+            dbName: this.dbName,
+            saveDelay: this.saveDelay,
+            seed: this.seedPath,
+            storageKind: this.storage.kind,
+            environmentOptions: {
+                baseUrl: new URL(this.environment.baseUrl, location.href).href,
+                sqlJsUrl: this.environment.sqlJsUrl
+            }
+        });
+        this.schemaVersion = schemaVersion;
+    }
+
+    /**
+     * Start a new database from the prebuilt bundle, if one is deployed
+     * The bundle is migrated to the current schema like a stored database; the source commits and file
+     * hashes recorded in its dim_source_file_hashes let the update manager apply only what changed
+     * upstream since it was built
+     * @returns {boolean} false when there is no usable bundle (a new database is created instead)
+     */
+    async loadSeedDatabase() {
+        if (!this.seedPath) {
+            return false;
+        }
+        
+        let manifest = null;
+        try {
+            manifest = await this.environment.loadJson(this.seedPath);
+        } catch (error) {
+            // No bundle deployed
+            return false;
+        }
+        
+        try {
+            const directory = this.seedPath.slice(0, this.seedPath.lastIndexOf('/') + 1);
+            const image = await this.environment.loadBinary(`${directory}${manifest.image.file}`);
+            
+            if (manifest.image.sha256 && await this.environment.sha256(image) !== manifest.image.sha256) {
+                throw new Error(`Checksum mismatch for ${manifest.image.file}`);
+            }
+            
+            if (manifest.schemaVersion > await this.migrator.getLatestVersion()) {
+                throw new Error(`Bundle schema version ${manifest.schemaVersion} is newer than this app`);
+            }
+            
+            console.log(`Seeding database from bundle built ${manifest.builtAt}...`);
+            this.db = new this.SQL.Database(image);
+            
+            await this.verifyDatabaseStructure();
+            await this.ensureTypeEffectiveness();
+            await this.saveDatabase();
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Error loading database bundle, creating a new database instead:', error);
+            this.db?.close();
+            this.db = null;
+            return false;
+        }
+    }
+
     /**
      * Create a new database with schema
      */
     async createNewDatabase() {
+        // Replaces a loaded database that turned out to be empty
+        this.db?.close();
         this.db = new this.SQL.Database();
         
-        // Load and execute schema
+        // Load and execute the baseline schema, then bring it to the latest version
         await this.executeSchema();
+        const migratedDb = await this.migrator.migrate(this.db);
+        
+        if (migratedDb !== this.db) {
+            this.db.close();
+            this.db = migratedDb;
+        }
+        
+        this.schemaVersion = this.migrator.getCurrentVersion(this.db);
         
         // Initialize with basic data
         await this.initializeBasicData();
         
-        // Save to localStorage
-        this.saveDatabase();
+        // Persist the new database
+        await this.saveDatabase();
     }
 
     /**
@@ -71,8 +246,7 @@ class LocalDatabase {
      */
     async executeSchema() {
         // Load schema from file (in production, this would be bundled)
-        const schemaResponse = await fetch('/database/schema.sql');
-        const schemaSQL = await schemaResponse.text();
+        const schemaSQL = await this.environment.loadText('database/schema.sql');
         
         // Split and execute each statement
         const statements = schemaSQL.split(';').filter(stmt => stmt.trim());
@@ -94,17 +268,22 @@ class LocalDatabase {
     async initializeBasicData() {
         console.log('Initializing basic data...');
         
-        // Initialize Pokemon types
-        await this.initializeTypes();
-        
-        // Initialize leagues
-        await this.initializeLeagues();
-        
-        // Initialize battle scenarios
-        await this.initializeBattleScenarios();
-        
-        // Initialize PvE scenarios
-        await this.initializePvEScenarios();
+        await this.transaction(async tx => {
+            // Initialize Pokemon types
+            await tx.initializeTypes();
+            
+            // Initialize type effectiveness chart
+            await tx.initializeTypeEffectiveness();
+            
+            // Initialize leagues
+            await tx.initializeLeagues();
+            
+            // Initialize battle scenarios
+            await tx.initializeBattleScenarios();
+            
+            // Initialize PvE scenarios
+            await tx.initializePvEScenarios();
+        });
     }
 
     /**
@@ -132,11 +311,45 @@ class LocalDatabase {
             { id: 'fairy', name: 'Fairy', color: '#EE99AC', generation: 6 }
         ];
         
-        for (const type of types) {
-            await this.run(`
-                INSERT INTO dim_types (pk_type_id, type_name, type_color, generation_introduced)
-                VALUES (?, ?, ?, ?)
-            `, [type.id, type.name, type.color, type.generation]);
+        await this.runMany(`
+            INSERT INTO dim_types (pk_type_id, type_name, type_color, generation_introduced)
+            VALUES (?, ?, ?, ?)
+        `, types.map(type => [type.id, type.name, type.color, type.generation]));
+    }
+
+    /**
+     * Initialize the 18x18 type effectiveness chart (GO multipliers)
+     */
+    async initializeTypeEffectiveness() {
+        const rows = [];
+        
+        for (const attackingType of TYPE_IDS) {
+            for (const defendingType of TYPE_IDS) {
+                const multiplier = getTypeMultiplier(attackingType, [defendingType]);
+                const text = multiplier === TYPE_MULTIPLIERS.superEffective ? 'super_effective' :
+                            multiplier === TYPE_MULTIPLIERS.notVeryEffective ? 'not_very_effective' :
+                            multiplier === TYPE_MULTIPLIERS.doubleResisted ? 'double_resisted' : 'neutral';
+                            
+                rows.push([`${attackingType}_${defendingType}`, attackingType, defendingType, multiplier, text]);
+            }
+        }
+        
+        await this.runMany(`
+            INSERT OR REPLACE INTO dim_type_effectiveness 
+            (pk_effectiveness_id, fk_attacking_type_id, fk_defending_type_id, effectiveness_multiplier, effectiveness_text)
+            VALUES (?, ?, ?, ?, ?)
+        `, rows);
+    }
+
+    /**
+     * Seed the type chart into databases created before it was populated
+     */
+    async ensureTypeEffectiveness() {
+        const result = await this.get('SELECT COUNT(*) as count FROM dim_type_effectiveness');
+        
+        if (result.count < TYPE_IDS.length * TYPE_IDS.length) {
+            console.log('Populating type effectiveness chart...');
+            await this.transaction(tx => tx.initializeTypeEffectiveness());
         }
     }
 
@@ -155,12 +368,10 @@ class LocalDatabase {
             { id: 'gyms', name: 'Gyms', cpLimit: null, category: 'pve' }
         ];
         
-        for (const league of leagues) {
-            await this.run(`
-                INSERT INTO dim_leagues (pk_league_id, league_name, cp_limit, league_category, is_active)
-                VALUES (?, ?, ?, ?, ?)
-            `, [league.id, league.name, league.cpLimit, league.category, true]);
-        }
+        await this.runMany(`
+            INSERT INTO dim_leagues (pk_league_id, league_name, cp_limit, league_category, is_active)
+            VALUES (?, ?, ?, ?, ?)
+        `, leagues.map(league => [league.id, league.name, league.cpLimit, league.category, true]));
     }
 
     /**
@@ -176,12 +387,10 @@ class LocalDatabase {
             { id: 'overall', name: 'overall', description: 'Overall Performance', category: 'pvp' }
         ];
         
-        for (const scenario of scenarios) {
-            await this.run(`
-                INSERT INTO dim_battle_scenarios (pk_scenario_id, scenario_name, scenario_description, scenario_category)
-                VALUES (?, ?, ?, ?)
-            `, [scenario.id, scenario.name, scenario.description, scenario.category]);
-        }
+        await this.runMany(`
+            INSERT INTO dim_battle_scenarios (pk_scenario_id, scenario_name, scenario_description, scenario_category)
+            VALUES (?, ?, ?, ?)
+        `, scenarios.map(scenario => [scenario.id, scenario.name, scenario.description, scenario.category]));
     }
 
     /**
@@ -197,79 +406,183 @@ class LocalDatabase {
             { id: 'rocket_grunt', name: 'Rocket Grunt', description: 'Team Rocket Grunt', bossT: null, timeLimit: null, teamSize: 3 }
         ];
         
-        for (const scenario of scenarios) {
-            await this.run(`
-                INSERT INTO dim_pve_scenarios (pk_pve_scenario_id, scenario_name, scenario_description, boss_tier, time_limit, team_size)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `, [scenario.id, scenario.name, scenario.description, scenario.bossT, scenario.timeLimit, scenario.teamSize]);
-        }
+        await this.runMany(`
+            INSERT INTO dim_pve_scenarios (pk_pve_scenario_id, scenario_name, scenario_description, boss_tier, time_limit, team_size)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, scenarios.map(scenario => [
+            scenario.id, scenario.name, scenario.description, scenario.bossT, scenario.timeLimit, scenario.teamSize
+        ]));
     }
 
     /**
-     * Verify database structure and version
+     * Verify database structure and migrate it to the latest schema version
+     * Throws (leaving the loaded database and stored image untouched) if it cannot be migrated
      */
     async verifyDatabaseStructure() {
+        const previousVersion = this.migrator.getCurrentVersion(this.db);
+        
+        if (previousVersion === 0) {
+            console.log('Loaded database is empty, creating schema...');
+            await this.createNewDatabase();
+            return;
+        }
+        
+        const migratedDb = await this.migrator.migrate(this.db);
+        
+        if (migratedDb !== this.db) {
+            this.db.close();
+            this.db = migratedDb;
+            await this.saveDatabase();
+        }
+        
+        this.schemaVersion = this.migrator.getCurrentVersion(this.db);
+        
+        if (this.schemaVersion !== previousVersion) {
+            console.log(`Database schema migrated from version ${previousVersion} to ${this.schemaVersion}`);
+        }
+    }
+
+    /**
+     * Move a database saved by older versions (JSON array in localStorage) onto the binary backend
+     */
+    async migrateLegacyStorage() {
+        if (this.storage.kind === 'localstorage' || !LocalStorageAdapter.isSupported()) {
+            return;
+        }
+        
+        const legacyStorage = new LocalStorageAdapter(this.dbName);
+        
         try {
-            // Check if core tables exist
-            const tables = await this.all(`
-                SELECT name FROM sqlite_master 
-                WHERE type='table' AND name LIKE 'fact_%' OR name LIKE 'dim_%'
-            `);
-            
-            const requiredTables = [
-                'fact_pokemon', 'fact_pokemon_pvp_rankings', 'fact_pokemon_pve_tiers',
-                'dim_types', 'dim_moves', 'dim_leagues'
-            ];
-            
-            const existingTables = tables.map(t => t.name);
-            const missingTables = requiredTables.filter(t => !existingTables.includes(t));
-            
-            if (missingTables.length > 0) {
-                console.log('Missing tables detected, recreating database...');
-                await this.createNewDatabase();
+            const legacyDb = await legacyStorage.load();
+            
+            if (!legacyDb) {
+                return;
+            }
+            
+            // Never overwrite a database that already lives on the new backend
+            if (!(await this.storage.load())) {
+                console.log(`Migrating database from localStorage to ${this.storage.kind}...`);
+                await this.storage.save(legacyDb);
             }
             
+            await legacyStorage.clear();
+            console.log('Legacy localStorage database migrated');
+            
         } catch (error) {
-            console.error('Error verifying database structure:', error);
-            await this.createNewDatabase();
+            // Leave the legacy copy in place so a later launch can retry
+            console.error('Error migrating legacy localStorage database:', error);
         }
     }
 
     /**
-     * Save database to localStorage
+     * Save database to the configured storage backend
+     * Returns false (and keeps the error in lastSaveError) when the image could not be persisted
      */
-    saveDatabase() {
-        try {
-            const data = this.db.export();
-            const buffer = Array.from(data);
-            localStorage.setItem(this.dbName, JSON.stringify(buffer));
-            console.log('Database saved to localStorage');
-        } catch (error) {
-            console.error('Error saving database:', error);
+    async saveDatabase() {
+        if (this.worker) {
+            return await this.worker.request('save');
+        }
+        
+        // Serialize saves so an older image never overwrites a newer one
+        const save = this.saveQueue.then(async () => {
+            // Exporting closes and reopens the SQL.js database, which would discard an open
+            // transaction and free statements held by cancellable queries
+            if (this.transactionDepth > 0 || this.saveHolds > 0) {
+                this.isDirty = true;
+                return false;
+            }
+            
+            try {
+                this.isDirty = false;
+                const data = this.db.export();
+                await this.storage.save(data);
+                this.lastSaveError = null;
+                console.log(`Database saved to ${this.storage.kind}`);
+                return true;
+            } catch (error) {
+                this.isDirty = true;
+                this.lastSaveError = error;
+                
+                if (error.name === 'QuotaExceededError') {
+                    console.error('Database not saved, storage quota exceeded:', error.message);
+                } else {
+                    console.error('Error saving database:', error);
+                }
+                return false;
+            }
+        });
+        
+        this.saveQueue = save;
+        return await save;
+    }
+
+    /**
+     * Get storage backend details and quota usage
+     */
+    async getStorageInfo() {
+        if (this.worker) {
+            return await this.worker.request('getStorageInfo');
         }
+        
+        const estimate = await this.storage.estimateQuota();
+        const pageCount = this.db.exec('PRAGMA page_count')[0].values[0][0];
+        const pageSize = this.db.exec('PRAGMA page_size')[0].values[0][0];
+        const databaseSize = pageCount * pageSize;
+        
+        return {
+            backend: this.storage.kind,
+            databaseSize,
+            usage: estimate?.usage ?? null,
+            quota: estimate?.quota ?? null,
+            available: estimate?.quota ? estimate.quota - estimate.usage : null,
+            lastSaveError: this.lastSaveError ? this.lastSaveError.message : null
+        };
     }
 
     /**
      * Execute a SQL query that returns results
+     * @param {Object} options - { signal: AbortSignal; rows are then stepped in chunks so the query can be cancelled }
      */
-    async all(sql, params = []) {
-        if (!this.isInitialized) {
+    async all(sql, params = [], options = {}) {
+        if (this.worker) {
+            return await this.worker.request('all', { sql, params }, options);
+        }
+        
+        if (!this.db) {
             throw new Error('Database not initialized');
         }
         
+        const { signal } = options;
+        throwIfAborted(signal, 'Query cancelled');
+        
         try {
-            const stmt = this.db.prepare(sql);
+            const stmt = this.db.prepare(sql, params);
             const results = [];
             
-            while (stmt.step()) {
-                const row = stmt.getAsObject();
-                results.push(row);
+            // Exporting frees prepared statements, so hold saves while this one may yield
+            this.saveHolds++;
+            try {
+                while (stmt.step()) {
+                    const row = stmt.getAsObject();
+                    results.push(row);
+                    
+                    if (signal && results.length % QUERY_CHUNK_SIZE === 0) {
+                        await yieldToEventLoop();
+                        if (signal.aborted) {
+                            throw createAbortError(signal, 'Query cancelled');
+                        }
+                    }
+                }
+            } finally {
+                stmt.free();
+                this.releaseSaveHold();
             }
             
-            stmt.free();
             return results;
         } catch (error) {
-            console.error('Error executing query:', sql, params, error);
+            if (error.name !== 'AbortError') {
+                console.error('Error executing query:', sql, params, error);
+            }
             throw error;
         }
     }
@@ -277,16 +590,25 @@ class LocalDatabase {
     /**
      * Execute a SQL query that returns a single result
      */
-    async get(sql, params = []) {
-        const results = await this.all(sql, params);
+    async get(sql, params = [], options = {}) {
+        const results = await this.all(sql, params, options);
         return results.length > 0 ? results[0] : null;
     }
 
     /**
      * Execute a SQL query that doesn't return results
+     * Persistence is deferred: changes are saved once after saveDelay ms of quiet, or at commit
      */
     async run(sql, params = []) {
-        if (!this.isInitialized) {
+        while (this.isBlockedByTransaction()) {
+            await this.transactionQueue;
+        }
+        
+        if (this.worker) {
+            return await this.worker.request('run', { sql, params });
+        }
+        
+        if (!this.db) {
             throw new Error('Database not initialized');
         }
         
@@ -295,10 +617,10 @@ class LocalDatabase {
             stmt.run(params);
             stmt.free();
             
-            // Auto-save after modifications
-            this.saveDatabase();
+            const changes = this.db.getRowsModified();
+            this.markDirty();
             
-            return { changes: this.db.getRowsModified() };
+            return { changes };
         } catch (error) {
             console.error('Error executing statement:', sql, params, error);
             throw error;
@@ -306,156 +628,484 @@ class LocalDatabase {
     }
 
     /**
-     * Execute multiple SQL statements in a transaction
+     * Execute one prepared statement for many parameter sets inside a transaction
      */
-    async transaction(statements) {
-        if (!this.isInitialized) {
+    async runMany(sql, paramSets) {
+        if (this.worker) {
+            while (this.isBlockedByTransaction()) {
+                await this.transactionQueue;
+            }
+            return await this.worker.request('runMany', { sql, paramSets });
+        }
+        
+        if (!this.db) {
             throw new Error('Database not initialized');
         }
         
-        try {
-            this.db.run('BEGIN TRANSACTION');
+        return await this.transaction(async () => {
+            const stmt = this.db.prepare(sql);
+            let changes = 0;
             
-            for (const { sql, params } of statements) {
-                await this.run(sql, params);
+            try {
+                for (const params of paramSets) {
+                    stmt.run(params);
+                    changes += this.db.getRowsModified();
+                }
+            } catch (error) {
+                console.error('Error executing batched statement:', sql, error);
+                throw error;
+            } finally {
+                stmt.free();
             }
             
-            this.db.run('COMMIT');
-            this.saveDatabase();
-            
-        } catch (error) {
-            this.db.run('ROLLBACK');
-            console.error('Transaction failed:', error);
-            throw error;
-        }
+            this.markDirty();
+            return { changes };
+        });
     }
 
     /**
-     * Search Pokemon by name, number, or type
+     * Bulk insert rows (objects keyed by column name) into a table
+     * @param {Object} options - { columns: column order (defaults to the first row's keys), onConflict: 'REPLACE' | 'IGNORE' }
      */
-    async searchPokemon(query, filters = {}) {
-        let sql = `
-            SELECT 
-                p.pk_pokemon_id,
-                p.pokemon_number,
-                p.pokemon_name,
-                p.form,
-                p.base_attack,
-                p.base_defense,
-                p.base_stamina,
-                p.max_cp,
-                p.generation,
-                p.is_legendary,
-                p.is_mythical,
-                t1.type_name as primary_type,
-                t2.type_name as secondary_type,
-                f.family_name,
-                f.candy_type
-            FROM fact_pokemon p
-            LEFT JOIN dim_types t1 ON p.fk_primary_type_id = t1.pk_type_id
-            LEFT JOIN dim_types t2 ON p.fk_secondary_type_id = t2.pk_type_id
-            LEFT JOIN dim_pokemon_families f ON p.fk_pokemon_family_id = f.pk_family_id
-            WHERE p.is_active = 1
-        `;
-        
-        const params = [];
-        
-        // Add search conditions
-        if (query) {
-            sql += ' AND (p.pokemon_name LIKE ? OR p.pokemon_number = ?)';
-            params.push(`%${query}%`, parseInt(query) || 0);
+    async insertMany(table, rows, options = {}) {
+        if (rows.length === 0) {
+            return { changes: 0 };
         }
         
-        // Add filters
-        if (filters.type) {
-            sql += ' AND (t1.type_name = ? OR t2.type_name = ?)';
-            params.push(filters.type, filters.type);
-        }
+        const columns = options.columns || Object.keys(rows[0]);
+        const conflict = options.onConflict ? ` OR ${options.onConflict}` : '';
+        const sql = `
+            INSERT${conflict} INTO ${table} (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})
+        `;
         
-        if (filters.generation) {
-            sql += ' AND p.generation = ?';
-            params.push(filters.generation);
+        return await this.runMany(sql, rows.map(row => columns.map(column => row[column] ?? null)));
+    }
+
+    /**
+     * Execute work in a transaction
+     * work is called with a transaction handle: this database as seen from inside the transaction. Calls made
+     * on the handle are part of the transaction, and transaction() calls on it become nested savepoints, so an
+     * inner failure only rolls back the inner work. Top-level transactions are queued so only one is open at
+     * a time, and writes made on the database itself wait until it has finished: sql.js has a single
+     * connection, so anything else issued while a transaction is open would become part of it. Work must
+     * therefore only write through its handle. Also accepts an array of { sql, params } statements.
+     */
+    async transaction(work) {
+        if (!this.db && !this.worker) {
+            throw new Error('Database not initialized');
         }
         
-        if (filters.legendary !== undefined) {
-            sql += ' AND p.is_legendary = ?';
-            params.push(filters.legendary);
+        if (Array.isArray(work)) {
+            const statements = work;
+            work = async tx => {
+                for (const { sql, params } of statements) {
+                    await tx.run(sql, params);
+                }
+            };
         }
         
-        if (filters.mythical !== undefined) {
-            sql += ' AND p.is_mythical = ?';
-            params.push(filters.mythical);
+        if (this.transactionScope?.open) {
+            return await this.runTransactionLevel(this, work);
         }
         
-        // Add ordering
-        sql += ' ORDER BY p.pokemon_number ASC, p.form ASC';
+        const turn = this.transactionQueue.then(async () => {
+            const scope = { open: true };
+            this.activeTransaction = scope;
+            
+            try {
+                return await this.runTransactionLevel(this.createTransactionHandle(scope), work);
+            } finally {
+                scope.open = false;
+                this.activeTransaction = null;
+            }
+        });
         
-        // Add limit
-        if (filters.limit) {
-            sql += ' LIMIT ?';
-            params.push(filters.limit);
+        this.transactionQueue = turn.catch(() => {});
+        return await turn;
+    }
+
+    /**
+     * Run work in one transaction level (the transaction itself or a savepoint) of the handle's transaction
+     */
+    async runTransactionLevel(tx, work) {
+        await tx.beginTransaction();
+        
+        let result;
+        try {
+            result = await work(tx);
+        } catch (error) {
+            await tx.rollbackTransaction();
+            
+            if (this.transactionDepth === 0) {
+                console.error('Transaction failed:', error);
+            }
+            throw error;
         }
         
-        return await this.all(sql, params);
+        await tx.commitTransaction();
+        return result;
     }
 
     /**
-     * Get Pokemon PvP rankings
+     * View of this database bound to one top-level transaction: reads and writes go to the same database,
+     * but the handle is exempt from waiting for the transaction and nests transaction() calls inside it
      */
-    async getPokemonPvPRankings(pokemonId, leagueId = null) {
-        let sql = `
-            SELECT 
-                r.pk_pvp_ranking_id,
-                r.fk_pokemon_id,
-                l.league_name,
-                s.scenario_name,
-                r.pvp_rank_percent,
-                r.pvp_rank_number,
-                r.pvp_score,
-                r.stat_product,
-                ms.moveset_name,
-                ms.pk_moveset_id
-            FROM fact_pokemon_pvp_rankings r
-            JOIN dim_leagues l ON r.fk_league_id = l.pk_league_id
-            JOIN dim_battle_scenarios s ON r.fk_scenario_id = s.pk_scenario_id
-            JOIN dim_movesets ms ON r.fk_moveset_id = ms.pk_moveset_id
-            WHERE r.fk_pokemon_id = ? AND r.is_current = 1
-        `;
+    createTransactionHandle(scope) {
+        return new Proxy(this, {
+            get: (target, property, receiver) =>
+                property === 'transactionScope' ? scope : Reflect.get(target, property, receiver)
+        });
+    }
+
+    /**
+     * Whether a transaction other than the caller's own is open
+     * Writers check it right before writing (without awaiting in between), so no transaction can start in the gap
+     */
+    isBlockedByTransaction() {
+        return this.activeTransaction !== null && this.activeTransaction !== this.transactionScope;
+    }
+
+    /**
+     * Open a transaction, or a savepoint when one is already open
+     */
+    async beginTransaction() {
+        if (this.worker) {
+            await this.worker.request('begin');
+        } else {
+            const depth = this.transactionDepth;
+            this.db.run(depth === 0 ? 'BEGIN TRANSACTION' : `SAVEPOINT sp_${depth}`);
+        }
         
-        const params = [pokemonId];
+        this.transactionDepth++;
+    }
+
+    /**
+     * Commit the innermost transaction level; the outermost commit is persisted immediately
+     */
+    async commitTransaction() {
+        this.transactionDepth--;
         
-        if (leagueId) {
-            sql += ' AND r.fk_league_id = ?';
-            params.push(leagueId);
+        if (this.worker) {
+            await this.worker.request('commit');
+            return;
         }
         
-        sql += ' ORDER BY r.pvp_rank_percent DESC, l.league_name, s.scenario_name';
+        const depth = this.transactionDepth;
+        this.db.run(depth === 0 ? 'COMMIT' : `RELEASE SAVEPOINT sp_${depth}`);
         
-        return await this.all(sql, params);
+        // Persist once per committed top-level transaction
+        if (depth === 0) {
+            await this.flush();
+        }
     }
 
     /**
-     * Get Pokemon PvE tiers
+     * Roll back the innermost transaction level
      */
-    async getPokemonPvETiers(pokemonId, defendingType = null) {
-        let sql = `
-            SELECT 
-                t.pk_pve_tier_id,
-                t.fk_pokemon_id,
-                at.type_name as attacking_type,
-                dt.type_name as defending_type,
+    async rollbackTransaction() {
+        this.transactionDepth--;
+        
+        if (this.worker) {
+            await this.worker.request('rollback');
+            return;
+        }
+        
+        const depth = this.transactionDepth;
+        if (depth === 0) {
+            this.db.run('ROLLBACK');
+        } else {
+            this.db.run(`ROLLBACK TO SAVEPOINT sp_${depth}`);
+            this.db.run(`RELEASE SAVEPOINT sp_${depth}`);
+        }
+    }
+
+    /**
+     * Whether a transaction is currently open
+     */
+    inTransaction() {
+        return this.transactionDepth > 0;
+    }
+
+    /**
+     * Record an unsaved modification and schedule a coalesced save
+     */
+    markDirty() {
+        this.isDirty = true;
+        
+        if (this.transactionDepth > 0 || this.saveHolds > 0 || this.saveTimer) {
+            return;
+        }
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush().catch(error => console.error('Error flushing database:', error));
+        }, this.saveDelay);
+    }
+
+    /**
+     * Save pending modifications now (no-op when clean or inside a transaction)
+     */
+    async flush() {
+        if (this.worker) {
+            return await this.worker.request('flush');
+        }
+        
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        
+        if (!this.isDirty || this.transactionDepth > 0 || this.saveHolds > 0) {
+            return false;
+        }
+        
+        return await this.saveDatabase();
+    }
+
+    /**
+     * End a save hold taken by a cancellable query and reschedule any deferred save
+     */
+    releaseSaveHold() {
+        this.saveHolds--;
+        
+        if (this.saveHolds === 0 && this.isDirty) {
+            this.markDirty();
+        }
+    }
+
+    /**
+     * Get the fuzzy search index, rebuilding it when the Pokemon or move data has changed
+     */
+    async getSearchIndex() {
+        const [state] = await this.all(`
+            SELECT 
+                (SELECT COUNT(*) FROM fact_pokemon) || ':' ||
+                (SELECT IFNULL(MAX(updated_at), '') FROM fact_pokemon) || ':' ||
+                (SELECT COUNT(*) FROM dim_moves) || ':' ||
+                (SELECT COUNT(*) FROM bridge_pokemon_available_moves) || ':' ||
+                (SELECT IFNULL(MAX(updated_at), '') FROM dim_pokemon_families) as signature
+        `);
+        
+        if (this.searchIndex && this.searchIndex.signature === state.signature) {
+            return this.searchIndex;
+        }
+        
+        const pokemon = await this.all(`
+            SELECT 
+                p.pk_pokemon_id,
+                p.pokemon_number,
+                p.pokemon_name,
+                p.form,
+                p.is_shadow_available,
+                p.is_mega_available,
+                f.family_name
+            FROM fact_pokemon p
+            LEFT JOIN dim_pokemon_families f ON p.fk_pokemon_family_id = f.pk_family_id
+            WHERE p.is_active = 1
+        `);
+        
+        const moves = await this.all(`
+            SELECT bm.fk_pokemon_id, m.move_name
+            FROM bridge_pokemon_available_moves bm
+            JOIN dim_moves m ON bm.fk_move_id = m.pk_move_id
+        `);
+        
+        this.searchIndex = new PokemonSearchIndex().build(pokemon, moves, state.signature);
+        return this.searchIndex;
+    }
+
+    /**
+     * Drop the search index so the next search rebuilds it
+     */
+    invalidateSearchIndex() {
+        this.searchIndex = null;
+    }
+
+    /**
+     * Rank Pokemon against a free-text query (names, forms, families, moves; typo tolerant)
+     * @returns {Array|null} [{ id, score }] best first, or null when the query is empty, a dex number
+     *                       or an in-game search string
+     */
+    async findSearchMatches(query) {
+        const text = query === undefined || query === null ? '' : String(query).trim();
+        
+        if (!text || /^\d+$/.test(text) || GameSearchQuery.isSearchString(text)) {
+            return null;
+        }
+        
+        const index = await this.getSearchIndex();
+        return index.search(text, { limit: SEARCH_MATCH_LIMIT });
+    }
+
+    /**
+     * Order rows by search score and attach it as search_score
+     */
+    applySearchRanking(rows, matches, limit = null) {
+        const scores = new Map(matches.map((match, rank) => [match.id, { score: match.score, rank }]));
+        
+        const ranked = rows
+            .filter(row => scores.has(row.pk_pokemon_id))
+            .map(row => ({ ...row, search_score: scores.get(row.pk_pokemon_id).score }))
+            .sort((a, b) => scores.get(a.pk_pokemon_id).rank - scores.get(b.pk_pokemon_id).rank);
+        
+        return limit ? ranked.slice(0, limit) : ranked;
+    }
+
+    /**
+     * Search Pokemon by name, form, family, move or number (fuzzy and prefix aware), with optional type filters
+     * In-game search strings ("dragon&legendary", "1-151&!shadow") are also accepted
+     */
+    async searchPokemon(query, filters = {}) {
+        const matches = await this.findSearchMatches(query);
+        
+        if (matches && matches.length === 0) {
+            return [];
+        }
+        
+        let sql = `
+            SELECT 
+                p.pk_pokemon_id,
+                p.pokemon_number,
+                p.pokemon_name,
+                p.form,
+                p.base_attack,
+                p.base_defense,
+                p.base_stamina,
+                p.max_cp,
+                p.generation,
+                p.is_legendary,
+                p.is_mythical,
+                t1.type_name as primary_type,
+                t2.type_name as secondary_type,
+                f.family_name,
+                f.candy_type
+            FROM fact_pokemon p
+            LEFT JOIN dim_types t1 ON p.fk_primary_type_id = t1.pk_type_id
+            LEFT JOIN dim_types t2 ON p.fk_secondary_type_id = t2.pk_type_id
+            LEFT JOIN dim_pokemon_families f ON p.fk_pokemon_family_id = f.pk_family_id
+            WHERE p.is_active = 1
+        `;
+        
+        const params = [];
+        
+        // Add search conditions
+        if (matches) {
+            sql += ` AND p.pk_pokemon_id IN (${matches.map(() => '?').join(', ')})`;
+            params.push(...matches.map(match => match.id));
+        } else if (GameSearchQuery.isSearchString(query)) {
+            const search = GameSearchQuery.parse(query).toSql({ scope: 'species' });
+            sql += ` AND ${search.sql}`;
+            params.push(...search.params);
+        } else if (query) {
+            sql += ' AND p.pokemon_number = ?';
+            params.push(parseInt(query));
+        }
+        
+        // Add filters
+        if (filters.type) {
+            sql += ' AND (t1.type_name = ? OR t2.type_name = ?)';
+            params.push(filters.type, filters.type);
+        }
+        
+        if (filters.generation) {
+            sql += ' AND p.generation = ?';
+            params.push(filters.generation);
+        }
+        
+        if (filters.legendary !== undefined) {
+            sql += ' AND p.is_legendary = ?';
+            params.push(filters.legendary);
+        }
+        
+        if (filters.mythical !== undefined) {
+            sql += ' AND p.is_mythical = ?';
+            params.push(filters.mythical);
+        }
+        
+        // Text searches are ordered by relevance afterwards
+        if (matches) {
+            return this.applySearchRanking(await this.all(sql, params), matches, filters.limit);
+        }
+        
+        // Add ordering
+        sql += ' ORDER BY p.pokemon_number ASC, p.form ASC';
+        
+        // Add limit
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+        
+        return await this.all(sql, params);
+    }
+
+    /**
+     * Get Pokemon PvP rankings
+     * @param {Object} options - { asOf: date (Date or YYYY-MM-DD) to read historical rankings instead of current ones }
+     */
+    async getPokemonPvPRankings(pokemonId, leagueId = null, options = {}) {
+        let sql = `
+            SELECT 
+                r.pk_pvp_ranking_id,
+                r.fk_pokemon_id,
+                l.league_name,
+                s.scenario_name,
+                r.pvp_rank_percent,
+                r.pvp_rank_number,
+                r.pvp_score,
+                r.stat_product,
+                r.effective_from_date,
+                r.effective_to_date,
+                ms.moveset_name,
+                ms.pk_moveset_id
+            FROM fact_pokemon_pvp_rankings r
+            JOIN dim_leagues l ON r.fk_league_id = l.pk_league_id
+            JOIN dim_battle_scenarios s ON r.fk_scenario_id = s.pk_scenario_id
+            JOIN dim_movesets ms ON r.fk_moveset_id = ms.pk_moveset_id
+            WHERE r.fk_pokemon_id = ?
+        `;
+        
+        const params = [pokemonId];
+        
+        sql += ` AND ${this.effectiveDateCondition('r', options.asOf, params)}`;
+        
+        if (leagueId) {
+            sql += ' AND r.fk_league_id = ?';
+            params.push(leagueId);
+        }
+        
+        sql += ' ORDER BY r.pvp_rank_percent DESC, l.league_name, s.scenario_name';
+        
+        return await this.all(sql, params);
+    }
+
+    /**
+     * Get Pokemon PvE tiers
+     * @param {Object} options - { asOf: date (Date or YYYY-MM-DD) to read historical tiers instead of current ones }
+     */
+    async getPokemonPvETiers(pokemonId, defendingType = null, options = {}) {
+        let sql = `
+            SELECT 
+                t.pk_pve_tier_id,
+                t.fk_pokemon_id,
+                at.type_name as attacking_type,
+                dt.type_name as defending_type,
                 t.tier_rank,
                 t.tier_score,
                 t.effectiveness_rating,
-                t.pve_overall_rank
+                t.pve_overall_rank,
+                t.fk_source_id
             FROM fact_pokemon_pve_tiers t
             JOIN dim_types at ON t.fk_attacking_type_id = at.pk_type_id
             JOIN dim_types dt ON t.fk_defending_type_id = dt.pk_type_id
-            WHERE t.fk_pokemon_id = ? AND t.is_current = 1
+            WHERE t.fk_pokemon_id = ?
         `;
         
         const params = [pokemonId];
         
+        sql += ` AND ${this.effectiveDateCondition('t', options.asOf, params)}`;
+        
         if (defendingType) {
             sql += ' AND dt.type_name = ?';
             params.push(defendingType);
@@ -466,6 +1116,129 @@ class LocalDatabase {
         return await this.all(sql, params);
     }
 
+    /**
+     * SQL condition selecting the rows of a slowly-changing fact table valid on a date
+     * (the current rows when asOf is omitted)
+     */
+    effectiveDateCondition(alias, asOf, params) {
+        if (!asOf) {
+            return `${alias}.is_current = 1`;
+        }
+        
+        const date = this.toDateId(asOf);
+        params.push(date, date);
+        
+        return `(${alias}.effective_from_date <= ? AND (${alias}.effective_to_date IS NULL OR ${alias}.effective_to_date > ?))`;
+    }
+
+    /**
+     * Normalize a Date or date string to YYYY-MM-DD
+     */
+    toDateId(value) {
+        if (value instanceof Date) {
+            return value.toISOString().split('T')[0];
+        }
+        
+        const text = String(value);
+        
+        if (!/^\d{4}-\d{2}-\d{2}/.test(text)) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        
+        return text.slice(0, 10);
+    }
+
+    /**
+     * Rank history of a Pokemon in a league and scenario, oldest first
+     * Each point covers effective_from_date up to (excluding) effective_to_date; rank_change is
+     * positive when the Pokemon moved up compared with the previous point
+     */
+    async getPokemonRankingTrend(pokemonId, leagueId, scenario = 'overall') {
+        const rows = await this.all(`
+            SELECT 
+                r.effective_from_date,
+                r.effective_to_date,
+                r.is_current,
+                r.pvp_rank_number,
+                r.pvp_rank_percent,
+                r.pvp_score,
+                ms.moveset_name
+            FROM fact_pokemon_pvp_rankings r
+            LEFT JOIN dim_movesets ms ON r.fk_moveset_id = ms.pk_moveset_id
+            WHERE r.fk_pokemon_id = ? AND r.fk_league_id = ? AND r.fk_scenario_id = ?
+            ORDER BY r.effective_from_date ASC, r.created_at ASC
+        `, [pokemonId, leagueId, scenario]);
+        
+        return rows.map((row, index) => {
+            const previous = rows[index - 1];
+            
+            return {
+                ...row,
+                rank_change: previous && previous.pvp_rank_number !== null && row.pvp_rank_number !== null ?
+                    previous.pvp_rank_number - row.pvp_rank_number : null
+            };
+        });
+    }
+
+    /**
+     * Compare two ranking snapshots of a league and scenario
+     * @returns {Object} { risers, fallers, entered, dropped }; rank_change is positive for Pokemon that moved up
+     */
+    async getRankingMovers(leagueId, scenario, fromDate, toDate = null, options = {}) {
+        const limit = options.limit || 20;
+        const params = [];
+        const fromCondition = this.effectiveDateCondition('r', fromDate, params);
+        params.push(leagueId, scenario);
+        const toCondition = this.effectiveDateCondition('r', toDate, params);
+        params.push(leagueId, scenario);
+        
+        const rows = await this.all(`
+            WITH before AS (
+                SELECT r.fk_pokemon_id, r.pvp_rank_number, r.pvp_rank_percent
+                FROM fact_pokemon_pvp_rankings r
+                WHERE ${fromCondition} AND r.fk_league_id = ? AND r.fk_scenario_id = ?
+            ),
+            after AS (
+                SELECT r.fk_pokemon_id, r.pvp_rank_number, r.pvp_rank_percent
+                FROM fact_pokemon_pvp_rankings r
+                WHERE ${toCondition} AND r.fk_league_id = ? AND r.fk_scenario_id = ?
+            ),
+            pokemon_ids AS (
+                SELECT fk_pokemon_id FROM before
+                UNION
+                SELECT fk_pokemon_id FROM after
+            )
+            SELECT 
+                ids.fk_pokemon_id,
+                p.pokemon_name,
+                p.form,
+                b.pvp_rank_number as previous_rank,
+                a.pvp_rank_number as current_rank,
+                b.pvp_rank_percent as previous_rank_percent,
+                a.pvp_rank_percent as current_rank_percent,
+                b.pvp_rank_number - a.pvp_rank_number as rank_change
+            FROM pokemon_ids ids
+            LEFT JOIN before b ON b.fk_pokemon_id = ids.fk_pokemon_id
+            LEFT JOIN after a ON a.fk_pokemon_id = ids.fk_pokemon_id
+            LEFT JOIN fact_pokemon p ON p.pk_pokemon_id = ids.fk_pokemon_id
+        `, params);
+        
+        const moved = rows.filter(row => row.rank_change !== null && row.rank_change !== 0);
+        
+        return {
+            risers: moved.filter(row => row.rank_change > 0)
+                .sort((a, b) => b.rank_change - a.rank_change)
+                .slice(0, limit),
+            fallers: moved.filter(row => row.rank_change < 0)
+                .sort((a, b) => a.rank_change - b.rank_change)
+                .slice(0, limit),
+            entered: rows.filter(row => row.previous_rank === null && row.current_rank !== null)
+                .sort((a, b) => a.current_rank - b.current_rank),
+            dropped: rows.filter(row => row.current_rank === null && row.previous_rank !== null)
+                .sort((a, b) => a.previous_rank - b.previous_rank)
+        };
+    }
+
     /**
      * Get Pokemon evolution chain
      */
@@ -498,6 +1271,94 @@ class LocalDatabase {
         return await this.all(sql, [pokemonId, pokemonId]);
     }
 
+    /**
+     * CP cap of a league (null for leagues without one, such as Master League)
+     */
+    async getLeagueCpCap(leagueId) {
+        const league = await this.get('SELECT cp_limit FROM dim_leagues WHERE pk_league_id = ?', [leagueId]);
+        if (!league) {
+            throw new Error(`Unknown league: ${leagueId}`);
+        }
+        return league.cp_limit;
+    }
+
+    /**
+     * League IV ranking of a species, computed from its base stats (see StatsCalculator.rankIVs)
+     * @param {Object} options - { limit (default 50), bestBuddy: allow level 51, minIV: lowest IV of each stat }
+     * @returns {Object} { pokemon: { pk_pokemon_id, pokemon_name, form }, league, cpCap, combinations: IV combinations
+     *                   that fit under the cap, rankings: the best `limit` of them }
+     */
+    async getIVRankings(pokemonId, leagueId = 'great', options = {}) {
+        const pokemon = await this.getStatsPokemon(pokemonId);
+        const cpCap = await this.getLeagueCpCap(leagueId);
+        const rankings = this.statsCalculator.rankIVs(pokemon, cpCap, options);
+        
+        return {
+            pokemon: { pk_pokemon_id: pokemon.pk_pokemon_id, pokemon_name: pokemon.pokemon_name, form: pokemon.form },
+            league: leagueId,
+            cpCap,
+            combinations: rankings.length,
+            rankings: rankings.slice(0, options.limit || 50)
+        };
+    }
+
+    /**
+     * League rank of one IV combination of a species, e.g. an owned Pokemon's IVs after evolving it
+     * @param {Object} ivs - { atk_iv, def_iv, sta_iv }
+     * @param {Object} options - { bestBuddy, minIV } (see getIVRankings)
+     * @returns {Object|null} StatsCalculator ranking entry with pk_pokemon_id, pokemon_name, form and league, or null
+     *                        when the IVs are below minIV or cannot fit under the cap even at level 1
+     */
+    async getIVRank(pokemonId, leagueId, ivs, options = {}) {
+        const pokemon = await this.getStatsPokemon(pokemonId);
+        const cpCap = await this.getLeagueCpCap(leagueId);
+        const entry = this.statsCalculator.getIVRank(pokemon, ivs, cpCap, options);
+        
+        return entry && {
+            pk_pokemon_id: pokemon.pk_pokemon_id,
+            pokemon_name: pokemon.pokemon_name,
+            form: pokemon.form,
+            league: leagueId,
+            ...entry
+        };
+    }
+
+    async getStatsPokemon(pokemonId) {
+        const pokemon = await this.get(`
+            SELECT pk_pokemon_id, pokemon_name, form, base_attack, base_defense, base_stamina
+            FROM fact_pokemon
+            WHERE pk_pokemon_id = ? AND base_attack > 0
+        `, [pokemonId]);
+        
+        if (!pokemon) {
+            throw new Error(`Unknown Pokemon: ${pokemonId}`);
+        }
+        return pokemon;
+    }
+
+    /**
+     * Every species a Pokemon can evolve into, through all later stages (Mega Evolutions excluded), nearest first
+     */
+    async getLaterEvolutions(pokemonId) {
+        const found = new Set([pokemonId]);
+        const later = [];
+        let stage = [pokemonId];
+        
+        while (stage.length > 0) {
+            const rows = await this.all(`
+                SELECT DISTINCT fk_to_pokemon_id
+                FROM dim_pokemon_evolutions
+                WHERE fk_from_pokemon_id IN (${stage.map(() => '?').join(', ')}) AND is_mega_evolution = 0
+            `, stage);
+            
+            stage = rows.map(row => row.fk_to_pokemon_id).filter(id => !found.has(id));
+            stage.forEach(id => found.add(id));
+            later.push(...stage);
+        }
+        
+        return later;
+    }
+
     /**
      * Get available moves for a Pokemon
      */
@@ -550,12 +1411,12 @@ class LocalDatabase {
         const params = [];
         
         if (attackingType) {
-            sql += ' AND at.type_name = ?';
+            sql += ' AND LOWER(at.type_name) = LOWER(?)';
             params.push(attackingType);
         }
         
         if (defendingType) {
-            sql += ' AND dt.type_name = ?';
+            sql += ' AND LOWER(dt.type_name) = LOWER(?)';
             params.push(defendingType);
         }
         
@@ -564,6 +1425,746 @@ class LocalDatabase {
         return await this.all(sql, params);
     }
 
+    /**
+     * Combined defensive profile of a single or dual type Pokemon
+     * @param {string} primaryType - type id or name (e.g. 'dragon' or 'Dragon')
+     * @param {string|null} secondaryType
+     * @returns {Object} { types, multipliers, weaknesses, resistances, doubleResistances, neutral }
+     *                   where each list holds { type, typeName, multiplier } sorted strongest first
+     */
+    async getDefensiveProfile(primaryType, secondaryType = null) {
+        const defendingTypes = [primaryType, secondaryType]
+            .filter(Boolean)
+            .map(type => String(type).toLowerCase());
+        
+        if (defendingTypes.length === 0) {
+            throw new Error('At least one type is required');
+        }
+        
+        const rows = await this.all(`
+            SELECT 
+                e.fk_attacking_type_id as type,
+                at.type_name,
+                e.fk_defending_type_id,
+                e.effectiveness_multiplier
+            FROM dim_type_effectiveness e
+            JOIN dim_types at ON e.fk_attacking_type_id = at.pk_type_id
+            WHERE e.fk_defending_type_id IN (${defendingTypes.map(() => '?').join(', ')})
+        `, defendingTypes);
+        
+        // Multiply across both defending types
+        const byAttacker = new Map();
+        for (const row of rows) {
+            const entry = byAttacker.get(row.type) || { type: row.type, typeName: row.type_name, multiplier: 1 };
+            entry.multiplier *= row.effectiveness_multiplier;
+            byAttacker.set(row.type, entry);
+        }
+        
+        const entries = Array.from(byAttacker.values())
+            .map(entry => ({ ...entry, multiplier: Math.round(entry.multiplier * 1000000) / 1000000 }))
+            .sort((a, b) => b.multiplier - a.multiplier || a.type.localeCompare(b.type));
+        
+        const byResistance = (a, b) => a.multiplier - b.multiplier || a.type.localeCompare(b.type);
+        
+        return {
+            types: defendingTypes,
+            multipliers: Object.fromEntries(entries.map(entry => [entry.type, entry.multiplier])),
+            weaknesses: entries.filter(entry => entry.multiplier > TYPE_MULTIPLIERS.neutral),
+            resistances: entries.filter(entry => entry.multiplier < TYPE_MULTIPLIERS.neutral && entry.multiplier > TYPE_MULTIPLIERS.doubleResisted).sort(byResistance),
+            doubleResistances: entries.filter(entry => entry.multiplier <= TYPE_MULTIPLIERS.doubleResisted).sort(byResistance),
+            neutral: entries.filter(entry => entry.multiplier === TYPE_MULTIPLIERS.neutral)
+        };
+    }
+
+    /**
+     * Defensive profile for a Pokemon from its primary and secondary types
+     */
+    async getPokemonDefensiveProfile(pokemonId) {
+        const pokemon = await this.get(`
+            SELECT fk_primary_type_id, fk_secondary_type_id
+            FROM fact_pokemon
+            WHERE pk_pokemon_id = ?
+        `, [pokemonId]);
+        
+        if (!pokemon || !pokemon.fk_primary_type_id) {
+            return null;
+        }
+        
+        return await this.getDefensiveProfile(pokemon.fk_primary_type_id, pokemon.fk_secondary_type_id);
+    }
+
+    /**
+     * Signature of the data the stored PvE metrics are computed from
+     */
+    async getPvEMetricsSignature() {
+        const state = await this.get(`
+            SELECT 
+                (SELECT COUNT(*) FROM fact_pokemon) || ':' ||
+                (SELECT IFNULL(MAX(updated_at), '') FROM fact_pokemon) || ':' ||
+                (SELECT COUNT(*) FROM dim_moves) || ':' ||
+                (SELECT IFNULL(MAX(updated_at), '') FROM dim_moves) || ':' ||
+                (SELECT COUNT(*) FROM bridge_pokemon_available_moves) || ':' ||
+                (SELECT COUNT(*) FROM dim_pve_scenarios) as signature
+        `);
+        
+        return `pve-metrics-v${PVE_METRICS_VERSION}:${state.signature}`;
+    }
+
+    /**
+     * Active Pokemon with the moves they learn that have PvE stats, and the PvE scenarios
+     * @returns {Object} { pokemon, learnsets: Map pokemonId -> { fast: [moves], charged: [moves] },
+     *                     learners: Map moveId -> Set of the Pokemon that learn it (with or without PvE stats), scenarios }
+     */
+    async loadPvECalculationData(pokemonId = null) {
+        const filter = pokemonId ? 'AND p.pk_pokemon_id = ?' : '';
+        const params = pokemonId ? [pokemonId] : [];
+        
+        const pokemon = await this.all(`
+            SELECT p.pk_pokemon_id, p.pokemon_name, p.form, p.base_attack, p.base_defense, p.base_stamina,
+                   p.fk_primary_type_id, p.fk_secondary_type_id
+            FROM fact_pokemon p
+            WHERE p.is_active = 1 AND p.base_attack > 0 ${filter}
+            ORDER BY p.pokemon_number, p.pk_pokemon_id
+        `, params);
+        
+        const moves = await this.all(`
+            SELECT bm.fk_pokemon_id, m.pk_move_id, m.move_name, m.move_category, m.fk_move_type_id,
+                   m.pve_power, m.pve_energy_delta, m.pve_duration
+            FROM bridge_pokemon_available_moves bm
+            JOIN fact_pokemon p ON bm.fk_pokemon_id = p.pk_pokemon_id
+            JOIN dim_moves m ON bm.fk_move_id = m.pk_move_id
+            WHERE p.is_active = 1 ${filter}
+        `, params);
+        
+        const learners = new Map();
+        for (const move of moves) {
+            if (!learners.has(move.pk_move_id)) {
+                learners.set(move.pk_move_id, new Set());
+            }
+            learners.get(move.pk_move_id).add(move.fk_pokemon_id);
+        }
+        
+        const learnsets = new Map();
+        for (const move of moves.filter(PvECalculator.hasPvEStats)) {
+            if (!learnsets.has(move.fk_pokemon_id)) {
+                learnsets.set(move.fk_pokemon_id, { fast: [], charged: [] });
+            }
+            learnsets.get(move.fk_pokemon_id)[move.move_category === 'fast' ? 'fast' : 'charged'].push(move);
+        }
+        
+        const scenarios = await this.all('SELECT * FROM dim_pve_scenarios ORDER BY pk_pve_scenario_id');
+        
+        return { pokemon, learnsets, learners, scenarios };
+    }
+
+    /**
+     * Recompute fact_pokemon_pve_performance_metrics when the Pokemon, moves or scenarios changed since the last run
+     * Every fast/charged move pair a Pokemon learns is evaluated against each target type and PvE scenario; the best
+     * moveset of each Pokemon is ranked and the top PVE_METRICS_TOP_N per type and scenario are stored. Changed rows
+     * close the current row and add a new one, like the rankings. Reads and writes share one transaction, so the
+     * metrics always match the data they were computed from. DataUpdateManager passes the Pokemon and moves an update
+     * or rollback changed, and only those Pokemon are recomputed
+     * @param {Object} options - { pokemonIds, moveIds: changed Pokemon and moves (default: recompute every Pokemon),
+     *                            force: recompute even when nothing changed, signal: AbortSignal to cancel }
+     * @returns {Object} { refreshed, added, modified }
+     */
+    async refreshPvEMetrics(options = {}) {
+        return await this.transaction(tx => tx.computePvEMetrics(options));
+    }
+
+    /**
+     * refreshPvEMetrics() inside the caller's transaction
+     */
+    async computePvEMetrics(options = {}) {
+        const signature = await this.getPvEMetricsSignature();
+        const stored = await this.get(`
+            SELECT data_source_version FROM fact_pokemon_pve_performance_metrics WHERE is_current = 1 LIMIT 1
+        `);
+        const partial = Boolean(options.pokemonIds || options.moveIds);
+        
+        if (!options.force && !partial && stored?.data_source_version === signature) {
+            return { refreshed: false, added: 0, modified: 0 };
+        }
+        
+        const { pokemon, learnsets, learners, scenarios } = await this.loadPvECalculationData();
+        const eligible = pokemon.filter(row => {
+            const learnset = learnsets.get(row.pk_pokemon_id);
+            return learnset && learnset.fast.length > 0 && learnset.charged.length > 0;
+        });
+        
+        // The other Pokemon keep their stored rows when those were computed by this calculator version
+        let changed = null;
+        if (partial && !options.force && stored?.data_source_version?.startsWith(`pve-metrics-v${PVE_METRICS_VERSION}:`)) {
+            changed = new Set(options.pokemonIds || []);
+            for (const moveId of options.moveIds || []) {
+                for (const pokemonId of learners.get(moveId) || []) {
+                    changed.add(pokemonId);
+                }
+            }
+        }
+        
+        const calculator = new PvECalculator();
+        const targets = scenarios.map(scenario => ({ scenarioId: scenario.pk_pve_scenario_id, target: calculator.getTarget(scenario) }));
+        const groups = new Map();
+        const movesets = new Map();
+        const addToGroup = row => {
+            const key = `${row.fk_target_type_id}|${row.fk_scenario_id}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(row);
+        };
+        
+        for (const [index, row] of eligible.filter(row => !changed || changed.has(row.pk_pokemon_id)).entries()) {
+            if (index % PVE_METRICS_CHUNK_SIZE === 0) {
+                throwIfAborted(options.signal, 'PvE metrics refresh cancelled');
+                await yieldToEventLoop();
+            }
+            
+            const learnset = learnsets.get(row.pk_pokemon_id);
+            
+            for (const targetType of TYPE_IDS) {
+                for (const { scenarioId, target } of targets) {
+                    const [best] = calculator.calculateMovesets(row, learnset.fast, learnset.charged, targetType, target);
+                    const { fk_fast_move_id: fastMove, fk_charged_move_id: chargedMove, ...metrics } = best;
+                    const movesetId = `${fastMove}_${chargedMove}_none`;
+                    
+                    if (!movesets.has(movesetId)) {
+                        const nameOf = moveId => [...learnset.fast, ...learnset.charged].find(move => move.pk_move_id === moveId).move_name;
+                        movesets.set(movesetId, {
+                            pk_moveset_id: movesetId,
+                            fk_fast_move_id: fastMove,
+                            fk_charged_move_1_id: chargedMove,
+                            fk_charged_move_2_id: null,
+                            moveset_name: `${nameOf(fastMove)} / ${nameOf(chargedMove)}`,
+                            moveset_hash: movesetId
+                        });
+                    }
+                    
+                    addToGroup({
+                        fk_pokemon_id: row.pk_pokemon_id,
+                        fk_target_type_id: targetType,
+                        fk_scenario_id: scenarioId,
+                        fk_moveset_id: movesetId,
+                        ...metrics
+                    });
+                }
+            }
+        }
+        
+        throwIfAborted(options.signal, 'PvE metrics refresh cancelled');
+        
+        if (changed && !(await this.mergeStoredPvEMetrics(groups, changed, eligible))) {
+            // An unstored attacker may have to move up into the top attackers
+            return await this.computePvEMetrics({ ...options, pokemonIds: null, moveIds: null, force: true });
+        }
+        
+        const rows = Array.from(groups.values()).flatMap(group => PvECalculator.rank(group, eligible.length).slice(0, PVE_METRICS_TOP_N));
+        const storedMovesetIds = new Set(rows.map(row => row.fk_moveset_id));
+        const storedMovesets = Array.from(movesets.values()).filter(moveset => storedMovesetIds.has(moveset.pk_moveset_id));
+        
+        await this.insertMany('dim_movesets', storedMovesets, { onConflict: 'IGNORE' });
+        const result = await this.writePvEMetrics(rows, signature);
+        
+        console.log(`PvE metrics refreshed: ${result.added} added, ${result.modified} modified`);
+        return { refreshed: true, ...result };
+    }
+
+    /**
+     * Add the stored rows of the unchanged Pokemon to freshly computed groups
+     * Pokemon below the stored top attackers were not stored, so the result is only exact while the new top
+     * PVE_METRICS_TOP_N of a full group still scores at least as high as the lowest stored row did
+     * @returns {boolean} false when some group needs a full recomputation
+     */
+    async mergeStoredPvEMetrics(groups, changed, eligible) {
+        const eligibleIds = new Set(eligible.map(row => row.pk_pokemon_id));
+        const current = await this.all(`
+            SELECT fk_pokemon_id, fk_target_type_id, fk_scenario_id, ${PVE_METRIC_COLUMNS.join(', ')}
+            FROM fact_pokemon_pve_performance_metrics
+            WHERE is_current = 1
+        `);
+        const previous = new Map();
+        
+        for (const row of current) {
+            const key = `${row.fk_target_type_id}|${row.fk_scenario_id}`;
+            if (!previous.has(key)) {
+                previous.set(key, []);
+            }
+            previous.get(key).push(row);
+            
+            if (!changed.has(row.fk_pokemon_id) && eligibleIds.has(row.fk_pokemon_id)) {
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(row);
+            }
+        }
+        
+        for (const [key, rows] of previous) {
+            if (rows.length < PVE_METRICS_TOP_N) {
+                continue;
+            }
+            
+            const lowestStored = Math.min(...rows.map(row => row.composite_score));
+            const merged = (groups.get(key) || []).map(row => row.composite_score).sort((a, b) => b - a);
+            
+            if (merged.length < PVE_METRICS_TOP_N || merged[PVE_METRICS_TOP_N - 1] < lowestStored) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Apply recomputed metrics to the current rows; rows first recorded today are corrected in place
+     */
+    async writePvEMetrics(rows, signature) {
+        const keyOf = row => `${row.fk_pokemon_id}|${row.fk_target_type_id}|${row.fk_scenario_id}`;
+        const current = new Map((await this.all(`
+            SELECT pk_pve_performance_id, fk_pokemon_id, fk_target_type_id, fk_scenario_id, effective_from_date,
+                   ${PVE_METRIC_COLUMNS.join(', ')}
+            FROM fact_pokemon_pve_performance_metrics
+            WHERE is_current = 1
+        `)).map(row => [keyOf(row), row]));
+        
+        const dateId = await this.ensureDate();
+        const runId = Date.now().toString(36);
+        const inserts = [];
+        const updates = [];
+        const closes = [];
+        
+        for (const row of rows) {
+            const existing = current.get(keyOf(row));
+            current.delete(keyOf(row));
+            
+            if (existing && PVE_METRIC_COLUMNS.every(column => existing[column] === row[column])) {
+                continue;
+            }
+            
+            if (existing && existing.effective_from_date === dateId) {
+                updates.push({ ...row, pk_pve_performance_id: existing.pk_pve_performance_id });
+                continue;
+            }
+            
+            if (existing) {
+                closes.push(existing.pk_pve_performance_id);
+            }
+            
+            inserts.push({
+                pk_pve_performance_id: `${row.fk_pokemon_id}_${row.fk_target_type_id}_${row.fk_scenario_id}_${runId}`,
+                ...row,
+                fk_date_id: dateId,
+                effective_from_date: dateId,
+                is_current: 1
+            });
+        }
+        
+        // Pokemon that are no longer active, lost their PvE moves or dropped out of the stored top attackers
+        closes.push(...Array.from(current.values()).map(row => row.pk_pve_performance_id));
+        
+        await this.runMany(`
+            UPDATE fact_pokemon_pve_performance_metrics
+            SET is_current = 0, effective_to_date = ?
+            WHERE pk_pve_performance_id = ?
+        `, closes.map(id => [dateId, id]));
+        
+        await this.runMany(`
+            UPDATE fact_pokemon_pve_performance_metrics
+            SET ${PVE_METRIC_COLUMNS.map(column => `${column} = ?`).join(', ')}
+            WHERE pk_pve_performance_id = ?
+        `, updates.map(row => [...PVE_METRIC_COLUMNS.map(column => row[column]), row.pk_pve_performance_id]));
+        
+        await this.insertMany('fact_pokemon_pve_performance_metrics', inserts);
+        
+        // data_source_version records the inputs the current rows were computed from
+        await this.run(`
+            UPDATE fact_pokemon_pve_performance_metrics SET data_source_version = ? WHERE is_current = 1
+        `, [signature]);
+        
+        return { added: inserts.length, modified: closes.length + updates.length };
+    }
+
+    /**
+     * Stored PvE performance against a target type in a scenario, best first (one moveset per Pokemon)
+     * Only the top PVE_METRICS_TOP_N attackers are stored; they are refreshed after Pokemon and move updates
+     * @param {Object} options - { limit (default 50), asOf: date (Date or YYYY-MM-DD) to read historical metrics }
+     */
+    async getPvEPerformance(targetType, scenarioId = 'raid_t5', options = {}) {
+        const params = [String(targetType).toLowerCase(), scenarioId];
+        let sql = `
+            SELECT 
+                m.*,
+                p.pokemon_name,
+                p.form,
+                p.pokemon_number,
+                ms.moveset_name,
+                ms.fk_fast_move_id,
+                ms.fk_charged_move_1_id as fk_charged_move_id
+            FROM fact_pokemon_pve_performance_metrics m
+            JOIN fact_pokemon p ON m.fk_pokemon_id = p.pk_pokemon_id
+            JOIN dim_movesets ms ON m.fk_moveset_id = ms.pk_moveset_id
+            WHERE m.fk_target_type_id = ? AND m.fk_scenario_id = ?
+        `;
+        
+        sql += ` AND ${this.effectiveDateCondition('m', options.asOf, params)}`;
+        sql += ' ORDER BY m.rank_vs_type LIMIT ?';
+        params.push(options.limit || 50);
+        
+        return await this.all(sql, params);
+    }
+
+    /**
+     * Compute PvE performance against a target type without storing it, e.g. with weather, friendship or a Mega boost
+     * @param {Object} options - { scenario: dim_pve_scenarios id (default 'raid_t5'), pokemonId: every moveset of one Pokemon
+     *                            (default: the best moveset of each Pokemon), weather, friendship, megaBoost (see PvECalculator),
+     *                            limit (default 50) }
+     * @returns {Array} metrics rows with pokemon_name, form, moveset_name, fk_fast_move_id and fk_charged_move_id, ranked
+     */
+    async calculatePvEMetrics(targetType, options = {}) {
+        const type = String(targetType).toLowerCase();
+        if (!TYPE_CHART[type]) {
+            throw new Error(`Unknown type: ${targetType}`);
+        }
+        
+        const scenarioId = options.scenario || 'raid_t5';
+        const scenario = await this.get('SELECT * FROM dim_pve_scenarios WHERE pk_pve_scenario_id = ?', [scenarioId]);
+        if (!scenario) {
+            throw new Error(`Unknown PvE scenario: ${scenarioId}`);
+        }
+        
+        const calculator = new PvECalculator(options);
+        const target = calculator.getTarget(scenario);
+        const { pokemon, learnsets } = await this.loadPvECalculationData(options.pokemonId || null);
+        const results = [];
+        
+        for (const row of pokemon) {
+            const learnset = learnsets.get(row.pk_pokemon_id);
+            if (!learnset || learnset.fast.length === 0 || learnset.charged.length === 0) {
+                continue;
+            }
+            
+            const nameOf = moveId => [...learnset.fast, ...learnset.charged].find(move => move.pk_move_id === moveId).move_name;
+            const movesets = calculator.calculateMovesets(row, learnset.fast, learnset.charged, type, target);
+            
+            for (const moveset of options.pokemonId ? movesets : movesets.slice(0, 1)) {
+                results.push({
+                    fk_pokemon_id: row.pk_pokemon_id,
+                    pokemon_name: row.pokemon_name,
+                    form: row.form,
+                    fk_target_type_id: type,
+                    fk_scenario_id: scenarioId,
+                    moveset_name: `${nameOf(moveset.fk_fast_move_id)} / ${nameOf(moveset.fk_charged_move_id)}`,
+                    ...moveset
+                });
+            }
+        }
+        
+        return PvECalculator.rank(results).slice(0, options.limit || 50);
+    }
+
+    /**
+     * Best raid team of owned Pokemon against a boss species (see RaidPlanner.planCollection)
+     * @param {Array} collection - PokeGenieManager.getBattleCandidates() rows
+     * @param {Object} options - { scenario: raid dim_pve_scenarios id (default 'raid_t5'), moveset: the boss' { fast, charged }
+     *                            move ids or names (default: averaged over the moves it learns), weather, friendship (see PvECalculator) }
+     */
+    async planRaid(bossId, collection, options = {}) {
+        const scenarioId = options.scenario || 'raid_t5';
+        const scenario = await this.get('SELECT * FROM dim_pve_scenarios WHERE pk_pve_scenario_id = ?', [scenarioId]);
+        if (!scenario || !scenario.boss_tier) {
+            throw new Error(`Unknown raid scenario: ${scenarioId}`);
+        }
+        
+        const { pokemon, learnsets } = await this.loadPvECalculationData();
+        const boss = pokemon.find(row => row.pk_pokemon_id === bossId);
+        if (!boss) {
+            throw new Error(`Unknown Pokemon: ${bossId}`);
+        }
+        
+        const moves = (await this.all(`
+            SELECT pk_move_id, move_name, move_category, fk_move_type_id, pve_power, pve_energy_delta, pve_duration
+            FROM dim_moves
+        `)).filter(PvECalculator.hasPvEStats);
+        
+        return new RaidPlanner(new PvECalculator(options)).planCollection({ boss, scenario, moves, learnsets }, collection, options.moveset);
+    }
+
+    /**
+     * Active Pokemon with the moves they learn that have PvP stats (trainer battles)
+     * @returns {Object} { pokemon, movesById, learnsets: Map pokemonId -> { fast: [moves], charged: [moves] } }
+     */
+    async loadTrainerBattleData() {
+        const pokemon = await this.all(`
+            SELECT pk_pokemon_id, pokemon_name, form, base_attack, base_defense, base_stamina,
+                   fk_primary_type_id, fk_secondary_type_id, is_legendary, is_mythical
+            FROM fact_pokemon
+            WHERE is_active = 1 AND base_attack > 0
+            ORDER BY pokemon_number, pk_pokemon_id
+        `);
+        
+        const moves = (await this.all(`
+            SELECT pk_move_id, move_name, move_category, fk_move_type_id, pvp_power, pvp_turns, energy_gain, energy_cost
+            FROM dim_moves
+        `)).filter(RocketPlanner.hasPvPStats);
+        const movesById = new Map(moves.map(move => [move.pk_move_id, move]));
+        
+        const learnsets = new Map();
+        for (const row of await this.all('SELECT fk_pokemon_id, fk_move_id FROM bridge_pokemon_available_moves')) {
+            const move = movesById.get(row.fk_move_id);
+            if (!move) {
+                continue;
+            }
+            
+            if (!learnsets.has(row.fk_pokemon_id)) {
+                learnsets.set(row.fk_pokemon_id, { fast: [], charged: [] });
+            }
+            learnsets.get(row.fk_pokemon_id)[move.move_category === 'fast' ? 'fast' : 'charged'].push(move);
+        }
+        
+        return { pokemon, movesById, learnsets };
+    }
+
+    /**
+     * Counters of owned Pokemon against a Team GO Rocket lineup, one for each slot (see RocketPlanner.planLineup)
+     * @param {Object} lineup - { type: grunt type } or { slots: [[fact_pokemon ids], ...] }
+     * @param {Array} collection - PokeGenieManager.getBattleCandidates() rows
+     * @param {Object} options - { signal: AbortSignal to cancel }
+     */
+    async planRocketBattle(lineup, collection, options = {}) {
+        // The rocket_grunt scenario holds the size of a lineup (and of the team battling it)
+        const { team_size: lineupSize } = await this.get(`
+            SELECT team_size FROM dim_pve_scenarios WHERE pk_pve_scenario_id = 'rocket_grunt'
+        `);
+        const data = await this.loadTrainerBattleData();
+        
+        return await new RocketPlanner().planLineup({ lineupSize, ...data }, lineup, collection, options);
+    }
+
+    /**
+     * Make sure dim_date has a row for a date and return its id (YYYY-MM-DD)
+     */
+    async ensureDate(date = new Date()) {
+        const dateId = date.toISOString().split('T')[0];
+        const month = date.getUTCMonth() + 1;
+        const dayOfWeek = date.getUTCDay();
+        const seasons = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+                        'summer', 'summer', 'fall', 'fall', 'fall', 'winter'];
+        
+        await this.run(`
+            INSERT OR IGNORE INTO dim_date (pk_date_id, full_date, year, month, day, quarter, is_weekend, season)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            dateId,
+            dateId,
+            date.getUTCFullYear(),
+            month,
+            date.getUTCDate(),
+            Math.ceil(month / 3),
+            dayOfWeek === 0 || dayOfWeek === 6 ? 1 : 0,
+            seasons[month - 1]
+        ]);
+        
+        return dateId;
+    }
+
+    /**
+     * Changes logged by data updates, grouped by update (newest first)
+     * @param {Object} filters - { updateId, sourceId, updateType, since: date, table, category, minRankChange,
+     *                            includeRolledBack, limit: number of updates (default 10) }
+     * @returns {Array} [{ updateId, sourceId, sourceName, updateType, status, createdAt, gitCommitHash,
+     *                     summary: { category: count }, changes: [...] }]
+     */
+    async getDataChanges(filters = {}) {
+        let sql = `
+            SELECT 
+                u.pk_update_id,
+                u.fk_source_id,
+                s.source_name,
+                u.update_type,
+                u.update_status,
+                u.created_at,
+                u.git_commit_hash
+            FROM fact_data_updates u
+            LEFT JOIN dim_data_sources s ON u.fk_source_id = s.pk_source_id
+            WHERE u.update_status IN (${filters.includeRolledBack ? "'completed', 'rolled_back'" : "'completed'"})
+        `;
+        
+        const params = [];
+        
+        if (filters.updateId) {
+            sql += ' AND u.pk_update_id = ?';
+            params.push(filters.updateId);
+        }
+        
+        if (filters.sourceId) {
+            sql += ' AND u.fk_source_id = ?';
+            params.push(filters.sourceId);
+        }
+        
+        if (filters.updateType) {
+            sql += ' AND u.update_type = ?';
+            params.push(filters.updateType);
+        }
+        
+        if (filters.since) {
+            sql += ' AND u.fk_date_id >= ?';
+            params.push(this.toDateId(filters.since));
+        }
+        
+        sql += ' ORDER BY u.created_at DESC, u.rowid DESC LIMIT ?';
+        params.push(filters.limit || 10);
+        
+        const updates = await this.all(sql, params);
+        
+        for (const update of updates) {
+            const rows = await this.all(`
+                SELECT table_name, record_id, change_type, old_values, new_values
+                FROM fact_data_changes
+                WHERE fk_update_id = ?${filters.table ? ' AND table_name = ?' : ''}
+                ORDER BY rowid
+            `, filters.table ? [update.pk_update_id, filters.table] : [update.pk_update_id]);
+            
+            let changes = this.describeChanges(rows);
+            
+            if (filters.category) {
+                changes = changes.filter(change => change.category === filters.category);
+            }
+            
+            if (filters.minRankChange) {
+                changes = changes.filter(change => change.category !== 'ranking_change' ||
+                    Math.abs(change.rankChange) >= filters.minRankChange);
+            }
+            
+            const summary = {};
+            for (const change of changes) {
+                summary[change.category] = (summary[change.category] || 0) + 1;
+            }
+            
+            update.changes = changes;
+            update.summary = summary;
+        }
+        
+        return updates.map(update => ({
+            updateId: update.pk_update_id,
+            sourceId: update.fk_source_id,
+            sourceName: update.source_name,
+            updateType: update.update_type,
+            status: update.update_status,
+            createdAt: update.created_at,
+            gitCommitHash: update.git_commit_hash,
+            summary: update.summary,
+            changes: update.changes
+        }));
+    }
+
+    /**
+     * Changes of the most recent completed update of a type (e.g. 'gamemaster'), or null
+     */
+    async getLatestUpdateChanges(updateType, filters = {}) {
+        const [update] = await this.getDataChanges({ ...filters, updateType, limit: 1 });
+        return update || null;
+    }
+
+    /**
+     * Turn fact_data_changes rows into field-level changes with a category
+     * A ranking's closed row and its replacement are merged into one ranking_change with the rank movement
+     */
+    describeChanges(rows) {
+        const changes = [];
+        const rankings = new Map();
+        
+        for (const row of rows) {
+            const oldValues = row.old_values ? JSON.parse(row.old_values) : null;
+            const newValues = row.new_values ? JSON.parse(row.new_values) : null;
+            
+            if (row.table_name === 'fact_pokemon_pvp_rankings') {
+                const values = newValues || oldValues;
+                const key = `${values.fk_pokemon_id}|${values.fk_league_id}|${values.fk_scenario_id}`;
+                
+                if (!rankings.has(key)) {
+                    rankings.set(key, { values, before: null, after: null });
+                }
+                
+                const ranking = rankings.get(key);
+                if (row.change_type === 'INSERT' || row.change_type === 'UPDATE') {
+                    ranking.after = newValues;
+                }
+                if (row.change_type !== 'INSERT' && !ranking.before) {
+                    ranking.before = oldValues;
+                }
+                continue;
+            }
+            
+            const columns = Array.from(new Set([...Object.keys(oldValues || {}), ...Object.keys(newValues || {})]))
+                .filter(column => !CHANGE_IGNORED_COLUMNS.includes(column));
+            const fields = row.change_type === 'INSERT' || row.change_type === 'DELETE' ? [] : columns
+                .filter(column => (oldValues?.[column] ?? null) !== (newValues?.[column] ?? null))
+                .map(column => ({ field: column, oldValue: oldValues?.[column] ?? null, newValue: newValues?.[column] ?? null }));
+                
+            const change = {
+                table: row.table_name,
+                recordId: row.record_id,
+                changeType: row.change_type,
+                fields,
+                oldValues,
+                newValues
+            };
+            
+            changes.push({ category: this.categorizeChange(change), ...change });
+        }
+        
+        for (const [key, { values, before, after }] of rankings) {
+            const previousRank = before?.is_current ? before.pvp_rank_number : null;
+            const currentRank = after?.is_current ? after.pvp_rank_number : null;
+            
+            if (previousRank === currentRank && before?.fk_moveset_id === after?.fk_moveset_id) {
+                continue;
+            }
+            
+            changes.push({
+                category: previousRank === null ? 'ranking_entry' : currentRank === null ? 'ranking_exit' : 'ranking_change',
+                table: 'fact_pokemon_pvp_rankings',
+                recordId: key,
+                pokemonId: values.fk_pokemon_id,
+                leagueId: values.fk_league_id,
+                scenario: values.fk_scenario_id,
+                previousRank,
+                currentRank,
+                rankChange: previousRank !== null && currentRank !== null ? previousRank - currentRank : null,
+                previousMoveset: before?.fk_moveset_id ?? null,
+                currentMoveset: after?.fk_moveset_id ?? null
+            });
+        }
+        
+        return changes;
+    }
+
+    categorizeChange(change) {
+        const fields = change.fields.map(field => field.field);
+        
+        switch (change.table) {
+            case 'fact_pokemon':
+                if (change.changeType === 'INSERT') {
+                    return 'new_pokemon';
+                }
+                if (fields.includes('fk_primary_type_id') || fields.includes('fk_secondary_type_id')) {
+                    return 'typing_change';
+                }
+                if (fields.some(field => field.startsWith('base_'))) {
+                    return 'stat_change';
+                }
+                return change.changeType === 'DEPRECATE' ? 'removed_pokemon' : 'pokemon_change';
+            case 'dim_moves':
+                if (change.changeType === 'INSERT') {
+                    return 'new_move';
+                }
+                return fields.some(field => MOVE_BALANCE_COLUMNS.includes(field)) ? 'move_rebalance' : 'move_change';
+            default:
+                return `${change.table}_${change.changeType.toLowerCase()}`;
+        }
+    }
+
     /**
      * Get database statistics
      */
@@ -625,53 +2226,77 @@ class LocalDatabase {
             'fact_data_changes'
         ];
         
-        for (const table of tables) {
-            await this.run(`DELETE FROM ${table}`);
-        }
+        await this.transaction(async tx => {
+            for (const table of tables) {
+                await tx.run(`DELETE FROM ${table}`);
+            }
+        });
         
+        this.invalidateSearchIndex();
         console.log('All data cleared');
     }
 
     /**
-     * Export database
+     * Get the raw SQLite image (transferred from the worker without copying in worker mode)
      */
-    exportDatabase() {
-        const data = this.db.export();
-        const blob = new Blob([data], { type: 'application/octet-stream' });
-        const url = URL.createObjectURL(blob);
+    async exportBinary() {
+        if (this.worker) {
+            return await this.worker.request('export');
+        }
         
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `pokemon_database_${new Date().toISOString().split('T')[0]}.db`;
-        a.click();
+        return this.db.export();
+    }
+
+    /**
+     * Export database (browser download, or a file in the output directory under Node)
+     */
+    async exportDatabase() {
+        const data = await this.exportBinary();
+        const fileName = `pokemon_database_${new Date().toISOString().split('T')[0]}.db`;
         
-        URL.revokeObjectURL(url);
+        return await this.environment.saveFile(fileName, data, 'application/octet-stream');
     }
 
     /**
-     * Import database
+     * Import database from a File (browser) or a path/Buffer (Node)
      */
     async importDatabase(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = async (e) => {
-                try {
-                    const buffer = new Uint8Array(e.target.result);
-                    this.db = new this.SQL.Database(buffer);
-                    
-                    await this.verifyDatabaseStructure();
-                    this.saveDatabase();
-                    
-                    resolve(true);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            reader.onerror = reject;
-            reader.readAsArrayBuffer(file);
-        });
+        const buffer = await this.environment.readFileBinary(file);
+        return await this.importBinary(buffer);
+    }
+
+    /**
+     * Replace the database with a SQLite image after migrating it to the current schema
+     */
+    async importBinary(buffer) {
+        if (this.worker) {
+            const { schemaVersion } = await this.worker.request('import', { buffer }, { transfer: [buffer.buffer] });
+            this.schemaVersion = schemaVersion;
+            this.invalidateSearchIndex();
+            return true;
+        }
+        
+        const imported = new this.SQL.Database(buffer);
+        
+        // Migrate the imported copy first so a bad file never replaces the current database
+        let migrated;
+        try {
+            migrated = await this.migrator.migrate(imported);
+        } catch (error) {
+            imported.close();
+            throw error;
+        }
+        if (migrated !== imported) {
+            imported.close();
+        }
+        
+        this.db.close();
+        this.db = migrated;
+        this.schemaVersion = this.migrator.getCurrentVersion(this.db);
+        this.invalidateSearchIndex();
+        await this.saveDatabase();
+        
+        return true;
     }
 }
 
@@ -3,9 +3,22 @@
  * Provides filtered views of Pokemon database based on user's actual collection
  */
 
+import GameSearchQuery from '../search/GameSearchQuery.js';
+import SearchStringGenerator from '../search/SearchStringGenerator.js';
+import { isAbortError, throwIfAborted, yieldToEventLoop } from '../utils/abort.js';
+
+// Rows matched against the database between progress events (and cancellation checks)
+const IMPORT_CHUNK_SIZE = 100;
+
 class PokeGenieManager {
-    constructor(database) {
+    /**
+     * @param {LocalDatabase} database
+     * @param {Object} options - { environment: runtime services (defaults to the database's) }
+     */
+    constructor(database, options = {}) {
         this.db = database;
+        this.environment = options.environment || null;
+        this.settings = null;
         this.collections = new Map();
         this.activeCollectionId = null;
         this.storageKey = 'pokegenie_collections';
@@ -17,18 +30,21 @@ class PokeGenieManager {
     async initialize() {
         console.log('Initializing PokeGenie Manager...');
         
-        // Load existing collections from localStorage
+        this.environment = this.environment || this.db.environment;
+        this.settings = this.environment.getKeyValueStore();
+        
+        // Load existing collections from settings storage
         await this.loadCollections();
         
         console.log('PokeGenie Manager initialized successfully');
     }
 
     /**
-     * Load collections from localStorage
+     * Load collections from settings storage
      */
     async loadCollections() {
         try {
-            const savedCollections = localStorage.getItem(this.storageKey);
+            const savedCollections = this.settings.getItem(this.storageKey);
             if (savedCollections) {
                 const collectionsData = JSON.parse(savedCollections);
                 
@@ -38,7 +54,7 @@ class PokeGenieManager {
                     this.collections.set(collection.id, collection);
                 }
                 
-                console.log(`Loaded ${collectionsData.length} collections from localStorage`);
+                console.log(`Loaded ${collectionsData.length} collections from settings storage`);
             }
         } catch (error) {
             console.error('Error loading collections:', error);
@@ -46,13 +62,13 @@ class PokeGenieManager {
     }
 
     /**
-     * Save collections to localStorage
+     * Save collections to settings storage
      */
     saveCollections() {
         try {
             const collectionsArray = Array.from(this.collections.values());
-            localStorage.setItem(this.storageKey, JSON.stringify(collectionsArray));
-            console.log('Collections saved to localStorage');
+            this.settings.setItem(this.storageKey, JSON.stringify(collectionsArray));
+            console.log('Collections saved to settings storage');
         } catch (error) {
             console.error('Error saving collections:', error);
         }
@@ -60,27 +76,45 @@ class PokeGenieManager {
 
     /**
      * Parse and import PokeGenie CSV file
+     * @param {File|string|Buffer} file - File object in the browser, path or Buffer under Node
+     * @param {Object} options - { signal: AbortSignal cancelling the import (nothing is stored),
+     *                            onProgress: ({ phase: 'reading' | 'parsing' | 'matching' | 'saving', processed, total }) => void }
      */
-    async importCSV(file, collectionName = 'My Collection') {
-        console.log(`Importing PokeGenie CSV: ${file.name}`);
+    async importCSV(file, collectionName = 'My Collection', options = {}) {
+        const fileName = this.environment.getFileName(file);
+        const { signal } = options;
+        const reportProgress = (phase, processed, total) => {
+            try {
+                options.onProgress?.({ phase, processed, total });
+            } catch (error) {
+                console.error('Error in import progress callback:', error);
+            }
+        };
+        console.log(`Importing PokeGenie CSV: ${fileName}`);
         
         try {
             // Parse CSV file
+            throwIfAborted(signal, 'Import cancelled');
+            reportProgress('reading', 0, 1);
             const csvText = await this.readFile(file);
+            reportProgress('reading', 1, 1);
+            
+            throwIfAborted(signal, 'Import cancelled');
             const pokemonData = this.parseCSV(csvText);
+            reportProgress('parsing', pokemonData.length, pokemonData.length);
             
             // Create collection
             const collection = {
                 id: this.generateCollectionId(),
                 name: collectionName,
-                fileName: file.name,
+                fileName: fileName,
                 importDate: new Date().toISOString(),
                 pokemonCount: pokemonData.length,
                 lastUpdated: new Date().toISOString()
             };
             
             // Store in database
-            await this.storeCollection(collection, pokemonData);
+            await this.storeCollection(collection, pokemonData, { signal, reportProgress });
             
             // Store in memory
             this.collections.set(collection.id, collection);
@@ -88,7 +122,7 @@ class PokeGenieManager {
             // Set as active collection
             this.activeCollectionId = collection.id;
             
-            // Save to localStorage
+            // Save to settings storage
             this.saveCollections();
             
             console.log(`Successfully imported ${pokemonData.length} Pokemon to collection "${collectionName}"`);
@@ -100,6 +134,15 @@ class PokeGenieManager {
             };
             
         } catch (error) {
+            if (isAbortError(error)) {
+                console.log(`Import of ${fileName} cancelled`);
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: error.message
+                };
+            }
+            
             console.error('Error importing CSV:', error);
             return {
                 success: false,
@@ -230,44 +273,89 @@ class PokeGenieManager {
 
     /**
      * Store collection in database
+     * Pokemon and movesets are resolved first, outside any transaction, so the import can be
+     * cancelled while matching without holding other writers back. The rows (and any new
+     * movesets) are then written in one transaction that is persisted once at commit.
+     * @param {Object} options - { signal, reportProgress: (phase, processed, total) => void }
      */
-    async storeCollection(collection, pokemonData) {
+    async storeCollection(collection, pokemonData, options = {}) {
+        const { signal, reportProgress = () => {} } = options;
         const batchId = this.generateBatchId();
         
         try {
-            // Insert collection metadata
-            await this.db.run(`
-                INSERT INTO dim_user_collections (
-                    pk_collection_id, collection_name, collection_type, 
-                    is_primary, created_date, last_updated, pokemon_count
-                ) VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [
-                collection.id,
-                collection.name,
-                'main',
-                true,
-                collection.importDate.split('T')[0],
-                collection.lastUpdated.split('T')[0],
-                collection.pokemonCount
-            ]);
-            
-            // Insert Pokemon data
-            for (const pokemon of pokemonData) {
-                await this.insertUserPokemon(collection.id, pokemon, batchId);
+            // Resolve Pokemon and movesets; movesets that don't exist yet are only collected here
+            const newMovesets = new Map();
+            const rows = [];
+            for (const [index, pokemon] of pokemonData.entries()) {
+                if (index % IMPORT_CHUNK_SIZE === 0) {
+                    throwIfAborted(signal, 'Import cancelled');
+                    reportProgress('matching', index, pokemonData.length);
+                    await yieldToEventLoop();
+                }
+                
+                const row = await this.buildUserPokemonRow(collection.id, pokemon, batchId, newMovesets);
+                if (row) {
+                    rows.push(row);
+                }
             }
+            reportProgress('matching', pokemonData.length, pokemonData.length);
+            
+            throwIfAborted(signal, 'Import cancelled');
+            reportProgress('saving', 0, rows.length);
+            
+            await this.db.transaction(async tx => {
+                // Insert collection metadata
+                await tx.run(`
+                    INSERT INTO dim_user_collections (
+                        pk_collection_id, collection_name, collection_type, 
+                        is_primary, created_date, last_updated, pokemon_count
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    collection.id,
+                    collection.name,
+                    'main',
+                    true,
+                    collection.importDate.split('T')[0],
+                    collection.lastUpdated.split('T')[0],
+                    collection.pokemonCount
+                ]);
+                
+                // Another writer may have added one of the planned movesets since matching
+                const movesetIds = new Map();
+                const movesets = [];
+                for (const [movesetHash, moveset] of newMovesets) {
+                    const existing = await tx.get('SELECT pk_moveset_id FROM dim_movesets WHERE moveset_hash = ?', [movesetHash]);
+                    if (existing) {
+                        movesetIds.set(moveset.pk_moveset_id, existing.pk_moveset_id);
+                    } else {
+                        movesets.push(moveset);
+                    }
+                }
+                for (const row of rows) {
+                    row.fk_moveset_id = movesetIds.get(row.fk_moveset_id) ?? row.fk_moveset_id;
+                }
+                
+                await tx.insertMany('dim_movesets', movesets);
+                await tx.insertMany('fact_user_pokemon_collection', rows);
+            });
+            reportProgress('saving', rows.length, rows.length);
             
             console.log(`Stored ${pokemonData.length} Pokemon in database`);
             
         } catch (error) {
-            console.error('Error storing collection:', error);
+            if (!isAbortError(error)) {
+                console.error('Error storing collection:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Insert a single user Pokemon
+     * Build the fact_user_pokemon_collection row for a single user Pokemon
+     * Returns null when the species is not in the database
+     * @param {Map} newMovesets - dim_movesets rows still to be inserted, keyed by moveset hash
      */
-    async insertUserPokemon(collectionId, pokemon, batchId) {
+    async buildUserPokemonRow(collectionId, pokemon, batchId, newMovesets) {
         try {
             // Find matching Pokemon in database
             const dbPokemon = await this.db.get(`
@@ -279,66 +367,60 @@ class PokeGenieManager {
             
             if (!dbPokemon) {
                 console.warn(`Pokemon not found in database: ${pokemon.name} (${pokemon.pokemonNumber})`);
-                return;
+                return null;
             }
             
-            // Find or create moveset
+            // Find or plan moveset
             let movesetId = null;
             if (pokemon.quickMove && pokemon.chargeMove) {
-                movesetId = await this.findOrCreateMoveset(
+                movesetId = await this.resolveMoveset(
                     pokemon.quickMove, 
                     pokemon.chargeMove, 
-                    pokemon.chargeMove2
+                    pokemon.chargeMove2,
+                    newMovesets
                 );
             }
             
-            // Insert user Pokemon
-            await this.db.run(`
-                INSERT INTO fact_user_pokemon_collection (
-                    pk_user_pokemon_id, fk_pokemon_id, fk_collection_id, fk_moveset_id,
-                    cp, hp, atk_iv, def_iv, sta_iv, iv_avg, level_min, level_max,
-                    is_lucky, is_shadow, is_purified, is_favorite,
-                    dust_cost, candy_cost, great_league_rank_percent, 
-                    ultra_league_rank_percent, little_league_rank_percent,
-                    catch_date, weight, height, import_batch_id
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                this.generateUserPokemonId(),
-                dbPokemon.pk_pokemon_id,
-                collectionId,
-                movesetId,
-                pokemon.cp,
-                pokemon.hp,
-                pokemon.atkIV,
-                pokemon.defIV,
-                pokemon.staIV,
-                pokemon.ivAvg,
-                pokemon.levelMin,
-                pokemon.levelMax,
-                pokemon.isLucky,
-                pokemon.isShadow,
-                pokemon.isPurified,
-                pokemon.isFavorite,
-                pokemon.dust,
-                0, // candy_cost not in PokeGenie
-                pokemon.greatLeagueRankPercent,
-                pokemon.ultraLeagueRankPercent,
-                pokemon.littleLeagueRankPercent,
-                pokemon.catchDate || null,
-                pokemon.weight,
-                pokemon.height,
-                batchId
-            ]);
+            return {
+                pk_user_pokemon_id: this.generateUserPokemonId(),
+                fk_pokemon_id: dbPokemon.pk_pokemon_id,
+                fk_collection_id: collectionId,
+                fk_moveset_id: movesetId,
+                cp: pokemon.cp,
+                hp: pokemon.hp,
+                atk_iv: pokemon.atkIV,
+                def_iv: pokemon.defIV,
+                sta_iv: pokemon.staIV,
+                iv_avg: pokemon.ivAvg,
+                level_min: pokemon.levelMin,
+                level_max: pokemon.levelMax,
+                is_lucky: pokemon.isLucky,
+                is_shadow: pokemon.isShadow,
+                is_purified: pokemon.isPurified,
+                is_favorite: pokemon.isFavorite,
+                dust_cost: pokemon.dust,
+                candy_cost: 0, // candy_cost not in PokeGenie
+                great_league_rank_percent: pokemon.greatLeagueRankPercent,
+                ultra_league_rank_percent: pokemon.ultraLeagueRankPercent,
+                little_league_rank_percent: pokemon.littleLeagueRankPercent,
+                catch_date: this.normalizeDate(pokemon.catchDate),
+                weight: pokemon.weight,
+                height: pokemon.height,
+                import_batch_id: batchId
+            };
             
         } catch (error) {
-            console.error('Error inserting user Pokemon:', error, pokemon);
+            console.error('Error resolving user Pokemon:', error, pokemon);
+            return null;
         }
     }
 
     /**
-     * Find or create a moveset
+     * Find a moveset, or plan a new one
+     * New movesets are added to newMovesets (keyed by hash) for storeCollection to insert, so
+     * Pokemon sharing a moveset that isn't in the database yet reuse the same id
      */
-    async findOrCreateMoveset(quickMove, chargeMove1, chargeMove2) {
+    async resolveMoveset(quickMove, chargeMove1, chargeMove2, newMovesets) {
         try {
             // Find moves in database
             const fastMove = await this.db.get(
@@ -369,40 +451,41 @@ class PokeGenieManager {
                 SELECT pk_moveset_id FROM dim_movesets 
                 WHERE fk_fast_move_id = ? AND fk_charged_move_1_id = ? 
                 AND (fk_charged_move_2_id = ? OR (fk_charged_move_2_id IS NULL AND ? IS NULL))
-            `, [fastMove.pk_move_id, chargedMove1.pk_move_id, chargedMove2?.pk_move_id, chargedMove2?.pk_move_id]);
+            `, [fastMove.pk_move_id, chargedMove1.pk_move_id, chargedMove2?.pk_move_id ?? null, chargedMove2?.pk_move_id ?? null]);
             
             if (existingMoveset) {
                 return existingMoveset.pk_moveset_id;
             }
             
-            // Create new moveset
+            const movesetHash = this.generateMovesetHash(fastMove.pk_move_id, chargedMove1.pk_move_id, chargedMove2?.pk_move_id);
+            const planned = newMovesets.get(movesetHash);
+            if (planned) {
+                return planned.pk_moveset_id;
+            }
+            
+            // Plan new moveset
             const movesetId = this.generateMovesetId();
-            const movesetName = `${quickMove} + ${chargeMove1}${chargeMove2 ? ' + ' + chargeMove2 : ''}`;
-            
-            await this.db.run(`
-                INSERT INTO dim_movesets (
-                    pk_moveset_id, fk_fast_move_id, fk_charged_move_1_id, 
-                    fk_charged_move_2_id, moveset_name, moveset_hash
-                ) VALUES (?, ?, ?, ?, ?, ?)
-            `, [
-                movesetId,
-                fastMove.pk_move_id,
-                chargedMove1.pk_move_id,
-                chargedMove2?.pk_move_id,
-                movesetName,
-                this.generateMovesetHash(fastMove.pk_move_id, chargedMove1.pk_move_id, chargedMove2?.pk_move_id)
-            ]);
+            newMovesets.set(movesetHash, {
+                pk_moveset_id: movesetId,
+                fk_fast_move_id: fastMove.pk_move_id,
+                fk_charged_move_1_id: chargedMove1.pk_move_id,
+                fk_charged_move_2_id: chargedMove2?.pk_move_id ?? null,
+                moveset_name: `${quickMove} + ${chargeMove1}${chargeMove2 ? ' + ' + chargeMove2 : ''}`,
+                moveset_hash: movesetHash
+            });
             
             return movesetId;
             
         } catch (error) {
-            console.error('Error finding/creating moveset:', error);
+            console.error('Error resolving moveset:', error);
             return null;
         }
     }
 
     /**
      * Get user's Pokemon collection
+     * @param {Object|string} filters - filters object (with an optional in-game search string as filters.search),
+     *                                  or just the search string
      */
     async getUserPokemon(collectionId = null, filters = {}) {
         const targetCollection = collectionId || this.activeCollectionId;
@@ -411,6 +494,11 @@ class PokeGenieManager {
             return [];
         }
         
+        // An in-game search string may be passed instead of a filters object
+        if (typeof filters === 'string') {
+            filters = { search: filters };
+        }
+        
         let sql = `
             SELECT 
                 upc.pk_user_pokemon_id,
@@ -432,6 +520,13 @@ class PokeGenieManager {
         
         const params = [targetCollection];
         
+        // In-game search string, e.g. "4*&dragon&!shadow,cp-1500"
+        if (filters.search) {
+            const search = GameSearchQuery.parse(filters.search).toSql({ scope: 'collection' });
+            sql += ` AND ${search.sql}`;
+            params.push(...search.params);
+        }
+        
         // Add filters
         if (filters.type) {
             sql += ' AND (t1.type_name = ? OR t2.type_name = ?)';
@@ -468,6 +563,83 @@ class PokeGenieManager {
         return await this.db.all(sql, params);
     }
 
+    /**
+     * Owned Pokemon with what battle estimates need: level, IVs, base stats, types and the moves they know
+     */
+    async getBattleCandidates(collectionId = null) {
+        const targetCollection = collectionId || this.activeCollectionId;
+        
+        if (!targetCollection) {
+            return [];
+        }
+        
+        return await this.db.all(`
+            SELECT
+                upc.pk_user_pokemon_id,
+                upc.cp, upc.atk_iv, upc.def_iv, upc.sta_iv, upc.iv_avg, upc.level_min, upc.level_max,
+                upc.is_shadow, upc.is_purified,
+                p.pk_pokemon_id, p.pokemon_name, p.form,
+                p.base_attack, p.base_defense, p.base_stamina,
+                p.fk_primary_type_id, p.fk_secondary_type_id,
+                ms.moveset_name, ms.fk_fast_move_id, ms.fk_charged_move_1_id, ms.fk_charged_move_2_id
+            FROM fact_user_pokemon_collection upc
+            JOIN fact_pokemon p ON upc.fk_pokemon_id = p.pk_pokemon_id
+            LEFT JOIN dim_movesets ms ON upc.fk_moveset_id = ms.pk_moveset_id
+            WHERE upc.fk_collection_id = ? AND upc.is_archived = 0 AND p.base_attack > 0
+            ORDER BY upc.cp DESC
+        `, [targetCollection]);
+    }
+
+    /**
+     * Convert a PokeGenie date (e.g. "3/14/2021") to ISO format so SQLite date functions work
+     */
+    normalizeDate(value) {
+        if (!value) {
+            return null;
+        }
+        
+        const text = String(value).trim();
+        
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+            return text.slice(0, 10);
+        }
+        
+        const match = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/.exec(text);
+        if (match) {
+            const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+            return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+        }
+        
+        const parsed = new Date(text);
+        return isNaN(parsed) ? text : parsed.toISOString().split('T')[0];
+    }
+
+    /**
+     * Build an in-game search string selecting exactly the given owned Pokemon
+     * @param {Array} pokemon - rows from getUserPokemon / getUserBestForLeague
+     * @returns {Object} { searchString, exact, extras: other Pokemon the string also matches }
+     */
+    async generateSearchString(pokemon, collectionId = null) {
+        const targetCollection = collectionId || this.activeCollectionId;
+        
+        if (!targetCollection) {
+            throw new Error('No active collection');
+        }
+        
+        const collection = await this.getUserPokemon(targetCollection);
+        const result = new SearchStringGenerator().generate(pokemon, collection);
+        
+        // Report what the string really selects, using the same compiler as search queries
+        const targetIds = new Set(pokemon.map(row => row.pk_user_pokemon_id));
+        const selected = await this.getUserPokemon(targetCollection, result.searchString);
+        const selectedIds = new Set(selected.map(row => row.pk_user_pokemon_id));
+        
+        result.extras = selected.filter(row => !targetIds.has(row.pk_user_pokemon_id));
+        result.exact = result.extras.length === 0 && pokemon.every(row => selectedIds.has(row.pk_user_pokemon_id));
+        
+        return result;
+    }
+
     /**
      * Get user's best Pokemon for a specific league
      */
@@ -507,6 +679,33 @@ class PokeGenieManager {
         return await this.db.all(sql, [targetCollection, limit]);
     }
 
+    /**
+     * League ranks of an owned Pokemon's IVs, computed from base stats, for its species and everything it can evolve into
+     * Covers what PokeGenie's own rank columns do not: evolutions, species it does not rank and Master League
+     * @param {Object} options - { bestBuddy, minIV } (see LocalDatabase.getIVRankings)
+     * @returns {Array} LocalDatabase.getIVRank() entries, current species first (null entries dropped)
+     */
+    async evaluateUserPokemon(userPokemonId, league = 'great', options = {}) {
+        const owned = await this.db.get(`
+            SELECT fk_pokemon_id, atk_iv, def_iv, sta_iv
+            FROM fact_user_pokemon_collection
+            WHERE pk_user_pokemon_id = ?
+        `, [userPokemonId]);
+        
+        if (!owned) {
+            throw new Error(`User Pokemon not found: ${userPokemonId}`);
+        }
+        
+        const species = [owned.fk_pokemon_id, ...await this.db.getLaterEvolutions(owned.fk_pokemon_id)];
+        const ranks = [];
+        
+        for (const pokemonId of species) {
+            ranks.push(await this.db.getIVRank(pokemonId, league, owned, options));
+        }
+        
+        return ranks.filter(Boolean);
+    }
+
     /**
      * Get collection statistics
      */
@@ -563,8 +762,10 @@ class PokeGenieManager {
     async deleteCollection(collectionId) {
         try {
             // Delete from database
-            await this.db.run('DELETE FROM fact_user_pokemon_collection WHERE fk_collection_id = ?', [collectionId]);
-            await this.db.run('DELETE FROM dim_user_collections WHERE pk_collection_id = ?', [collectionId]);
+            await this.db.transaction(async tx => {
+                await tx.run('DELETE FROM fact_user_pokemon_collection WHERE fk_collection_id = ?', [collectionId]);
+                await tx.run('DELETE FROM dim_user_collections WHERE pk_collection_id = ?', [collectionId]);
+            });
             
             // Remove from memory
             this.collections.delete(collectionId);
@@ -574,7 +775,7 @@ class PokeGenieManager {
                 this.activeCollectionId = null;
             }
             
-            // Save to localStorage
+            // Save to settings storage
             this.saveCollections();
             
             console.log(`Collection ${collectionId} deleted successfully`);
@@ -612,7 +813,7 @@ class PokeGenieManager {
     }
 
     /**
-     * Restore collection from localStorage to database
+     * Restore collection from settings storage to database
      */
     async restoreCollection(collection) {
         try {
@@ -668,12 +869,7 @@ class PokeGenieManager {
     }
     
     readFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = e => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
-        });
+        return this.environment.readFileText(file);
     }
 }
 
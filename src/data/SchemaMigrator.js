@@ -0,0 +1,120 @@
+/**
+ * SchemaMigrator - Applies numbered schema migrations from database/migrations
+ * database/schema.sql is the baseline (version 1); every later change is a migration
+ */
+
+// Tables every database at the baseline version has
+const BASELINE_TABLES = [
+    'fact_pokemon', 'fact_pokemon_pvp_rankings', 'fact_pokemon_pve_tiers',
+    'dim_types', 'dim_moves', 'dim_leagues'
+];
+
+class SchemaMigrator {
+    constructor(SQL, environment, options = {}) {
+        this.SQL = SQL;
+        this.environment = environment;
+        this.migrationsPath = options.migrationsPath || 'database/migrations';
+        this.migrations = null;
+    }
+
+    /**
+     * Load the migration manifest and the SQL for each migration
+     */
+    async loadMigrations() {
+        if (this.migrations) {
+            return this.migrations;
+        }
+        
+        const manifest = await this.environment.loadJson(`${this.migrationsPath}/manifest.json`);
+        
+        const migrations = [];
+        for (const entry of manifest.migrations) {
+            const sql = await this.environment.loadText(`${this.migrationsPath}/${entry.file}`);
+            migrations.push({ ...entry, sql });
+        }
+        
+        this.migrations = migrations.sort((a, b) => a.version - b.version);
+        return this.migrations;
+    }
+
+    /**
+     * Latest schema version known to this build
+     */
+    async getLatestVersion() {
+        const migrations = await this.loadMigrations();
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 1;
+    }
+
+    /**
+     * Read the schema version of a SQL.js database
+     * Returns 0 for an empty database and 1 for a baseline database without version tracking
+     */
+    getCurrentVersion(db) {
+        const tables = this.getTableNames(db);
+        
+        if (tables.includes('schema_version')) {
+            const result = db.exec('SELECT MAX(version) AS version FROM schema_version');
+            return result[0]?.values[0][0] || 1;
+        }
+        
+        if (tables.length === 0) {
+            return 0;
+        }
+        
+        const missingTables = BASELINE_TABLES.filter(t => !tables.includes(t));
+        if (missingTables.length > 0) {
+            throw new Error(`Unrecognized database: missing tables ${missingTables.join(', ')}`);
+        }
+        
+        return 1;
+    }
+
+    getTableNames(db) {
+        const result = db.exec("SELECT name FROM sqlite_master WHERE type = 'table'");
+        return result.length > 0 ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Bring a database up to the latest schema version
+     * Migrations run on a copy; the copy is returned only if every migration succeeds,
+     * so a failure leaves the original database untouched
+     */
+    async migrate(db) {
+        const currentVersion = this.getCurrentVersion(db);
+        
+        if (currentVersion === 0) {
+            throw new Error('Cannot migrate an empty database; create it from the baseline schema first');
+        }
+        
+        const migrations = await this.loadMigrations();
+        const pending = migrations.filter(m => m.version > currentVersion);
+        
+        if (pending.length === 0) {
+            return db;
+        }
+        
+        console.log(`Migrating database schema from version ${currentVersion} to ${pending[pending.length - 1].version}...`);
+        
+        const working = new this.SQL.Database(db.export());
+        
+        for (const migration of pending) {
+            try {
+                working.exec('BEGIN TRANSACTION');
+                working.exec(migration.sql);
+                working.run(
+                    'INSERT OR REPLACE INTO schema_version (version, migration_name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+                working.exec('COMMIT');
+                console.log(`Applied migration ${migration.version} (${migration.name})`);
+            } catch (error) {
+                working.close();
+                throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+            }
+        }
+        
+        return working;
+    }
+}
+
+export default SchemaMigrator;
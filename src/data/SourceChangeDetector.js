@@ -0,0 +1,180 @@
+/**
+ * SourceChangeDetector - Detects data source changes from the local git submodules
+ * Reads the submodule HEAD commit from its git directory and hashes the watched files, so checks
+ * work offline; a remote checker (GitHub by default) is only asked when neither a local commit nor
+ * any watched file is found
+ */
+
+/**
+ * Resolve '.' and '..' segments of a '/' separated relative path
+ */
+function normalizePath(path) {
+    const parts = [];
+    
+    for (const part of path.split('/')) {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    }
+    
+    return parts.join('/');
+}
+
+/**
+ * Default remote checker: latest commit of the repository's default branch from the GitHub API
+ */
+export async function githubRemoteChecker(source) {
+    const match = /github\.com\/([^/]+)\/([^/]+?)(\.git)?$/.exec(source.repositoryUrl || '');
+    if (!match) {
+        return null;
+    }
+    
+    // HEAD resolves to the default branch (pvpoke uses master, not main)
+    const response = await fetch(`https://api.github.com/repos/${match[1]}/${match[2]}/commits/HEAD`, {
+        headers: { Accept: 'application/vnd.github+json' }
+    });
+    
+    if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status} (${source.repositoryUrl})`);
+    }
+    
+    return (await response.json()).sha || null;
+}
+
+class SourceChangeDetector {
+    /**
+     * @param {Object} environment - runtime services (loadText, loadBinary, listFiles, sha256)
+     * @param {Object} options - { remoteChecker: async source => commit hash, or null to stay offline (default githubRemoteChecker) }
+     */
+    constructor(environment, options = {}) {
+        this.environment = environment;
+        this.remoteChecker = options.remoteChecker === undefined ? githubRemoteChecker : options.remoteChecker;
+    }
+
+    /**
+     * Current state of a source
+     * @param {Object} source - { submodule: checkout directory, watchPaths: files or directories ('dir/') inside it,
+     *                          or relative to the app root for sources without a submodule }
+     * @returns {Object} { commit, origin: 'local' | 'remote' | null, files: { path: SHA-256 } for the files found }
+     */
+    async getSourceState(source) {
+        const files = await this.hashFiles(source.submodule, source.watchPaths || []);
+        let commit = source.submodule ? await this.readSubmoduleHead(source.submodule) : null;
+        let origin = commit ? 'local' : null;
+        
+        // File hashes decide on their own (see hasChanged), so the remote is only a fallback for nothing local
+        if (!commit && Object.keys(files).length === 0 && this.remoteChecker) {
+            try {
+                commit = await this.remoteChecker(source);
+                origin = commit ? 'remote' : null;
+            } catch (error) {
+                console.warn(`Remote check failed for ${source.name}:`, error.message);
+            }
+        }
+        
+        return {
+            commit: commit || null,
+            origin,
+            files
+        };
+    }
+
+    /**
+     * Whether a state differs from the one recorded at the last import
+     * File hashes decide when any watched file could be read; otherwise the commits are compared.
+     * A state without either is treated as unchanged, since nothing can be told about it
+     * @param {Object} previous - { commit, files } from the last completed update
+     */
+    hasChanged(state, previous) {
+        const paths = Object.keys(state.files);
+        
+        if (paths.length > 0) {
+            const previousFiles = previous.files || {};
+            
+            return paths.some(path => state.files[path] !== previousFiles[path]) ||
+                Object.keys(previousFiles).some(path => !(path in state.files));
+        }
+        
+        return Boolean(state.commit) && state.commit !== previous.commit;
+    }
+
+    /**
+     * Commit checked out in a submodule, or null when its git metadata can't be read
+     */
+    async readSubmoduleHead(submodule) {
+        try {
+            const gitDir = await this.resolveGitDir(submodule);
+            const head = (await this.environment.loadText(`${gitDir}/HEAD`)).trim();
+            
+            // Submodules are usually checked out detached; a branch HEAD points at a ref
+            const match = /^ref:\s*(.+)$/.exec(head);
+            return match ? await this.readRef(gitDir, match[1]) : head;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * A submodule's .git is a file ("gitdir: ../.git/modules/pvpoke") or, in a plain clone, a directory
+     */
+    async resolveGitDir(submodule) {
+        let pointer = null;
+        
+        try {
+            pointer = await this.environment.loadText(`${submodule}/.git`);
+        } catch (error) {
+            return `${submodule}/.git`;
+        }
+        
+        const match = /^gitdir:\s*(.+)$/m.exec(pointer);
+        if (!match) {
+            return `${submodule}/.git`;
+        }
+        
+        return normalizePath(`${submodule}/${match[1].trim()}`);
+    }
+
+    async readRef(gitDir, ref) {
+        try {
+            return (await this.environment.loadText(`${gitDir}/${ref}`)).trim();
+        } catch (error) {
+            // Refs are moved into packed-refs by git gc
+            const packedRefs = await this.environment.loadText(`${gitDir}/packed-refs`);
+            const line = packedRefs.split('\n').find(entry => entry.trim().endsWith(` ${ref}`));
+            
+            if (!line) {
+                throw new Error(`Ref not found: ${ref}`);
+            }
+            
+            return line.split(' ')[0];
+        }
+    }
+
+    /**
+     * SHA-256 of each watched file that exists, keyed by path relative to the app root
+     */
+    async hashFiles(submodule, watchPaths) {
+        const files = {};
+        
+        for (const watchPath of watchPaths) {
+            const fullPath = submodule ? `${submodule}/${watchPath}` : watchPath;
+            const paths = watchPath.endsWith('/') ?
+                await this.environment.listFiles(fullPath).catch(() => null) || [] :
+                [fullPath];
+                
+            for (const path of paths) {
+                try {
+                    files[path] = await this.environment.sha256(await this.environment.loadBinary(path));
+                } catch (error) {
+                    // Missing files are left out
+                }
+            }
+        }
+        
+        return files;
+    }
+}
+
+export default SourceChangeDetector;
@@ -0,0 +1,329 @@
+/**
+ * SourceValidator - Declarative validation of upstream source files before they are ingested
+ * Schemas describe the expected shape of gamemaster, rankings, tier and move files. Problems with the
+ * file itself reject it; entries of arrays marked `quarantine` that fail their checks are set aside
+ * (and reported) while the rest of the file is used, unless too many of them fail
+ *
+ * Schema nodes: { type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'any' (or a list of these),
+ *                 optional, nullable, fields: { name: node }, requireOneOf: [field names], items: node,
+ *                 minItems, maxItems, min, max, enum, pattern,
+ *                 quarantine: set invalid items aside, maxInvalid: share of quarantined items tolerated (default 0.1),
+ *                 idField: field naming a quarantined item in the report }
+ */
+
+// Issues listed per file in a report; the counts are always complete
+const MAX_REPORTED_ISSUES = 50;
+
+const GAMEMASTER_POKEMON = {
+    type: 'object',
+    fields: {
+        dex: { type: 'integer', min: 1 },
+        speciesId: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+        speciesName: { type: 'string' },
+        baseStats: {
+            type: 'object',
+            fields: {
+                atk: { type: 'number', min: 1 },
+                def: { type: 'number', min: 1 },
+                hp: { type: 'number', min: 1 }
+            }
+        },
+        types: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+        fastMoves: { type: 'array', optional: true, items: { type: 'string' } },
+        chargedMoves: { type: 'array', optional: true, items: { type: 'string' } },
+        eliteMoves: { type: 'array', optional: true, items: { type: 'string' } },
+        legacyMoves: { type: 'array', optional: true, items: { type: 'string' } },
+        tags: { type: 'array', optional: true, items: { type: 'string' } },
+        family: {
+            type: 'object',
+            optional: true,
+            fields: {
+                id: { type: 'string' },
+                parent: { type: 'string', optional: true },
+                evolutions: { type: 'array', optional: true, items: { type: 'string' } }
+            }
+        },
+        released: { type: 'boolean', optional: true }
+    }
+};
+
+const GAMEMASTER_MOVE = {
+    type: 'object',
+    fields: {
+        moveId: { type: 'string' },
+        name: { type: 'string' },
+        type: { type: 'string' },
+        power: { type: 'number', min: 0 },
+        energy: { type: 'number', min: 0, optional: true },
+        energyGain: { type: 'number', min: 0, optional: true },
+        cooldown: { type: 'number', min: 0, optional: true },
+        turns: { type: 'number', min: 0, optional: true }
+    }
+};
+
+export const SOURCE_SCHEMAS = {
+    gamemaster: {
+        type: 'object',
+        fields: {
+            pokemon: { type: 'array', minItems: 1, quarantine: true, idField: 'speciesId', items: GAMEMASTER_POKEMON },
+            moves: { type: 'array', minItems: 1, quarantine: true, idField: 'moveId', items: GAMEMASTER_MOVE }
+        }
+    },
+    rankings: {
+        type: 'array',
+        quarantine: true,
+        idField: 'speciesId',
+        items: {
+            type: 'object',
+            fields: {
+                speciesId: { type: 'string' },
+                score: { type: 'number', min: 0, max: 100 },
+                rating: { type: 'number', optional: true },
+                moveset: { type: 'array', minItems: 2, maxItems: 3, items: { type: 'string' } },
+                stats: {
+                    type: 'object',
+                    optional: true,
+                    fields: { product: { type: 'number', min: 0, optional: true } }
+                }
+            }
+        }
+    },
+    // Tier files differ between sources and revisions; only the shape the mappers rely on is checked
+    tiers: {
+        type: ['array', 'object'],
+        quarantine: true,
+        maxInvalid: 0.25,
+        items: {
+            type: 'object',
+            requireOneOf: ['speciesId', 'id', 'pokemon_id', 'pokemon', 'name']
+        }
+    },
+    pveMoves: {
+        type: 'array',
+        quarantine: true,
+        maxInvalid: 0.25,
+        items: {
+            type: 'object',
+            requireOneOf: ['name', 'move_name', 'moveId', 'id']
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : Number.isFinite(value) ? 'number' : 'invalid number';
+    }
+    return typeof value;
+}
+
+class SourceValidator {
+    /**
+     * @param {Object} schemas - named schemas (defaults to SOURCE_SCHEMAS)
+     */
+    constructor(schemas = SOURCE_SCHEMAS) {
+        this.schemas = schemas;
+    }
+
+    /**
+     * Validate parsed file contents
+     * @param {string|Object} schema - schema name or schema node
+     * @returns {Object} { report: { file, schema, valid, checked, errors: [{ path, message }],
+     *                     quarantined: [{ path, id, errors }], errorCount, quarantinedCount }, data: contents without quarantined items }
+     */
+    validate(schema, data, options = {}) {
+        const node = typeof schema === 'string' ? this.schemas[schema] : schema;
+        
+        if (!node) {
+            throw new Error(`Unknown validation schema: ${schema}`);
+        }
+        
+        const report = {
+            file: options.file || null,
+            schema: typeof schema === 'string' ? schema : null,
+            valid: true,
+            checked: 0,
+            errors: [],
+            quarantined: [],
+            errorCount: 0,
+            quarantinedCount: 0
+        };
+        
+        const { errors, value } = this.checkNode(node, data, '$', report);
+        
+        report.errorCount = errors.length;
+        report.errors = errors.slice(0, MAX_REPORTED_ISSUES);
+        report.quarantined = report.quarantined.slice(0, MAX_REPORTED_ISSUES);
+        report.valid = errors.length === 0;
+        
+        return { report, data: value };
+    }
+
+    /**
+     * Report for a file that could not be parsed at all
+     */
+    parseFailure(schema, file, error) {
+        return {
+            file,
+            schema,
+            valid: false,
+            checked: 0,
+            errors: [{ path: '$', message: `Invalid JSON: ${error.message}` }],
+            quarantined: [],
+            errorCount: 1,
+            quarantinedCount: 0
+        };
+    }
+
+    /**
+     * Report for a required file that is missing or could not be read
+     */
+    loadFailure(schema, file, error) {
+        return {
+            file,
+            schema,
+            valid: false,
+            checked: 0,
+            errors: [{ path: '$', message: `Missing or unreadable file: ${error.message}` }],
+            quarantined: [],
+            errorCount: 1,
+            quarantinedCount: 0
+        };
+    }
+
+    /**
+     * Check a value against a schema node
+     * @returns {Object} { errors, value: the value with quarantined items removed }
+     */
+    checkNode(node, value, path, report) {
+        const allowed = Array.isArray(node.type) ? node.type : [node.type || 'any'];
+        const actual = typeOf(value);
+        
+        if (value === null || value === undefined) {
+            return node.nullable || node.optional ? { errors: [], value } :
+                { errors: [{ path, message: 'is required' }], value };
+        }
+        
+        const typeMatches = allowed.includes('any') || allowed.includes(actual) ||
+            (actual === 'integer' && allowed.includes('number'));
+            
+        if (!typeMatches) {
+            return { errors: [{ path, message: `expected ${allowed.join(' or ')}, got ${actual}` }], value };
+        }
+        
+        if (actual === 'array') {
+            return this.checkArray(node, value, path, report);
+        }
+        
+        if (actual === 'object') {
+            return this.checkObject(node, value, path, report);
+        }
+        
+        return { errors: this.checkScalar(node, value, path), value };
+    }
+
+    checkScalar(node, value, path) {
+        const errors = [];
+        
+        if (node.min !== undefined && value < node.min) {
+            errors.push({ path, message: `must be at least ${node.min} (got ${value})` });
+        }
+        if (node.max !== undefined && value > node.max) {
+            errors.push({ path, message: `must be at most ${node.max} (got ${value})` });
+        }
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${node.enum.join(', ')} (got ${value})` });
+        }
+        if (node.pattern && !node.pattern.test(String(value))) {
+            errors.push({ path, message: `does not match ${node.pattern} (got ${value})` });
+        }
+        
+        return errors;
+    }
+
+    checkObject(node, value, path, report) {
+        const errors = [];
+        const result = { ...value };
+        
+        if (node.requireOneOf && !node.requireOneOf.some(field => value[field] !== undefined && value[field] !== null)) {
+            errors.push({ path, message: `needs one of ${node.requireOneOf.join(', ')}` });
+        }
+        
+        // Tier-style files may be objects keyed by id; their values are checked like array items
+        if (node.items && !node.fields) {
+            return this.checkArray(node, value, path, report);
+        }
+        
+        for (const [field, fieldNode] of Object.entries(node.fields || {})) {
+            const checked = this.checkNode(fieldNode, value[field], `${path}.${field}`, report);
+            errors.push(...checked.errors);
+            if (checked.value !== undefined) {
+                result[field] = checked.value;
+            }
+        }
+        
+        return { errors, value: result };
+    }
+
+    /**
+     * Check array items (or the values of an id-keyed object); quarantine arrays drop failing items
+     */
+    checkArray(node, value, path, report) {
+        const isArray = Array.isArray(value);
+        const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+        const errors = [];
+        const kept = [];
+        
+        if (node.minItems !== undefined && entries.length < node.minItems) {
+            errors.push({ path, message: `needs at least ${node.minItems} entries (got ${entries.length})` });
+        }
+        if (node.maxItems !== undefined && entries.length > node.maxItems) {
+            errors.push({ path, message: `allows at most ${node.maxItems} entries (got ${entries.length})` });
+        }
+        
+        let quarantinedCount = 0;
+        
+        for (const [key, item] of entries) {
+            const itemPath = isArray ? `${path}[${key}]` : `${path}.${key}`;
+            const checked = node.items ? this.checkNode(node.items, item, itemPath, report) : { errors: [], value: item };
+            
+            if (node.quarantine) {
+                report.checked++;
+            }
+            
+            if (checked.errors.length > 0 && node.quarantine) {
+                quarantinedCount++;
+                report.quarantinedCount++;
+                report.quarantined.push({
+                    path: itemPath,
+                    id: node.idField && item ? item[node.idField] ?? null : isArray ? null : key,
+                    errors: checked.errors.slice(0, 5)
+                });
+                continue;
+            }
+            
+            errors.push(...checked.errors);
+            kept.push([key, checked.value]);
+        }
+        
+        const maxInvalid = node.maxInvalid ?? 0.1;
+        if (node.quarantine && entries.length > 0 && quarantinedCount / entries.length > maxInvalid) {
+            errors.push({
+                path,
+                message: `${quarantinedCount} of ${entries.length} entries are invalid (more than ${Math.round(maxInvalid * 100)}%)`
+            });
+        }
+        
+        return {
+            errors,
+            value: isArray ? kept.map(([, item]) => item) : Object.fromEntries(kept)
+        };
+    }
+}
+
+export default SourceValidator;
@@ -0,0 +1,188 @@
+/**
+ * StagingArea - Loads an update into temporary copies of its target tables
+ * Updates write to staging_<table> copies; once the staged data passes validation it is swapped into
+ * the live tables row by row, and every inserted, updated, deprecated or deleted row is recorded in
+ * fact_data_changes (full old and new row) so the update can be browsed and rolled back later
+ */
+
+// Flags whose 1 -> 0 transition retires a row instead of editing it
+const DEPRECATION_COLUMNS = ['is_current', 'is_active'];
+
+class StagingArea {
+    /**
+     * @param {LocalDatabase} database
+     * @param {string} updateId - fact_data_updates id the recorded changes belong to
+     * @param {Object} options - { reason: change_reason, version: game_update_version (source commit) of the logged changes }
+     */
+    constructor(database, updateId, options = {}) {
+        this.db = database;
+        this.updateId = updateId;
+        this.reason = options.reason || null;
+        this.version = options.version || null;
+        this.tables = new Map();
+    }
+
+    /**
+     * Column names and primary key columns of a live table
+     */
+    static async describe(database, table) {
+        const columns = await database.all(`PRAGMA main.table_info(${table})`);
+        
+        if (columns.length === 0) {
+            throw new Error(`Unknown table: ${table}`);
+        }
+        
+        return {
+            columns: columns.map(column => column.name),
+            keyColumns: columns.filter(column => column.pk > 0)
+                .sort((a, b) => a.pk - b.pk)
+                .map(column => column.name)
+        };
+    }
+
+    /**
+     * Name to write to for a table: its staging copy when staged, the live table otherwise
+     */
+    table(name) {
+        return this.tables.has(name) ? this.tables.get(name).name : name;
+    }
+
+    /**
+     * Create staging copies (same definition and contents) of the given live tables
+     */
+    async create(tables) {
+        for (const table of tables) {
+            const definition = await this.db.get(
+                "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+            const { columns, keyColumns } = await StagingArea.describe(this.db, table);
+            
+            if (!definition || keyColumns.length === 0) {
+                throw new Error(`Table ${table} can't be staged without a primary key`);
+            }
+            
+            const name = `staging_${table}`;
+            
+            await this.db.run(`DROP TABLE IF EXISTS temp.${name}`);
+            await this.db.run(definition.sql.replace(/^CREATE TABLE\s+("?)\w+\1/i, `CREATE TEMP TABLE ${name}`));
+            await this.db.run(`INSERT INTO temp.${name} (${columns.join(', ')}) SELECT ${columns.join(', ')} FROM main.${table}`);
+            
+            this.tables.set(table, { name, columns, keyColumns });
+        }
+    }
+
+    /**
+     * Run integrity checks against the staged data
+     * @param {Array} checks - { name, description, sql } where sql returns the number of violations in its first
+     *                         column; {table} placeholders resolve to the staged copy of that table
+     * @throws {Error} StagingValidationError with a violations array when any check fails
+     */
+    async validate(checks = []) {
+        const violations = [];
+        
+        for (const check of checks) {
+            const sql = check.sql.replace(/\{(\w+)\}/g, (match, table) => this.table(table));
+            const row = await this.db.get(sql);
+            const count = row ? Object.values(row)[0] : 0;
+            
+            if (count > 0) {
+                violations.push({ check: check.name, description: check.description, count });
+            }
+        }
+        
+        if (violations.length > 0) {
+            const error = new Error(`Staged update failed validation: ${violations
+                .map(violation => `${violation.description} (${violation.count})`).join('; ')}`);
+            error.name = 'StagingValidationError';
+            error.violations = violations;
+            throw error;
+        }
+    }
+
+    /**
+     * Apply the differences between each staging copy and its live table, logging every changed row
+     * Must run inside a transaction, which makes the swap atomic
+     * @returns {Object} { [table]: { added, modified, deprecated, deleted, changedKeys: primary key values of every changed row } }
+     */
+    async swap() {
+        const summary = {};
+        const changes = [];
+        
+        for (const [table, { name, columns, keyColumns }] of this.tables) {
+            const keyMatch = keyColumns.map(column => `l.${column} = s.${column}`).join(' AND ');
+            const rowMatch = columns.map(column => `l.${column} IS s.${column}`).join(' AND ');
+            const keyOf = row => keyColumns.map(column => row[column]).join('|');
+            const keyValues = row => Object.fromEntries(keyColumns.map(column => [column, row[column]]));
+            
+            const removed = await this.db.all(`
+                SELECT l.* FROM main.${table} l
+                WHERE NOT EXISTS (SELECT 1 FROM temp.${name} s WHERE ${keyMatch})
+            `);
+            const previous = new Map((await this.db.all(`
+                SELECT l.* FROM main.${table} l
+                JOIN temp.${name} s ON ${keyMatch}
+                WHERE NOT (${rowMatch})
+            `)).map(row => [keyOf(row), row]));
+            const changed = await this.db.all(`
+                SELECT s.* FROM temp.${name} s
+                WHERE NOT EXISTS (SELECT 1 FROM main.${table} l WHERE ${keyMatch} AND ${rowMatch})
+            `);
+            
+            await this.db.runMany(`
+                DELETE FROM main.${table}
+                WHERE ${keyColumns.map(column => `${column} = ?`).join(' AND ')}
+            `, removed.map(row => keyColumns.map(column => row[column])));
+            
+            await this.db.insertMany(`main.${table}`, changed, { columns, onConflict: 'REPLACE' });
+            
+            for (const row of removed) {
+                changes.push({ table, recordId: keyOf(row), type: 'DELETE', oldValues: row, newValues: null });
+            }
+            
+            const counts = { INSERT: 0, UPDATE: 0, DEPRECATE: 0 };
+            
+            for (const row of changed) {
+                const oldValues = previous.get(keyOf(row)) || null;
+                const type = !oldValues ? 'INSERT' :
+                    DEPRECATION_COLUMNS.some(column => oldValues[column] === 1 && row[column] === 0) ? 'DEPRECATE' : 'UPDATE';
+                    
+                counts[type]++;
+                changes.push({ table, recordId: keyOf(row), type, oldValues, newValues: row });
+            }
+            
+            summary[table] = {
+                added: counts.INSERT,
+                modified: counts.UPDATE,
+                deprecated: counts.DEPRECATE,
+                deleted: removed.length,
+                changedKeys: [...removed, ...changed].map(keyValues)
+            };
+        }
+        
+        await this.db.insertMany('fact_data_changes', changes.map((change, index) => ({
+            pk_change_id: `${this.updateId}_${index}`,
+            fk_update_id: this.updateId,
+            table_name: change.table,
+            record_id: change.recordId,
+            change_type: change.type,
+            old_values: change.oldValues ? JSON.stringify(change.oldValues) : null,
+            new_values: change.newValues ? JSON.stringify(change.newValues) : null,
+            change_reason: this.reason,
+            game_update_version: this.version
+        })));
+        
+        return summary;
+    }
+
+    /**
+     * Drop the staging copies
+     */
+    async drop() {
+        for (const { name } of this.tables.values()) {
+            await this.db.run(`DROP TABLE IF EXISTS temp.${name}`);
+        }
+        
+        this.tables.clear();
+    }
+}
+
+export default StagingArea;
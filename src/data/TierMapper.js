@@ -0,0 +1,254 @@
+/**
+ * TierMapper - Maps PvE tier lists from pokemon-resources and Dialgadex onto fact_pokemon_pve_tiers rows
+ * Both sources rate attackers per attacking type. An entry without an explicit defending type is rated against
+ * every type its attacking type is super effective against, so each entry becomes one row per attacking/defending
+ * type pair. Entry field names differ between sources and revisions, so each value is read from its known aliases
+ */
+
+import { TYPE_CHART } from './typeChart.js';
+
+// Minimum tier_score (0-100, relative to the best attacker of the type) of each tier letter
+const TIER_THRESHOLDS = [
+    { tier: 'S', minScore: 90 },
+    { tier: 'A', minScore: 80 },
+    { tier: 'B', minScore: 70 },
+    { tier: 'C', minScore: 60 },
+    { tier: 'D', minScore: 50 }
+];
+
+// Regional form names as written by the sources -> the PvPoke form names stored in fact_pokemon
+const FORM_ALIASES = {
+    alola: 'alolan',
+    galar: 'galarian',
+    hisui: 'hisuian',
+    paldea: 'paldean'
+};
+
+function normalizeKey(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function firstDefined(entry, fields) {
+    for (const field of fields) {
+        if (entry[field] !== undefined && entry[field] !== null && entry[field] !== '') {
+            return entry[field];
+        }
+    }
+    return null;
+}
+
+class TierMapper {
+    /**
+     * @param {Array} pokemon - fact_pokemon rows ({ pk_pokemon_id, pokemon_number, pokemon_name, form })
+     */
+    constructor(pokemon) {
+        this.pokemonIds = new Set(pokemon.map(row => row.pk_pokemon_id));
+        this.byNameAndForm = new Map();
+        this.byName = new Map();
+        this.byDexAndForm = new Map();
+        
+        // Shadow and Mega rows are reached from their base form
+        for (const row of pokemon.filter(row => !/_shadow$|_mega(_[xy])?$|_primal$/.test(row.pk_pokemon_id))) {
+            const name = normalizeKey(row.pokemon_name);
+            const form = this.normalizeForm(row.form);
+            
+            this.setOnce(this.byNameAndForm, `${name}|${form}`, row.pk_pokemon_id);
+            this.setOnce(this.byName, name, row.pk_pokemon_id);
+            this.setOnce(this.byDexAndForm, `${row.pokemon_number}|${form}`, row.pk_pokemon_id);
+        }
+    }
+
+    setOnce(map, key, value) {
+        if (!map.has(key)) {
+            map.set(key, value);
+        }
+    }
+
+    normalizeForm(form) {
+        const key = normalizeKey(form);
+        return !key || key === 'normal' ? 'normal' : FORM_ALIASES[key] || key;
+    }
+
+    /**
+     * Map the entries of one tier file
+     * Entries either carry one attacking type ({ type, tier, score, rank }) or a `tiers` object keyed by attacking
+     * type whose values are tier letters or { tier, score, rank }. Scores are rescaled per attacking type to 0-100
+     * (tier_score); the raw value is kept as effectiveness_rating. Missing tier letters are derived from tier_score
+     * and missing ranks from the score order (file order when there are no scores)
+     * @param {Array|Object} data - entries, or an object of entries keyed by id
+     * @param {Object} options - { attackingType: attacking type of every entry (per-type files) }
+     * @returns {Object} { rows, unresolved: entries naming a Pokemon or type that is not in the database }
+     */
+    map(data, options = {}) {
+        const entries = Array.isArray(data) ? data : Object.values(data || {});
+        const ratingsByType = new Map();
+        let unresolved = 0;
+        
+        for (const entry of entries) {
+            if (!entry || typeof entry !== 'object') {
+                continue;
+            }
+            
+            const pokemonId = this.resolvePokemon(entry);
+            const ratings = this.readRatings(entry, options.attackingType);
+            
+            if (!pokemonId || ratings.length === 0) {
+                unresolved++;
+                continue;
+            }
+            
+            for (const rating of ratings) {
+                if (!ratingsByType.has(rating.attackingType)) {
+                    ratingsByType.set(rating.attackingType, []);
+                }
+                ratingsByType.get(rating.attackingType).push({ ...rating, pokemonId });
+            }
+        }
+        
+        const rows = [];
+        for (const [attackingType, ratings] of ratingsByType) {
+            rows.push(...this.mapAttackingType(attackingType, ratings));
+        }
+        
+        return { rows, unresolved };
+    }
+
+    /**
+     * Ratings of one entry: [{ attackingType, defendingType, tier, score, rank }]
+     */
+    readRatings(entry, attackingType) {
+        const read = (value, ratingType) => {
+            const rating = value && typeof value === 'object' ? value : { tier: value };
+            const type = this.normalizeType(ratingType ?? firstDefined(rating, ['attackingType', 'attacking_type', 'type']));
+            
+            if (!type) {
+                return null;
+            }
+            
+            const defending = firstDefined(rating, ['defendingType', 'defending_type', 'vs']) ??
+                firstDefined(entry, ['defendingType', 'defending_type', 'vs']);
+            const score = Number(firstDefined(rating, ['score', 'rating', 'er', 'value', 'tier_score']) ?? NaN);
+            const rank = Number(firstDefined(rating, ['rank', 'overall_rank', 'position']) ?? NaN);
+            const tier = firstDefined(rating, ['tier', 'tier_rank', 'grade']);
+            
+            return {
+                attackingType: type,
+                defendingType: defending === null ? null : this.normalizeType(defending) || false,
+                tier: typeof tier === 'string' ? tier.trim().toUpperCase() : null,
+                score: Number.isFinite(score) ? score : null,
+                rank: Number.isInteger(rank) && rank > 0 ? rank : null
+            };
+        };
+        
+        const ratings = entry.tiers && typeof entry.tiers === 'object' && !Array.isArray(entry.tiers) ?
+            Object.entries(entry.tiers).map(([type, value]) => read(value, type)) :
+            [read(entry, attackingType)];
+            
+        // An unknown defending type (false) drops the rating
+        return ratings.filter(rating => rating && rating.defendingType !== false);
+    }
+
+    normalizeType(type) {
+        const key = normalizeKey(type);
+        return TYPE_CHART[key] ? key : null;
+    }
+
+    /**
+     * Rows of one attacking type, best attacker first
+     */
+    mapAttackingType(attackingType, ratings) {
+        const maxScore = Math.max(0, ...ratings.map(rating => rating.score ?? 0));
+        const ordered = ratings
+            .map((rating, index) => ({ ...rating, index }))
+            .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) ||
+                (b.score ?? -Infinity) - (a.score ?? -Infinity) || a.index - b.index);
+                
+        const rows = new Map();
+        const positions = new Map();
+        
+        for (const rating of ordered) {
+            if (!positions.has(rating.pokemonId)) {
+                positions.set(rating.pokemonId, positions.size + 1);
+            }
+            
+            const tierScore = rating.score !== null && maxScore > 0 ?
+                Math.round(rating.score / maxScore * 1000) / 10 : null;
+            const defendingTypes = rating.defendingType ? [rating.defendingType] : TYPE_CHART[attackingType].superEffective;
+            
+            for (const defendingType of defendingTypes) {
+                const key = `${rating.pokemonId}|${defendingType}`;
+                
+                // A Pokemon listed more than once (e.g. per moveset) keeps its best rating
+                if (rows.has(key)) {
+                    continue;
+                }
+                
+                rows.set(key, {
+                    fk_pokemon_id: rating.pokemonId,
+                    fk_attacking_type_id: attackingType,
+                    fk_defending_type_id: defendingType,
+                    tier_rank: rating.tier || this.getTier(tierScore),
+                    tier_score: tierScore,
+                    effectiveness_rating: rating.score,
+                    pve_overall_rank: rating.rank ?? positions.get(rating.pokemonId)
+                });
+            }
+        }
+        
+        return Array.from(rows.values());
+    }
+
+    getTier(tierScore) {
+        if (tierScore === null) {
+            return null;
+        }
+        
+        return TIER_THRESHOLDS.find(threshold => tierScore >= threshold.minScore)?.tier || 'F';
+    }
+
+    /**
+     * fact_pokemon id of an entry: a PvPoke speciesId, or a name / dex number with form, plus Shadow or Mega flags
+     */
+    resolvePokemon(entry) {
+        for (const field of ['speciesId', 'id', 'pokemon_id', 'pokemon']) {
+            const value = entry[field];
+            if (typeof value === 'string' && this.pokemonIds.has(value.toLowerCase())) {
+                return value.toLowerCase();
+            }
+        }
+        
+        let name = String(firstDefined(entry, ['name', 'pokemon_name', 'pokemon']) ?? '').trim();
+        let shadow = entry.shadow === true || entry.is_shadow === true;
+        let mega = entry.mega ?? entry.is_mega ?? null;
+        
+        // "Shadow Machamp", "Mega Charizard X"
+        if (/^shadow\s/i.test(name)) {
+            shadow = true;
+            name = name.replace(/^shadow\s+/i, '');
+        }
+        const megaName = /^mega\s+(.+?)(?:\s+([xy]))?$/i.exec(name);
+        if (megaName) {
+            name = megaName[1];
+            mega = megaName[2] || true;
+        }
+        
+        const form = this.normalizeForm(entry.form);
+        const dex = Number(firstDefined(entry, ['dex', 'pokemon_number', 'id', 'pokemon_id']));
+        const baseId = this.byNameAndForm.get(`${normalizeKey(name)}|${form}`) ||
+            (Number.isInteger(dex) ? this.byDexAndForm.get(`${dex}|${form}`) : null) ||
+            (form === 'normal' ? this.byName.get(normalizeKey(name)) : null);
+            
+        if (!baseId) {
+            return null;
+        }
+        
+        const variantId = shadow ? `${baseId}_shadow` :
+            entry.primal === true ? `${baseId}_primal` :
+            mega ? `${baseId}_mega${typeof mega === 'string' && /^[xy]$/i.test(mega) ? `_${mega.toLowerCase()}` : ''}` :
+            baseId;
+            
+        return this.pokemonIds.has(variantId) ? variantId : null;
+    }
+}
+
+export default TierMapper;
@@ -0,0 +1,357 @@
+/**
+ * UpdateScheduler - Decides when each data source is checked for updates
+ * Due times come from the check state persisted in dim_data_sources (last check, consecutive failures), so a
+ * reload continues the schedule instead of restarting it. Failed checks and updates are retried with exponential
+ * backoff a bounded number of times, after which the source waits for its next regular check. Each check runs
+ * under a named lock (Web Locks in the browser), so only one tab checks a source at a time
+ */
+
+// Other tabs keep their own copy of the database until they reload; checks are also published here
+const SHARED_STATE_KEY = 'pogo_update_schedule';
+
+// setTimeout delays overflow past ~24.8 days; longer waits are re-evaluated when the timer fires
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Date of an ISO or SQLite (UTC 'YYYY-MM-DD HH:MM:SS') timestamp
+ */
+function parseTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    
+    const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+class UpdateScheduler {
+    /**
+     * @param {DataUpdateManager} manager - provides the sources, the database, the environment and checkSourceForUpdates()
+     * @param {Object} options - { retryDelay: ms before the first retry (default 5 minutes, doubled per failure),
+     *                            maxRetryDelay: cap of the backoff (default 2 hours), maxRetries: retries before waiting for
+     *                            the regular interval (default 5), lockRetryDelay: wait while another tab checks (default 1 minute) }
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.retryDelay = options.retryDelay ?? 5 * 60 * 1000;
+        this.maxRetryDelay = options.maxRetryDelay ?? 2 * 60 * 60 * 1000;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.lockRetryDelay = options.lockRetryDelay ?? 60 * 1000;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.pausedSources = new Set();
+        this.checking = new Set();
+        this.timers = new Map(); // sourceId -> { handle, dueAt }
+    }
+
+    /**
+     * Schedule every active source
+     */
+    async start() {
+        this.isRunning = true;
+        
+        for (const source of this.manager.updateSources) {
+            await this.schedule(source);
+        }
+    }
+
+    /**
+     * Cancel all pending checks (a check already running finishes)
+     */
+    stop() {
+        this.isRunning = false;
+        
+        for (const sourceId of Array.from(this.timers.keys())) {
+            this.cancel(sourceId);
+        }
+    }
+
+    /**
+     * Pause the checks of one source, or of all sources when no id is given
+     */
+    pause(sourceId = null) {
+        if (sourceId) {
+            this.pausedSources.add(sourceId);
+            this.cancel(sourceId);
+            return;
+        }
+        
+        this.isPaused = true;
+        for (const id of Array.from(this.timers.keys())) {
+            this.cancel(id);
+        }
+    }
+
+    /**
+     * Resume paused checks; checks that became due while paused run right away
+     */
+    async resume(sourceId = null) {
+        if (sourceId) {
+            this.pausedSources.delete(sourceId);
+        } else {
+            this.isPaused = false;
+        }
+        
+        for (const source of this.manager.updateSources) {
+            if (!sourceId || source.id === sourceId) {
+                await this.schedule(source);
+            }
+        }
+    }
+
+    isSourcePaused(sourceId) {
+        return this.isPaused || this.pausedSources.has(sourceId);
+    }
+
+    /**
+     * Schedule the next check of a source from its persisted state, replacing a pending one
+     * @returns {Date|null} when the check will run (null when the source is not scheduled)
+     */
+    async schedule(source) {
+        this.cancel(source.id);
+        
+        if (!this.canSchedule(source)) {
+            return null;
+        }
+        
+        const dueAt = this.getNextCheckTime(source, await this.readState(source.id));
+        
+        // The scheduler may have been stopped or paused, or the source replaced, while the state was read
+        if (!this.canSchedule(source)) {
+            return null;
+        }
+        
+        this.setTimer(source, dueAt);
+        return dueAt;
+    }
+
+    canSchedule(source) {
+        return this.isRunning && source.isActive && !this.isSourcePaused(source.id) &&
+            this.manager.registry.get(source.id) === source;
+    }
+
+    setTimer(source, dueAt) {
+        this.cancel(source.id);
+        
+        const delay = Math.min(Math.max(dueAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+        const handle = this.manager.environment.setTimer(() => {
+            this.timers.delete(source.id);
+            this.runCheck(source).catch(error => {
+                console.error(`Error checking source ${source.name}:`, error);
+            });
+        }, delay);
+        
+        this.timers.set(source.id, { handle, dueAt });
+    }
+
+    /**
+     * Cancel the pending check of a source
+     */
+    cancel(sourceId) {
+        const timer = this.timers.get(sourceId);
+        
+        if (timer) {
+            this.manager.environment.clearTimer(timer.handle);
+            this.timers.delete(sourceId);
+        }
+    }
+
+    /**
+     * Check a source now, whether or not it is due
+     * @returns {Object|null} { changed, update, error }, or null when another tab is checking it
+     */
+    async checkNow(sourceId) {
+        const source = this.manager.registry.get(sourceId);
+        
+        if (!source) {
+            throw new Error(`Unknown data source: ${sourceId}`);
+        }
+        
+        return await this.runCheck(source, { force: true });
+    }
+
+    /**
+     * Check a source under its lock if it is (still) due, record the outcome and schedule the next check
+     * @param {Object} options - { force: check even when not due }
+     * @returns {Object|null} { changed, update: the update task when one ran, error }, or null when skipped
+     */
+    async runCheck(source, options = {}) {
+        let outcome = null;
+        
+        const acquired = await this.manager.environment.tryLock(`pogo-source-check:${source.id}`, async () => {
+            // Another tab may have checked the source while this one was waiting
+            const state = await this.readState(source.id);
+            if (!options.force && this.getNextCheckTime(source, state) > new Date()) {
+                return;
+            }
+            
+            this.checking.add(source.id);
+            
+            try {
+                const { changed, update } = await this.manager.checkSourceForUpdates(source);
+                outcome = { changed, update, error: update?.status === 'failed' ? update.error : null };
+            } catch (error) {
+                outcome = { changed: false, update: null, error: error.message };
+            } finally {
+                this.checking.delete(source.id);
+            }
+            
+            await this.recordResult(source, state, outcome.error);
+        });
+        
+        if (!acquired) {
+            if (this.canSchedule(source)) {
+                this.setTimer(source, new Date(Date.now() + this.lockRetryDelay));
+            }
+            return null;
+        }
+        
+        await this.schedule(source);
+        return outcome;
+    }
+
+    /**
+     * When a source is due: after a failure, a backoff delay from the failure while retries remain;
+     * otherwise its check interval after the last check (right away when it was never checked)
+     */
+    getNextCheckTime(source, state) {
+        if (state.retryCount > 0 && state.retryCount <= this.maxRetries && state.lastFailure) {
+            return new Date(state.lastFailure.getTime() + this.getRetryDelay(state.retryCount));
+        }
+        
+        return state.lastCheck ? new Date(state.lastCheck.getTime() + source.checkInterval) : new Date();
+    }
+
+    getRetryDelay(retryCount) {
+        return Math.min(this.retryDelay * 2 ** (retryCount - 1), this.maxRetryDelay);
+    }
+
+    /**
+     * Persisted check state of a source: the database row, or the shared entry when another tab checked later
+     * @returns {Object} { lastCheck, retryCount, lastFailure, lastError }
+     */
+    async readState(sourceId) {
+        const row = await this.manager.db.get(`
+            SELECT last_check_timestamp, retry_count, last_failure_timestamp, last_error
+            FROM dim_data_sources
+            WHERE pk_source_id = ?
+        `, [sourceId]);
+        
+        const stored = {
+            lastCheck: parseTimestamp(row?.last_check_timestamp),
+            retryCount: row?.retry_count || 0,
+            lastFailure: parseTimestamp(row?.last_failure_timestamp),
+            lastError: row?.last_error || null
+        };
+        
+        const shared = this.readSharedState()[sourceId];
+        const sharedCheck = parseTimestamp(shared?.lastCheck);
+        
+        if (sharedCheck && (!stored.lastCheck || sharedCheck > stored.lastCheck)) {
+            return {
+                lastCheck: sharedCheck,
+                retryCount: shared.retryCount || 0,
+                lastFailure: parseTimestamp(shared.lastFailure),
+                lastError: shared.lastError || null
+            };
+        }
+        
+        return stored;
+    }
+
+    /**
+     * Store the outcome of a check; failures count towards the retries, a success resets them
+     */
+    async recordResult(source, previous, error) {
+        const now = new Date();
+        const state = error ?
+            { lastCheck: now, retryCount: previous.retryCount + 1, lastFailure: now, lastError: error } :
+            { lastCheck: now, retryCount: 0, lastFailure: null, lastError: null };
+            
+        source.lastCheckTime = now;
+        
+        await this.manager.db.run(`
+            UPDATE dim_data_sources
+            SET last_check_timestamp = ?, retry_count = ?, last_failure_timestamp = ?, last_error = ?
+            WHERE pk_source_id = ?
+        `, [now.toISOString(), state.retryCount, state.lastFailure?.toISOString() || null, state.lastError, source.id]);
+        
+        this.writeSharedState(source.id, {
+            lastCheck: now.toISOString(),
+            retryCount: state.retryCount,
+            lastFailure: state.lastFailure?.toISOString() || null,
+            lastError: state.lastError
+        });
+        
+        if (error) {
+            const retry = state.retryCount > this.maxRetries ? 'no retries left' : `retry ${state.retryCount} of ${this.maxRetries}`;
+            console.warn(`Check of ${source.name} failed (${retry}): ${error}`);
+        }
+    }
+
+    readSharedState() {
+        try {
+            return JSON.parse(this.manager.environment.getKeyValueStore().getItem(SHARED_STATE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeSharedState(sourceId, state) {
+        try {
+            const store = this.manager.environment.getKeyValueStore();
+            store.setItem(SHARED_STATE_KEY, JSON.stringify({ ...this.readSharedState(), [sourceId]: state }));
+        } catch (error) {
+            console.warn('Could not share the update schedule:', error.message);
+        }
+    }
+
+    /**
+     * Schedule of every registered source
+     * @returns {Object} { running, paused, sources: [{ sourceId, name, status: 'scheduled' | 'retrying' | 'retries_exhausted' |
+     *                     'checking' | 'paused' | 'stopped' | 'inactive', lastCheck, nextCheck, checkInterval, retryCount,
+     *                     maxRetries, lastError }] }
+     */
+    async getStatus() {
+        const sources = [];
+        
+        for (const source of this.manager.updateSources) {
+            const state = await this.readState(source.id);
+            
+            sources.push({
+                sourceId: source.id,
+                name: source.name,
+                status: this.getSourceStatus(source, state),
+                lastCheck: state.lastCheck,
+                nextCheck: this.timers.get(source.id)?.dueAt || null,
+                checkInterval: source.checkInterval,
+                retryCount: state.retryCount,
+                maxRetries: this.maxRetries,
+                lastError: state.lastError
+            });
+        }
+        
+        return { running: this.isRunning, paused: this.isPaused, sources };
+    }
+
+    getSourceStatus(source, state) {
+        if (!source.isActive) {
+            return 'inactive';
+        }
+        if (this.checking.has(source.id)) {
+            return 'checking';
+        }
+        if (this.isSourcePaused(source.id)) {
+            return 'paused';
+        }
+        if (!this.isRunning) {
+            return 'stopped';
+        }
+        if (state.retryCount > this.maxRetries) {
+            return 'retries_exhausted';
+        }
+        return state.retryCount > 0 ? 'retrying' : 'scheduled';
+    }
+}
+
+export default UpdateScheduler;
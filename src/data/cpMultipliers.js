@@ -0,0 +1,46 @@
+/**
+ * Pokemon GO CP multipliers
+ * A Pokemon's stats are (base stat + IV) * CP multiplier of its level; levels go up in half steps
+ * from 1 to 50, and a best buddy battles one level higher (up to 51)
+ */
+
+// Highest level a Pokemon can be powered up to, and the levels a best buddy gains in battle
+export const MAX_LEVEL = 50;
+export const BEST_BUDDY_LEVEL_BONUS = 1;
+
+// Level -> CP multiplier
+export const CP_MULTIPLIERS = {
+    1: 0.094, 1.5: 0.1351374318, 2: 0.16639787, 2.5: 0.192650919, 3: 0.21573247, 3.5: 0.2365726613,
+    4: 0.25572005, 4.5: 0.2735303812, 5: 0.29024988, 5.5: 0.3060573775, 6: 0.3210876, 6.5: 0.3354450362,
+    7: 0.34921268, 7.5: 0.3624577511, 8: 0.3752356, 8.5: 0.387592416, 9: 0.39956728, 9.5: 0.4111935514,
+    10: 0.42250001, 10.5: 0.4329264091, 11: 0.44310755, 11.5: 0.4530599591, 12: 0.46279839, 12.5: 0.472336093,
+    13: 0.48168495, 13.5: 0.4908558003, 14: 0.49985844, 14.5: 0.508701765, 15: 0.51739395, 15.5: 0.5259425113,
+    16: 0.53435433, 16.5: 0.5426357375, 17: 0.55079269, 17.5: 0.5588305862, 18: 0.56675452, 18.5: 0.5745691333,
+    19: 0.58227891, 19.5: 0.5898879072, 20: 0.59740001, 20.5: 0.6048236651, 21: 0.61215729, 21.5: 0.6194041216,
+    22: 0.62656713, 22.5: 0.6336491432, 23: 0.64065295, 23.5: 0.6475809666, 24: 0.65443563, 24.5: 0.6612192524,
+    25: 0.667934, 25.5: 0.6745818959, 26: 0.68116492, 26.5: 0.6876849038, 27: 0.69414365, 27.5: 0.7005429375,
+    28: 0.70688421, 28.5: 0.7131691091, 29: 0.71939909, 29.5: 0.7255756136, 30: 0.7317, 30.5: 0.7347410093,
+    31: 0.73776948, 31.5: 0.7407855938, 32: 0.74378943, 32.5: 0.7467812109, 33: 0.74976104, 33.5: 0.7527290867,
+    34: 0.75568551, 34.5: 0.7586303683, 35: 0.76156384, 35.5: 0.7644899596, 36: 0.76739717, 36.5: 0.7702972656,
+    37: 0.77319044, 37.5: 0.7760649616, 38: 0.77893275, 38.5: 0.7817900548, 39: 0.78463697, 39.5: 0.7874736075,
+    40: 0.79030001, 40.5: 0.792803968, 41: 0.79530001, 41.5: 0.797800015, 42: 0.8003, 42.5: 0.802799995,
+    43: 0.8053, 43.5: 0.8078, 44: 0.81029999, 44.5: 0.812799985, 45: 0.81529999, 45.5: 0.81779999,
+    46: 0.82029999, 46.5: 0.82279999, 47: 0.82529999, 47.5: 0.82779999, 48: 0.83029999, 48.5: 0.83279999,
+    49: 0.83529999, 49.5: 0.83779999, 50: 0.84029999, 50.5: 0.84279999, 51: 0.84529999
+};
+
+// Every level of the table, lowest first
+export const LEVELS = Object.keys(CP_MULTIPLIERS).map(Number).sort((a, b) => a - b);
+
+/**
+ * CP multiplier of a level (rounded down to the nearest half level)
+ */
+export function getCpMultiplier(level) {
+    const cpm = CP_MULTIPLIERS[Math.floor(Number(level) * 2) / 2];
+    
+    if (!cpm) {
+        throw new Error(`Invalid level: ${level}`);
+    }
+    
+    return cpm;
+}
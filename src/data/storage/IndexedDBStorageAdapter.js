@@ -0,0 +1,87 @@
+/**
+ * IndexedDBStorageAdapter - Stores the database image as a binary blob in IndexedDB
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+const IDB_DATABASE_NAME = 'pogo-mon-registry';
+const IDB_STORE_NAME = 'databases';
+
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(dbName) {
+        super(dbName);
+        this.kind = 'indexeddb';
+        this.sizeKey = `${dbName}:size`;
+        this.connection = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the object store holding database images
+     */
+    async open() {
+        if (this.connection) {
+            return this.connection;
+        }
+        
+        this.connection = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(IDB_DATABASE_NAME, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(IDB_STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        return this.connection;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async request(mode, operation) {
+        const connection = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const tx = connection.transaction(IDB_STORE_NAME, mode);
+            const request = operation(tx.objectStore(IDB_STORE_NAME));
+            let result;
+            
+            request.onsuccess = () => { result = request.result; };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async load() {
+        const stored = await this.request('readonly', store => store.get(this.dbName));
+        return stored ? new Uint8Array(stored) : null;
+    }
+
+    async save(data) {
+        // The image size is kept under its own key so the quota check never reads the image
+        const currentByteLength = await this.request('readonly', store => store.get(this.sizeKey));
+        await this.checkQuota(data.byteLength, currentByteLength || 0);
+        
+        // Store a standalone ArrayBuffer so the record does not pin a larger WASM heap view
+        const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        await this.request('readwrite', store => {
+            store.put(data.byteLength, this.sizeKey);
+            return store.put(buffer, this.dbName);
+        });
+    }
+
+    async clear() {
+        await this.request('readwrite', store => {
+            store.delete(this.sizeKey);
+            return store.delete(this.dbName);
+        });
+    }
+}
+
+export default IndexedDBStorageAdapter;
@@ -0,0 +1,57 @@
+/**
+ * LocalStorageAdapter - Legacy backend storing the database as a JSON byte array in localStorage
+ * Kept so existing databases can be read and migrated to a binary backend
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+// Browsers typically allow ~5 MB of UTF-16 per origin
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(dbName) {
+        super(dbName);
+        this.kind = 'localstorage';
+    }
+
+    static isSupported() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            // Accessing localStorage throws when storage is disabled
+            return false;
+        }
+    }
+
+    async load() {
+        const saved = localStorage.getItem(this.dbName);
+        return saved ? new Uint8Array(JSON.parse(saved)) : null;
+    }
+
+    async save(data) {
+        const serialized = JSON.stringify(Array.from(data));
+        const current = localStorage.getItem(this.dbName);
+        
+        // Each UTF-16 character takes two bytes
+        await this.checkQuota(serialized.length * 2, current ? current.length * 2 : 0);
+        
+        localStorage.setItem(this.dbName, serialized);
+    }
+
+    async clear() {
+        localStorage.removeItem(this.dbName);
+    }
+
+    async estimateQuota() {
+        let usage = 0;
+        
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+        }
+        
+        return { usage, quota: LOCAL_STORAGE_QUOTA };
+    }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,35 @@
+/**
+ * MemoryStorageAdapter - Keeps the database image in memory only (scripts, tests, fallbacks)
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(dbName) {
+        super(dbName);
+        this.kind = 'memory';
+        this.data = null;
+    }
+
+    static isSupported() {
+        return true;
+    }
+
+    async load() {
+        return this.data ? new Uint8Array(this.data) : null;
+    }
+
+    async save(data) {
+        this.data = new Uint8Array(data);
+    }
+
+    async clear() {
+        this.data = null;
+    }
+
+    async estimateQuota() {
+        return null;
+    }
+}
+
+export default MemoryStorageAdapter;
@@ -0,0 +1,95 @@
+/**
+ * NodeFileStorageAdapter - Stores the database image as a .sqlite file on the local filesystem
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class NodeFileStorageAdapter extends StorageAdapter {
+    constructor(dbName, options = {}) {
+        super(dbName);
+        this.kind = 'node';
+        this.directory = options.directory || 'data';
+        this.fs = null;
+        this.path = null;
+    }
+
+    static isSupported() {
+        return typeof process !== 'undefined' && !!process.versions?.node;
+    }
+
+    /**
+     * Lazily import the Node modules so browser bundles never load them
+     */
+    async modules() {
+        if (!this.fs) {
+            this.fs = await import('fs/promises');
+            this.path = await import('path');
+        }
+        
+        return { fs: this.fs, path: this.path };
+    }
+
+    async getFilePath() {
+        const { path } = await this.modules();
+        return path.resolve(this.directory, `${this.dbName}.sqlite`);
+    }
+
+    async load() {
+        const { fs } = await this.modules();
+        
+        try {
+            const data = await fs.readFile(await this.getFilePath());
+            return data.length > 0 ? new Uint8Array(data) : null;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async save(data) {
+        const { fs, path } = await this.modules();
+        const filePath = await this.getFilePath();
+        
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        
+        let currentSize = 0;
+        try {
+            currentSize = (await fs.stat(filePath)).size;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        await this.checkQuota(data.byteLength, currentSize);
+        
+        // Write to a temporary file and rename so a crash never leaves a truncated image
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+    }
+
+    async clear() {
+        const { fs } = await this.modules();
+        await fs.rm(await this.getFilePath(), { force: true });
+    }
+
+    async estimateQuota() {
+        const { fs, path } = await this.modules();
+        
+        // fs.statfs is only available on Node 18.15+
+        if (typeof fs.statfs !== 'function') {
+            return null;
+        }
+        
+        const directory = path.resolve(this.directory);
+        await fs.mkdir(directory, { recursive: true });
+        const stats = await fs.statfs(directory);
+        const quota = stats.blocks * stats.bsize;
+        
+        return { usage: quota - stats.bavail * stats.bsize, quota };
+    }
+}
+
+export default NodeFileStorageAdapter;
@@ -0,0 +1,71 @@
+/**
+ * OPFSStorageAdapter - Stores the database image as a file in the Origin Private File System
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class OPFSStorageAdapter extends StorageAdapter {
+    constructor(dbName) {
+        super(dbName);
+        this.kind = 'opfs';
+        this.fileName = `${dbName}.sqlite`;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' &&
+            typeof navigator.storage?.getDirectory === 'function' &&
+            typeof FileSystemFileHandle !== 'undefined' &&
+            'createWritable' in FileSystemFileHandle.prototype;
+    }
+
+    /**
+     * Get the file handle for this database, optionally creating it
+     */
+    async getFileHandle(create = false) {
+        const root = await navigator.storage.getDirectory();
+        
+        try {
+            return await root.getFileHandle(this.fileName, { create });
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async load() {
+        const handle = await this.getFileHandle();
+        
+        if (!handle) {
+            return null;
+        }
+        
+        const file = await handle.getFile();
+        return file.size > 0 ? new Uint8Array(await file.arrayBuffer()) : null;
+    }
+
+    async save(data) {
+        const handle = await this.getFileHandle(true);
+        const current = await handle.getFile();
+        await this.checkQuota(data.byteLength, current.size);
+        
+        const writable = await handle.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    async clear() {
+        const root = await navigator.storage.getDirectory();
+        
+        try {
+            await root.removeEntry(this.fileName);
+        } catch (error) {
+            if (error.name !== 'NotFoundError') {
+                throw error;
+            }
+        }
+    }
+}
+
+export default OPFSStorageAdapter;
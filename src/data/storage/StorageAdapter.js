@@ -0,0 +1,77 @@
+/**
+ * StorageAdapter - Base class for database persistence backends
+ * Adapters store the raw SQLite image (Uint8Array) under a database name
+ */
+
+class StorageAdapter {
+    constructor(dbName) {
+        this.dbName = dbName;
+        this.kind = 'base';
+    }
+
+    /**
+     * Whether this backend can be used in the current runtime
+     */
+    static isSupported() {
+        return false;
+    }
+
+    /**
+     * Load the stored database image, or null when nothing is stored
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+
+    /**
+     * Persist the database image
+     */
+    async save(data) {
+        throw new Error(`${this.constructor.name} does not implement save()`);
+    }
+
+    /**
+     * Remove the stored database image
+     */
+    async clear() {
+        throw new Error(`${this.constructor.name} does not implement clear()`);
+    }
+
+    /**
+     * Estimate storage usage and quota in bytes ({ usage, quota }), or null if unknown
+     */
+    async estimateQuota() {
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Throw before writing when the image would not fit in the remaining quota
+     */
+    async checkQuota(byteLength, currentByteLength = 0) {
+        const estimate = await this.estimateQuota();
+        
+        if (!estimate || !estimate.quota) {
+            return estimate;
+        }
+        
+        // The image being replaced is freed by the write, so it counts as available
+        const available = estimate.quota - estimate.usage + currentByteLength;
+        
+        if (byteLength > available) {
+            const error = new Error(
+                `Storage quota exceeded for ${this.kind}: need ${byteLength} bytes, ${available} available`
+            );
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+        
+        return { ...estimate, available };
+    }
+}
+
+export default StorageAdapter;
@@ -0,0 +1,43 @@
+/**
+ * createStorageAdapter - Picks the best available persistence backend for the current runtime
+ */
+
+import IndexedDBStorageAdapter from './IndexedDBStorageAdapter.js';
+import OPFSStorageAdapter from './OPFSStorageAdapter.js';
+import NodeFileStorageAdapter from './NodeFileStorageAdapter.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+
+export const STORAGE_ADAPTERS = {
+    indexeddb: IndexedDBStorageAdapter,
+    opfs: OPFSStorageAdapter,
+    node: NodeFileStorageAdapter,
+    localstorage: LocalStorageAdapter,
+    memory: MemoryStorageAdapter
+};
+
+// Binary backends first; localStorage only as a last resort because of its ~5 MB quota
+const DEFAULT_PREFERENCE = ['indexeddb', 'opfs', 'node', 'localstorage', 'memory'];
+
+/**
+ * Create a storage adapter
+ * @param {string} dbName - Name the database image is stored under
+ * @param {Object} options - { kind, preference, ...adapter options }
+ */
+export default function createStorageAdapter(dbName, options = {}) {
+    const preference = options.kind ? [options.kind] : (options.preference || DEFAULT_PREFERENCE);
+    
+    for (const kind of preference) {
+        const Adapter = STORAGE_ADAPTERS[kind];
+        
+        if (!Adapter) {
+            throw new Error(`Unknown storage adapter: ${kind}`);
+        }
+        
+        if (Adapter.isSupported()) {
+            return new Adapter(dbName, options);
+        }
+    }
+    
+    throw new Error(`No supported storage adapter among: ${preference.join(', ')}`);
+}
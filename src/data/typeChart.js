@@ -0,0 +1,61 @@
+/**
+ * Pokemon GO type chart
+ * GO has no immunities: it uses 1.6 for super effective, 0.625 for not very effective and a double
+ * resistance of 0.390625 (0.625²) where the main series has an immunity; dual-type multipliers are
+ * the product of both defending types
+ */
+
+export const TYPE_MULTIPLIERS = {
+    superEffective: 1.6,
+    neutral: 1,
+    notVeryEffective: 0.625,
+    doubleResisted: 0.390625
+};
+
+// Attacking type -> defending types it is super effective against / resisted by / double resisted by
+export const TYPE_CHART = {
+    normal: { superEffective: [], notVeryEffective: ['rock', 'steel'], doubleResisted: ['ghost'] },
+    fire: { superEffective: ['grass', 'ice', 'bug', 'steel'], notVeryEffective: ['fire', 'water', 'rock', 'dragon'], doubleResisted: [] },
+    water: { superEffective: ['fire', 'ground', 'rock'], notVeryEffective: ['water', 'grass', 'dragon'], doubleResisted: [] },
+    electric: { superEffective: ['water', 'flying'], notVeryEffective: ['electric', 'grass', 'dragon'], doubleResisted: ['ground'] },
+    grass: { superEffective: ['water', 'ground', 'rock'], notVeryEffective: ['fire', 'grass', 'poison', 'flying', 'bug', 'dragon', 'steel'], doubleResisted: [] },
+    ice: { superEffective: ['grass', 'ground', 'flying', 'dragon'], notVeryEffective: ['fire', 'water', 'ice', 'steel'], doubleResisted: [] },
+    fighting: { superEffective: ['normal', 'ice', 'rock', 'dark', 'steel'], notVeryEffective: ['poison', 'flying', 'psychic', 'bug', 'fairy'], doubleResisted: ['ghost'] },
+    poison: { superEffective: ['grass', 'fairy'], notVeryEffective: ['poison', 'ground', 'rock', 'ghost'], doubleResisted: ['steel'] },
+    ground: { superEffective: ['fire', 'electric', 'poison', 'rock', 'steel'], notVeryEffective: ['grass', 'bug'], doubleResisted: ['flying'] },
+    flying: { superEffective: ['grass', 'fighting', 'bug'], notVeryEffective: ['electric', 'rock', 'steel'], doubleResisted: [] },
+    psychic: { superEffective: ['fighting', 'poison'], notVeryEffective: ['psychic', 'steel'], doubleResisted: ['dark'] },
+    bug: { superEffective: ['grass', 'psychic', 'dark'], notVeryEffective: ['fire', 'fighting', 'poison', 'flying', 'ghost', 'steel', 'fairy'], doubleResisted: [] },
+    rock: { superEffective: ['fire', 'ice', 'flying', 'bug'], notVeryEffective: ['fighting', 'ground', 'steel'], doubleResisted: [] },
+    ghost: { superEffective: ['psychic', 'ghost'], notVeryEffective: ['dark'], doubleResisted: ['normal'] },
+    dragon: { superEffective: ['dragon'], notVeryEffective: ['steel'], doubleResisted: ['fairy'] },
+    dark: { superEffective: ['psychic', 'ghost'], notVeryEffective: ['fighting', 'dark', 'fairy'], doubleResisted: [] },
+    steel: { superEffective: ['ice', 'rock', 'fairy'], notVeryEffective: ['fire', 'water', 'electric', 'steel'], doubleResisted: [] },
+    fairy: { superEffective: ['fighting', 'dragon', 'dark'], notVeryEffective: ['fire', 'poison', 'steel'], doubleResisted: [] }
+};
+
+export const TYPE_IDS = Object.keys(TYPE_CHART);
+
+/**
+ * Multiplier of an attacking type against one or two defending types (type ids, e.g. 'fire')
+ */
+export function getTypeMultiplier(attackingType, defendingTypes) {
+    const chart = TYPE_CHART[attackingType];
+    
+    if (!chart) {
+        throw new Error(`Unknown type: ${attackingType}`);
+    }
+    
+    return defendingTypes.filter(Boolean).reduce((multiplier, defendingType) => {
+        if (chart.superEffective.includes(defendingType)) {
+            return multiplier * TYPE_MULTIPLIERS.superEffective;
+        }
+        if (chart.notVeryEffective.includes(defendingType)) {
+            return multiplier * TYPE_MULTIPLIERS.notVeryEffective;
+        }
+        if (chart.doubleResisted.includes(defendingType)) {
+            return multiplier * TYPE_MULTIPLIERS.doubleResisted;
+        }
+        return multiplier;
+    }, 1);
+}
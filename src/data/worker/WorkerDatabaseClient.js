@@ -0,0 +1,87 @@
+/**
+ * WorkerDatabaseClient - Main-thread side of the worker-hosted database protocol
+ *
+ * Requests:  { id, type, payload }            (main -> worker)
+ * Cancel:    { type: 'cancel', payload: { targetId } }
+ * Responses: { id, result } | { id, error: { name, message } }   (worker -> main)
+ */
+
+import { createAbortError, throwIfAborted } from '../../utils/abort.js';
+
+class WorkerDatabaseClient {
+    constructor(worker) {
+        this.worker = worker;
+        this.nextRequestId = 1;
+        this.pending = new Map();
+        
+        this.worker.onmessage = event => this.handleResponse(event.data);
+        this.worker.onerror = event => this.failAll(new Error(`Database worker error: ${event.message || 'unknown'}`));
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Send a request and resolve with the worker's result
+     * @param {Object} options - { signal: AbortSignal to cancel the request, transfer: Transferables to move to the worker }
+     */
+    request(type, payload = {}, options = {}) {
+        const { signal, transfer = [] } = options;
+        throwIfAborted(signal, 'Query cancelled');
+        
+        const id = this.nextRequestId++;
+        
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.worker.postMessage({ type: 'cancel', payload: { targetId: id } });
+            };
+            
+            this.pending.set(id, {
+                resolve,
+                reject,
+                cleanup: () => signal?.removeEventListener('abort', onAbort)
+            });
+            
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    handleResponse({ id, result, error }) {
+        const request = this.pending.get(id);
+        
+        if (!request) {
+            return;
+        }
+        
+        this.pending.delete(id);
+        request.cleanup();
+        
+        if (error) {
+            const workerError = error.name === 'AbortError' ? createAbortError(null, error.message) : new Error(error.message);
+            workerError.name = error.name;
+            request.reject(workerError);
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    failAll(error) {
+        for (const request of this.pending.values()) {
+            request.cleanup();
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Stop the worker immediately; unsaved changes inside it are lost
+     */
+    terminate() {
+        this.worker.terminate();
+        this.failAll(new Error('Database worker terminated'));
+    }
+}
+
+export default WorkerDatabaseClient;
@@ -0,0 +1,114 @@
+/**
+ * database.worker.js - Hosts LocalDatabase (SQL.js) inside a Web Worker
+ * Requests are processed one at a time; 'cancel' is handled immediately and aborts the
+ * targeted request, which stops a running query at its next chunk boundary
+ */
+
+import LocalDatabase from '../LocalDatabase.js';
+import BrowserEnvironment from '../../environment/BrowserEnvironment.js';
+import { createAbortError } from '../../utils/abort.js';
+
+let database = null;
+let queue = Promise.resolve();
+const controllers = new Map();
+
+const handlers = {
+    async initialize({ dbName, saveDelay, seed, storageKind, environmentOptions }) {
+        const environment = new BrowserEnvironment({
+            ...environmentOptions,
+            storageOptions: { kind: storageKind }
+        });
+        
+        database = new LocalDatabase({ environment, dbName, saveDelay, seed });
+        await database.initialize();
+        
+        return { result: { schemaVersion: database.schemaVersion } };
+    },
+
+    async all({ sql, params }, signal) {
+        return { result: await database.all(sql, params, { signal }) };
+    },
+
+    async run({ sql, params }) {
+        return { result: await database.run(sql, params) };
+    },
+
+    async runMany({ sql, paramSets }) {
+        return { result: await database.runMany(sql, paramSets) };
+    },
+
+    async begin() {
+        await database.beginTransaction();
+        return { result: database.transactionDepth };
+    },
+
+    async commit() {
+        await database.commitTransaction();
+        return { result: database.transactionDepth };
+    },
+
+    async rollback() {
+        await database.rollbackTransaction();
+        return { result: database.transactionDepth };
+    },
+
+    async flush() {
+        return { result: await database.flush() };
+    },
+
+    async save() {
+        return { result: await database.saveDatabase() };
+    },
+
+    async getStorageInfo() {
+        return { result: await database.getStorageInfo() };
+    },
+
+    async export() {
+        const data = await database.exportBinary();
+        return { result: data, transfer: [data.buffer] };
+    },
+
+    async import({ buffer }) {
+        await database.importBinary(buffer);
+        return { result: { schemaVersion: database.schemaVersion } };
+    }
+};
+
+async function handleRequest({ id, type, payload }) {
+    const controller = controllers.get(id);
+    
+    try {
+        if (controller.signal.aborted) {
+            throw createAbortError(controller.signal, 'Query cancelled');
+        }
+        
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown database worker request: ${type}`);
+        }
+        if (!database && type !== 'initialize') {
+            throw new Error('Database not initialized');
+        }
+        
+        const { result, transfer = [] } = await handler(payload, controller.signal);
+        self.postMessage({ id, result }, transfer);
+        
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    } finally {
+        controllers.delete(id);
+    }
+}
+
+self.onmessage = event => {
+    const message = event.data;
+    
+    if (message.type === 'cancel') {
+        controllers.get(message.payload.targetId)?.abort();
+        return;
+    }
+    
+    controllers.set(message.id, new AbortController());
+    queue = queue.then(() => handleRequest(message));
+};
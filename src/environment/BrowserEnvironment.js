@@ -0,0 +1,168 @@
+/**
+ * BrowserEnvironment - Runtime services for the app when running in a web page or worker
+ * Loads bundled files over HTTP, reads user-selected File objects and downloads exports
+ */
+
+import createStorageAdapter from '../data/storage/createStorageAdapter.js';
+
+class BrowserEnvironment {
+    /**
+     * @param {Object} options - { baseUrl: prefix for app files, sqlJsUrl: where the SQL.js wasm is served from }
+     */
+    constructor(options = {}) {
+        this.kind = 'browser';
+        this.baseUrl = options.baseUrl ?? '/';
+        this.sqlJsUrl = options.sqlJsUrl || 'https://sql.js.org/dist/';
+        this.storageOptions = options.storageOptions || {};
+        this.heldLocks = new Set();
+    }
+
+    async initialize() {
+        return this;
+    }
+
+    /**
+     * Resolve a path relative to the app root (e.g. 'database/schema.sql')
+     */
+    resolvePath(relativePath) {
+        return `${this.baseUrl}${relativePath.replace(/^\/+/, '')}`;
+    }
+
+    async fetchFile(relativePath) {
+        const response = await fetch(this.resolvePath(relativePath));
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} (${relativePath})`);
+        }
+        return response;
+    }
+
+    async loadText(relativePath) {
+        return (await this.fetchFile(relativePath)).text();
+    }
+
+    async loadJson(relativePath) {
+        return (await this.fetchFile(relativePath)).json();
+    }
+
+    async loadBinary(relativePath) {
+        return new Uint8Array(await (await this.fetchFile(relativePath)).arrayBuffer());
+    }
+
+    /**
+     * Directory listings are not available over HTTP
+     */
+    async listFiles() {
+        return null;
+    }
+
+    /**
+     * SHA-256 of a string or byte array as lowercase hex
+     */
+    async sha256(data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Options passed to initSqlJs()
+     */
+    getSqlJsConfig() {
+        return {
+            locateFile: file => `${this.sqlJsUrl}${file}`
+        };
+    }
+
+    createStorageAdapter(dbName) {
+        return createStorageAdapter(dbName, this.storageOptions);
+    }
+
+    /**
+     * Synchronous key/value store for small settings (collections metadata, etc.)
+     */
+    getKeyValueStore() {
+        return localStorage;
+    }
+
+    getFileName(file) {
+        return file.name;
+    }
+
+    readFileText(file) {
+        return this.readFile(file, 'text');
+    }
+
+    async readFileBinary(file) {
+        return new Uint8Array(await this.readFile(file, 'binary'));
+    }
+
+    readFile(file, mode) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = reject;
+            
+            if (mode === 'binary') {
+                reader.readAsArrayBuffer(file);
+            } else {
+                reader.readAsText(file);
+            }
+        });
+    }
+
+    /**
+     * Offer data to the user as a file download
+     */
+    async saveFile(fileName, data, mimeType = 'application/octet-stream') {
+        const blob = new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+        return fileName;
+    }
+
+    setTimer(callback, delay) {
+        return setTimeout(callback, delay);
+    }
+
+    clearTimer(handle) {
+        clearTimeout(handle);
+    }
+
+    /**
+     * Run a callback while holding a named lock shared by all tabs of the app (Web Locks)
+     * @returns {Promise<boolean>} false, without running the callback, when the lock is already held
+     */
+    async tryLock(name, callback) {
+        if (typeof navigator === 'undefined' || !navigator.locks) {
+            // Without Web Locks only this page is coordinated
+            if (this.heldLocks.has(name)) {
+                return false;
+            }
+            
+            this.heldLocks.add(name);
+            try {
+                await callback();
+                return true;
+            } finally {
+                this.heldLocks.delete(name);
+            }
+        }
+        
+        return navigator.locks.request(name, { ifAvailable: true }, async lock => {
+            if (!lock) {
+                return false;
+            }
+            
+            await callback();
+            return true;
+        });
+    }
+}
+
+export default BrowserEnvironment;
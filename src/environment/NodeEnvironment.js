@@ -0,0 +1,201 @@
+/**
+ * NodeEnvironment - Runtime services for running the app headless under Node.js
+ * Reads schema, migrations and submodule data from the local checkout and uses the filesystem for I/O
+ */
+
+import createStorageAdapter from '../data/storage/createStorageAdapter.js';
+
+class NodeEnvironment {
+    /**
+     * @param {Object} options - { rootDir: repository checkout, dataDir: database/settings directory, outputDir: exports directory }
+     */
+    constructor(options = {}) {
+        this.kind = 'node';
+        this.options = options;
+        this.storageOptions = options.storageOptions || {};
+        this.rootDir = null;
+        this.dataDir = null;
+        this.outputDir = null;
+        this.sqlJsDir = null;
+        this.fs = null;
+        this.heldLocks = new Set();
+        this.fsSync = null;
+        this.path = null;
+        this.crypto = null;
+        this.keyValueStore = null;
+    }
+
+    /**
+     * Load Node modules dynamically so browser bundles never resolve them
+     */
+    async initialize() {
+        if (this.fs) {
+            return this;
+        }
+        
+        this.fs = await import('fs/promises');
+        this.fsSync = await import('fs');
+        this.path = await import('path');
+        this.crypto = await import('crypto');
+        const { createRequire } = await import('module');
+        const { fileURLToPath } = await import('url');
+        
+        const defaultRoot = this.path.resolve(this.path.dirname(fileURLToPath(import.meta.url)), '../..');
+        this.rootDir = this.path.resolve(this.options.rootDir || defaultRoot);
+        this.dataDir = this.path.resolve(this.rootDir, this.options.dataDir || 'data');
+        this.outputDir = this.path.resolve(this.rootDir, this.options.outputDir || '.');
+        
+        const require = createRequire(import.meta.url);
+        this.sqlJsDir = this.path.dirname(require.resolve('sql.js/dist/sql-wasm.wasm'));
+        
+        return this;
+    }
+
+    resolvePath(relativePath) {
+        return this.path.resolve(this.rootDir, relativePath.replace(/^\/+/, ''));
+    }
+
+    async loadText(relativePath) {
+        return this.fs.readFile(this.resolvePath(relativePath), 'utf8');
+    }
+
+    async loadJson(relativePath) {
+        return JSON.parse(await this.loadText(relativePath));
+    }
+
+    async loadBinary(relativePath) {
+        return new Uint8Array(await this.fs.readFile(this.resolvePath(relativePath)));
+    }
+
+    /**
+     * Files below a directory of the checkout, as sorted paths relative to the root
+     */
+    async listFiles(relativeDir) {
+        const files = [];
+        const walk = async directory => {
+            const entries = await this.fs.readdir(directory, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = this.path.join(directory, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile()) {
+                    files.push(this.path.relative(this.rootDir, fullPath).split(this.path.sep).join('/'));
+                }
+            }
+        };
+        
+        await walk(this.resolvePath(relativeDir));
+        return files.sort();
+    }
+
+    /**
+     * SHA-256 of a string or byte array as lowercase hex
+     */
+    async sha256(data) {
+        return this.crypto.createHash('sha256').update(data).digest('hex');
+    }
+
+    getSqlJsConfig() {
+        return {
+            locateFile: file => this.path.join(this.sqlJsDir, file)
+        };
+    }
+
+    createStorageAdapter(dbName) {
+        return createStorageAdapter(dbName, { kind: 'node', directory: this.dataDir, ...this.storageOptions });
+    }
+
+    /**
+     * localStorage-compatible store persisted as JSON in the data directory
+     */
+    getKeyValueStore() {
+        if (this.keyValueStore) {
+            return this.keyValueStore;
+        }
+        
+        const fs = this.fsSync;
+        const filePath = this.path.join(this.dataDir, 'settings.json');
+        const read = () => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {});
+        const write = values => {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(values, null, 2));
+        };
+        
+        this.keyValueStore = {
+            getItem: key => read()[key] ?? null,
+            setItem: (key, value) => write({ ...read(), [key]: String(value) }),
+            removeItem: key => {
+                const values = read();
+                delete values[key];
+                write(values);
+            }
+        };
+        
+        return this.keyValueStore;
+    }
+
+    /**
+     * Files are given as paths (relative to the working directory) or Buffers
+     */
+    getFileName(file) {
+        return typeof file === 'string' ? this.path.basename(file) : (file.name || 'buffer');
+    }
+
+    async readFileText(file) {
+        if (typeof file === 'string') {
+            return this.fs.readFile(this.path.resolve(file), 'utf8');
+        }
+        return Buffer.from(file.data || file).toString('utf8');
+    }
+
+    async readFileBinary(file) {
+        if (typeof file === 'string') {
+            return new Uint8Array(await this.fs.readFile(this.path.resolve(file)));
+        }
+        return new Uint8Array(file.data || file);
+    }
+
+    /**
+     * Write an export into the output directory and return its path
+     */
+    async saveFile(fileName, data) {
+        await this.fs.mkdir(this.outputDir, { recursive: true });
+        const filePath = this.path.join(this.outputDir, fileName);
+        await this.fs.writeFile(filePath, data);
+        return filePath;
+    }
+
+    /**
+     * Timers are unref'd so background monitoring never keeps a script alive
+     */
+    setTimer(callback, delay) {
+        const handle = setTimeout(callback, delay);
+        handle.unref?.();
+        return handle;
+    }
+
+    clearTimer(handle) {
+        clearTimeout(handle);
+    }
+
+    /**
+     * Run a callback while holding a named lock (a database file belongs to one process, so an
+     * in-process lock is enough)
+     * @returns {Promise<boolean>} false, without running the callback, when the lock is already held
+     */
+    async tryLock(name, callback) {
+        if (this.heldLocks.has(name)) {
+            return false;
+        }
+        
+        this.heldLocks.add(name);
+        try {
+            await callback();
+            return true;
+        } finally {
+            this.heldLocks.delete(name);
+        }
+    }
+}
+
+export default NodeEnvironment;
@@ -0,0 +1,19 @@
+/**
+ * createEnvironment - Detects the current runtime and returns an initialized environment
+ */
+
+import BrowserEnvironment from './BrowserEnvironment.js';
+import NodeEnvironment from './NodeEnvironment.js';
+
+export function isNodeRuntime() {
+    return typeof process !== 'undefined' && !!process.versions?.node && typeof window === 'undefined';
+}
+
+/**
+ * @param {Object} options - Passed to the environment constructor; { kind: 'browser' | 'node' } forces one
+ */
+export default async function createEnvironment(options = {}) {
+    const kind = options.kind || (isNodeRuntime() ? 'node' : 'browser');
+    const environment = kind === 'node' ? new NodeEnvironment(options) : new BrowserEnvironment(options);
+    return environment.initialize();
+}
@@ -0,0 +1,489 @@
+/**
+ * GameSearchQuery - Parser and SQL compiler for the Pokemon GO in-game search grammar
+ * e.g. "4*&dragon&!shadow,cp-1500,@charged,age0-7"
+ *
+ * Grammar: terms joined with "&" or "|" are ANDed; terms joined with "," ";" or ":" are ORed,
+ * and OR binds tighter than AND (so "a&b,c" means a AND (b OR c)). A leading "!" negates a term.
+ */
+
+const AND_OPERATORS = new Set(['&', '|']);
+const OR_OPERATORS = new Set([',', ';', ':']);
+
+const TYPES = new Set([
+    'normal', 'fire', 'water', 'electric', 'grass', 'ice', 'fighting', 'poison', 'ground',
+    'flying', 'psychic', 'bug', 'rock', 'ghost', 'dragon', 'dark', 'steel', 'fairy'
+]);
+
+// Region keywords select a generation
+const REGIONS = {
+    kanto: 1,
+    johto: 2,
+    hoenn: 3,
+    sinnoh: 4,
+    unova: 5,
+    kalos: 6,
+    alola: 7,
+    galar: 8,
+    hisui: 8,
+    paldea: 9
+};
+
+// Regional form keywords match the stored form name
+const FORMS = {
+    alolan: 'alola',
+    galarian: 'galar',
+    hisuian: 'hisui',
+    paldean: 'paldea'
+};
+
+// Appraisal bands as total / single IV ranges
+const STAR_BANDS = [[0, 22], [23, 29], [30, 36], [37, 44], [45, 45]];
+const IV_BAR_BANDS = [[0, 0], [1, 5], [6, 10], [11, 14], [15, 15]];
+
+const IV_COLUMNS = {
+    attack: 'upc.atk_iv',
+    defense: 'upc.def_iv',
+    hp: 'upc.sta_iv'
+};
+
+// Valid in-game terms this app has no data for
+const UNSUPPORTED_KEYWORDS = new Set([
+    'shiny', 'costume', 'traded', 'hatched', 'raid', 'remoteraid', 'research', 'gbl', 'rocket',
+    'evolve', 'evolvenew', 'tradeevolve', 'item', 'defender', 'eggsonly', 'background', 'locationbackground',
+    'specialbackground', 'dynamax', 'gigantamax', 'xxs', 'xs', 'xl', 'xxl', 'male', 'female',
+    'genderunknown', 'fusion', 'adventureeffect', 'snapshot'
+]);
+const UNSUPPORTED_RANGES = new Set(['buddy', 'distance']);
+
+const NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} .'’\-♀♂]*$/u;
+
+/**
+ * Build a search syntax error pointing at the offending term
+ */
+function createSearchError(message, term) {
+    const error = new Error(`${message} at column ${term.position + 1}: "${term.source}"`);
+    error.name = 'GameSearchError';
+    error.position = term.position;
+    error.token = term.source;
+    return error;
+}
+
+/**
+ * Parse "N", "N-", "-M" or "N-M" into [min, max] (null for an open end)
+ */
+function parseRange(text) {
+    const match = /^(\d*)(-?)(\d*)$/.exec(text);
+    
+    if (!match || (!match[1] && !match[3])) {
+        return null;
+    }
+    
+    const min = match[1] ? parseInt(match[1]) : null;
+    const max = match[3] ? parseInt(match[3]) : null;
+    
+    if (!match[2]) {
+        return [min, min];
+    }
+    
+    return [min, max];
+}
+
+/**
+ * Map an appraisal range (e.g. 3-4 stars) onto the underlying value bands
+ */
+function bandRange(range, bands, term) {
+    const low = range[0] ?? 0;
+    const high = range[1] ?? bands.length - 1;
+    
+    if (low > bands.length - 1 || high > bands.length - 1 || low > high) {
+        throw createSearchError(`Appraisal must be between 0 and ${bands.length - 1}`, term);
+    }
+    
+    return [bands[low][0], bands[high][1]];
+}
+
+class GameSearchQuery {
+    constructor(source, clauses) {
+        this.source = source;
+        this.clauses = clauses;
+    }
+
+    /**
+     * Parse a search string
+     * @throws {Error} GameSearchError with position and token for unsupported or malformed terms
+     */
+    static parse(text) {
+        const source = String(text ?? '');
+        const clauses = [];
+        let terms = [];
+        let start = 0;
+        
+        for (let i = 0; i <= source.length; i++) {
+            const char = source[i];
+            const isAnd = AND_OPERATORS.has(char);
+            
+            if (i < source.length && !isAnd && !OR_OPERATORS.has(char)) {
+                continue;
+            }
+            
+            const raw = source.slice(start, i);
+            const trimmed = raw.trim();
+            
+            // Empty terms (e.g. a trailing comma) are ignored like the game does
+            if (trimmed) {
+                const position = start + raw.indexOf(trimmed);
+                terms.push(GameSearchQuery.parseTerm(trimmed, position));
+            }
+            
+            if (isAnd || i === source.length) {
+                if (terms.length > 0) {
+                    clauses.push(terms);
+                }
+                terms = [];
+            }
+            
+            start = i + 1;
+        }
+        
+        if (clauses.length === 0) {
+            const error = new Error('Search string is empty');
+            error.name = 'GameSearchError';
+            error.position = 0;
+            error.token = '';
+            throw error;
+        }
+        
+        return new GameSearchQuery(source, clauses);
+    }
+
+    /**
+     * Whether free text should be treated as a search string rather than a plain name search
+     */
+    static isSearchString(text) {
+        const source = String(text ?? '').trim();
+        
+        if (!source) {
+            return false;
+        }
+        
+        if (/[&|,;:!*@+]/.test(source)) {
+            return true;
+        }
+        
+        try {
+            return GameSearchQuery.parse(source).getTerms().some(term => term.kind !== 'name');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse a single term (without operators)
+     */
+    static parseTerm(source, position) {
+        const term = { source, position, negated: false };
+        let text = source.toLowerCase();
+        
+        if (text.startsWith('!')) {
+            term.negated = true;
+            text = text.slice(1).trim();
+        }
+        
+        if (!text) {
+            throw createSearchError('Missing search term after "!"', term);
+        }
+        
+        let match;
+        
+        // Family: +pikachu
+        if (text.startsWith('+')) {
+            const name = text.slice(1).trim();
+            if (!name) {
+                throw createSearchError('Missing Pokemon name after "+"', term);
+            }
+            return { ...term, kind: 'family', name };
+        }
+        
+        // Moves: @name, @type, @1type (fast), @2/@3 (charged), @fast, @charged, @special (legacy)
+        if (text.startsWith('@')) {
+            return GameSearchQuery.parseMoveTerm(term, text.slice(1).trim());
+        }
+        
+        // Stars: 4*, 3-4*, 1-*
+        if ((match = /^([\d-]+)\*$/.exec(text))) {
+            const range = parseRange(match[1]);
+            if (!range) {
+                throw createSearchError('Malformed star range', term);
+            }
+            return { ...term, kind: 'stars', range: bandRange(range, STAR_BANDS, term) };
+        }
+        
+        // IV bars: 4attack, 3-4defense, 0hp
+        if ((match = /^([\d-]+)(attack|defense|hp)$/.exec(text))) {
+            const range = parseRange(match[1]);
+            if (!range) {
+                throw createSearchError('Malformed appraisal range', term);
+            }
+            return { ...term, kind: 'iv', stat: match[2], range: bandRange(range, IV_BAR_BANDS, term) };
+        }
+        
+        // Numeric attributes: cp1500, cp-1500, hp100-, age0-7, year2021
+        if ((match = /^(cp|hp|age|year|buddy|distance)([\d-]+)$/.exec(text))) {
+            if (UNSUPPORTED_RANGES.has(match[1])) {
+                throw createSearchError(`"${match[1]}" searches are not supported because the collection does not record it`, term);
+            }
+            
+            const range = parseRange(match[2]);
+            if (!range) {
+                throw createSearchError(`Malformed ${match[1]} range`, term);
+            }
+            return { ...term, kind: match[1], range };
+        }
+        
+        // Dex numbers: 25, 1-151, -151, 400-
+        if (/^[\d-]+$/.test(text)) {
+            const range = parseRange(text);
+            if (!range) {
+                throw createSearchError('Malformed Pokedex number range', term);
+            }
+            return { ...term, kind: 'dex', range };
+        }
+        
+        if (['shadow', 'purified', 'lucky', 'legendary', 'mythical', 'megaevolve'].includes(text)) {
+            return { ...term, kind: text };
+        }
+        
+        if (text === 'favorite' || text === 'favourite') {
+            return { ...term, kind: 'favorite' };
+        }
+        
+        if (TYPES.has(text)) {
+            return { ...term, kind: 'type', type: text };
+        }
+        
+        if (REGIONS[text]) {
+            return { ...term, kind: 'region', generation: REGIONS[text] };
+        }
+        
+        if (FORMS[text]) {
+            return { ...term, kind: 'form', form: FORMS[text] };
+        }
+        
+        if (UNSUPPORTED_KEYWORDS.has(text)) {
+            throw createSearchError(`"${text}" searches are not supported because the collection does not record it`, term);
+        }
+        
+        if (NAME_PATTERN.test(text)) {
+            return { ...term, kind: 'name', name: text };
+        }
+        
+        throw createSearchError('Unrecognized search term', term);
+    }
+
+    static parseMoveTerm(term, text) {
+        let slot = null;
+        
+        if (/^[123]/.test(text)) {
+            slot = parseInt(text[0]);
+            text = text.slice(1).trim();
+        }
+        
+        if (!text) {
+            // "@1" alone means any fast move, "@2"/"@3" any charged move
+            if (slot) {
+                return { ...term, kind: 'move', slot, match: 'any' };
+            }
+            throw createSearchError('Missing move name or type after "@"', term);
+        }
+        
+        if (text === 'weather') {
+            throw createSearchError('"@weather" searches are not supported', term);
+        }
+        
+        if (text === 'special') {
+            return { ...term, kind: 'move', slot, match: 'legacy' };
+        }
+        
+        if (text === 'fast' || text === 'charged') {
+            return { ...term, kind: 'move', slot, match: 'category', category: text };
+        }
+        
+        if (TYPES.has(text)) {
+            return { ...term, kind: 'move', slot, match: 'type', type: text };
+        }
+        
+        if (NAME_PATTERN.test(text)) {
+            return { ...term, kind: 'move', slot, match: 'name', name: text };
+        }
+        
+        throw createSearchError('Unrecognized move search', term);
+    }
+
+    /**
+     * All terms in every clause
+     */
+    getTerms() {
+        return this.clauses.flat();
+    }
+
+    /**
+     * Compile to a SQL condition
+     * Expects fact_pokemon aliased as "p" and, for the collection scope, fact_user_pokemon_collection as "upc"
+     * @param {Object} options - { scope: 'collection' (default) or 'species' }
+     * @returns {Object} { sql, params }
+     */
+    toSql(options = {}) {
+        const scope = options.scope || 'collection';
+        const params = [];
+        
+        const sql = this.clauses.map(terms => {
+            const alternatives = terms.map(term => {
+                const condition = this.termToSql(term, scope, params);
+                return term.negated ? `NOT COALESCE(${condition}, 0)` : condition;
+            });
+            
+            return `(${alternatives.join(' OR ')})`;
+        }).join(' AND ');
+        
+        return { sql, params };
+    }
+
+    termToSql(term, scope, params) {
+        const requireCollection = () => {
+            if (scope !== 'collection') {
+                throw createSearchError('This term only applies to your collection', term);
+            }
+        };
+        
+        switch (term.kind) {
+            case 'name':
+                params.push(`${term.name}%`);
+                return '(LOWER(p.pokemon_name) LIKE ?)';
+            case 'dex':
+                return this.rangeToSql('p.pokemon_number', term.range, params);
+            case 'family':
+                params.push(`${term.name}%`);
+                return `(p.fk_pokemon_family_id IN (
+                    SELECT qp.fk_pokemon_family_id FROM fact_pokemon qp WHERE LOWER(qp.pokemon_name) LIKE ?
+                ))`;
+            case 'type':
+                params.push(term.type, term.type);
+                return '(p.fk_primary_type_id = ? OR p.fk_secondary_type_id = ?)';
+            case 'region':
+                params.push(term.generation);
+                return '(p.generation = ?)';
+            case 'form':
+                params.push(`${term.form}%`);
+                return '(LOWER(p.form) LIKE ?)';
+            case 'legendary':
+                return '(p.is_legendary = 1)';
+            case 'mythical':
+                return '(p.is_mythical = 1)';
+            case 'megaevolve':
+                return '(p.is_mega_available = 1)';
+            case 'shadow':
+                return scope === 'collection' ? '(upc.is_shadow = 1)' : '(p.is_shadow_available = 1)';
+            case 'purified':
+                requireCollection();
+                return '(upc.is_purified = 1)';
+            case 'lucky':
+                requireCollection();
+                return '(upc.is_lucky = 1)';
+            case 'favorite':
+                requireCollection();
+                return '(upc.is_favorite = 1)';
+            case 'cp':
+                requireCollection();
+                return this.rangeToSql('upc.cp', term.range, params);
+            case 'hp':
+                requireCollection();
+                return this.rangeToSql('upc.hp', term.range, params);
+            case 'stars':
+                requireCollection();
+                return this.rangeToSql('(upc.atk_iv + upc.def_iv + upc.sta_iv)', term.range, params);
+            case 'iv':
+                requireCollection();
+                return this.rangeToSql(IV_COLUMNS[term.stat], term.range, params);
+            case 'age':
+                requireCollection();
+                return this.rangeToSql("CAST(julianday('now') - julianday(upc.catch_date) AS INTEGER)", term.range, params);
+            case 'year':
+                requireCollection();
+                return this.rangeToSql("CAST(strftime('%Y', upc.catch_date) AS INTEGER)", term.range, params);
+            case 'move':
+                return this.moveToSql(term, scope, params);
+            default:
+                throw createSearchError('Unrecognized search term', term);
+        }
+    }
+
+    rangeToSql(expression, [min, max], params) {
+        if (min !== null && max !== null) {
+            params.push(min, max);
+            return `(${expression} BETWEEN ? AND ?)`;
+        }
+        
+        if (min !== null) {
+            params.push(min);
+            return `(${expression} >= ?)`;
+        }
+        
+        params.push(max);
+        return `(${expression} <= ?)`;
+    }
+
+    /**
+     * Moves match the Pokemon's own moveset in the collection scope, or any learnable move for species
+     */
+    moveToSql(term, scope, params) {
+        const conditions = [];
+        
+        switch (term.match) {
+            case 'legacy':
+                conditions.push('(qm.is_legacy = 1 OR qm.is_elite_tm_only = 1)');
+                break;
+            case 'category':
+                conditions.push('qm.move_category = ?');
+                params.push(term.category);
+                break;
+            case 'type':
+                conditions.push('qm.fk_move_type_id = ?');
+                params.push(term.type);
+                break;
+            case 'name':
+                conditions.push('LOWER(qm.move_name) LIKE ?');
+                params.push(`${term.name}%`);
+                break;
+        }
+        
+        if (scope === 'collection') {
+            const slotColumns = {
+                1: ['qms.fk_fast_move_id'],
+                2: ['qms.fk_charged_move_1_id'],
+                3: ['qms.fk_charged_move_2_id']
+            };
+            const columns = term.slot ? slotColumns[term.slot] :
+                ['qms.fk_fast_move_id', 'qms.fk_charged_move_1_id', 'qms.fk_charged_move_2_id'];
+                
+            return `(EXISTS (
+                SELECT 1 FROM dim_movesets qms
+                JOIN dim_moves qm ON qm.pk_move_id IN (${columns.join(', ')})
+                WHERE qms.pk_moveset_id = upc.fk_moveset_id${conditions.map(condition => ` AND ${condition}`).join('')}
+            ))`;
+        }
+        
+        // Species know movesets only by category: slot 1 is the fast move, 2 and 3 charged moves
+        if (term.slot) {
+            conditions.push(`qm.move_category = '${term.slot === 1 ? 'fast' : 'charged'}'`);
+        }
+        
+        return `(EXISTS (
+            SELECT 1 FROM bridge_pokemon_available_moves qb
+            JOIN dim_moves qm ON qm.pk_move_id = qb.fk_move_id
+            WHERE qb.fk_pokemon_id = p.pk_pokemon_id${conditions.map(condition => ` AND ${condition}`).join('')}
+        ))`;
+    }
+}
+
+export default GameSearchQuery;
+export { STAR_BANDS, IV_BAR_BANDS };
@@ -0,0 +1,267 @@
+/**
+ * PokemonSearchIndex - In-memory fuzzy search over Pokemon names, forms, families and moves
+ * Supports prefix matching, typo tolerance (Damerau-Levenshtein), form-aware tokens and ranked results
+ */
+
+// Relative importance of each indexed field
+const FIELD_WEIGHTS = {
+    name: 1.0,
+    form: 0.8,
+    family: 0.5,
+    megaEvolution: 0.5,
+    move: 0.3
+};
+
+// Score multipliers by match kind
+const MATCH_SCORES = {
+    exact: 1.0,
+    prefix: 0.8,
+    fuzzy: 0.6
+};
+
+// Extra tokens for regional and special forms so "alolan", "galar", "mega" etc. all match
+const FORM_ALIASES = {
+    alola: ['alola', 'alolan'],
+    alolan: ['alola', 'alolan'],
+    galar: ['galar', 'galarian'],
+    galarian: ['galar', 'galarian'],
+    hisui: ['hisui', 'hisuian'],
+    hisuian: ['hisui', 'hisuian'],
+    paldea: ['paldea', 'paldean'],
+    paldean: ['paldea', 'paldean'],
+    mega: ['mega'],
+    primal: ['primal'],
+    shadow: ['shadow'],
+    purified: ['purified']
+};
+
+class PokemonSearchIndex {
+    constructor() {
+        this.documents = new Map();
+        this.postings = new Map();
+        this.signature = null;
+    }
+
+    /**
+     * Normalize text into search tokens ("Mr. Mime" -> ["mr", "mime"], "Nidoran♀" -> ["nidoran", "female"])
+     */
+    static tokenize(text) {
+        if (!text) {
+            return [];
+        }
+        
+        return String(text)
+            .replace(/♀/g, ' female')
+            .replace(/♂/g, ' male')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['’.]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Build the index
+     * @param {Array} pokemon - rows with pk_pokemon_id, pokemon_name, form, pokemon_number, family_name,
+     *                          is_shadow_available, is_mega_available
+     * @param {Array} moves - rows with fk_pokemon_id, move_name
+     */
+    build(pokemon, moves = [], signature = null) {
+        this.documents.clear();
+        this.postings.clear();
+        
+        for (const row of pokemon) {
+            const id = row.pk_pokemon_id;
+            const formTokens = this.getFormTokens(row);
+            this.documents.set(id, { id, number: row.pokemon_number, formCount: formTokens.length });
+            
+            const nameTokens = PokemonSearchIndex.tokenize(row.pokemon_name);
+            this.addTokens(id, nameTokens, FIELD_WEIGHTS.name);
+            
+            // Joined form so "mrmime" and "hooh" also match
+            if (nameTokens.length > 1) {
+                this.addTokens(id, [nameTokens.join('')], FIELD_WEIGHTS.name);
+            }
+            
+            this.addTokens(id, formTokens, FIELD_WEIGHTS.form);
+            
+            // Species that can mega evolve also match "mega", below their own Mega form rows
+            if (row.is_mega_available) {
+                this.addTokens(id, ['mega'], FIELD_WEIGHTS.megaEvolution);
+            }
+            this.addTokens(id, PokemonSearchIndex.tokenize(row.family_name), FIELD_WEIGHTS.family);
+        }
+        
+        for (const row of moves) {
+            if (this.documents.has(row.fk_pokemon_id)) {
+                this.addTokens(row.fk_pokemon_id, PokemonSearchIndex.tokenize(row.move_name), FIELD_WEIGHTS.move);
+            }
+        }
+        
+        this.signature = signature;
+        return this;
+    }
+
+    getFormTokens(row) {
+        const tokens = [];
+        
+        for (const token of PokemonSearchIndex.tokenize(row.form)) {
+            if (token === 'normal') {
+                continue;
+            }
+            tokens.push(...(FORM_ALIASES[token] || [token]));
+        }
+        
+        if (row.is_shadow_available) {
+            tokens.push('shadow');
+        }
+        
+        return tokens;
+    }
+
+    addTokens(id, tokens, weight) {
+        for (const token of tokens) {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+            }
+            
+            const docs = this.postings.get(token);
+            docs.set(id, Math.max(docs.get(id) || 0, weight));
+        }
+    }
+
+    /**
+     * Search the index
+     * Every query token must match the document (exactly, by prefix or within the typo budget);
+     * results are ordered by score, then dex number, then base form first
+     * @returns {Array} [{ id, score }]
+     */
+    search(query, options = {}) {
+        const queryTokens = PokemonSearchIndex.tokenize(query);
+        
+        if (queryTokens.length === 0) {
+            return [];
+        }
+        
+        let scores = null;
+        
+        for (const queryToken of queryTokens) {
+            const tokenScores = this.scoreToken(queryToken);
+            
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                const combined = new Map();
+                for (const [id, score] of scores) {
+                    if (tokenScores.has(id)) {
+                        combined.set(id, score + tokenScores.get(id));
+                    }
+                }
+                scores = combined;
+            }
+            
+            if (scores.size === 0) {
+                break;
+            }
+        }
+        
+        // Also try the whole query as one token ("mr mime" vs the joined "mrmime")
+        if (queryTokens.length > 1) {
+            for (const [id, score] of this.scoreToken(queryTokens.join(''))) {
+                scores.set(id, Math.max(scores.get(id) || 0, score * queryTokens.length));
+            }
+        }
+        
+        const results = Array.from(scores, ([id, score]) => ({
+            id,
+            score: Math.round((score / queryTokens.length) * 1000) / 1000
+        }));
+        
+        // Ties go to the lower dex number, then the plainer form
+        results.sort((a, b) => {
+            const docA = this.documents.get(a.id);
+            const docB = this.documents.get(b.id);
+            return b.score - a.score || docA.number - docB.number || docA.formCount - docB.formCount;
+        });
+        
+        return options.limit ? results.slice(0, options.limit) : results;
+    }
+
+    /**
+     * Best score per document for a single query token
+     */
+    scoreToken(queryToken) {
+        const scores = new Map();
+        const maxDistance = queryToken.length >= 7 ? 2 : queryToken.length >= 4 ? 1 : 0;
+        
+        for (const [token, docs] of this.postings) {
+            let matchScore = 0;
+            
+            if (token === queryToken) {
+                matchScore = MATCH_SCORES.exact;
+            } else if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+                // Shorter completions rank above longer ones
+                matchScore = MATCH_SCORES.prefix * (queryToken.length / token.length) ** 0.25;
+            } else if (maxDistance > 0) {
+                const distance = PokemonSearchIndex.editDistance(queryToken, token, maxDistance);
+                if (distance <= maxDistance) {
+                    matchScore = MATCH_SCORES.fuzzy - 0.1 * (distance - 1);
+                }
+            }
+            
+            if (matchScore === 0) {
+                continue;
+            }
+            
+            for (const [id, weight] of docs) {
+                const score = matchScore * weight;
+                if (score > (scores.get(id) || 0)) {
+                    scores.set(id, score);
+                }
+            }
+        }
+        
+        return scores;
+    }
+
+    /**
+     * Optimal string alignment distance, giving up early once it exceeds maxDistance
+     */
+    static editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+        
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+                
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            
+            if (rowMin > maxDistance) {
+                return maxDistance + 1;
+            }
+            
+            previous2 = previous;
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+}
+
+export default PokemonSearchIndex;
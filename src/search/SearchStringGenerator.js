@@ -0,0 +1,211 @@
+/**
+ * SearchStringGenerator - Builds the shortest in-game search string that selects a set of owned Pokemon
+ * Starts from the dex numbers of the targets and greedily adds AND clauses (CP/HP ranges, appraisal,
+ * lucky/shadow flags, and per-species "!25,cp500-800" conditions) until no other Pokemon match
+ */
+
+import { STAR_BANDS, IV_BAR_BANDS } from './GameSearchQuery.js';
+
+const FLAGS = {
+    lucky: 'is_lucky',
+    shadow: 'is_shadow',
+    purified: 'is_purified',
+    favorite: 'is_favorite'
+};
+
+const IV_BARS = {
+    attack: 'atk_iv',
+    defense: 'def_iv',
+    hp: 'sta_iv'
+};
+
+/**
+ * Appraisal level (0-4) of a value within its bands
+ */
+function bandLevel(value, bands) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return -1;
+    }
+    
+    return bands.findIndex(([min, max]) => value >= min && value <= max);
+}
+
+function formatRange(prefix, min, max, suffix = '') {
+    return min === max ? `${prefix}${min}${suffix}` : `${prefix}${min}-${max}${suffix}`;
+}
+
+class SearchStringGenerator {
+    /**
+     * @param {Array} targets - rows to select (from PokeGenieManager.getUserPokemon or getUserBestForLeague)
+     * @param {Array} collection - every row the search string will be run against
+     * @returns {Object} { searchString, exact, extras: rows matched besides the targets }
+     */
+    generate(targets, collection) {
+        if (targets.length === 0) {
+            throw new Error('No Pokemon to build a search string for');
+        }
+        
+        const targetIds = new Set(targets.map(row => row.pk_user_pokemon_id));
+        const clauses = [this.buildDexClause(targets, collection)];
+        let extras = collection.filter(row => !targetIds.has(row.pk_user_pokemon_id) && clauses[0].test(row));
+        
+        const candidates = this.buildCandidates(targets, extras);
+        
+        // Greedy: take the clause that removes the most extras per character until none remain
+        while (extras.length > 0) {
+            let best = null;
+            let bestScore = 0;
+            
+            for (const candidate of candidates) {
+                if (clauses.includes(candidate)) {
+                    continue;
+                }
+                
+                const removed = extras.filter(row => !candidate.test(row)).length;
+                const score = removed / candidate.text.length;
+                
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            }
+            
+            if (!best) {
+                break;
+            }
+            
+            clauses.push(best);
+            extras = extras.filter(row => best.test(row));
+        }
+        
+        this.pruneClauses(clauses, collection, targetIds, extras.length);
+        
+        return {
+            searchString: clauses.map(clause => clause.text).join('&'),
+            exact: extras.length === 0,
+            extras
+        };
+    }
+
+    /**
+     * Dex numbers of the targets, merged into ranges wherever no other owned species sits in between
+     */
+    buildDexClause(targets, collection) {
+        const targetNumbers = new Set(targets.map(row => row.pokemon_number));
+        const ownedNumbers = Array.from(new Set(collection.map(row => row.pokemon_number)
+            .concat(Array.from(targetNumbers)))).sort((a, b) => a - b);
+        
+        const parts = [];
+        let run = null;
+        
+        for (const number of ownedNumbers) {
+            if (targetNumbers.has(number)) {
+                run = run ? [run[0], number] : [number, number];
+                continue;
+            }
+            
+            if (run) {
+                parts.push(formatRange('', run[0], run[1]));
+                run = null;
+            }
+        }
+        
+        if (run) {
+            parts.push(formatRange('', run[0], run[1]));
+        }
+        
+        return {
+            text: parts.join(','),
+            test: row => targetNumbers.has(row.pokemon_number)
+        };
+    }
+
+    /**
+     * Clauses every target satisfies: across all targets, and per species as "!dex,term"
+     */
+    buildCandidates(targets, extras) {
+        const candidates = this.buildTerms(targets);
+        const extraNumbers = new Set(extras.map(row => row.pokemon_number));
+        const bySpecies = new Map();
+        
+        for (const row of targets) {
+            if (extraNumbers.has(row.pokemon_number)) {
+                if (!bySpecies.has(row.pokemon_number)) {
+                    bySpecies.set(row.pokemon_number, []);
+                }
+                bySpecies.get(row.pokemon_number).push(row);
+            }
+        }
+        
+        for (const [number, rows] of bySpecies) {
+            for (const term of this.buildTerms(rows)) {
+                candidates.push({
+                    text: `!${number},${term.text}`,
+                    test: row => row.pokemon_number !== number || term.test(row)
+                });
+            }
+        }
+        
+        return candidates;
+    }
+
+    /**
+     * Single search terms that match every given row
+     */
+    buildTerms(rows) {
+        const terms = [];
+        
+        const addRange = (prefix, valueOf, suffix = '') => {
+            const values = rows.map(valueOf);
+            if (values.some(value => value === null || value === undefined || value < 0)) {
+                return;
+            }
+            
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            terms.push({
+                text: formatRange(prefix, min, max, suffix),
+                test: row => {
+                    const value = valueOf(row);
+                    return value !== null && value !== undefined && value >= min && value <= max;
+                }
+            });
+        };
+        
+        addRange('cp', row => row.cp);
+        addRange('hp', row => row.hp);
+        addRange('', row => [row.atk_iv, row.def_iv, row.sta_iv].some(iv => iv === null || iv === undefined) ? -1 :
+            bandLevel(row.atk_iv + row.def_iv + row.sta_iv, STAR_BANDS), '*');
+        
+        for (const [stat, column] of Object.entries(IV_BARS)) {
+            addRange('', row => bandLevel(row[column], IV_BAR_BANDS), stat);
+        }
+        
+        for (const [flag, column] of Object.entries(FLAGS)) {
+            if (rows.every(row => row[column])) {
+                terms.push({ text: flag, test: row => Boolean(row[column]) });
+            } else if (rows.every(row => !row[column])) {
+                terms.push({ text: `!${flag}`, test: row => !row[column] });
+            }
+        }
+        
+        return terms;
+    }
+
+    /**
+     * Drop clauses (other than the dex clause) that no longer exclude anything
+     */
+    pruneClauses(clauses, collection, targetIds, extraCount) {
+        const countExtras = selected => collection.filter(row =>
+            !targetIds.has(row.pk_user_pokemon_id) && selected.every(clause => clause.test(row))).length;
+        
+        for (let i = clauses.length - 1; i > 0; i--) {
+            const without = clauses.filter((_, index) => index !== i);
+            if (countExtras(without) <= extraCount) {
+                clauses.splice(i, 1);
+            }
+        }
+    }
+}
+
+export default SearchStringGenerator;
@@ -0,0 +1,36 @@
+/**
+ * Abort helpers - Shared AbortSignal handling for cancellable queries, updates and imports
+ */
+
+/**
+ * Build the error thrown when an operation is cancelled
+ */
+export function createAbortError(signal, message = 'Operation cancelled') {
+    if (signal?.reason instanceof Error) {
+        return signal.reason;
+    }
+    
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ */
+export function throwIfAborted(signal, message) {
+    if (signal?.aborted) {
+        throw createAbortError(signal, message);
+    }
+}
+
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Let queued messages and timers run (used between chunks of long synchronous work)
+ */
+export function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PvECalculator from '../../src/calc/PvECalculator.js';
+
+const T5_RAID = { boss_tier: 5, dodge_factor: 0 };
+
+// 15/15/15 at level 40: attack = defense = 200 × 0.7903 = 158.06, HP = 158
+const ATTACKER = {
+    pk_pokemon_id: 'test',
+    base_attack: 185,
+    base_defense: 185,
+    base_stamina: 185,
+    fk_primary_type_id: 'water',
+    fk_secondary_type_id: null
+};
+const FAST = { pk_move_id: 'FAST', fk_move_type_id: 'normal', pve_power: 10, pve_energy_delta: 10, pve_duration: 1 };
+const CHARGED = { pk_move_id: 'CHARGED', fk_move_type_id: 'normal', pve_power: 100, pve_energy_delta: -50, pve_duration: 2 };
+
+test('a neutral attacker against a Tier 5 boss matches the GamePress estimate', () => {
+    const calculator = new PvECalculator();
+    const target = calculator.getTarget(T5_RAID);
+    
+    // Boss defense (180 + 15) × 0.79 and 900 / defense incoming damage per second
+    assert.deepEqual(target, { defense: 154.05, hp: 15000, incomingDamage: 900 });
+    
+    // Fast hit 6, charged hit 52: cycle DPS 410 / 35 = 11.714, plus (26 - 6) / 35 × (0.5 - 30 / 158) × 900 / 158.06 = 1.009;
+    // the attacker lasts 158 / 5.694 = 27.75 s
+    const metrics = calculator.calculate(ATTACKER, FAST, CHARGED, 'normal', target);
+    assert.equal(metrics.damage_per_second, 12.72);
+    assert.equal(metrics.total_damage_output, 353.1);
+    assert.equal(metrics.survivability_score, 27.7);
+    assert.equal(metrics.time_to_win, 1178.9);
+    assert.equal(metrics.deaths, 42);
+    assert.equal(metrics.energy_efficiency, 10);
+    assert.equal(metrics.composite_score, 29.2);
+});
+
+test('STAB and weather each add 20% to both moves', () => {
+    const calculator = new PvECalculator();
+    const target = calculator.getTarget(T5_RAID);
+    
+    // Fast hit 7, charged hit 62
+    const stab = calculator.calculate({ ...ATTACKER, fk_primary_type_id: 'normal' }, FAST, CHARGED, 'normal', target);
+    assert.equal(stab.damage_per_second, 15.07);
+    assert.equal(stab.stab_bonus, 1.2);
+    
+    const weather = new PvECalculator({ weather: 'partly_cloudy' }).calculate(ATTACKER, FAST, CHARGED, 'normal', target);
+    assert.equal(weather.damage_per_second, 15.07);
+    assert.equal(weather.weather_bonus, 1.2);
+});
+
+test('super effective moves and shadow attackers deal more damage', () => {
+    const calculator = new PvECalculator();
+    const target = calculator.getTarget(T5_RAID);
+    const neutral = calculator.calculate(ATTACKER, FAST, CHARGED, 'normal', target);
+    
+    const superEffective = calculator.calculate(ATTACKER, FAST, { ...CHARGED, fk_move_type_id: 'fighting' }, 'normal', target);
+    assert.equal(superEffective.type_effectiveness_multiplier, 1.6);
+    assert.ok(superEffective.damage_per_second > neutral.damage_per_second);
+    
+    const shadow = calculator.calculate({ ...ATTACKER, pk_pokemon_id: 'test_shadow' }, FAST, CHARGED, 'normal', target);
+    assert.equal(shadow.shadow_bonus, 1.2);
+    assert.ok(shadow.damage_per_second > neutral.damage_per_second);
+    assert.ok(shadow.survivability_score < neutral.survivability_score);
+});
+
+test('movesets are ordered best first', () => {
+    const calculator = new PvECalculator();
+    const weakCharged = { ...CHARGED, pk_move_id: 'WEAK', pve_power: 50 };
+    const movesets = calculator.calculateMovesets(ATTACKER, [FAST], [weakCharged, CHARGED], 'normal', calculator.getTarget(T5_RAID));
+    
+    assert.deepEqual(movesets.map(moveset => moveset.fk_charged_move_id), ['CHARGED', 'WEAK']);
+});
+
+test('ranks and percentiles count the results that were left out', () => {
+    const results = [{ composite_score: 10 }, { composite_score: 30 }, { composite_score: 20 }];
+    
+    assert.deepEqual(PvECalculator.rank(results).map(row => [row.composite_score, row.rank_vs_type, row.percentile_score]),
+        [[30, 1, 100], [20, 2, 50], [10, 3, 0]]);
+    assert.deepEqual(PvECalculator.rank(results.slice(0, 2), 5).map(row => [row.rank_vs_type, row.percentile_score]),
+        [[1, 100], [2, 75]]);
+});
+
+test('unknown weather and friendship levels are rejected', () => {
+    assert.throws(() => new PvECalculator({ weather: 'hail' }), /Unknown weather: hail/);
+    assert.throws(() => new PvECalculator({ friendship: 'close' }), /Unknown friendship level: close/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RocketPlanner from '../../src/calc/RocketPlanner.js';
+
+const FAST = { move_name: 'Tackle', fk_move_type_id: 'normal', pvp_power: 0, pvp_turns: 1, energy_gain: 50 };
+const CHARGED = { move_name: 'Body Slam', fk_move_type_id: 'normal', pvp_power: 100, energy_cost: 50 };
+
+// Mirror fighters: after one fast move each has the energy for a charged move that knocks the other out
+const fighter = attack => ({
+    types: ['water'],
+    stats: { attack, defense: 100, hp: 50 },
+    fast: FAST,
+    charged: [CHARGED]
+});
+
+test('the fighter with the higher attack wins a simultaneous lethal charged move', () => {
+    const planner = new RocketPlanner();
+    
+    const won = planner.simulate(fighter(101), fighter(100));
+    assert.equal(won.won, true);
+    assert.equal(won.hpRemaining, 49 / 50);
+    assert.equal(won.damageDealt, 1);
+    
+    const lost = planner.simulate(fighter(100), fighter(101));
+    assert.equal(lost.won, false);
+    assert.equal(lost.hpRemaining, 0);
+    assert.equal(lost.damageDealt, 1 - 49 / 50);
+});
+
+test('a knocked out fighter does not fire its charged move', () => {
+    const planner = new RocketPlanner();
+    const result = planner.simulate(fighter(100), { ...fighter(100), stats: { attack: 100, defense: 100, hp: 60 } });
+    
+    // Attack ties go to the counter, whose charged move lands first
+    assert.equal(result.won, true);
+    assert.equal(result.turns, 2);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import StatsCalculator from '../../src/calc/StatsCalculator.js';
+import { getCpMultiplier } from '../../src/data/cpMultipliers.js';
+
+// Base stats from the PvPoke GameMaster
+const AZUMARILL = { base_attack: 112, base_defense: 152, base_stamina: 225 };
+const MEWTWO = { base_attack: 300, base_defense: 182, base_stamina: 214 };
+const HUNDO = { atk_iv: 15, def_iv: 15, sta_iv: 15 };
+
+test('CP and HP match the in-game values', () => {
+    const calculator = new StatsCalculator();
+    
+    assert.equal(calculator.calculateCP(MEWTWO, HUNDO, 40), 4178);
+    assert.equal(calculator.calculateCP(MEWTWO, HUNDO, 50), 4724);
+    assert.equal(calculator.calculateHP(MEWTWO, HUNDO, 40), 180);
+});
+
+test('CP and HP never drop below 10', () => {
+    const calculator = new StatsCalculator();
+    const weak = { base_attack: 1, base_defense: 1, base_stamina: 1 };
+    const ivs = { atk_iv: 0, def_iv: 0, sta_iv: 0 };
+    
+    assert.equal(calculator.calculateCP(weak, ivs, 1), 10);
+    assert.equal(calculator.calculateHP(weak, ivs, 1), 10);
+});
+
+test('CP multipliers round down to the half level and reject unknown levels', () => {
+    assert.equal(getCpMultiplier(40.7), getCpMultiplier(40.5));
+    assert.throws(() => getCpMultiplier(0.5), /Invalid level/);
+    assert.throws(() => getCpMultiplier(52), /Invalid level/);
+});
+
+test('best level is the highest level under the cap', () => {
+    const calculator = new StatsCalculator();
+    const ivs = { atk_iv: 0, def_iv: 15, sta_iv: 15 };
+    
+    assert.equal(calculator.getBestLevel(AZUMARILL, ivs, 1500), 45.5);
+    assert.equal(calculator.getBestLevel(AZUMARILL, ivs, null), 50);
+    assert.equal(calculator.getBestLevel(AZUMARILL, ivs, null, { bestBuddy: true }), 51);
+    assert.equal(calculator.getBestLevel(MEWTWO, HUNDO, 5), null);
+});
+
+test('Great League rank 1 Azumarill matches PvPoke (0/15/15, level 45.5, CP 1499)', () => {
+    const calculator = new StatsCalculator();
+    const rankings = calculator.rankIVs(AZUMARILL, 1500);
+    const [best] = rankings;
+    
+    assert.equal(rankings.length, 4096);
+    assert.deepEqual([best.atk_iv, best.def_iv, best.sta_iv], [0, 15, 15]);
+    assert.equal(best.level, 45.5);
+    assert.equal(best.cp, 1499);
+    assert.equal(best.stamina, 196);
+    assert.equal(best.stat_product, 2451798);
+    assert.equal(best.rank, 1);
+    assert.equal(best.rank_percent, 100);
+    assert.ok(rankings.every(entry => entry.cp <= 1500));
+    assert.ok(rankings.every((entry, index) => index === 0 || entry.stat_product <= rankings[index - 1].stat_product));
+});
+
+test('without a cap the hundo ranks first', () => {
+    const calculator = new StatsCalculator();
+    const rank = calculator.getIVRank(AZUMARILL, HUNDO, null);
+    
+    assert.equal(rank.rank, 1);
+    assert.equal(rank.level, 50);
+});
+
+test('minIV limits the ranked combinations', () => {
+    const calculator = new StatsCalculator();
+    const rankings = calculator.rankIVs(AZUMARILL, 1500, { minIV: 10 });
+    
+    assert.equal(rankings.length, 216);
+    assert.equal(calculator.getIVRank(AZUMARILL, { atk_iv: 0, def_iv: 15, sta_iv: 15 }, 1500, { minIV: 10 }), null);
+});
+
+test('rankings are cached per base stats and league settings', () => {
+    const calculator = new StatsCalculator();
+    const rankings = calculator.rankIVs(AZUMARILL, 1500);
+    
+    assert.equal(calculator.rankIVs({ ...AZUMARILL }, 1500), rankings);
+    assert.notEqual(calculator.rankIVs(AZUMARILL, 1500, { bestBuddy: true }), rankings);
+    assert.notEqual(calculator.rankIVs(AZUMARILL, 2500), rankings);
+});
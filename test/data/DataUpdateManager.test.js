@@ -0,0 +1,237 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createLoadedDatabase, editSourceFile } from '../support/database.js';
+
+const GAMEMASTER = 'pvpoke/src/data/gamemaster.json';
+const GREAT_LEAGUE_RANKINGS = 'pvpoke/src/data/rankings/all/overall/rankings-1500.json';
+
+const baseAttack = async (db, pokemonId) =>
+    (await db.get('SELECT base_attack FROM fact_pokemon WHERE pk_pokemon_id = ?', [pokemonId])).base_attack;
+
+test('the initial load imports every source', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const updates = await db.all('SELECT fk_source_id, update_status FROM fact_data_updates ORDER BY fk_source_id');
+    
+    assert.ok(updates.length > 0);
+    assert.ok(updates.every(update => update.update_status === 'completed'), JSON.stringify(updates));
+    assert.equal(await baseAttack(db, 'bulbasaur'), 118);
+});
+
+const greatLeagueRows = (db, pokemonId) => db.all(`
+    SELECT pvp_rank_percent, is_current, effective_from_date, effective_to_date FROM fact_pokemon_pvp_rankings
+    WHERE fk_pokemon_id = ? AND fk_league_id = 'great' AND fk_scenario_id = 'overall'
+    ORDER BY effective_from_date, is_current
+`, [pokemonId]);
+
+test('a ranking that changed since an earlier day is closed and replaced by a new current row', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    const today = new Date().toISOString().split('T')[0];
+    await db.run("UPDATE fact_pokemon_pvp_rankings SET effective_from_date = '2026-01-01'");
+    
+    await editSourceFile(rootDir, GREAT_LEAGUE_RANKINGS, rankings => {
+        rankings[0].score = 70;
+        return rankings.filter(ranking => ranking.speciesId !== 'venusaur_shadow');
+    });
+    
+    const update = await manager.updateSource('pvpoke-rankings');
+    assert.equal(update.status, 'completed');
+    
+    assert.deepEqual(await greatLeagueRows(db, 'ivysaur'), [
+        { pvp_rank_percent: 80, is_current: 0, effective_from_date: '2026-01-01', effective_to_date: today },
+        { pvp_rank_percent: 70, is_current: 1, effective_from_date: today, effective_to_date: null }
+    ]);
+    assert.deepEqual(await greatLeagueRows(db, 'venusaur_shadow'), [
+        { pvp_rank_percent: 97.5, is_current: 0, effective_from_date: '2026-01-01', effective_to_date: today }
+    ]);
+});
+
+test('a ranking first recorded today is corrected in place', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    const today = new Date().toISOString().split('T')[0];
+    
+    await editSourceFile(rootDir, GREAT_LEAGUE_RANKINGS, rankings => {
+        rankings[0].score = 70;
+    });
+    
+    const update = await manager.updateSource('pvpoke-rankings');
+    assert.equal(update.status, 'completed');
+    assert.deepEqual(await greatLeagueRows(db, 'ivysaur'), [
+        { pvp_rank_percent: 70, is_current: 1, effective_from_date: today, effective_to_date: null }
+    ]);
+});
+
+test('rolling back an update restores the rows it changed', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    
+    await editSourceFile(rootDir, GAMEMASTER, gamemaster => {
+        gamemaster.pokemon.find(pokemon => pokemon.speciesId === 'bulbasaur').baseStats.atk = 200;
+    });
+    
+    const update = await manager.updateSource('pvpoke-gamemaster');
+    assert.equal(update.status, 'completed');
+    assert.equal(await baseAttack(db, 'bulbasaur'), 200);
+    
+    const result = await manager.rollbackUpdate(update.databaseId);
+    assert.equal(result.updateId, update.databaseId);
+    assert.equal(await baseAttack(db, 'bulbasaur'), 118);
+    
+    const stored = await db.get('SELECT update_status FROM fact_data_updates WHERE pk_update_id = ?', [update.databaseId]);
+    assert.equal(stored.update_status, 'rolled_back');
+    await assert.rejects(manager.rollbackUpdate(update.databaseId));
+});
+
+test('updates are rolled back newest first', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    const setAttack = attack => editSourceFile(rootDir, GAMEMASTER, gamemaster => {
+        gamemaster.pokemon.find(pokemon => pokemon.speciesId === 'bulbasaur').baseStats.atk = attack;
+    });
+    
+    await setAttack(200);
+    const first = await manager.updateSource('pvpoke-gamemaster');
+    await setAttack(250);
+    const second = await manager.updateSource('pvpoke-gamemaster');
+    
+    await assert.rejects(manager.rollbackUpdate(first.databaseId), /can't be rolled back before the later update/);
+    assert.equal(await baseAttack(db, 'bulbasaur'), 250);
+    assert.equal(db.inTransaction(), false);
+    
+    await manager.rollbackUpdate(second.databaseId);
+    await manager.rollbackUpdate(first.databaseId);
+    assert.equal(await baseAttack(db, 'bulbasaur'), 118);
+});
+
+test('rolling back a ranking update restores the previous current rows', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    const current = () => db.all(`
+        SELECT fk_pokemon_id, fk_league_id, fk_scenario_id, pvp_score FROM fact_pokemon_pvp_rankings
+        WHERE is_current = 1 ORDER BY fk_pokemon_id, fk_league_id, fk_scenario_id
+    `);
+    const before = await current();
+    
+    await editSourceFile(rootDir, GREAT_LEAGUE_RANKINGS, rankings => {
+        rankings[0].score = 50;
+    });
+    
+    const update = await manager.updateSource('pvpoke-rankings');
+    assert.equal(update.status, 'completed');
+    assert.notDeepEqual(await current(), before);
+    
+    await manager.rollbackUpdate(update.databaseId);
+    assert.deepEqual(await current(), before);
+});
+
+test('an invalid source file rejects the update and changes nothing', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    
+    await editSourceFile(rootDir, GAMEMASTER, gamemaster => {
+        gamemaster.pokemon.find(pokemon => pokemon.speciesId === 'bulbasaur').baseStats.atk = 200;
+        gamemaster.moves = [];
+    });
+    
+    const update = await manager.updateSource('pvpoke-gamemaster');
+    assert.equal(update.status, 'failed');
+    assert.match(update.error, /failed validation/);
+    assert.equal(await baseAttack(db, 'bulbasaur'), 118);
+    
+    const [failed] = await db.all(`
+        SELECT update_status, validation_report FROM fact_data_updates
+        WHERE fk_source_id = 'pvpoke-gamemaster' ORDER BY rowid DESC LIMIT 1
+    `);
+    assert.equal(failed.update_status, 'failed');
+    assert.equal(JSON.parse(failed.validation_report).valid, false);
+});
+
+test('a missing required file rejects the update', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    const tiers = () => db.all('SELECT * FROM fact_pokemon_pve_tiers WHERE is_current = 1 ORDER BY 1');
+    const before = await tiers();
+    
+    await fs.rm(path.join(rootDir, 'pokemon-resources/pogo_pkm_tiers.json'));
+    
+    const update = await manager.updateSource('pokemon-resources');
+    assert.equal(update.status, 'failed');
+    assert.match(update.error, /pogo_pkm_tiers\.json failed validation: \$ Missing or unreadable file/);
+    assert.deepEqual(await tiers(), before);
+    
+    const [failed] = await db.all(`
+        SELECT update_status, validation_report FROM fact_data_updates
+        WHERE fk_source_id = 'pokemon-resources' ORDER BY rowid DESC LIMIT 1
+    `);
+    assert.equal(failed.update_status, 'failed');
+    assert.equal(JSON.parse(failed.validation_report).valid, false);
+});
+
+test('a missing optional file is skipped', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    
+    await fs.rm(path.join(rootDir, 'pokemon-resources/pogo_fm.json'));
+    await editSourceFile(rootDir, GAMEMASTER, gamemaster => {
+        gamemaster.pokemon.find(pokemon => pokemon.speciesId === 'bulbasaur').baseStats.atk = 200;
+    });
+    
+    const update = await manager.updateSource('pvpoke-gamemaster');
+    assert.equal(update.status, 'completed');
+    assert.equal(await baseAttack(db, 'bulbasaur'), 200);
+});
+
+test('PvE metrics are refreshed after a GameMaster update, not when they are read', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    const bulbasaurDps = async () => (await db.get(`
+        SELECT damage_per_second FROM fact_pokemon_pve_performance_metrics
+        WHERE fk_pokemon_id = 'bulbasaur' AND fk_target_type_id = 'water' AND fk_scenario_id = 'raid_t5' AND is_current = 1
+    `))?.damage_per_second;
+    const currentMetrics = () => db.all(`
+        SELECT fk_pokemon_id, fk_target_type_id, fk_scenario_id, fk_moveset_id, composite_score, rank_vs_type, percentile_score
+        FROM fact_pokemon_pve_performance_metrics WHERE is_current = 1 ORDER BY 1, 2, 3
+    `);
+    
+    const before = await bulbasaurDps();
+    assert.ok(before > 0);
+    
+    await editSourceFile(rootDir, GAMEMASTER, gamemaster => {
+        gamemaster.pokemon.find(pokemon => pokemon.speciesId === 'bulbasaur').baseStats.atk = 200;
+    });
+    
+    const update = await manager.updateSource('pvpoke-gamemaster');
+    assert.equal(update.status, 'completed');
+    assert.ok(await bulbasaurDps() > before);
+    
+    // Only bulbasaur was recomputed, with the same result as a full recomputation
+    const updated = await currentMetrics();
+    await db.refreshPvEMetrics({ force: true });
+    assert.deepEqual(await currentMetrics(), updated);
+    
+    await manager.rollbackUpdate(update.databaseId);
+    assert.equal(await bulbasaurDps(), before);
+    
+    await db.run('DELETE FROM fact_pokemon_pve_performance_metrics');
+    assert.deepEqual(await db.getPvEPerformance('water', 'raid_t5'), []);
+});
+
+test('a failed PvE metrics refresh fails the update', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    
+    await editSourceFile(rootDir, GAMEMASTER, gamemaster => {
+        gamemaster.pokemon.find(pokemon => pokemon.speciesId === 'bulbasaur').baseStats.atk = 200;
+    });
+    db.computePvEMetrics = async () => {
+        throw new Error('Metrics failed');
+    };
+    
+    const update = await manager.updateSource('pvpoke-gamemaster');
+    assert.equal(update.status, 'failed');
+    assert.equal(update.error, 'Metrics failed');
+    assert.equal(await baseAttack(db, 'bulbasaur'), 118);
+});
+
+test('a Dialgadex update without any tier file fails', async t => {
+    const { manager, rootDir } = await createLoadedDatabase(t);
+    
+    await fs.rm(path.join(rootDir, 'dialgadex/data/strongest'), { recursive: true });
+    
+    const update = await manager.updateSource('dialgadex-data');
+    assert.equal(update.status, 'failed');
+    assert.match(update.error, /No Dialgadex tier files found/);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import GameMasterMapper from '../../src/data/GameMasterMapper.js';
+
+const readFixture = async filePath =>
+    JSON.parse(await fs.readFile(new URL(`../fixtures/sources/${filePath}`, import.meta.url), 'utf8'));
+
+async function mapFixture() {
+    const gameMaster = await readFixture('pvpoke/src/data/gamemaster.json');
+    const pveMoves = {
+        fast: await readFixture('pokemon-resources/pogo_fm.json'),
+        charged: await readFixture('pokemon-resources/pogo_cm.json')
+    };
+    
+    return new GameMasterMapper().map(gameMaster, pveMoves);
+}
+
+const byId = (rows, key) => new Map(rows.map(row => [row[key], row]));
+
+test('Pokemon rows take their form from the name and their stats from the gamemaster', async () => {
+    const pokemon = byId((await mapFixture()).pokemon, 'pk_pokemon_id');
+    
+    assert.deepEqual(
+        ['bulbasaur', 'venusaur_mega', 'venusaur_shadow', 'raichu_alolan'].map(id => [pokemon.get(id).pokemon_name, pokemon.get(id).form]),
+        [['Bulbasaur', 'Normal'], ['Venusaur', 'Mega'], ['Venusaur', 'Shadow'], ['Raichu', 'Alolan']]
+    );
+    
+    const venusaur = pokemon.get('venusaur');
+    assert.deepEqual([venusaur.base_attack, venusaur.base_defense, venusaur.base_stamina], [198, 189, 190]);
+    assert.equal(venusaur.max_cp, 3075);
+    assert.equal(venusaur.generation, 1);
+    assert.deepEqual([venusaur.fk_primary_type_id, venusaur.fk_secondary_type_id], ['grass', 'poison']);
+});
+
+test('Mega and Shadow availability is flagged on the base species only', async () => {
+    const pokemon = byId((await mapFixture()).pokemon, 'pk_pokemon_id');
+    const flags = id => [pokemon.get(id).is_mega_available, pokemon.get(id).is_shadow_available];
+    
+    assert.deepEqual(flags('venusaur'), [1, 1]);
+    assert.deepEqual(flags('venusaur_shadow'), [0, 1]);
+    assert.deepEqual(flags('ivysaur'), [0, 0]);
+});
+
+test('families and evolutions include temporary Mega evolutions', async () => {
+    const { families, evolutions } = await mapFixture();
+    const bulbasaurFamily = byId(families, 'pk_family_id').get('FAMILY_BULBASAUR');
+    
+    assert.equal(bulbasaurFamily.base_pokemon_id, 'bulbasaur');
+    assert.equal(bulbasaurFamily.family_type, 'linear');
+    assert.deepEqual(evolutions.map(row => [row.pk_evolution_id, row.evolution_stage, row.is_temporary]), [
+        ['bulbasaur_ivysaur', 1, 0],
+        ['ivysaur_venusaur', 2, 0],
+        ['venusaur_venusaur_mega', null, 1]
+    ]);
+});
+
+test('moves keep PvP stats and take PvE power, energy and duration from pokemon-resources', async () => {
+    const moves = byId((await mapFixture()).moves, 'pk_move_id');
+    const vineWhip = moves.get('VINE_WHIP');
+    
+    assert.equal(vineWhip.move_category, 'fast');
+    assert.deepEqual([vineWhip.pvp_power, vineWhip.pvp_turns, vineWhip.energy_gain], [5, 2, 8]);
+    assert.deepEqual([vineWhip.pve_power, vineWhip.pve_energy_delta, vineWhip.pve_duration], [7, 6, 0.6]);
+    assert.equal(vineWhip.power, 7);
+    
+    const wildCharge = moves.get('WILD_CHARGE');
+    assert.equal(wildCharge.move_category, 'charged');
+    assert.equal(wildCharge.energy_cost, 45);
+    assert.deepEqual(JSON.parse(wildCharge.pvp_buffs), { buffs: [0, -2], target: 'self', chance: 1 });
+});
+
+test('moves nobody learns normally are legacy, and Elite TM only when every learner needs one', async () => {
+    const { moves, pokemonMoves } = await mapFixture();
+    const byMove = byId(moves, 'pk_move_id');
+    
+    assert.deepEqual([byMove.get('FRENZY_PLANT').is_legacy, byMove.get('FRENZY_PLANT').is_elite_tm_only], [1, 1]);
+    assert.deepEqual([byMove.get('VOLT_SWITCH').is_legacy, byMove.get('VOLT_SWITCH').is_elite_tm_only], [1, 0]);
+    assert.equal(byMove.get('SLUDGE_BOMB').status, 'active');
+    assert.ok(pokemonMoves.some(row => row.fk_pokemon_id === 'venusaur' && row.fk_move_id === 'FRENZY_PLANT' && row.learn_method === 'elite_tm'));
+});
+
+test('without pokemon-resources the PvP power is used', async () => {
+    const gameMaster = await readFixture('pvpoke/src/data/gamemaster.json');
+    const vineWhip = byId(new GameMasterMapper().map(gameMaster).moves, 'pk_move_id').get('VINE_WHIP');
+    
+    assert.deepEqual([vineWhip.power, vineWhip.pve_power, vineWhip.pve_duration], [5, null, null]);
+});
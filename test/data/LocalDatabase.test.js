@@ -0,0 +1,381 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSourceRoot, createTestDatabase, createLoadedDatabase, editSourceFile } from '../support/database.js';
+import LocalDatabase from '../../src/data/LocalDatabase.js';
+import createEnvironment from '../../src/environment/createEnvironment.js';
+import PokeGenieManager from '../../src/data/PokeGenieManager.js';
+
+const GREAT_LEAGUE_RANKINGS = 'pvpoke/src/data/rankings/all/overall/rankings-1500.json';
+
+async function createTable(db) {
+    await db.run('CREATE TABLE IF NOT EXISTS test_rows (name TEXT PRIMARY KEY)');
+}
+
+async function names(db) {
+    return (await db.all('SELECT name FROM test_rows ORDER BY name')).map(row => row.name);
+}
+
+test('a transaction commits its work', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    const result = await db.transaction(async tx => {
+        await tx.run("INSERT INTO test_rows VALUES ('a')");
+        await tx.insertMany('test_rows', [{ name: 'b' }, { name: 'c' }]);
+        return 'done';
+    });
+    
+    assert.equal(result, 'done');
+    assert.deepEqual(await names(db), ['a', 'b', 'c']);
+    assert.equal(db.inTransaction(), false);
+});
+
+test('a failed transaction rolls back all of its work', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    await assert.rejects(db.transaction(async tx => {
+        await tx.run("INSERT INTO test_rows VALUES ('a')");
+        await tx.run("INSERT INTO test_rows VALUES ('a')");
+    }), /UNIQUE constraint failed/);
+    
+    assert.deepEqual(await names(db), []);
+    assert.equal(db.inTransaction(), false);
+});
+
+test('a failed nested transaction only rolls back its own work', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    await db.transaction(async tx => {
+        await tx.run("INSERT INTO test_rows VALUES ('outer')");
+        
+        await assert.rejects(tx.transaction(async inner => {
+            await inner.run("INSERT INTO test_rows VALUES ('inner')");
+            throw new Error('inner failure');
+        }), /inner failure/);
+        
+        await tx.transaction(async inner => {
+            await inner.run("INSERT INTO test_rows VALUES ('second')");
+        });
+    });
+    
+    assert.deepEqual(await names(db), ['outer', 'second']);
+});
+
+test('an outer rollback discards committed nested work', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    await assert.rejects(db.transaction(async tx => {
+        await tx.transaction(async inner => {
+            await inner.run("INSERT INTO test_rows VALUES ('inner')");
+        });
+        throw new Error('outer failure');
+    }), /outer failure/);
+    
+    assert.deepEqual(await names(db), []);
+});
+
+test('statement arrays run as one transaction', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    await assert.rejects(db.transaction([
+        { sql: 'INSERT INTO test_rows VALUES (?)', params: ['a'] },
+        { sql: 'INSERT INTO missing_table VALUES (?)', params: ['b'] }
+    ]));
+    
+    assert.deepEqual(await names(db), []);
+});
+
+test('concurrent transactions run one after the other', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    let releaseFirst;
+    const firstWaiting = new Promise(resolve => { releaseFirst = resolve; });
+    const order = [];
+    
+    // The first transaction yields while open, then fails
+    const first = db.transaction(async tx => {
+        order.push('first started');
+        await tx.run("INSERT INTO test_rows VALUES ('first')");
+        await firstWaiting;
+        order.push('first failed');
+        throw new Error('first failure');
+    });
+    
+    const second = db.transaction(async tx => {
+        order.push('second started');
+        await tx.run("INSERT INTO test_rows VALUES ('second')");
+    });
+    
+    // Writes outside any transaction wait for the open one too
+    const outside = db.run("INSERT INTO test_rows VALUES ('outside')");
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(order, ['first started']);
+    releaseFirst();
+    
+    await assert.rejects(first, /first failure/);
+    await second;
+    await outside;
+    
+    assert.deepEqual(order, ['first started', 'first failed', 'second started']);
+    assert.deepEqual(await names(db), ['outside', 'second']);
+    assert.equal(db.inTransaction(), false);
+});
+
+test('a failed transaction does not block the next one', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    await assert.rejects(db.transaction(async () => {
+        throw new Error('failure');
+    }));
+    await db.transaction(tx => tx.run("INSERT INTO test_rows VALUES ('a')"));
+    
+    assert.deepEqual(await names(db), ['a']);
+});
+
+test('a handle used after its transaction ended waits like the database', async t => {
+    const { db } = await createTestDatabase(t);
+    await createTable(db);
+    
+    const handle = await db.transaction(async tx => tx);
+    await handle.transaction(tx => tx.run("INSERT INTO test_rows VALUES ('late')"));
+    
+    assert.deepEqual(await names(db), ['late']);
+    assert.equal(db.inTransaction(), false);
+});
+
+test('a database created under Node is saved to and reloaded from the data directory', async t => {
+    const rootDir = await createSourceRoot(t);
+    const environment = await createEnvironment({ rootDir, dataDir: 'data' });
+    const created = new LocalDatabase({ environment });
+    
+    await created.initialize();
+    await created.run("UPDATE dim_types SET type_color = '#000000' WHERE pk_type_id = 'water'");
+    await created.flush();
+    
+    const reloaded = new LocalDatabase({ environment });
+    await reloaded.initialize();
+    
+    assert.equal(reloaded.storage.kind, 'node');
+    assert.equal(reloaded.schemaVersion, created.schemaVersion);
+    assert.equal((await reloaded.get("SELECT type_color FROM dim_types WHERE pk_type_id = 'water'")).type_color, '#000000');
+});
+
+test('creating a new database closes the copies it replaces', async t => {
+    const { db } = await createTestDatabase(t);
+    const closed = [];
+    const track = (database, name) => {
+        const close = database.close.bind(database);
+        database.close = () => {
+            closed.push(name);
+            close();
+        };
+        return database;
+    };
+    
+    track(db.db, 'loaded');
+    
+    // A migration that rebuilds the database returns a new copy
+    db.migrator.migrate = async database => {
+        track(database, 'pre-migration');
+        return new db.SQL.Database(database.export());
+    };
+    await db.createNewDatabase();
+    
+    assert.deepEqual(closed, ['loaded', 'pre-migration']);
+    assert.ok(await db.get("SELECT 1 FROM dim_types WHERE pk_type_id = 'water'"));
+});
+
+test('the type chart labels GO double resistances instead of immunities', async t => {
+    const { db } = await createTestDatabase(t);
+    
+    const [normalOnGhost] = await db.getTypeEffectiveness('normal', 'ghost');
+    assert.equal(normalOnGhost.effectiveness_multiplier, 0.390625);
+    assert.equal(normalOnGhost.effectiveness_text, 'double_resisted');
+    
+    const profile = await db.getDefensiveProfile('dragon', 'flying');
+    assert.deepEqual(profile.weaknesses.map(entry => [entry.type, entry.multiplier]).slice(0, 2), [['ice', 2.56], ['dragon', 1.6]]);
+    assert.deepEqual(profile.doubleResistances.map(entry => entry.type), ['grass', 'ground']);
+    assert.equal(profile.multipliers.electric, 1);
+});
+
+test('past ranking snapshots, rank trends and movers read the closed rows', async t => {
+    const { db, manager, rootDir } = await createLoadedDatabase(t);
+    const today = new Date().toISOString().split('T')[0];
+    await db.run("UPDATE fact_pokemon_pvp_rankings SET effective_from_date = '2026-01-01'");
+    
+    // ivysaur 1st -> 3rd, venusaur_shadow 3rd -> 1st
+    await editSourceFile(rootDir, GREAT_LEAGUE_RANKINGS, rankings => rankings.reverse());
+    assert.equal((await manager.updateSource('pvpoke-rankings')).status, 'completed');
+    
+    const overallRank = async (pokemonId, asOf) => (await db.getPokemonPvPRankings(pokemonId, 'great', { asOf }))
+        .find(row => row.scenario_name === 'overall')?.pvp_rank_number;
+        
+    assert.equal(await overallRank('ivysaur'), 3);
+    assert.equal(await overallRank('ivysaur', '2026-01-02'), 1);
+    assert.equal(await overallRank('ivysaur', new Date()), 3);
+    assert.equal(await overallRank('ivysaur', '2025-12-31'), undefined);
+    
+    const trend = await db.getPokemonRankingTrend('ivysaur', 'great');
+    assert.deepEqual(trend.map(point => [point.effective_from_date, point.effective_to_date, point.pvp_rank_number, point.rank_change]), [
+        ['2026-01-01', today, 1, null],
+        [today, null, 3, -2]
+    ]);
+    
+    const movers = await db.getRankingMovers('great', 'overall', '2026-01-02');
+    assert.deepEqual(movers.risers.map(row => [row.fk_pokemon_id, row.rank_change]), [['venusaur_shadow', 2]]);
+    assert.deepEqual(movers.fallers.map(row => [row.fk_pokemon_id, row.rank_change]), [['ivysaur', -2]]);
+    assert.deepEqual([movers.entered, movers.dropped], [[], []]);
+    
+    await assert.rejects(db.getPokemonPvPRankings('ivysaur', 'great', { asOf: 'last week' }), /Invalid date/);
+});
+
+const storedMetrics = async (db, options) => (await db.getPvEPerformance('water', 'raid_t5', options))
+    .map(row => [row.fk_pokemon_id, row.damage_per_second, row.rank_vs_type, row.percentile_score]);
+
+test('stored PvE metrics rank the best moveset of every Pokemon like the on-demand calculation', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const stored = await db.getPvEPerformance('water', 'raid_t5');
+    
+    assert.deepEqual(stored.map(row => [row.fk_pokemon_id, row.moveset_name, row.rank_vs_type, row.percentile_score]), [
+        ['venusaur_mega', 'Vine Whip / Sludge Bomb', 1, 100],
+        ['venusaur', 'Vine Whip / Frenzy Plant', 2, 80],
+        ['venusaur_shadow', 'Vine Whip / Sludge Bomb', 3, 60],
+        ['raichu_alolan', 'Volt Switch / Wild Charge', 4, 40],
+        ['ivysaur', 'Vine Whip / Power Whip', 5, 20],
+        ['bulbasaur', 'Vine Whip / Power Whip', 6, 0]
+    ]);
+    
+    const calculated = await db.calculatePvEMetrics('water', { scenario: 'raid_t5' });
+    assert.deepEqual(await storedMetrics(db), calculated.map(row =>
+        [row.fk_pokemon_id, row.damage_per_second, row.rank_vs_type, row.percentile_score]));
+    
+    // 6 Pokemon × 18 target types × 6 scenarios
+    assert.equal((await db.get('SELECT COUNT(*) AS n FROM fact_pokemon_pve_performance_metrics WHERE is_current = 1')).n, 648);
+    assert.deepEqual(await db.refreshPvEMetrics(), { refreshed: false, added: 0, modified: 0 });
+});
+
+test('a partial PvE metrics refresh only recomputes the changed Pokemon and the learners of changed moves', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const expected = await storedMetrics(db);
+    await db.run("UPDATE fact_pokemon_pve_performance_metrics SET damage_per_second = 1, composite_score = 1 WHERE fk_pokemon_id = 'venusaur'");
+    
+    // venusaur keeps its stored row and drops to the bottom
+    await db.refreshPvEMetrics({ pokemonIds: ['bulbasaur'] });
+    assert.deepEqual((await storedMetrics(db)).at(-1), ['venusaur', 1, 6, 0]);
+    
+    // Only venusaur learns Frenzy Plant
+    await db.refreshPvEMetrics({ moveIds: ['FRENZY_PLANT'] });
+    assert.deepEqual(await storedMetrics(db), expected);
+});
+
+test('a partial PvE metrics refresh recomputes everything when the stored metrics are from another calculator version', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const expected = await storedMetrics(db);
+    await db.run("UPDATE fact_pokemon_pve_performance_metrics SET data_source_version = 'pve-metrics-v0:old'");
+    await db.run("UPDATE fact_pokemon_pve_performance_metrics SET damage_per_second = 1, composite_score = 1 WHERE fk_pokemon_id = 'venusaur'");
+    
+    await db.refreshPvEMetrics({ pokemonIds: ['bulbasaur'] });
+    assert.deepEqual(await storedMetrics(db), expected);
+});
+
+test('recomputed PvE metrics close rows from an earlier day and correct rows from today in place', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const rowCount = async () => (await db.get('SELECT COUNT(*) AS n FROM fact_pokemon_pve_performance_metrics')).n;
+    const tamper = () => db.run(`
+        UPDATE fact_pokemon_pve_performance_metrics SET damage_per_second = 1
+        WHERE fk_pokemon_id = 'venusaur' AND fk_target_type_id = 'water' AND fk_scenario_id = 'raid_t5'
+    `);
+    
+    const before = await rowCount();
+    await tamper();
+    assert.deepEqual(await db.refreshPvEMetrics({ pokemonIds: ['venusaur'] }), { refreshed: true, added: 0, modified: 1 });
+    assert.equal(await rowCount(), before);
+    
+    await db.run("UPDATE fact_pokemon_pve_performance_metrics SET effective_from_date = '2026-01-01'");
+    await tamper();
+    assert.deepEqual(await db.refreshPvEMetrics({ pokemonIds: ['venusaur'] }), { refreshed: true, added: 1, modified: 1 });
+    assert.equal(await rowCount(), before + 1);
+    
+    assert.deepEqual((await storedMetrics(db, { asOf: '2026-01-02' }))[1], ['venusaur', 1, 2, 80]);
+    assert.deepEqual((await storedMetrics(db))[1], ['venusaur', 24.28, 2, 80]);
+});
+
+const ownedPokemon = (name, pokemonNumber, level, moves = {}) => ({
+    name,
+    pokemonNumber,
+    form: 'Normal',
+    cp: 1000,
+    hp: 100,
+    atkIV: 15,
+    defIV: 15,
+    staIV: 15,
+    levelMin: level,
+    levelMax: level,
+    quickMove: moves.fast || '',
+    chargeMove: moves.charged || '',
+    chargeMove2: ''
+});
+
+const storeOwnedPokemon = async (db, pokemon) => {
+    const manager = new PokeGenieManager(db);
+    const collection = {
+        id: 'owned',
+        name: 'Owned',
+        importDate: '2026-01-01T00:00:00.000Z',
+        lastUpdated: '2026-01-01T00:00:00.000Z',
+        pokemonCount: pokemon.length
+    };
+    
+    await manager.storeCollection(collection, pokemon);
+    return await manager.getBattleCandidates(collection.id);
+};
+
+test('a raid plan picks the strongest owned Pokemon, assumes unknown moves and counts Pokemon without a level', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const owned = await storeOwnedPokemon(db, [
+        ownedPokemon('Venusaur', 3, 30, { fast: 'Vine Whip', charged: 'Frenzy Plant' }),
+        ownedPokemon('Ivysaur', 2, 25),
+        ...Array.from({ length: 5 }, () => ownedPokemon('Bulbasaur', 1, 20, { fast: 'Tackle', charged: 'Sludge Bomb' })),
+        ownedPokemon('Bulbasaur', 1, 10, { fast: 'Tackle', charged: 'Sludge Bomb' }),
+        ownedPokemon('Bulbasaur', 1, 0, { fast: 'Tackle', charged: 'Sludge Bomb' })
+    ]);
+    
+    const plan = await db.planRaid('raichu_alolan', owned, { scenario: 'raid_t5' });
+    
+    // Six of the eight Pokemon with a level make the team; the level 10 Bulbasaur is left out
+    assert.deepEqual(plan.team.map(member => [member.fk_pokemon_id, member.level, member.moveset_name, member.assumed_moveset]), [
+        ['venusaur', 30, 'Vine Whip / Frenzy Plant', 0],
+        ['ivysaur', 25, 'Vine Whip / Power Whip', 1],
+        ...Array.from({ length: 4 }, () => ['bulbasaur', 20, 'Tackle / Sludge Bomb', 0])
+    ]);
+    assert.equal(plan.unrated, 1);
+    assert.equal(plan.scenario, 'raid_t5');
+    assert.deepEqual(plan.boss.types, ['electric', 'psychic']);
+    assert.ok(plan.trainersNeeded >= 1);
+});
+
+test('a Rocket plan assigns owned counters to the lineup slots and counts Pokemon without a level', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const owned = await storeOwnedPokemon(db, [
+        ownedPokemon('Venusaur', 3, 30, { fast: 'Vine Whip', charged: 'Frenzy Plant' }),
+        ownedPokemon('Ivysaur', 2, 25),
+        ownedPokemon('Bulbasaur', 1, 0)
+    ]);
+    
+    const plan = await db.planRocketBattle({ slots: [['bulbasaur'], ['ivysaur']] }, owned);
+    assert.deepEqual(plan.lineup.map(slot => slot.pokemon.map(pokemon => pokemon.pk_pokemon_id)), [['bulbasaur'], ['ivysaur']]);
+    assert.deepEqual(plan.counters.map(counter => counter.slot).sort(), [1, 2]);
+    assert.deepEqual(plan.counters.map(counter => counter.fk_pokemon_id).sort(), ['ivysaur', 'venusaur']);
+    assert.equal(plan.counters.find(counter => counter.fk_pokemon_id === 'ivysaur').assumed_moveset, 1);
+    assert.equal(plan.unrated, 1);
+    
+    await assert.rejects(db.planRocketBattle({ slots: [['missingno']] }, owned), /Unknown Pokemon: missingno/);
+    await assert.rejects(db.planRocketBattle({ type: 'sound' }, owned), /Unknown grunt type/);
+});
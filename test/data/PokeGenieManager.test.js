@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoadedDatabase } from '../support/database.js';
+import PokeGenieManager from '../../src/data/PokeGenieManager.js';
+
+const collection = id => ({
+    id,
+    name: 'Test',
+    importDate: '2026-01-01T00:00:00.000Z',
+    lastUpdated: '2026-01-01T00:00:00.000Z',
+    pokemonCount: 2
+});
+
+const bulbasaur = {
+    name: 'Bulbasaur',
+    pokemonNumber: 1,
+    form: 'Normal',
+    cp: 500,
+    hp: 60,
+    atkIV: 15,
+    defIV: 15,
+    staIV: 15,
+    quickMove: 'Vine Whip',
+    chargeMove: 'Sludge Bomb',
+    chargeMove2: 'Power Whip'
+};
+
+test('storing a collection creates a shared new moveset once', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const manager = new PokeGenieManager(db);
+    const movesetsBefore = (await db.get('SELECT COUNT(*) AS n FROM dim_movesets')).n;
+    
+    await manager.storeCollection(collection('c1'), [bulbasaur, { ...bulbasaur, cp: 600 }]);
+    
+    const rows = await db.all('SELECT fk_moveset_id FROM fact_user_pokemon_collection WHERE fk_collection_id = ?', ['c1']);
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].fk_moveset_id);
+    assert.equal(rows[0].fk_moveset_id, rows[1].fk_moveset_id);
+    assert.equal((await db.get('SELECT COUNT(*) AS n FROM dim_movesets')).n, movesetsBefore + 1);
+    assert.ok(await db.get('SELECT 1 FROM dim_movesets WHERE pk_moveset_id = ?', [rows[0].fk_moveset_id]));
+});
+
+test('a cancelled import writes nothing', async t => {
+    const { db } = await createLoadedDatabase(t);
+    const manager = new PokeGenieManager(db);
+    const controller = new AbortController();
+    controller.abort();
+    
+    await assert.rejects(
+        manager.storeCollection(collection('c2'), [bulbasaur], { signal: controller.signal }),
+        error => error.name === 'AbortError'
+    );
+    
+    assert.equal(await db.get('SELECT 1 FROM dim_user_collections WHERE pk_collection_id = ?', ['c2']), null);
+    assert.equal((await db.get('SELECT COUNT(*) AS n FROM fact_user_pokemon_collection')).n, 0);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SourceChangeDetector from '../../src/data/SourceChangeDetector.js';
+
+const SOURCE = { name: 'Test', submodule: 'pvpoke', watchPaths: ['gamemaster.json'] };
+
+// Checkout without git metadata (e.g. submodules served to the browser without .git)
+const environment = files => ({
+    loadText: async path => {
+        throw new Error(`Not found: ${path}`);
+    },
+    loadBinary: async path => {
+        if (!(path in files)) {
+            throw new Error(`Not found: ${path}`);
+        }
+        return new TextEncoder().encode(files[path]);
+    },
+    listFiles: async () => [],
+    sha256: async data => `hash:${new TextDecoder().decode(data)}`
+});
+
+test('the remote is not asked when watched files can be hashed', async () => {
+    const calls = [];
+    const detector = new SourceChangeDetector(environment({ 'pvpoke/gamemaster.json': 'v1' }), {
+        remoteChecker: async source => {
+            calls.push(source.name);
+            return 'remote-commit';
+        }
+    });
+    
+    const state = await detector.getSourceState(SOURCE);
+    assert.deepEqual(calls, []);
+    assert.deepEqual(state, { commit: null, origin: null, files: { 'pvpoke/gamemaster.json': 'hash:v1' } });
+});
+
+test('the remote is asked when neither a commit nor a file is found', async () => {
+    const detector = new SourceChangeDetector(environment({}), { remoteChecker: async () => 'remote-commit' });
+    
+    const state = await detector.getSourceState(SOURCE);
+    assert.deepEqual(state, { commit: 'remote-commit', origin: 'remote', files: {} });
+    assert.equal(detector.hasChanged(state, { commit: 'older-commit', files: {} }), true);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SourceValidator from '../../src/data/SourceValidator.js';
+
+const ranking = (speciesId, score = 90) => ({ speciesId, score, moveset: ['COUNTER', 'ICE_PUNCH'] });
+
+test('a valid file passes unchanged', () => {
+    const validator = new SourceValidator();
+    const data = [ranking('medicham'), ranking('azumarill')];
+    const { report, data: validData } = validator.validate('rankings', data, { file: 'rankings-1500.json' });
+    
+    assert.equal(report.valid, true);
+    assert.equal(report.file, 'rankings-1500.json');
+    assert.equal(report.checked, 2);
+    assert.deepEqual(validData, data);
+});
+
+test('invalid entries of quarantine arrays are set aside and reported', () => {
+    const validator = new SourceValidator();
+    const data = Array.from({ length: 20 }, (_, index) => ranking(`pokemon_${index}`));
+    data[3] = { speciesId: 'broken', score: 150, moveset: ['COUNTER'] };
+    
+    const { report, data: validData } = validator.validate('rankings', data);
+    
+    assert.equal(report.valid, true);
+    assert.equal(validData.length, 19);
+    assert.equal(report.quarantinedCount, 1);
+    assert.equal(report.quarantined[0].id, 'broken');
+    assert.equal(report.quarantined[0].path, '$[3]');
+    assert.deepEqual(report.quarantined[0].errors.map(error => error.path), ['$[3].score', '$[3].moveset']);
+});
+
+test('too many invalid entries reject the file', () => {
+    const validator = new SourceValidator();
+    const data = [ranking('medicham'), { speciesId: 'broken' }];
+    const { report } = validator.validate('rankings', data);
+    
+    assert.equal(report.valid, false);
+    assert.match(report.errors[0].message, /1 of 2 entries are invalid/);
+});
+
+test('a file of the wrong shape is rejected', () => {
+    const validator = new SourceValidator();
+    const { report } = validator.validate('gamemaster', { pokemon: [] });
+    
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.errors.map(error => error.path), ['$.pokemon', '$.moves']);
+});
+
+test('schema nodes check types, ranges, enums and patterns', () => {
+    const validator = new SourceValidator();
+    const schema = {
+        type: 'object',
+        fields: {
+            id: { type: 'string', pattern: /^[a-z]+$/ },
+            level: { type: 'integer', min: 1, max: 50 },
+            kind: { type: 'string', enum: ['fast', 'charged'] },
+            note: { type: 'string', optional: true }
+        }
+    };
+    
+    assert.equal(validator.validate(schema, { id: 'tackle', level: 20, kind: 'fast' }).report.valid, true);
+    
+    const { report } = validator.validate(schema, { id: 'Tackle', level: 20.5, kind: 'special' });
+    assert.deepEqual(report.errors.map(error => error.path), ['$.id', '$.level', '$.kind']);
+});
+
+test('unknown schemas and parse failures', () => {
+    const validator = new SourceValidator();
+    
+    assert.throws(() => validator.validate('nope', []), /Unknown validation schema: nope/);
+    
+    const report = validator.parseFailure('rankings', 'rankings-1500.json', new SyntaxError('Unexpected token'));
+    assert.equal(report.valid, false);
+    assert.match(report.errors[0].message, /^Invalid JSON: Unexpected token/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import TierMapper from '../../src/data/TierMapper.js';
+
+const DIALGADEX_ELECTRIC = new URL('../fixtures/sources/dialgadex/data/strongest/electric.json', import.meta.url);
+
+const POKEMON = [
+    { pk_pokemon_id: 'venusaur', pokemon_number: 3, pokemon_name: 'Venusaur', form: 'Normal' },
+    { pk_pokemon_id: 'venusaur_shadow', pokemon_number: 3, pokemon_name: 'Venusaur (Shadow)', form: 'Shadow' },
+    { pk_pokemon_id: 'raichu_alolan', pokemon_number: 26, pokemon_name: 'Raichu (Alolan)', form: 'Alolan' }
+];
+
+test('a Dialgadex per-type file maps to one row per super effective defending type', async () => {
+    const data = JSON.parse(await fs.readFile(DIALGADEX_ELECTRIC, 'utf8'));
+    const { rows, unresolved } = new TierMapper(POKEMON).map(data, { attackingType: 'electric' });
+    
+    assert.equal(unresolved, 0);
+    assert.deepEqual(rows.map(row => [row.fk_pokemon_id, row.fk_defending_type_id, row.tier_rank, row.pve_overall_rank]), [
+        ['raichu_alolan', 'water', 'S', 1],
+        ['raichu_alolan', 'flying', 'S', 1],
+        ['venusaur_shadow', 'water', 'A+', 2],
+        ['venusaur_shadow', 'flying', 'A+', 2]
+    ]);
+    assert.equal(rows[0].tier_score, 100);
+    assert.equal(rows[2].tier_score, 65.6);
+    assert.equal(rows[2].effectiveness_rating, 2.1);
+});
+
+test('tier letters are derived from the score when missing', () => {
+    const { rows } = new TierMapper(POKEMON).map([
+        { speciesId: 'venusaur', er: 10 },
+        { speciesId: 'raichu_alolan', er: 5.5 }
+    ], { attackingType: 'grass' });
+    
+    assert.deepEqual([...new Set(rows.map(row => `${row.fk_pokemon_id}:${row.tier_rank}`))], ['venusaur:S', 'raichu_alolan:D']);
+});
+
+test('entries naming an unknown Pokemon or type are counted as unresolved', () => {
+    const { rows, unresolved } = new TierMapper(POKEMON).map([
+        { speciesId: 'mewtwo', tier: 'S' },
+        { speciesId: 'venusaur', type: 'cosmic', tier: 'S' }
+    ]);
+    
+    assert.deepEqual(rows, []);
+    assert.equal(unresolved, 2);
+});
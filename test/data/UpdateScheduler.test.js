@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import UpdateScheduler from '../../src/data/UpdateScheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+const OPTIONS = { retryDelay: 1000, maxRetryDelay: 5000, maxRetries: 3, lockRetryDelay: 30000 };
+
+/**
+ * Manager double with one source: check results come from `outcomes` (an Error is thrown),
+ * timers are recorded instead of run and dim_data_sources is a Map
+ */
+function createManager(outcomes = []) {
+    const source = { id: 'test-source', name: 'Test', isActive: true, checkInterval: HOUR };
+    const rows = new Map();
+    const sharedState = new Map();
+    const timers = [];
+    
+    return {
+        source,
+        timers,
+        updateSources: [source],
+        registry: { get: id => (id === source.id ? source : undefined) },
+        db: {
+            get: async (sql, [id]) => rows.get(id) || null,
+            run: async (sql, [lastCheck, retryCount, lastFailure, lastError, id]) => {
+                rows.set(id, {
+                    last_check_timestamp: lastCheck,
+                    retry_count: retryCount,
+                    last_failure_timestamp: lastFailure,
+                    last_error: lastError
+                });
+            }
+        },
+        environment: {
+            lockHeld: false,
+            setTimer: (callback, delay) => timers.push({ callback, delay }),
+            clearTimer: () => {},
+            async tryLock(name, work) {
+                if (this.lockHeld) {
+                    return false;
+                }
+                await work();
+                return true;
+            },
+            getKeyValueStore: () => ({
+                getItem: key => sharedState.get(key) ?? null,
+                setItem: (key, value) => sharedState.set(key, value)
+            })
+        },
+        checkSourceForUpdates: async () => {
+            const outcome = outcomes.shift();
+            if (outcome instanceof Error) {
+                throw outcome;
+            }
+            return outcome || { changed: false, update: null };
+        }
+    };
+}
+
+// Timer delays are measured from Date.now(), so they may be a few milliseconds short
+const assertDelay = (timer, expected) =>
+    assert.ok(timer.delay <= expected && timer.delay > expected - 1000, `delay ${timer.delay}, expected ${expected}`);
+
+test('retry delays double per failure up to the cap', () => {
+    const scheduler = new UpdateScheduler(createManager(), OPTIONS);
+    
+    assert.deepEqual([1, 2, 3, 4, 5].map(retry => scheduler.getRetryDelay(retry)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('a source that was never checked is due right away', async () => {
+    const manager = createManager();
+    const scheduler = new UpdateScheduler(manager, OPTIONS);
+    
+    await scheduler.start();
+    assert.equal(manager.timers.length, 1);
+    assert.equal(manager.timers[0].delay, 0);
+});
+
+test('failed checks back off until the retries run out, then wait for the regular interval', async () => {
+    const failure = new Error('offline');
+    const manager = createManager([failure, { changed: true, update: { status: 'failed', error: 'bad file' } }, failure, failure]);
+    const scheduler = new UpdateScheduler(manager, OPTIONS);
+    await scheduler.start();
+    
+    assert.deepEqual(await scheduler.checkNow('test-source'), { changed: false, update: null, error: 'offline' });
+    assertDelay(manager.timers.at(-1), 1000);
+    
+    assert.equal((await scheduler.checkNow('test-source')).error, 'bad file');
+    assertDelay(manager.timers.at(-1), 2000);
+    
+    await scheduler.checkNow('test-source');
+    assertDelay(manager.timers.at(-1), 4000);
+    
+    await scheduler.checkNow('test-source');
+    assertDelay(manager.timers.at(-1), HOUR);
+    
+    const [status] = (await scheduler.getStatus()).sources;
+    assert.deepEqual([status.status, status.retryCount, status.lastError], ['retries_exhausted', 4, 'offline']);
+});
+
+test('a successful check resets the retries', async () => {
+    const manager = createManager([new Error('offline'), { changed: false, update: null }]);
+    const scheduler = new UpdateScheduler(manager, OPTIONS);
+    await scheduler.start();
+    
+    await scheduler.checkNow('test-source');
+    await scheduler.checkNow('test-source');
+    assertDelay(manager.timers.at(-1), HOUR);
+    
+    const [status] = (await scheduler.getStatus()).sources;
+    assert.deepEqual([status.status, status.retryCount, status.lastError], ['scheduled', 0, null]);
+});
+
+test('a reloaded scheduler continues the backoff from the stored state', async () => {
+    const manager = createManager([new Error('offline'), new Error('offline')]);
+    const scheduler = new UpdateScheduler(manager, OPTIONS);
+    await scheduler.start();
+    await scheduler.checkNow('test-source');
+    await scheduler.checkNow('test-source');
+    
+    await new UpdateScheduler(manager, OPTIONS).start();
+    assertDelay(manager.timers.at(-1), 2000);
+});
+
+test('a check held by another tab is tried again after the lock delay', async () => {
+    const manager = createManager();
+    const scheduler = new UpdateScheduler(manager, OPTIONS);
+    await scheduler.start();
+    manager.environment.lockHeld = true;
+    
+    assert.equal(await scheduler.checkNow('test-source'), null);
+    assertDelay(manager.timers.at(-1), OPTIONS.lockRetryDelay);
+});
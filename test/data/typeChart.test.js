@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TYPE_CHART, TYPE_IDS, getTypeMultiplier } from '../../src/data/typeChart.js';
+
+test('single type multipliers use the GO values', () => {
+    assert.equal(getTypeMultiplier('water', ['fire']), 1.6);
+    assert.equal(getTypeMultiplier('fire', ['water']), 0.625);
+    assert.equal(getTypeMultiplier('normal', ['ghost']), 0.390625);
+    assert.equal(getTypeMultiplier('normal', ['fire']), 1);
+});
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('dual type multipliers are the product of both types', () => {
+    assertClose(getTypeMultiplier('ice', ['dragon', 'flying']), 2.56);
+    assertClose(getTypeMultiplier('electric', ['water', 'ground']), 0.625);
+    assertClose(getTypeMultiplier('grass', ['grass', 'poison']), 0.390625);
+});
+
+test('a missing secondary type is ignored', () => {
+    assert.equal(getTypeMultiplier('water', ['fire', null]), 1.6);
+});
+
+test('unknown attacking types are rejected', () => {
+    assert.throws(() => getTypeMultiplier('sound', ['fire']), /Unknown type: sound/);
+});
+
+test('the chart covers all 18 types and only names known types', () => {
+    assert.equal(TYPE_IDS.length, 18);
+    
+    for (const [type, chart] of Object.entries(TYPE_CHART)) {
+        const defending = [...chart.superEffective, ...chart.notVeryEffective, ...chart.doubleResisted];
+        assert.ok(defending.every(defendingType => TYPE_IDS.includes(defendingType)), type);
+        assert.equal(new Set(defending).size, defending.length, type);
+    }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { createSourceRoot, createTestDatabase } from '../support/database.js';
+import DataUpdateManager from '../../src/data/DataUpdateManager.js';
+
+const SCRIPT = fileURLToPath(new URL('../../scripts/build-database-bundle.js', import.meta.url));
+
+// The fixture checkout only has the electric and grass Dialgadex files
+const buildBundle = (rootDir, ...args) =>
+    promisify(execFile)(process.execPath, [SCRIPT, '--root', rootDir, '--out', path.join(rootDir, 'bundle'), ...args]);
+
+const pokemonCount = async db => (await db.get('SELECT COUNT(*) AS n FROM fact_pokemon')).n;
+
+test('the bundle is not built when source files are missing', async t => {
+    const rootDir = await createSourceRoot(t);
+    
+    await assert.rejects(buildBundle(rootDir), error => /Source files missing .*dialgadex\/data\/strongest\/normal\.json/.test(error.stderr));
+    await assert.rejects(fs.access(path.join(rootDir, 'bundle/manifest.json')));
+});
+
+test('a new database is seeded from the bundle and only imports what changed since', async t => {
+    const rootDir = await createSourceRoot(t);
+    await buildBundle(rootDir, '--allow-partial');
+    
+    const manifest = JSON.parse(await fs.readFile(path.join(rootDir, 'bundle/manifest.json'), 'utf8'));
+    assert.ok(manifest.sources.length > 0);
+    assert.ok(manifest.sources.every(source => source.status === 'completed'), JSON.stringify(manifest.sources));
+    assert.equal(manifest.counts.pokemon, 6);
+    assert.ok(manifest.counts.pveMetrics > 0);
+    
+    const { db, environment } = await createTestDatabase(t, { rootDir, seed: 'bundle/manifest.json' });
+    assert.equal(await pokemonCount(db), 6);
+    assert.equal((await db.get('SELECT COUNT(*) AS n FROM fact_data_changes')).n, 0);
+    
+    const updatesBefore = (await db.get('SELECT COUNT(*) AS n FROM fact_data_updates')).n;
+    const manager = new DataUpdateManager(db, { environment, monitor: false, remoteChecker: null });
+    await manager.initialize();
+    t.after(() => manager.stopMonitoring());
+    assert.equal((await db.get('SELECT COUNT(*) AS n FROM fact_data_updates')).n, updatesBefore);
+});
+
+test('a bundle that fails its checksum is ignored', async t => {
+    const rootDir = await createSourceRoot(t);
+    await buildBundle(rootDir, '--allow-partial');
+    
+    const manifestPath = path.join(rootDir, 'bundle/manifest.json');
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    await fs.writeFile(manifestPath, JSON.stringify({ ...manifest, image: { ...manifest.image, sha256: '0'.repeat(64) } }));
+    
+    const { db } = await createTestDatabase(t, { rootDir, seed: 'bundle/manifest.json' });
+    assert.equal(await pokemonCount(db), 0);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import GameSearchQuery from '../../src/search/GameSearchQuery.js';
+
+const describe = query => query.clauses.map(terms => terms.map(term => `${term.negated ? '!' : ''}${term.kind}`));
+
+test('OR binds tighter than AND', () => {
+    const query = GameSearchQuery.parse('dragon&flying,4*');
+    
+    assert.deepEqual(describe(query), [['type'], ['type', 'stars']]);
+    assert.match(query.toSql().sql, /^\(.*\) AND \(.* OR .*\)$/s);
+});
+
+test('every AND and OR operator splits terms', () => {
+    assert.deepEqual(describe(GameSearchQuery.parse('fire|water;grass:ice')), [['type'], ['type', 'type', 'type']]);
+});
+
+test('negation applies to a single term', () => {
+    const query = GameSearchQuery.parse('!shadow,lucky&cp-1500');
+    
+    assert.deepEqual(describe(query), [['!shadow', 'lucky'], ['cp']]);
+    assert.match(query.toSql().sql, /NOT COALESCE\(\(upc\.is_shadow = 1\), 0\) OR \(upc\.is_lucky = 1\)/);
+});
+
+test('precedence holds when the SQL runs', async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    db.run(`
+        CREATE TABLE fact_pokemon (pk_pokemon_id TEXT, pokemon_name TEXT, fk_primary_type_id TEXT, fk_secondary_type_id TEXT, generation INTEGER);
+        INSERT INTO fact_pokemon VALUES
+            ('dragonite', 'Dragonite', 'dragon', 'flying', 1),
+            ('salamence', 'Salamence', 'dragon', 'flying', 3),
+            ('charizard', 'Charizard', 'fire', 'flying', 1),
+            ('garchomp', 'Garchomp', 'dragon', 'ground', 4);
+    `);
+    
+    const matches = text => {
+        const { sql, params } = GameSearchQuery.parse(text).toSql({ scope: 'species' });
+        const [result] = db.exec(`SELECT pk_pokemon_id FROM fact_pokemon p WHERE ${sql} ORDER BY pk_pokemon_id`, params);
+        return result ? result.values.map(([id]) => id) : [];
+    };
+    
+    // dragon AND (kanto OR ground)
+    assert.deepEqual(matches('dragon&kanto,ground'), ['dragonite', 'garchomp']);
+    assert.deepEqual(matches('flying&!dragon'), ['charizard']);
+    assert.deepEqual(matches('fire,ground&flying'), ['charizard']);
+    
+    db.close();
+});
+
+test('ranges and appraisal bands', () => {
+    const [[cp], [stars], [iv], [dex]] = GameSearchQuery.parse('cp-1500&3-4*&4attack&1-151').clauses;
+    
+    assert.deepEqual(cp.range, [null, 1500]);
+    assert.deepEqual(stars.range, [37, 45]);
+    assert.deepEqual(iv.range, [15, 15]);
+    assert.deepEqual(dex.range, [1, 151]);
+});
+
+test('collection-only terms are rejected for species searches', () => {
+    assert.throws(() => GameSearchQuery.parse('lucky').toSql({ scope: 'species' }), /only applies to your collection/);
+});
+
+test('syntax errors report the offending term and column', () => {
+    assert.throws(() => GameSearchQuery.parse('fire&shiny'), error =>
+        error.name === 'GameSearchError' && error.position === 5 && error.token === 'shiny');
+    assert.throws(() => GameSearchQuery.parse(' , '), /Search string is empty/);
+});
+
+test('plain names are not treated as search strings', () => {
+    assert.equal(GameSearchQuery.isSearchString('pikachu'), false);
+    assert.equal(GameSearchQuery.isSearchString('dragon'), true);
+    assert.equal(GameSearchQuery.isSearchString('pikachu&4*'), true);
+});
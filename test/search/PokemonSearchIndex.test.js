@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PokemonSearchIndex from '../../src/search/PokemonSearchIndex.js';
+
+const pokemon = [
+    { pk_pokemon_id: 'charizard_normal', pokemon_name: 'Charizard', form: 'Normal', pokemon_number: 6, family_name: 'Charmander', is_shadow_available: 1, is_mega_available: 1 },
+    { pk_pokemon_id: 'charizard_mega_x', pokemon_name: 'Charizard', form: 'Mega X', pokemon_number: 6, family_name: 'Charmander', is_shadow_available: 0, is_mega_available: 1 },
+    { pk_pokemon_id: 'vulpix_normal', pokemon_name: 'Vulpix', form: 'Normal', pokemon_number: 37, family_name: 'Vulpix', is_shadow_available: 0, is_mega_available: 0 },
+    { pk_pokemon_id: 'vulpix_alola', pokemon_name: 'Vulpix', form: 'Alola', pokemon_number: 37, family_name: 'Vulpix', is_shadow_available: 0, is_mega_available: 0 },
+    { pk_pokemon_id: 'mr_mime_normal', pokemon_name: 'Mr. Mime', form: 'Normal', pokemon_number: 122, family_name: 'Mime Jr.', is_shadow_available: 0, is_mega_available: 0 },
+    { pk_pokemon_id: 'nidoran_female_normal', pokemon_name: 'Nidoran♀', form: 'Normal', pokemon_number: 29, family_name: 'Nidoran♀', is_shadow_available: 0, is_mega_available: 0 }
+];
+
+const moves = [
+    { fk_pokemon_id: 'charizard_normal', move_name: 'Blast Burn' },
+    { fk_pokemon_id: 'vulpix_alola', move_name: 'Powder Snow' }
+];
+
+const index = new PokemonSearchIndex().build(pokemon, moves);
+const ids = (query, options) => index.search(query, options).map(result => result.id);
+
+test('names are tokenized without punctuation and symbols', () => {
+    assert.deepEqual(PokemonSearchIndex.tokenize("Mr. Mime"), ['mr', 'mime']);
+    assert.deepEqual(PokemonSearchIndex.tokenize('Nidoran♀'), ['nidoran', 'female']);
+    assert.deepEqual(PokemonSearchIndex.tokenize('Flabébé'), ['flabebe']);
+});
+
+test('a plain name ranks the base form first', () => {
+    assert.deepEqual(ids('vulpix'), ['vulpix_normal', 'vulpix_alola']);
+});
+
+test('regional adjectives match their form', () => {
+    assert.deepEqual(ids('alolan vulpix'), ['vulpix_alola']);
+    assert.deepEqual(ids('vulpix alola'), ['vulpix_alola']);
+});
+
+test('typos and prefixes still match', () => {
+    assert.equal(ids('charzard')[0], 'charizard_normal');
+    assert.equal(ids('vulp')[0], 'vulpix_normal');
+    assert.deepEqual(ids('xyzzy'), []);
+});
+
+test('spaced and joined names match the same Pokemon', () => {
+    assert.deepEqual(ids('mr mime'), ['mr_mime_normal']);
+    assert.deepEqual(ids('mrmime'), ['mr_mime_normal']);
+    assert.deepEqual(ids('nidoran female'), ['nidoran_female_normal']);
+});
+
+test('mega matches Mega forms first, then species that can mega evolve', () => {
+    assert.deepEqual(ids('mega charizard'), ['charizard_mega_x', 'charizard_normal']);
+    assert.deepEqual(ids('mega'), ['charizard_mega_x', 'charizard_normal']);
+});
+
+test('shadow availability and moves are searchable', () => {
+    assert.deepEqual(ids('shadow'), ['charizard_normal']);
+    assert.deepEqual(ids('powder snow'), ['vulpix_alola']);
+});
+
+test('results can be limited', () => {
+    assert.deepEqual(ids('charizard', { limit: 1 }), ['charizard_normal']);
+});
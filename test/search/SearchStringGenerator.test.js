@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import GameSearchQuery from '../../src/search/GameSearchQuery.js';
+import SearchStringGenerator from '../../src/search/SearchStringGenerator.js';
+
+let nextId = 1;
+const owned = (pokemon_number, cp, ivs, flags = {}) => ({
+    pk_user_pokemon_id: `u${nextId++}`,
+    pokemon_number,
+    cp,
+    hp: null,
+    atk_iv: ivs[0],
+    def_iv: ivs[1],
+    sta_iv: ivs[2],
+    is_lucky: 0,
+    is_shadow: 0,
+    is_purified: 0,
+    is_favorite: 0,
+    ...flags
+});
+
+/**
+ * Ids of the rows a search string selects when it runs through the game search query engine
+ */
+async function select(searchString, collection) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    db.run(`CREATE TABLE fact_user_pokemon_collection (
+        pk_user_pokemon_id TEXT, pokemon_number INTEGER, cp INTEGER, hp INTEGER,
+        atk_iv INTEGER, def_iv INTEGER, sta_iv INTEGER, is_lucky INTEGER, is_shadow INTEGER, is_purified INTEGER, is_favorite INTEGER
+    )`);
+    for (const row of collection) {
+        db.run('INSERT INTO fact_user_pokemon_collection VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', Object.values(row));
+    }
+    
+    const { sql, params } = GameSearchQuery.parse(searchString).toSql();
+    const [result] = db.exec(`
+        SELECT upc.pk_user_pokemon_id FROM fact_user_pokemon_collection upc
+        JOIN (SELECT DISTINCT pokemon_number FROM fact_user_pokemon_collection) p ON p.pokemon_number = upc.pokemon_number
+        WHERE ${sql} ORDER BY upc.pk_user_pokemon_id
+    `, params);
+    db.close();
+    
+    return result ? result.values.map(([id]) => id).sort() : [];
+}
+
+const ids = rows => rows.map(row => row.pk_user_pokemon_id).sort();
+
+test('whole species are selected by dex number, merging ranges with no owned species in between', () => {
+    const collection = [owned(1, 500, [1, 2, 3]), owned(2, 900, [4, 5, 6]), owned(3, 1800, [7, 8, 9]), owned(6, 2000, [0, 0, 0])];
+    const result = new SearchStringGenerator().generate(collection.slice(0, 3), collection);
+    
+    assert.equal(result.searchString, '1-3');
+    assert.equal(result.exact, true);
+});
+
+test('clauses are added until the string selects exactly the targets', async () => {
+    const best = owned(149, 3000, [15, 15, 15]);
+    const collection = [best, owned(149, 2000, [10, 10, 10]), owned(149, 3000, [15, 14, 15]), owned(25, 900, [15, 15, 15])];
+    const result = new SearchStringGenerator().generate([best], collection);
+    
+    assert.equal(result.searchString, '149&4*');
+    assert.equal(result.exact, true);
+    assert.deepEqual(await select(result.searchString, collection), ids([best]));
+});
+
+test('conditions that only apply to one species are scoped with a negated dex number', async () => {
+    const targets = [owned(149, 3000, [15, 15, 15]), owned(25, 900, [0, 1, 2], { is_lucky: 1 })];
+    const collection = [...targets, owned(149, 2500, [10, 10, 10]), owned(25, 900, [15, 15, 15])];
+    const result = new SearchStringGenerator().generate(targets, collection);
+    
+    assert.equal(result.searchString, '25-149&!25,0*&!149,4*');
+    assert.equal(result.exact, true);
+    assert.deepEqual(await select(result.searchString, collection), ids(targets));
+});
+
+test('identical non-targets are reported as extras', async () => {
+    const target = owned(149, 3000, [15, 15, 15]);
+    const twin = owned(149, 3000, [15, 15, 15]);
+    const collection = [target, twin];
+    const result = new SearchStringGenerator().generate([target], collection);
+    
+    assert.equal(result.exact, false);
+    assert.deepEqual(ids(result.extras), ids([twin]));
+    assert.deepEqual(await select(result.searchString, collection), ids(collection));
+});
+
+test('an empty target list is rejected', () => {
+    assert.throws(() => new SearchStringGenerator().generate([], []), /No Pokemon/);
+});
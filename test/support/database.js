@@ -0,0 +1,69 @@
+/**
+ * Test helpers - in-memory databases over a scratch checkout holding the fixture source files
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LocalDatabase from '../../src/data/LocalDatabase.js';
+import DataUpdateManager from '../../src/data/DataUpdateManager.js';
+import createEnvironment from '../../src/environment/createEnvironment.js';
+import createStorageAdapter from '../../src/data/storage/createStorageAdapter.js';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const FIXTURE_SOURCES = path.join(REPO_ROOT, 'test/fixtures/sources');
+
+/**
+ * Scratch checkout with the schema and a copy of the fixture sources (removed when the test ends)
+ */
+export async function createSourceRoot(t) {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pogo-test-'));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+    
+    await fs.symlink(path.join(REPO_ROOT, 'database'), path.join(rootDir, 'database'));
+    await fs.cp(FIXTURE_SOURCES, rootDir, { recursive: true });
+    
+    return rootDir;
+}
+
+/**
+ * Empty database with the current schema, persisted in memory
+ * @param {Object} options - { rootDir: scratch checkout to reuse, seed: bundle manifest to start from (default none) }
+ */
+export async function createTestDatabase(t, options = {}) {
+    const rootDir = options.rootDir || await createSourceRoot(t);
+    const environment = await createEnvironment({ rootDir, dataDir: 'data' });
+    const db = new LocalDatabase({
+        environment,
+        storage: createStorageAdapter('test', { kind: 'memory' }),
+        seed: options.seed ?? false,
+        saveDelay: 0
+    });
+    
+    await db.initialize();
+    
+    return { db, environment, rootDir };
+}
+
+/**
+ * Database loaded from the fixture sources by a DataUpdateManager (no monitoring, no remote checks)
+ */
+export async function createLoadedDatabase(t) {
+    const { db, environment, rootDir } = await createTestDatabase(t);
+    const manager = new DataUpdateManager(db, { environment, monitor: false, remoteChecker: null });
+    
+    await manager.initialize();
+    t.after(() => manager.stopMonitoring());
+    
+    return { db, manager, environment, rootDir };
+}
+
+/**
+ * Rewrite a JSON source file of a scratch checkout
+ */
+export async function editSourceFile(rootDir, filePath, edit) {
+    const fullPath = path.join(rootDir, filePath);
+    const data = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+    await fs.writeFile(fullPath, JSON.stringify(edit(data) ?? data));
+}